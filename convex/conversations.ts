@@ -2,6 +2,8 @@ import { v } from 'convex/values';
 import { mutation, query } from './_generated/server';
 import { getAuthUserId } from './lib/auth';
 import { getCurrentTimestamp, isPresenceStale } from './lib/utils';
+import { countUnreadMessages } from './lib/unread';
+import { disappearingTimerValidator } from './lib/disappearing';
 
 /**
  * Get or create a direct conversation between two users
@@ -112,6 +114,10 @@ export const listConversations = query({
           .order('desc')
           .first();
 
+        const unreadCount = await countUnreadMessages(ctx, currentUser._id, {
+          conversationId: conv._id,
+        });
+
         return {
           _id: conv._id,
           otherUser: otherUser
@@ -135,6 +141,7 @@ export const listConversations = query({
                 type: lastMessage.type,
               }
             : null,
+          unreadCount,
           lastMessageAt: conv.lastMessageAt,
           createdAt: conv.createdAt,
         };
@@ -204,8 +211,51 @@ export const getConversation = query({
               : otherUser.presenceStatus,
           }
         : null,
+      disappearingTimer: conversation.disappearingTimer,
       createdAt: conversation.createdAt,
       lastMessageAt: conversation.lastMessageAt,
     };
   },
 });
+
+/**
+ * Turn disappearing messages on or off for a conversation (either participant).
+ * Only messages sent afterwards get an expiry.
+ */
+export const setDisappearingTimer = mutation({
+  args: {
+    conversationId: v.id('directConversations'),
+    timer: v.union(v.literal('off'), disappearingTimerValidator),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const conversation = await ctx.db.get(args.conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    // Verify user is a participant
+    if (
+      conversation.participant1Id !== currentUser._id &&
+      conversation.participant2Id !== currentUser._id
+    ) {
+      throw new Error('Not authorized');
+    }
+
+    await ctx.db.patch(args.conversationId, {
+      disappearingTimer: args.timer === 'off' ? undefined : args.timer,
+    });
+    return args.conversationId;
+  },
+});
@@ -0,0 +1,51 @@
+import { cronJobs } from 'convex/server';
+import { internal } from './_generated/api';
+
+const crons = cronJobs();
+
+// Sweep typing indicators that were never explicitly cleared
+crons.interval(
+  'cleanup expired typing states',
+  { minutes: 1 },
+  internal.typing.cleanupExpiredTyping
+);
+
+// Drop link previews nobody has posted in a long time
+crons.daily(
+  'cleanup stale link previews',
+  { hourUTC: 4, minuteUTC: 0 },
+  internal.linkPreviews.cleanupStalePreviews
+);
+
+// Delete disappearing messages once their timer runs out
+crons.interval(
+  'delete expired messages',
+  { minutes: 15 },
+  internal.messages.deleteExpiredMessages,
+  {}
+);
+
+// Apply the workspace retention policy (see retention.ts)
+crons.daily(
+  'purge data past retention',
+  { hourUTC: 3, minuteUTC: 0 },
+  internal.retention.purgeExpiredData,
+  {}
+);
+
+// Delete chat exports once their download link expires
+crons.daily(
+  'delete expired chat exports',
+  { hourUTC: 4, minuteUTC: 15 },
+  internal.exports.deleteExpiredExports
+);
+
+// Free storage held by abandoned uploads and deleted messages' files
+crons.daily(
+  'cleanup orphaned uploads',
+  { hourUTC: 4, minuteUTC: 30 },
+  internal.files.cleanupOrphanedUploads,
+  {}
+);
+
+export default crons;
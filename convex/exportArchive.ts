@@ -0,0 +1,107 @@
+"use node";
+
+import { v } from 'convex/values';
+import { internalAction } from './_generated/server';
+import { internal } from './_generated/api';
+import {
+  MAX_EXPORT_FILE_BYTES,
+  ExportMessage,
+  assignFilePaths,
+  getExportFileName,
+  buildJsonTranscript,
+  buildHtmlTranscript,
+  buildTextTranscript,
+} from './lib/exports';
+import { createZip, ZipEntry } from './lib/zip';
+
+/**
+ * Page through a chat's history and store a ZIP with JSON, HTML and text
+ * transcripts and the chat's files (internal action – scheduled by
+ * exports.requestExport). Runs in Node runtime for its larger memory
+ * limit, since the whole archive is built in memory.
+ */
+export const buildExport = internalAction({
+  args: {
+    exportId: v.id('chatExports'),
+  },
+  handler: async (ctx, args) => {
+    try {
+      const chat = await ctx.runQuery(internal.exports.getExportChat, {
+        exportId: args.exportId,
+      });
+
+      const messages: ExportMessage[] = [];
+      let cursor: string | null = null;
+      for (;;) {
+        const result: { page: ExportMessage[]; isDone: boolean; continueCursor: string } =
+          await ctx.runQuery(internal.exports.getExportPage, {
+            exportId: args.exportId,
+            cursor,
+          });
+        messages.push(...result.page);
+        if (result.isDone) break;
+        cursor = result.continueCursor;
+      }
+
+      const exportedAt = Date.now();
+      const filePaths = assignFilePaths(messages);
+      const files: ZipEntry[] = [];
+      let fileBytes = 0;
+
+      for (const [storageId, path] of filePaths) {
+        const blob = await ctx.storage.get(storageId);
+        if (!blob || fileBytes + blob.size > MAX_EXPORT_FILE_BYTES) {
+          filePaths.delete(storageId);
+          continue;
+        }
+        files.push({ path, data: new Uint8Array(await blob.arrayBuffer()) });
+        fileBytes += blob.size;
+      }
+
+      const encoder = new TextEncoder();
+      const archive = createZip(
+        [
+          {
+            path: 'transcript.html',
+            data: encoder.encode(buildHtmlTranscript(chat, messages, filePaths, exportedAt)),
+          },
+          {
+            path: 'transcript.txt',
+            data: encoder.encode(buildTextTranscript(chat, messages, filePaths, exportedAt)),
+          },
+          {
+            path: 'messages.json',
+            data: encoder.encode(buildJsonTranscript(chat, messages, filePaths, exportedAt)),
+          },
+          ...files,
+        ],
+        exportedAt
+      );
+
+      const storageId = await ctx.storage.store(
+        new Blob([archive.buffer as ArrayBuffer], { type: 'application/zip' })
+      );
+      const attachmentCount = new Set(
+        messages.flatMap((message) => message.attachments.map((a) => a.storageId))
+      ).size;
+
+      await ctx.runMutation(internal.exports.completeExport, {
+        exportId: args.exportId,
+        storageId,
+        fileName: getExportFileName(chat.name, exportedAt),
+        fileSize: archive.length,
+        messageCount: messages.length,
+        skippedFileCount: attachmentCount - files.length,
+      });
+      return { ok: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn('[exportArchive] Export failed', { exportId: args.exportId, error: message });
+      await ctx.runMutation(internal.exports.failExport, {
+        exportId: args.exportId,
+        error: message,
+      });
+      return { ok: false };
+    }
+  },
+});
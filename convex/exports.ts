@@ -0,0 +1,460 @@
+import { v } from 'convex/values';
+import { mutation, query, internalQuery, internalMutation, QueryCtx } from './_generated/server';
+import { internal } from './_generated/api';
+import { Doc } from './_generated/dataModel';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+import { getAttachmentDrafts } from './lib/attachments';
+import { getScanStatus } from './lib/scanning';
+import { getReactionSummary } from './lib/reactions';
+import { getPollSummary } from './lib/polls';
+import {
+  EXPORT_PAGE_SIZE,
+  EXPORT_LIFETIME,
+  EXPORT_TIMEOUT,
+  ExportChat,
+  ExportMessage,
+} from './lib/exports';
+
+// Expired exports deleted per run of the cleanup job
+const EXPORT_CLEANUP_BATCH_SIZE = 100;
+
+/**
+ * Whether the user who requested an export can still see the chat (the
+ * archive is built after the request, so membership is checked again)
+ */
+async function canAccessExportedChat(ctx: QueryCtx, chatExport: Doc<'chatExports'>) {
+  if (chatExport.conversationId) {
+    const conversation = await ctx.db.get(chatExport.conversationId);
+    return (
+      !!conversation &&
+      (conversation.participant1Id === chatExport.userId ||
+        conversation.participant2Id === chatExport.userId)
+    );
+  }
+
+  if (chatExport.groupId) {
+    const membership = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group_and_user', (q) =>
+        q.eq('groupId', chatExport.groupId!).eq('userId', chatExport.userId)
+      )
+      .first();
+    return !!membership;
+  }
+
+  return false;
+}
+
+/**
+ * Start exporting a DM or group's history (JSON, HTML and plain-text
+ * transcripts plus its files, in one ZIP). The archive is built in the
+ * background; watch getLatestExport for the download link.
+ */
+export const requestExport = mutation({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    let previous: Doc<'chatExports'> | null;
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      // Verify access
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized to export this conversation');
+      }
+
+      previous = await ctx.db
+        .query('chatExports')
+        .withIndex('by_user_and_conversation', (q) =>
+          q.eq('userId', currentUser._id).eq('conversationId', args.conversationId)
+        )
+        .order('desc')
+        .first();
+    } else {
+      const group = await ctx.db.get(args.groupId!);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      // Verify membership
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      previous = await ctx.db
+        .query('chatExports')
+        .withIndex('by_user_and_group', (q) =>
+          q.eq('userId', currentUser._id).eq('groupId', args.groupId)
+        )
+        .order('desc')
+        .first();
+    }
+
+    if (
+      previous?.status === 'pending' &&
+      previous.createdAt > getCurrentTimestamp() - EXPORT_TIMEOUT
+    ) {
+      throw new Error('An export of this chat is already in progress');
+    }
+
+    const exportId = await ctx.db.insert('chatExports', {
+      userId: currentUser._id,
+      conversationId: args.conversationId,
+      groupId: args.conversationId ? undefined : args.groupId,
+      status: 'pending',
+      createdAt: getCurrentTimestamp(),
+    });
+
+    await ctx.scheduler.runAfter(0, internal.exportArchive.buildExport, { exportId });
+
+    return exportId;
+  },
+});
+
+/**
+ * The current user's most recent export of a chat, with its download URL
+ * once ready. Null if there is none (or it has expired).
+ */
+export const getLatestExport = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      return null;
+    }
+
+    const latest = args.conversationId
+      ? await ctx.db
+          .query('chatExports')
+          .withIndex('by_user_and_conversation', (q) =>
+            q.eq('userId', userId).eq('conversationId', args.conversationId)
+          )
+          .order('desc')
+          .first()
+      : args.groupId
+      ? await ctx.db
+          .query('chatExports')
+          .withIndex('by_user_and_group', (q) =>
+            q.eq('userId', userId).eq('groupId', args.groupId)
+          )
+          .order('desc')
+          .first()
+      : null;
+
+    if (!latest || !(await canAccessExportedChat(ctx, latest))) {
+      return null;
+    }
+
+    const now = getCurrentTimestamp();
+    const expiresAt = latest.createdAt + EXPORT_LIFETIME;
+    if (expiresAt <= now) {
+      return null;
+    }
+
+    const timedOut = latest.status === 'pending' && latest.createdAt <= now - EXPORT_TIMEOUT;
+
+    return {
+      _id: latest._id,
+      status: timedOut ? ('failed' as const) : latest.status,
+      url: latest.storageId ? await ctx.storage.getUrl(latest.storageId) : null,
+      fileName: latest.fileName,
+      fileSize: latest.fileSize,
+      messageCount: latest.messageCount,
+      skippedFileCount: latest.skippedFileCount,
+      error: timedOut ? 'Export timed out' : latest.error,
+      createdAt: latest.createdAt,
+      expiresAt,
+    };
+  },
+});
+
+/**
+ * Header details for an export's transcripts (internal – used by
+ * exportArchive.buildExport). Throws if the requester lost access.
+ */
+export const getExportChat = internalQuery({
+  args: {
+    exportId: v.id('chatExports'),
+  },
+  handler: async (ctx, args): Promise<ExportChat> => {
+    const chatExport = await ctx.db.get(args.exportId);
+    if (!chatExport) {
+      throw new Error('Export not found');
+    }
+
+    if (!(await canAccessExportedChat(ctx, chatExport))) {
+      throw new Error('Not authorized to export this chat');
+    }
+
+    const exporter = await ctx.db.get(chatExport.userId);
+    if (!exporter) {
+      throw new Error('User not found');
+    }
+
+    const toPerson = (user: Doc<'users'> | null) =>
+      user ? { name: user.name, email: user.email } : null;
+
+    if (chatExport.conversationId) {
+      const conversation = (await ctx.db.get(chatExport.conversationId))!;
+      const otherUser = await ctx.db.get(
+        conversation.participant1Id === exporter._id
+          ? conversation.participant2Id
+          : conversation.participant1Id
+      );
+
+      return {
+        kind: 'conversation',
+        name: `Direct messages with ${otherUser?.name ?? otherUser?.email ?? 'Unknown'}`,
+        members: [toPerson(exporter), toPerson(otherUser)].filter((p) => p !== null),
+        exportedBy: toPerson(exporter)!,
+      };
+    }
+
+    const group = await ctx.db.get(chatExport.groupId!);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const memberships = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group', (q) => q.eq('groupId', group._id))
+      .collect();
+    const members = await Promise.all(
+      memberships.map(async (membership) => toPerson(await ctx.db.get(membership.userId)))
+    );
+
+    return {
+      kind: 'group',
+      name: group.name,
+      description: group.description,
+      members: members.filter((p) => p !== null),
+      exportedBy: toPerson(exporter)!,
+    };
+  },
+});
+
+/**
+ * One page of an export's messages, oldest first and including thread
+ * replies (internal – used by exportArchive.buildExport). Deleted messages
+ * keep their place but lose their content and files.
+ */
+export const getExportPage = internalQuery({
+  args: {
+    exportId: v.id('chatExports'),
+    cursor: v.union(v.string(), v.null()),
+  },
+  handler: async (ctx, args) => {
+    const chatExport = await ctx.db.get(args.exportId);
+    if (!chatExport) {
+      throw new Error('Export not found');
+    }
+
+    if (!(await canAccessExportedChat(ctx, chatExport))) {
+      throw new Error('Not authorized to export this chat');
+    }
+
+    const paginationOpts = { numItems: EXPORT_PAGE_SIZE, cursor: args.cursor };
+    const messages = chatExport.conversationId
+      ? await ctx.db
+          .query('messages')
+          .withIndex('by_conversation', (q) =>
+            q.eq('conversationId', chatExport.conversationId)
+          )
+          .paginate(paginationOpts)
+      : await ctx.db
+          .query('messages')
+          .withIndex('by_group', (q) => q.eq('groupId', chatExport.groupId))
+          .paginate(paginationOpts);
+
+    const page: ExportMessage[] = await Promise.all(
+      messages.page.map(async (msg) => {
+        const sender = await ctx.db.get(msg.senderId);
+        const base = {
+          id: msg._id,
+          parentMessageId: msg.parentMessageId,
+          type: msg.type,
+          sender: sender ? { name: sender.name, email: sender.email } : null,
+          createdAt: msg.createdAt,
+        };
+
+        if (msg.isDeleted) {
+          return { ...base, content: '', isDeleted: true, attachments: [], reactions: [] };
+        }
+
+        const attachments = await Promise.all(
+          (await getAttachmentDrafts(ctx, msg)).map(async (attachment) => ({
+            storageId: attachment.storageId,
+            fileName: attachment.fileName,
+            fileType: attachment.fileType,
+            fileSize: attachment.fileSize,
+            duration: attachment.duration,
+            isAvailable: (await getScanStatus(ctx, attachment.storageId)) === 'clean',
+          }))
+        );
+        const reactions = await getReactionSummary(ctx, msg._id, chatExport.userId);
+        const poll = await getPollSummary(ctx, msg, chatExport.userId);
+
+        return {
+          ...base,
+          content: msg.content,
+          isDeleted: false,
+          editedAt: msg.updatedAt,
+          callDuration: msg.callDuration,
+          attachments,
+          reactions: reactions.map(({ emoji, count }) => ({ emoji, count })),
+          poll: poll
+            ? {
+                isClosed: poll.isClosed,
+                options: poll.options.map(({ text, voteCount }) => ({ text, voteCount })),
+              }
+            : undefined,
+        };
+      })
+    );
+
+    return {
+      page,
+      isDone: messages.isDone,
+      continueCursor: messages.continueCursor,
+    };
+  },
+});
+
+/**
+ * Record a finished archive (internal – called by exportArchive.buildExport).
+ * The user's earlier exports of the same chat are deleted.
+ */
+export const completeExport = internalMutation({
+  args: {
+    exportId: v.id('chatExports'),
+    storageId: v.id('_storage'),
+    fileName: v.string(),
+    fileSize: v.number(),
+    messageCount: v.number(),
+    skippedFileCount: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const chatExport = await ctx.db.get(args.exportId);
+    if (!chatExport) {
+      await ctx.storage.delete(args.storageId);
+      return null;
+    }
+
+    await ctx.db.patch(args.exportId, {
+      status: 'ready',
+      storageId: args.storageId,
+      fileName: args.fileName,
+      fileSize: args.fileSize,
+      messageCount: args.messageCount,
+      skippedFileCount: args.skippedFileCount,
+      completedAt: getCurrentTimestamp(),
+    });
+
+    const earlier = chatExport.conversationId
+      ? await ctx.db
+          .query('chatExports')
+          .withIndex('by_user_and_conversation', (q) =>
+            q.eq('userId', chatExport.userId).eq('conversationId', chatExport.conversationId)
+          )
+          .collect()
+      : await ctx.db
+          .query('chatExports')
+          .withIndex('by_user_and_group', (q) =>
+            q.eq('userId', chatExport.userId).eq('groupId', chatExport.groupId)
+          )
+          .collect();
+
+    for (const other of earlier) {
+      if (other._id === args.exportId || other.status === 'pending') continue;
+      if (other.storageId) {
+        await ctx.storage.delete(other.storageId);
+      }
+      await ctx.db.delete(other._id);
+    }
+
+    return null;
+  },
+});
+
+/**
+ * Mark an export as failed (internal – called by exportArchive.buildExport)
+ */
+export const failExport = internalMutation({
+  args: {
+    exportId: v.id('chatExports'),
+    error: v.string(),
+  },
+  handler: async (ctx, args) => {
+    if (await ctx.db.get(args.exportId)) {
+      await ctx.db.patch(args.exportId, {
+        status: 'failed',
+        error: args.error,
+        completedAt: getCurrentTimestamp(),
+      });
+    }
+    return null;
+  },
+});
+
+/**
+ * Delete exports older than EXPORT_LIFETIME with their archives
+ * (internal – run by a cron job)
+ */
+export const deleteExpiredExports = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const cutoff = getCurrentTimestamp() - EXPORT_LIFETIME;
+    const expired = await ctx.db
+      .query('chatExports')
+      .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+      .take(EXPORT_CLEANUP_BATCH_SIZE);
+
+    for (const chatExport of expired) {
+      if (chatExport.storageId && (await ctx.db.system.get(chatExport.storageId))) {
+        await ctx.storage.delete(chatExport.storageId);
+      }
+      await ctx.db.delete(chatExport._id);
+    }
+
+    if (expired.length === EXPORT_CLEANUP_BATCH_SIZE) {
+      await ctx.scheduler.runAfter(0, internal.exports.deleteExpiredExports, {});
+    }
+
+    return expired.length;
+  },
+});
@@ -0,0 +1,50 @@
+"use node";
+
+import { v } from 'convex/values';
+import { action } from './_generated/server';
+import { internal } from './_generated/api';
+import { isAllowedFileType } from './lib/utils';
+import { SNIFF_BYTE_LENGTH, verifyFileType } from './lib/fileSniffing';
+
+/**
+ * Check an uploaded file's content (magic bytes) against the MIME type the
+ * client claims, before it is posted. Mismatches are recorded as rejected,
+ * so the file can't be attached, and left for orphaned upload cleanup.
+ * Returns the verified MIME type.
+ */
+export const verifyUpload = action({
+  args: {
+    storageId: v.id('_storage'),
+    fileType: v.string(),
+  },
+  handler: async (ctx, args): Promise<string> => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!isAllowedFileType(args.fileType)) {
+      throw new Error(`File type "${args.fileType}" is not allowed`);
+    }
+
+    const blob = await ctx.storage.get(args.storageId);
+    if (!blob) {
+      throw new Error('Uploaded file not found');
+    }
+
+    const bytes = new Uint8Array(await blob.slice(0, SNIFF_BYTE_LENGTH).arrayBuffer());
+    const verifiedType = verifyFileType(args.fileType, bytes);
+
+    await ctx.runMutation(internal.files.recordVerification, {
+      storageId: args.storageId,
+      claimedType: args.fileType,
+      verifiedType: verifiedType ?? undefined,
+    });
+
+    if (!verifiedType) {
+      throw new Error(`File content does not match its file type (${args.fileType})`);
+    }
+
+    return verifiedType;
+  },
+});
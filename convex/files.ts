@@ -1,5 +1,7 @@
 import { v } from 'convex/values';
-import { mutation, query } from './_generated/server';
+import { paginationOptsValidator } from 'convex/server';
+import { mutation, query, internalMutation } from './_generated/server';
+import { internal } from './_generated/api';
 import { getAuthUserId } from './lib/auth';
 import {
   ALLOWED_FILE_TYPES,
@@ -7,9 +9,44 @@ import {
   isAllowedFileType,
   isAllowedFileSize,
 } from './lib/utils';
+import { getThreadParentOrThrow, recordThreadReply, refreshThreadStats } from './lib/threads';
+import { MAX_LENGTHS, validateStringLength } from './lib/validators';
+import { assertReplyTarget } from './lib/replies';
+import { getMessageExpiry } from './lib/disappearing';
+import { deliverMessage } from './lib/delivery';
+import {
+  attachmentValidator,
+  validateAttachments,
+  getAttachmentDrafts,
+  isStorageReferenced,
+  fileCategoryValidator,
+  getFileCategory,
+  getVerifiedFileType,
+} from './lib/attachments';
+import { scheduleThumbnail, getImageInfo } from './lib/thumbnails';
+import {
+  MAX_SCAN_ATTEMPTS,
+  SCAN_RETRY_BASE_DELAY,
+  SCAN_BACKFILL_BATCH_SIZE,
+  scheduleMalwareScan,
+  getScanStatus,
+  getScannedFileUrl,
+} from './lib/scanning';
+import {
+  ORPHAN_UPLOAD_GRACE_PERIOD,
+  ORPHAN_CLEANUP_BATCH_SIZE,
+  chargeUploads,
+  releaseUpload,
+  getStorageUsage as getUsage,
+  getUserStorageQuota,
+  getGroupStorageQuota,
+  isOrphanedStorage,
+} from './lib/storage';
+import { deleteStoredFile } from './lib/purge';
 
 /**
- * Generate a signed upload URL for file uploads
+ * Generate a signed upload URL for file uploads.
+ * Refused once the user has used up their storage quota.
  */
 export const generateUploadUrl = mutation({
   args: {},
@@ -19,6 +56,11 @@ export const generateUploadUrl = mutation({
       throw new Error('Not authenticated');
     }
 
+    const usage = await getUsage(ctx, { userId });
+    if (usage.bytes >= getUserStorageQuota()) {
+      throw new Error('Storage quota exceeded. Delete some files to free up space.');
+    }
+
     return await ctx.storage.generateUploadUrl();
   },
 });
@@ -71,6 +113,8 @@ export const saveFileMessage = mutation({
     content: v.optional(v.string()), // optional caption/message with the file
     conversationId: v.optional(v.id('directConversations')),
     groupId: v.optional(v.id('groups')),
+    parentMessageId: v.optional(v.id('messages')), // post as a thread reply
+    replyToMessageId: v.optional(v.id('messages')), // quote-reply
   },
   handler: async (ctx, args) => {
     const userId = await getAuthUserId(ctx);
@@ -92,6 +136,8 @@ export const saveFileMessage = mutation({
       throw new Error('File size exceeds maximum limit');
     }
 
+    const verifiedFileType = await getVerifiedFileType(ctx, args.storageId, args.fileType);
+
     // Validate target
     if (!args.conversationId && !args.groupId) {
       throw new Error('Must specify either conversationId or groupId');
@@ -101,6 +147,7 @@ export const saveFileMessage = mutation({
     }
 
     const now = Date.now();
+    const expiresAt = await getMessageExpiry(ctx, args, now);
 
     // Verify access and create message
     if (args.conversationId) {
@@ -121,19 +168,44 @@ export const saveFileMessage = mutation({
           ? args.content.trim()
           : args.fileName;
 
+      const parent = args.parentMessageId
+        ? await getThreadParentOrThrow(ctx, args.parentMessageId, {
+            conversationId: args.conversationId,
+          })
+        : null;
+
+      if (args.replyToMessageId) {
+        await assertReplyTarget(ctx, args.replyToMessageId, {
+          conversationId: args.conversationId,
+          parentMessageId: parent?._id,
+        });
+      }
+
+      await chargeUploads(ctx, currentUser._id, undefined, [args.storageId]);
+
       const messageId = await ctx.db.insert('messages', {
         senderId: currentUser._id,
         content: messageContent,
         conversationId: args.conversationId,
+        parentMessageId: parent?._id,
+        replyToMessageId: args.replyToMessageId,
         type: 'file',
         fileId: args.storageId,
         fileName: args.fileName,
         fileType: args.fileType,
         fileSize: args.fileSize,
+        verifiedFileType,
         isDeleted: false,
+        expiresAt,
         createdAt: now,
       });
 
+      if (parent) {
+        await recordThreadReply(ctx, parent, currentUser._id, now);
+      }
+
+      await scheduleMalwareScan(ctx, args.storageId, args.fileType);
+
       await ctx.db.patch(args.conversationId, {
         lastMessageAt: now,
       });
@@ -158,19 +230,44 @@ export const saveFileMessage = mutation({
           ? args.content.trim()
           : args.fileName;
 
+      const parent = args.parentMessageId
+        ? await getThreadParentOrThrow(ctx, args.parentMessageId, {
+            groupId: args.groupId,
+          })
+        : null;
+
+      if (args.replyToMessageId) {
+        await assertReplyTarget(ctx, args.replyToMessageId, {
+          groupId: args.groupId,
+          parentMessageId: parent?._id,
+        });
+      }
+
+      await chargeUploads(ctx, currentUser._id, args.groupId, [args.storageId]);
+
       const messageId = await ctx.db.insert('messages', {
         senderId: currentUser._id,
         content: messageContent,
         groupId: args.groupId,
+        parentMessageId: parent?._id,
+        replyToMessageId: args.replyToMessageId,
         type: 'file',
         fileId: args.storageId,
         fileName: args.fileName,
         fileType: args.fileType,
         fileSize: args.fileSize,
+        verifiedFileType,
         isDeleted: false,
+        expiresAt,
         createdAt: now,
       });
 
+      if (parent) {
+        await recordThreadReply(ctx, parent, currentUser._id, now);
+      }
+
+      await scheduleMalwareScan(ctx, args.storageId, args.fileType);
+
       await ctx.db.patch(args.groupId, {
         lastMessageAt: now,
       });
@@ -183,14 +280,562 @@ export const saveFileMessage = mutation({
 });
 
 /**
- * Get a file URL by storage ID
+ * Post a message with one or more uploaded files (and an optional caption).
+ * Goes through the same delivery path as sendMessage, so recipients are notified.
+ */
+export const saveAttachmentMessage = mutation({
+  args: {
+    attachments: v.array(attachmentValidator),
+    content: v.optional(v.string()), // optional caption
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    parentMessageId: v.optional(v.id('messages')),
+    replyToMessageId: v.optional(v.id('messages')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    validateAttachments(args.attachments);
+
+    const attachments = [];
+    for (const attachment of args.attachments) {
+      attachments.push({
+        ...attachment,
+        verifiedType: await getVerifiedFileType(ctx, attachment.storageId, attachment.fileType),
+      });
+    }
+
+    const caption = args.content?.trim() ?? '';
+    validateStringLength(caption, MAX_LENGTHS.MESSAGE_CONTENT, 'Message content');
+
+    // Access to the conversation or group is verified by deliverMessage
+    const messageId = await deliverMessage(ctx, currentUser, {
+      content: caption,
+      conversationId: args.conversationId,
+      groupId: args.groupId,
+      parentMessageId: args.parentMessageId,
+      replyToMessageId: args.replyToMessageId,
+      type: 'file',
+      attachments,
+    });
+
+    // Throwing here rolls back the message as well
+    await chargeUploads(
+      ctx,
+      currentUser._id,
+      args.groupId,
+      args.attachments.map((attachment) => attachment.storageId)
+    );
+
+    return messageId;
+  },
+});
+
+/**
+ * Record the outcome of thumbnail generation (internal – called from thumbnails.generateThumbnail).
+ * Omitting thumbnailStorageId records a failure; the original is shown instead.
+ */
+export const saveThumbnail = internalMutation({
+  args: {
+    storageId: v.id('_storage'),
+    thumbnailStorageId: v.optional(v.id('_storage')),
+    width: v.optional(v.number()),
+    height: v.optional(v.number()),
+    thumbnailWidth: v.optional(v.number()),
+    thumbnailHeight: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const thumbnail = await ctx.db
+      .query('imageThumbnails')
+      .withIndex('by_storage', (q) => q.eq('storageId', args.storageId))
+      .first();
+
+    // The original was deleted while the thumbnail was being generated
+    if (!thumbnail) {
+      if (args.thumbnailStorageId) {
+        await ctx.storage.delete(args.thumbnailStorageId);
+      }
+      return null;
+    }
+
+    if (!args.thumbnailStorageId) {
+      await ctx.db.patch(thumbnail._id, { status: 'failed' });
+      return thumbnail._id;
+    }
+
+    await ctx.db.patch(thumbnail._id, {
+      status: 'ready',
+      thumbnailStorageId: args.thumbnailStorageId,
+      width: args.width,
+      height: args.height,
+      thumbnailWidth: args.thumbnailWidth,
+      thumbnailHeight: args.thumbnailHeight,
+    });
+    return thumbnail._id;
+  },
+});
+
+/**
+ * All images shared in a DM or group (including thread replies), oldest first.
+ * Used by the lightbox to page through a chat's media.
+ */
+export const listChatImages = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    let messages;
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      messages = await ctx.db
+        .query('messages')
+        .withIndex('by_conversation', (q) => q.eq('conversationId', args.conversationId!))
+        .filter((q) =>
+          q.and(q.eq(q.field('type'), 'file'), q.eq(q.field('isDeleted'), false))
+        )
+        .collect();
+    } else if (args.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      messages = await ctx.db
+        .query('messages')
+        .withIndex('by_group', (q) => q.eq('groupId', args.groupId!))
+        .filter((q) =>
+          q.and(q.eq(q.field('type'), 'file'), q.eq(q.field('isDeleted'), false))
+        )
+        .collect();
+    } else {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    const images = [];
+    for (const message of messages) {
+      const sender = await ctx.db.get(message.senderId);
+      for (const attachment of await getAttachmentDrafts(ctx, message)) {
+        if (!attachment.fileType.startsWith('image/')) continue;
+        const url = await getScannedFileUrl(ctx, attachment.storageId);
+        if (!url) continue;
+        images.push({
+          messageId: message._id,
+          storageId: attachment.storageId,
+          fileName: attachment.fileName,
+          url,
+          ...(await getImageInfo(ctx, attachment.storageId)),
+          senderName: sender?.name ?? sender?.email ?? 'Unknown',
+          createdAt: message.createdAt,
+        });
+      }
+    }
+
+    return images;
+  },
+});
+
+/**
+ * Files shared in a DM or group (including thread replies), newest first,
+ * optionally narrowed to one category and/or sender. Each page holds the
+ * files of one page of messages, so a filtered page may come back short.
+ */
+export const listFilesInChat = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    category: v.optional(fileCategoryValidator),
+    senderId: v.optional(v.id('users')),
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    let messages;
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      messages = await ctx.db
+        .query('messages')
+        .withIndex('by_conversation', (q) => q.eq('conversationId', args.conversationId!))
+        .filter((q) =>
+          q.and(
+            q.eq(q.field('type'), 'file'),
+            q.eq(q.field('isDeleted'), false),
+            args.senderId ? q.eq(q.field('senderId'), args.senderId) : true
+          )
+        )
+        .order('desc')
+        .paginate(args.paginationOpts);
+    } else if (args.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      messages = await ctx.db
+        .query('messages')
+        .withIndex('by_group', (q) => q.eq('groupId', args.groupId!))
+        .filter((q) =>
+          q.and(
+            q.eq(q.field('type'), 'file'),
+            q.eq(q.field('isDeleted'), false),
+            args.senderId ? q.eq(q.field('senderId'), args.senderId) : true
+          )
+        )
+        .order('desc')
+        .paginate(args.paginationOpts);
+    } else {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    const files = [];
+    for (const message of messages.page) {
+      const sender = await ctx.db.get(message.senderId);
+      for (const attachment of await getAttachmentDrafts(ctx, message)) {
+        const category = getFileCategory(attachment.fileType);
+        if (args.category && category !== args.category) continue;
+        const scanStatus = await getScanStatus(ctx, attachment.storageId);
+        files.push({
+          _id: `${message._id}:${attachment.storageId}`,
+          messageId: message._id,
+          parentMessageId: message.parentMessageId,
+          storageId: attachment.storageId,
+          fileName: attachment.fileName,
+          fileType: attachment.fileType,
+          fileSize: attachment.fileSize,
+          category,
+          scanStatus,
+          url: scanStatus === 'clean' ? await ctx.storage.getUrl(attachment.storageId) : null,
+          thumbnailUrl:
+            category === 'image' && scanStatus === 'clean'
+              ? (await getImageInfo(ctx, attachment.storageId)).thumbnailUrl
+              : null,
+          senderId: message.senderId,
+          senderName: sender?.name ?? sender?.email ?? 'Unknown',
+          createdAt: message.createdAt,
+        });
+      }
+    }
+
+    return {
+      ...messages,
+      page: files,
+    };
+  },
+});
+
+/**
+ * Record the outcome of an upload content check (internal – called from fileVerification.verifyUpload).
+ * A verified result is never downgraded, so a file already posted stays usable.
+ */
+export const recordVerification = internalMutation({
+  args: {
+    storageId: v.id('_storage'),
+    claimedType: v.string(),
+    verifiedType: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query('fileVerifications')
+      .withIndex('by_storage', (q) => q.eq('storageId', args.storageId))
+      .first();
+
+    if (existing?.status === 'verified') {
+      return existing._id;
+    }
+
+    const fields = {
+      claimedType: args.claimedType,
+      verifiedType: args.verifiedType,
+      status: args.verifiedType ? ('verified' as const) : ('rejected' as const),
+      createdAt: Date.now(),
+    };
+
+    if (existing) {
+      await ctx.db.patch(existing._id, fields);
+      return existing._id;
+    }
+
+    return await ctx.db.insert('fileVerifications', {
+      storageId: args.storageId,
+      ...fields,
+    });
+  },
+});
+
+/**
+ * Record a malware scan verdict (internal – called from malwareScan.scanFile).
+ * Clean files go on to thumbnail generation; infected files are deleted from
+ * storage. Without a status the scan errored and is retried with backoff.
+ */
+export const saveScanResult = internalMutation({
+  args: {
+    storageId: v.id('_storage'),
+    scanner: v.string(),
+    status: v.optional(v.union(v.literal('clean'), v.literal('infected'))),
+    signature: v.optional(v.string()),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const scan = await ctx.db
+      .query('fileScans')
+      .withIndex('by_storage', (q) => q.eq('storageId', args.storageId))
+      .first();
+
+    if (!scan || scan.status !== 'pending') {
+      return null; // File deleted meanwhile, or already decided
+    }
+
+    const attempts = scan.attempts + 1;
+
+    if (!args.status) {
+      await ctx.db.patch(scan._id, {
+        attempts,
+        scanner: args.scanner,
+        lastError: args.error,
+      });
+
+      if (attempts < MAX_SCAN_ATTEMPTS) {
+        await ctx.scheduler.runAfter(
+          SCAN_RETRY_BASE_DELAY * 2 ** (attempts - 1),
+          internal.malwareScan.scanFile,
+          { storageId: args.storageId }
+        );
+      } else {
+        // Left pending (not downloadable) for someone to look into
+        console.error('[malwareScan] Giving up after repeated failures', {
+          storageId: args.storageId,
+          error: args.error,
+        });
+      }
+      return scan._id;
+    }
+
+    await ctx.db.patch(scan._id, {
+      status: args.status,
+      scanner: args.scanner,
+      signature: args.signature,
+      attempts,
+      lastError: undefined,
+      scannedAt: Date.now(),
+    });
+
+    if (args.status === 'clean') {
+      await scheduleThumbnail(ctx, args.storageId, scan.fileType);
+    } else {
+      console.warn('[malwareScan] Infected upload removed', {
+        storageId: args.storageId,
+        signature: args.signature,
+      });
+      await ctx.storage.delete(args.storageId);
+      await releaseUpload(ctx, args.storageId);
+    }
+
+    return scan._id;
+  },
+});
+
+/**
+ * Storage used against the quota by the current user, or by a group
+ * the user belongs to
+ */
+export const getStorageUsage = query({
+  args: {
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    if (args.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      const usage = await getUsage(ctx, { groupId: args.groupId });
+      return {
+        usedBytes: usage.bytes,
+        quotaBytes: getGroupStorageQuota(),
+        fileCount: usage.fileCount,
+      };
+    }
+
+    const usage = await getUsage(ctx, { userId: currentUser._id });
+    return {
+      usedBytes: usage.bytes,
+      quotaBytes: getUserStorageQuota(),
+      fileCount: usage.fileCount,
+    };
+  },
+});
+
+/**
+ * Delete uploads that no live message references once they are past the
+ * grace period: abandoned uploads and files of deleted messages (run by cron).
+ * Works through storage in batches, rescheduling itself until done.
+ */
+export const cleanupOrphanedUploads = internalMutation({
+  args: {
+    cursor: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args) => {
+    const cutoff = Date.now() - ORPHAN_UPLOAD_GRACE_PERIOD;
+    const batch = await ctx.db.system
+      .query('_storage')
+      .paginate({ numItems: ORPHAN_CLEANUP_BATCH_SIZE, cursor: args.cursor ?? null });
+
+    let deleted = 0;
+    for (const file of batch.page) {
+      if (file._creationTime > cutoff) continue;
+      if (!(await isOrphanedStorage(ctx, file._id))) continue;
+
+      await deleteStoredFile(ctx, file._id);
+      deleted++;
+    }
+
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.files.cleanupOrphanedUploads, {
+        cursor: batch.continueCursor,
+      });
+    }
+
+    return deleted;
+  },
+});
+
+/**
+ * Queue malware scans for message files uploaded before scanning existed
+ * (one-off migration, run from the Convex CLI). Files no message references
+ * are left to the orphan cleanup. Reschedules itself until done.
+ */
+export const backfillFileScans = internalMutation({
+  args: {
+    cursor: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args) => {
+    const batch = await ctx.db.system
+      .query('_storage')
+      .paginate({ numItems: SCAN_BACKFILL_BATCH_SIZE, cursor: args.cursor ?? null });
+
+    let queued = 0;
+    for (const file of batch.page) {
+      const scan = await ctx.db
+        .query('fileScans')
+        .withIndex('by_storage', (q) => q.eq('storageId', file._id))
+        .first();
+      if (scan) continue;
+
+      const attachment = await ctx.db
+        .query('messageAttachments')
+        .withIndex('by_storage', (q) => q.eq('storageId', file._id))
+        .first();
+      const message = attachment
+        ? null
+        : await ctx.db
+            .query('messages')
+            .withIndex('by_file', (q) => q.eq('fileId', file._id))
+            .first();
+      const fileType = attachment?.fileType ?? message?.fileType;
+      if (!fileType) continue;
+
+      await scheduleMalwareScan(ctx, file._id, fileType);
+      queued++;
+    }
+
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.files.backfillFileScans, {
+        cursor: batch.continueCursor,
+      });
+    }
+
+    return queued;
+  },
+});
+
+/**
+ * Get a file URL by storage ID.
+ * Returns null until the file has been scanned clean.
  */
 export const getFileUrl = query({
   args: {
     storageId: v.id('_storage'),
   },
   handler: async (ctx, args) => {
-    return await ctx.storage.getUrl(args.storageId);
+    return await getScannedFileUrl(ctx, args.storageId);
   },
 });
 
@@ -229,9 +874,11 @@ export const deleteFile = mutation({
       throw new Error('This message is not a file');
     }
 
-    // Delete from storage if file exists
-    if (message.fileId) {
-      await ctx.storage.delete(message.fileId);
+    // Delete from storage unless a forwarded copy still references it
+    for (const attachment of await getAttachmentDrafts(ctx, message)) {
+      if (!(await isStorageReferenced(ctx, attachment.storageId, message._id))) {
+        await deleteStoredFile(ctx, attachment.storageId);
+      }
     }
 
     // Soft delete the message
@@ -240,6 +887,11 @@ export const deleteFile = mutation({
       updatedAt: Date.now(),
     });
 
+    // A deleted reply no longer counts towards its thread
+    if (message.parentMessageId && !message.isDeleted) {
+      await refreshThreadStats(ctx, message.parentMessageId);
+    }
+
     return args.messageId;
   },
 });
@@ -294,9 +946,9 @@ export const getFileInfo = query({
       }
     }
 
-    // Get file URL
+    // Get file URL (withheld until scanned clean)
     const url = message.fileId
-      ? await ctx.storage.getUrl(message.fileId)
+      ? await getScannedFileUrl(ctx, message.fileId)
       : null;
 
     return {
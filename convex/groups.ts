@@ -2,6 +2,8 @@ import { v } from 'convex/values';
 import { mutation, query } from './_generated/server';
 import { getAuthUserId } from './lib/auth';
 import { getCurrentTimestamp, isPresenceStale } from './lib/utils';
+import { countUnreadMessages } from './lib/unread';
+import { disappearingTimerValidator } from './lib/disappearing';
 
 /**
  * Create a new group chat with initial members
@@ -218,6 +220,17 @@ export const removeMembers = mutation({
       if (membership) {
         await ctx.db.delete(membership._id);
         removedMembers.push(memberId);
+
+        // Drop their read position so they no longer appear in "Seen by"
+        const readCursor = await ctx.db
+          .query('readCursors')
+          .withIndex('by_user_and_group', (q) =>
+            q.eq('userId', memberId).eq('groupId', args.groupId)
+          )
+          .first();
+        if (readCursor) {
+          await ctx.db.delete(readCursor._id);
+        }
       }
     }
 
@@ -291,6 +304,53 @@ export const updateGroup = mutation({
   },
 });
 
+/**
+ * Turn disappearing messages on or off for a group (admin only).
+ * Only messages sent afterwards get an expiry.
+ */
+export const setDisappearingTimer = mutation({
+  args: {
+    groupId: v.id('groups'),
+    timer: v.union(v.literal('off'), disappearingTimerValidator),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Verify group exists
+    const group = await ctx.db.get(args.groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    // Check if current user is admin
+    const membership = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group_and_user', (q) =>
+        q.eq('groupId', args.groupId).eq('userId', currentUser._id)
+      )
+      .first();
+
+    if (!membership || membership.role !== 'admin') {
+      throw new Error('Only admins can change disappearing messages');
+    }
+
+    await ctx.db.patch(args.groupId, {
+      disappearingTimer: args.timer === 'off' ? undefined : args.timer,
+    });
+    return args.groupId;
+  },
+});
+
 /**
  * Update member role (admin only)
  */
@@ -398,6 +458,10 @@ export const listGroups = query({
           .order('desc')
           .first();
 
+        const unreadCount = await countUnreadMessages(ctx, currentUser._id, {
+          groupId: membership.groupId,
+        });
+
         return {
           _id: group._id,
           name: group.name,
@@ -415,6 +479,7 @@ export const listGroups = query({
                 type: lastMessage.type,
               }
             : null,
+          unreadCount,
           lastMessageAt: group.lastMessageAt,
           createdAt: group.createdAt,
         };
@@ -504,6 +569,7 @@ export const getGroup = query({
       creatorId: group.creatorId,
       members: members.filter((m) => m !== null),
       myRole: membership.role,
+      disappearingTimer: group.disappearingTimer,
       createdAt: group.createdAt,
     };
   },
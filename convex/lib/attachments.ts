@@ -0,0 +1,303 @@
+import { v, Infer } from 'convex/values';
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+import { isAllowedFileType, isAllowedFileSize } from './utils';
+import { MAX_LENGTHS, validateStringLength } from './validators';
+import { isThumbnailable, getImageInfo } from './thumbnails';
+import { scheduleMalwareScan, getScanStatus } from './scanning';
+
+/**
+ * Maximum number of files attached to a single message
+ */
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+/**
+ * Longest voice message accepted, in seconds
+ */
+export const MAX_VOICE_DURATION = 15 * 60;
+
+/**
+ * Maximum number of bars in a voice message's waveform summary
+ */
+export const MAX_WAVEFORM_BARS = 64;
+
+/**
+ * An uploaded file to attach to a new message
+ */
+export const attachmentValidator = v.object({
+  storageId: v.id('_storage'),
+  fileName: v.string(),
+  fileType: v.string(),
+  fileSize: v.number(),
+  // Voice messages: length in seconds and peak levels (0-1) for the player
+  duration: v.optional(v.number()),
+  waveform: v.optional(v.array(v.number())),
+});
+
+/**
+ * Coarse MIME groupings used to filter a chat's shared files
+ */
+export const fileCategoryValidator = v.union(
+  v.literal('image'),
+  v.literal('video'),
+  v.literal('audio'),
+  v.literal('document'),
+  v.literal('archive'),
+  v.literal('other')
+);
+
+export type FileCategory = Infer<typeof fileCategoryValidator>;
+
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+const ARCHIVE_TYPES = ['application/zip'];
+
+/**
+ * Category for a MIME type
+ */
+export function getFileCategory(fileType: string): FileCategory {
+  if (fileType.startsWith('image/')) return 'image';
+  if (fileType.startsWith('video/')) return 'video';
+  if (fileType.startsWith('audio/')) return 'audio';
+  if (fileType.startsWith('text/') || DOCUMENT_TYPES.includes(fileType)) return 'document';
+  if (ARCHIVE_TYPES.includes(fileType)) return 'archive';
+  return 'other';
+}
+
+export interface AttachmentDraft {
+  storageId: Id<'_storage'>;
+  fileName: string;
+  fileType: string;
+  fileSize: number;
+  verifiedType?: string;
+  duration?: number;
+  waveform?: number[];
+}
+
+/**
+ * Check count, type and size of files about to be attached
+ */
+export function validateAttachments(attachments: AttachmentDraft[]): void {
+  if (attachments.length === 0) {
+    throw new Error('At least one file is required');
+  }
+  if (attachments.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new Error(
+      `Cannot attach more than ${MAX_ATTACHMENTS_PER_MESSAGE} files to one message`
+    );
+  }
+
+  for (const attachment of attachments) {
+    validateStringLength(attachment.fileName, MAX_LENGTHS.FILE_NAME, 'File name');
+    if (!isAllowedFileType(attachment.fileType)) {
+      throw new Error(`File type "${attachment.fileType}" is not allowed`);
+    }
+    if (!isAllowedFileSize(attachment.fileSize)) {
+      throw new Error(`"${attachment.fileName}" exceeds the maximum file size`);
+    }
+    if (attachment.duration !== undefined || attachment.waveform !== undefined) {
+      validateVoiceMetadata(attachment);
+    }
+  }
+}
+
+function validateVoiceMetadata({ fileType, duration, waveform }: AttachmentDraft): void {
+  if (getFileCategory(fileType) !== 'audio') {
+    throw new Error('Only audio files can have a duration or waveform');
+  }
+  if (
+    duration !== undefined &&
+    (!Number.isFinite(duration) || duration <= 0 || duration > MAX_VOICE_DURATION)
+  ) {
+    throw new Error(`Voice messages can be at most ${MAX_VOICE_DURATION / 60} minutes long`);
+  }
+  if (waveform !== undefined) {
+    if (waveform.length > MAX_WAVEFORM_BARS) {
+      throw new Error(`Waveform cannot have more than ${MAX_WAVEFORM_BARS} bars`);
+    }
+    if (waveform.some((level) => !(level >= 0 && level <= 1))) {
+      throw new Error('Waveform levels must be between 0 and 1');
+    }
+  }
+}
+
+/**
+ * Verified MIME type of an upload. Throws unless fileVerification.verifyUpload
+ * has confirmed the content matches the type it is being posted as.
+ */
+export async function getVerifiedFileType(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>,
+  fileType: string
+): Promise<string> {
+  const verification = await ctx.db
+    .query('fileVerifications')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (!verification) {
+    throw new Error('File has not been verified. Please upload it again.');
+  }
+  if (verification.status !== 'verified' || verification.claimedType !== fileType) {
+    throw new Error(`File content does not match its file type (${fileType})`);
+  }
+  return verification.verifiedType!;
+}
+
+/**
+ * Drop an upload's verification record (when its storage is deleted)
+ */
+export async function deleteVerification(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>
+): Promise<void> {
+  const verification = await ctx.db
+    .query('fileVerifications')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (verification) {
+    await ctx.db.delete(verification._id);
+  }
+}
+
+/**
+ * Insert attachment rows for a newly created message
+ */
+export async function insertAttachments(
+  ctx: MutationCtx,
+  messageId: Id<'messages'>,
+  attachments: AttachmentDraft[],
+  now: number
+): Promise<void> {
+  for (const [order, attachment] of attachments.entries()) {
+    await ctx.db.insert('messageAttachments', {
+      messageId,
+      storageId: attachment.storageId,
+      fileName: attachment.fileName,
+      fileType: attachment.fileType,
+      fileSize: attachment.fileSize,
+      verifiedType: attachment.verifiedType,
+      duration: attachment.duration,
+      waveform: attachment.waveform,
+      order,
+      createdAt: now,
+    });
+    await scheduleMalwareScan(ctx, attachment.storageId, attachment.fileType);
+  }
+}
+
+/**
+ * A message's files as drafts (for copying to another message).
+ * Falls back to the legacy single fileId on older messages.
+ */
+export async function getAttachmentDrafts(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+): Promise<AttachmentDraft[]> {
+  const rows = await ctx.db
+    .query('messageAttachments')
+    .withIndex('by_message', (q) => q.eq('messageId', message._id))
+    .collect();
+
+  if (rows.length > 0) {
+    return rows.map((row) => ({
+      storageId: row.storageId,
+      fileName: row.fileName,
+      fileType: row.fileType,
+      fileSize: row.fileSize,
+      verifiedType: row.verifiedType,
+      duration: row.duration,
+      waveform: row.waveform,
+    }));
+  }
+
+  if (message.fileId) {
+    return [
+      {
+        storageId: message.fileId,
+        fileName: message.fileName ?? 'File',
+        fileType: message.fileType ?? 'application/octet-stream',
+        fileSize: message.fileSize ?? 0,
+        verifiedType: message.verifiedFileType,
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * A message's files with scan status and, once scanned clean, download URLs.
+ * Clean images also carry their dimensions and thumbnail URL once processed.
+ */
+export async function getMessageAttachments(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+) {
+  if (message.type !== 'file') {
+    return [];
+  }
+
+  const drafts = await getAttachmentDrafts(ctx, message);
+  return await Promise.all(
+    drafts.map(async (attachment) => {
+      const scanStatus = await getScanStatus(ctx, attachment.storageId);
+      const isClean = scanStatus === 'clean';
+      return {
+        ...attachment,
+        scanStatus,
+        url: isClean ? await ctx.storage.getUrl(attachment.storageId) : null,
+        ...(isClean && isThumbnailable(attachment.fileType)
+          ? await getImageInfo(ctx, attachment.storageId)
+          : {}),
+      };
+    })
+  );
+}
+
+/**
+ * Whether any live message (other than excludeMessageId, if given) still
+ * uses a storage object (forwarded copies share storage with the original)
+ */
+export async function isStorageReferenced(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>,
+  excludeMessageId?: Id<'messages'>
+): Promise<boolean> {
+  const legacyReference = await ctx.db
+    .query('messages')
+    .withIndex('by_file', (q) => q.eq('fileId', storageId))
+    .filter((q) =>
+      q.and(
+        q.neq(q.field('_id'), excludeMessageId),
+        q.eq(q.field('isDeleted'), false)
+      )
+    )
+    .first();
+
+  if (legacyReference) {
+    return true;
+  }
+
+  const attachmentRows = await ctx.db
+    .query('messageAttachments')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .collect();
+
+  for (const row of attachmentRows) {
+    if (row.messageId === excludeMessageId) continue;
+    const message = await ctx.db.get(row.messageId);
+    if (message && !message.isDeleted) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,294 @@
+import { MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+import { internal } from '../_generated/api';
+import { getCurrentTimestamp } from './utils';
+import { getThreadParentOrThrow, recordThreadReply } from './threads';
+import { getGroupMentionRecipients, getMentionsInContent } from './mentions';
+import { assertReplyTarget } from './replies';
+import { AttachmentDraft, insertAttachments } from './attachments';
+import { extractLinkUrls, scheduleLinkPreviews } from './linkPreviews';
+import { getMessageExpiry } from './disappearing';
+
+/**
+ * Message fields accepted by deliverMessage (mirrors sendMessage args)
+ */
+export interface MessageDraft {
+  content: string;
+  conversationId?: Id<'directConversations'>;
+  groupId?: Id<'groups'>;
+  parentMessageId?: Id<'messages'>;
+  replyToMessageId?: Id<'messages'>;
+  type?: Doc<'messages'>['type'];
+  // Files for multi-attachment messages (type 'file')
+  attachments?: AttachmentDraft[];
+  poll?: Doc<'messages'>['poll'];
+  forwardedFromMessageId?: Id<'messages'>;
+  forwardedFromUserId?: Id<'users'>;
+}
+
+/**
+ * Post a message as currentUser: verifies access, inserts the message,
+ * updates thread/chat timestamps and notifies recipients (in-app + push).
+ * Shared by sendMessage and scheduled message delivery.
+ */
+export async function deliverMessage(
+  ctx: MutationCtx,
+  currentUser: Doc<'users'>,
+  args: MessageDraft
+): Promise<Id<'messages'>> {
+  // Validate that exactly one target is specified
+  if (!args.conversationId && !args.groupId) {
+    throw new Error('Must specify either conversationId or groupId');
+  }
+  if (args.conversationId && args.groupId) {
+    throw new Error('Cannot specify both conversationId and groupId');
+  }
+
+  const now = getCurrentTimestamp();
+  const messageType = args.type ?? 'text';
+
+  // Validate content for text messages
+  if (messageType === 'text' && args.content.trim().length === 0) {
+    throw new Error('Message content cannot be empty');
+  }
+
+  const linkUrls = messageType === 'text' ? extractLinkUrls(args.content) : [];
+  const expiresAt = await getMessageExpiry(ctx, args, now);
+
+  // Verify access to conversation or group
+  if (args.conversationId) {
+    const conversation = await ctx.db.get(args.conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    // Verify user is a participant
+    if (
+      conversation.participant1Id !== currentUser._id &&
+      conversation.participant2Id !== currentUser._id
+    ) {
+      throw new Error('Not authorized to send messages in this conversation');
+    }
+
+    const parent = args.parentMessageId
+      ? await getThreadParentOrThrow(ctx, args.parentMessageId, {
+          conversationId: args.conversationId,
+        })
+      : null;
+
+    if (args.replyToMessageId) {
+      await assertReplyTarget(ctx, args.replyToMessageId, {
+        conversationId: args.conversationId,
+        parentMessageId: parent?._id,
+      });
+    }
+
+    // Create message
+    const messageId = await ctx.db.insert('messages', {
+      senderId: currentUser._id,
+      content: args.content,
+      conversationId: args.conversationId,
+      parentMessageId: parent?._id,
+      replyToMessageId: args.replyToMessageId,
+      linkUrls: linkUrls.length > 0 ? linkUrls : undefined,
+      type: messageType,
+      poll: args.poll,
+      forwardedFromMessageId: args.forwardedFromMessageId,
+      forwardedFromUserId: args.forwardedFromUserId,
+      isDeleted: false,
+      expiresAt,
+      createdAt: now,
+    });
+
+    if (args.attachments) {
+      await insertAttachments(ctx, messageId, args.attachments, now);
+    }
+
+    if (parent) {
+      await recordThreadReply(ctx, parent, currentUser._id, now);
+    }
+
+    await scheduleLinkPreviews(ctx, linkUrls);
+
+    // Update conversation's last message time
+    await ctx.db.patch(args.conversationId, {
+      lastMessageAt: now,
+    });
+
+    // Notify the other participant (in-app + push)
+    const recipientId =
+      conversation.participant1Id === currentUser._id
+        ? conversation.participant2Id
+        : conversation.participant1Id;
+    const senderName = currentUser.name ?? currentUser.email ?? 'Someone';
+    const messagePreview =
+      messageType === 'file'
+        ? getFilePreview(args)
+        : messageType === 'poll'
+          ? `Poll: ${args.content}`
+          : args.content;
+    const pushTitle = `New message from ${senderName}`;
+    const pushUrl = `/conversation/${args.conversationId}`;
+
+    await ctx.scheduler.runAfter(0, internal.notifications.notifyNewMessage, {
+      recipientId,
+      senderName,
+      messagePreview,
+      conversationId: args.conversationId,
+      messageId,
+    });
+    await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
+      userId: recipientId,
+      title: pushTitle,
+      body: messagePreview.length > 100 ? messagePreview.slice(0, 97) + '...' : messagePreview,
+      url: pushUrl,
+    });
+
+    return messageId;
+  }
+
+  if (args.groupId) {
+    const group = await ctx.db.get(args.groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    // Verify user is a member
+    const membership = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group_and_user', (q) =>
+        q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+      )
+      .first();
+
+    if (!membership) {
+      throw new Error('Not a member of this group');
+    }
+
+    const parent = args.parentMessageId
+      ? await getThreadParentOrThrow(ctx, args.parentMessageId, {
+          groupId: args.groupId,
+        })
+      : null;
+
+    if (args.replyToMessageId) {
+      await assertReplyTarget(ctx, args.replyToMessageId, {
+        groupId: args.groupId,
+        parentMessageId: parent?._id,
+      });
+    }
+
+    // Mentions are read from the text, so only an @name there notifies anyone
+    const mentionedUserIds = await getGroupMentionRecipients(
+      ctx,
+      args.groupId,
+      currentUser._id,
+      await getMentionsInContent(ctx, args.groupId, args.content)
+    );
+
+    // Create message
+    const messageId = await ctx.db.insert('messages', {
+      senderId: currentUser._id,
+      content: args.content,
+      groupId: args.groupId,
+      parentMessageId: parent?._id,
+      replyToMessageId: args.replyToMessageId,
+      mentionedUserIds:
+        mentionedUserIds.length > 0 ? mentionedUserIds : undefined,
+      linkUrls: linkUrls.length > 0 ? linkUrls : undefined,
+      type: messageType,
+      poll: args.poll,
+      forwardedFromMessageId: args.forwardedFromMessageId,
+      forwardedFromUserId: args.forwardedFromUserId,
+      isDeleted: false,
+      expiresAt,
+      createdAt: now,
+    });
+
+    if (args.attachments) {
+      await insertAttachments(ctx, messageId, args.attachments, now);
+    }
+
+    if (parent) {
+      await recordThreadReply(ctx, parent, currentUser._id, now);
+    }
+
+    await scheduleLinkPreviews(ctx, linkUrls);
+
+    // Update group's last message time
+    await ctx.db.patch(args.groupId, {
+      lastMessageAt: now,
+    });
+
+    // Notify all other group members (in-app + push)
+    const members = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group', (q) => q.eq('groupId', args.groupId!))
+      .collect();
+    const senderName = currentUser.name ?? currentUser.email ?? 'Someone';
+    const messagePreview =
+      messageType === 'file'
+        ? getFilePreview(args)
+        : messageType === 'poll'
+          ? `Poll: ${args.content}`
+          : args.content;
+    const pushTitle = `New message in ${group.name}`;
+    const pushUrl = `/group/${args.groupId}`;
+    const pushBody =
+      messagePreview.length > 100
+        ? messagePreview.slice(0, 97) + '...'
+        : messagePreview;
+
+    for (const member of members) {
+      if (member.userId === currentUser._id) continue;
+
+      // Mentions always get their own notification and push, in place of the generic one
+      if (mentionedUserIds.includes(member.userId)) {
+        await ctx.scheduler.runAfter(0, internal.notifications.notifyMention, {
+          recipientId: member.userId,
+          senderName,
+          messagePreview,
+          groupId: args.groupId,
+          groupName: group.name,
+          messageId,
+        });
+        await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
+          userId: member.userId,
+          title: `${senderName} mentioned you in ${group.name}`,
+          body: pushBody,
+          url: pushUrl,
+        });
+        continue;
+      }
+
+      await ctx.scheduler.runAfter(0, internal.notifications.notifyNewMessage, {
+        recipientId: member.userId,
+        senderName,
+        messagePreview,
+        groupId: args.groupId,
+        groupName: group.name,
+        messageId,
+      });
+      await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
+        userId: member.userId,
+        title: pushTitle,
+        body: pushBody,
+        url: pushUrl,
+      });
+    }
+
+    return messageId;
+  }
+
+  throw new Error('Invalid message target');
+}
+
+/**
+ * Notification text for a file message
+ */
+function getFilePreview(args: MessageDraft): string {
+  if (args.attachments && args.attachments.length > 1) {
+    return `Sent ${args.attachments.length} files`;
+  }
+  return args.attachments?.[0]?.fileName ?? 'Sent a file';
+}
@@ -0,0 +1,54 @@
+import { v, Infer } from 'convex/values';
+import { QueryCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * How long messages last in a chat with disappearing messages turned on
+ */
+export const disappearingTimerValidator = v.union(
+  v.literal('1d'),
+  v.literal('7d'),
+  v.literal('30d')
+);
+
+export type DisappearingTimer = Infer<typeof disappearingTimerValidator>;
+
+/**
+ * Lifetime of a message for each timer setting
+ */
+export const DISAPPEARING_TIMER_DURATIONS: Record<DisappearingTimer, number> = {
+  '1d': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+};
+
+/**
+ * Expired messages deleted per run of the cleanup job (it reschedules itself)
+ */
+export const EXPIRED_MESSAGE_BATCH_SIZE = 100;
+
+/**
+ * When a message posted now to a chat should be deleted, or undefined if
+ * the chat keeps messages forever
+ */
+export async function getMessageExpiry(
+  ctx: QueryCtx,
+  target: {
+    conversationId?: Id<'directConversations'>;
+    groupId?: Id<'groups'>;
+  },
+  now: number
+): Promise<number | undefined> {
+  const chat = target.conversationId
+    ? await ctx.db.get(target.conversationId)
+    : target.groupId
+      ? await ctx.db.get(target.groupId)
+      : null;
+
+  if (!chat?.disappearingTimer) {
+    return undefined;
+  }
+  return now + DISAPPEARING_TIMER_DURATIONS[chat.disappearingTimer];
+}
@@ -0,0 +1,355 @@
+/**
+ * Messages loaded per query while an export pages through a chat
+ */
+export const EXPORT_PAGE_SIZE = 200;
+
+/**
+ * How long a finished export stays available for download
+ */
+export const EXPORT_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * A pending export older than this is treated as failed (the action that
+ * builds it would have timed out)
+ */
+export const EXPORT_TIMEOUT = 15 * 60 * 1000;
+
+/**
+ * Total size of attachments bundled into one archive. The archive is built
+ * in memory next to the files, so this keeps the action well inside its
+ * memory limit. Files past the budget are listed in the transcripts but
+ * not included.
+ */
+export const MAX_EXPORT_FILE_BYTES = 128 * 1024 * 1024;
+
+export type ExportPerson = {
+  name?: string;
+  email: string;
+};
+
+export type ExportChat = {
+  kind: 'conversation' | 'group';
+  name: string;
+  description?: string;
+  members: ExportPerson[];
+  exportedBy: ExportPerson;
+};
+
+export type ExportAttachment = {
+  storageId: string;
+  fileName: string;
+  fileType: string;
+  fileSize: number;
+  // Only files that were scanned clean can be bundled
+  isAvailable: boolean;
+  duration?: number;
+};
+
+export type ExportMessage = {
+  id: string;
+  parentMessageId?: string;
+  type: 'text' | 'file' | 'system' | 'call' | 'poll';
+  sender: ExportPerson | null;
+  content: string;
+  isDeleted: boolean;
+  createdAt: number;
+  editedAt?: number;
+  callDuration?: number;
+  attachments: ExportAttachment[];
+  reactions: { emoji: string; count: number }[];
+  poll?: { isClosed: boolean; options: { text: string; voteCount: number }[] };
+};
+
+/**
+ * Paths of bundled files inside the archive, by storage ID
+ */
+export type ExportFilePaths = Map<string, string>;
+
+/**
+ * Make a name safe to use as a file name on any OS
+ */
+export function sanitizeFileName(name: string): string {
+  const cleaned = Array.from(name, (char) =>
+    char.charCodeAt(0) < 0x20 || char === '\u007f' || '/\\:*?"<>|'.includes(char) ? '_' : char
+  )
+    .join('')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 120);
+  return cleaned || 'file';
+}
+
+/**
+ * Archive name for an export, e.g. "project-x-2026-10-19.zip"
+ */
+export function getExportFileName(chatName: string, exportedAt: number): string {
+  const slug =
+    chatName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'chat';
+  return `${slug}-${new Date(exportedAt).toISOString().slice(0, 10)}.zip`;
+}
+
+/**
+ * Choose a unique path under files/ for each attachment, in message order.
+ * Forwarded copies share storage, so each storage ID gets one path.
+ */
+export function assignFilePaths(messages: ExportMessage[]): ExportFilePaths {
+  const paths: ExportFilePaths = new Map();
+  const used = new Set<string>();
+
+  for (const message of messages) {
+    for (const attachment of message.attachments) {
+      if (!attachment.isAvailable || paths.has(attachment.storageId)) continue;
+
+      const name = sanitizeFileName(attachment.fileName);
+      const dot = name.lastIndexOf('.');
+      const base = dot > 0 ? name.slice(0, dot) : name;
+      const extension = dot > 0 ? name.slice(dot) : '';
+
+      let path = `files/${name}`;
+      for (let n = 2; used.has(path.toLowerCase()); n++) {
+        path = `files/${base} (${n})${extension}`;
+      }
+      used.add(path.toLowerCase());
+      paths.set(attachment.storageId, path);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Top-level messages in order, each followed by its thread replies
+ */
+function groupThreads(messages: ExportMessage[]) {
+  const ids = new Set(messages.map((message) => message.id));
+  const replies = new Map<string, ExportMessage[]>();
+  const topLevel: ExportMessage[] = [];
+
+  for (const message of messages) {
+    if (message.parentMessageId && ids.has(message.parentMessageId)) {
+      const thread = replies.get(message.parentMessageId) ?? [];
+      thread.push(message);
+      replies.set(message.parentMessageId, thread);
+    } else {
+      topLevel.push(message);
+    }
+  }
+
+  return topLevel.map((message) => ({ message, replies: replies.get(message.id) ?? [] }));
+}
+
+function formatTimestamp(timestamp: number): string {
+  return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+function formatPerson(person: ExportPerson | null): string {
+  return person ? person.name || person.email : 'Unknown';
+}
+
+function formatSeconds(seconds: number): string {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * One-line descriptions of a message's non-text parts (call, poll,
+ * attachments, reactions) shared by the text and HTML transcripts
+ */
+function describeExtras(message: ExportMessage, filePaths: ExportFilePaths) {
+  const lines: { text: string; path?: string; attachment?: ExportAttachment }[] = [];
+
+  if (message.type === 'call' && message.callDuration !== undefined) {
+    lines.push({ text: `Call lasted ${formatSeconds(message.callDuration)}` });
+  }
+  if (message.poll) {
+    const options = message.poll.options
+      .map((option) => `${option.text} (${option.voteCount})`)
+      .join(', ');
+    lines.push({ text: `Poll${message.poll.isClosed ? ' (closed)' : ''}: ${options}` });
+  }
+  for (const attachment of message.attachments) {
+    const path = filePaths.get(attachment.storageId);
+    lines.push({
+      text: path
+        ? `Attachment: ${attachment.fileName}`
+        : `Attachment not included: ${attachment.fileName}`,
+      path,
+      attachment,
+    });
+  }
+  if (message.reactions.length > 0) {
+    lines.push({
+      text: `Reactions: ${message.reactions.map((r) => `${r.emoji} ${r.count}`).join('  ')}`,
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Machine-readable transcript, with each attachment's path in the archive
+ * (null when the file was not included)
+ */
+export function buildJsonTranscript(
+  chat: ExportChat,
+  messages: ExportMessage[],
+  filePaths: ExportFilePaths,
+  exportedAt: number
+): string {
+  return JSON.stringify(
+    {
+      format: 'huddleup-chat-export',
+      version: 1,
+      exportedAt: new Date(exportedAt).toISOString(),
+      chat,
+      messages: messages.map((message) => ({
+        ...message,
+        createdAt: new Date(message.createdAt).toISOString(),
+        editedAt: message.editedAt ? new Date(message.editedAt).toISOString() : undefined,
+        attachments: message.attachments.map((attachment) => ({
+          fileName: attachment.fileName,
+          fileType: attachment.fileType,
+          fileSize: attachment.fileSize,
+          duration: attachment.duration,
+          path: filePaths.get(attachment.storageId) ?? null,
+        })),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Plain-text transcript; thread replies are indented under their parent
+ */
+export function buildTextTranscript(
+  chat: ExportChat,
+  messages: ExportMessage[],
+  filePaths: ExportFilePaths,
+  exportedAt: number
+): string {
+  const out = [
+    chat.name,
+    `Exported ${formatTimestamp(exportedAt)} by ${formatPerson(chat.exportedBy)}`,
+    `Members: ${chat.members.map(formatPerson).join(', ')}`,
+    '',
+  ];
+
+  const writeMessage = (message: ExportMessage, indent: string) => {
+    const header = `${indent}[${formatTimestamp(message.createdAt)}] ${formatPerson(message.sender)}`;
+    if (message.isDeleted) {
+      out.push(`${header}: (message deleted)`);
+      return;
+    }
+
+    const content = message.content.split('\n').join(`\n${indent}  `);
+    out.push(`${header}${message.editedAt ? ' (edited)' : ''}: ${content}`);
+    for (const extra of describeExtras(message, filePaths)) {
+      out.push(`${indent}  ${extra.text}${extra.path ? ` -> ${extra.path}` : ''}`);
+    }
+  };
+
+  for (const { message, replies } of groupThreads(messages)) {
+    writeMessage(message, '');
+    for (const reply of replies) {
+      writeMessage(reply, '    ');
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function encodePath(path: string): string {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+const HTML_STYLES = `
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #111827; }
+header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1.5rem; }
+header p { color: #6b7280; margin: 0.25rem 0; }
+.message { margin: 0 0 1rem; }
+.message__meta { font-size: 0.875rem; color: #6b7280; }
+.message__sender { font-weight: 600; color: #111827; }
+.message__content { white-space: pre-wrap; margin: 0.25rem 0; }
+.message--deleted .message__content { font-style: italic; color: #9ca3af; }
+.message__extra { font-size: 0.875rem; color: #4b5563; margin: 0.125rem 0; }
+.message__extra a { color: #059669; }
+.message__image { display: block; max-width: 20rem; max-height: 20rem; margin: 0.25rem 0; border-radius: 0.5rem; }
+.thread { margin: 0.5rem 0 0 1rem; padding-left: 1rem; border-left: 2px solid #d1fae5; }
+`;
+
+/**
+ * Self-contained HTML transcript (inline styles, no scripts); bundled files
+ * are linked relative to the archive root and images are shown inline
+ */
+export function buildHtmlTranscript(
+  chat: ExportChat,
+  messages: ExportMessage[],
+  filePaths: ExportFilePaths,
+  exportedAt: number
+): string {
+  const renderMessage = (message: ExportMessage): string => {
+    const meta =
+      `<div class="message__meta"><span class="message__sender">${escapeHtml(formatPerson(message.sender))}</span> ` +
+      `<time datetime="${new Date(message.createdAt).toISOString()}">${formatTimestamp(message.createdAt)}</time>` +
+      `${message.editedAt && !message.isDeleted ? ' (edited)' : ''}</div>`;
+
+    if (message.isDeleted) {
+      return `<div class="message message--deleted">${meta}<p class="message__content">Message deleted</p></div>`;
+    }
+
+    const extras = describeExtras(message, filePaths).map((extra) => {
+      if (extra.path && extra.attachment?.fileType.startsWith('image/')) {
+        return `<a href="${encodePath(extra.path)}"><img class="message__image" src="${encodePath(extra.path)}" alt="${escapeHtml(extra.attachment.fileName)}"></a>`;
+      }
+      return extra.path
+        ? `<p class="message__extra"><a href="${encodePath(extra.path)}">${escapeHtml(extra.text)}</a></p>`
+        : `<p class="message__extra">${escapeHtml(extra.text)}</p>`;
+    });
+
+    return `<div class="message">${meta}<p class="message__content">${escapeHtml(message.content)}</p>${extras.join('')}</div>`;
+  };
+
+  const body = groupThreads(messages)
+    .map(({ message, replies }) =>
+      replies.length > 0
+        ? `${renderMessage(message)}<div class="thread">${replies.map(renderMessage).join('\n')}</div>`
+        : renderMessage(message)
+    )
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(chat.name)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(chat.name)}</h1>
+${chat.description ? `<p>${escapeHtml(chat.description)}</p>` : ''}
+<p>Members: ${escapeHtml(chat.members.map(formatPerson).join(', '))}</p>
+<p>Exported ${formatTimestamp(exportedAt)} by ${escapeHtml(formatPerson(chat.exportedBy))}</p>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Bytes read from the start of a file to identify its type
+ */
+export const SNIFF_BYTE_LENGTH = 4096;
+
+// Office Open XML (docx, xlsx) documents are ZIP containers
+const ZIP_CONTAINER_TYPES = [
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Legacy Office (doc, xls) documents are OLE compound files
+const OLE_CONTAINER_TYPES = ['application/msword', 'application/vnd.ms-excel'];
+
+function startsWith(bytes: Uint8Array, signature: number[], offset = 0): boolean {
+  if (bytes.length < offset + signature.length) {
+    return false;
+  }
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+function ascii(text: string): number[] {
+  return [...text].map((char) => char.charCodeAt(0));
+}
+
+/**
+ * Identify a file's type from its leading bytes. Returns null when the
+ * content has no recognised signature.
+ */
+export function sniffFileType(bytes: Uint8Array): string | null {
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) {
+    return 'image/gif';
+  }
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) {
+    return 'image/webp';
+  }
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WAVE'), 8)) {
+    return 'audio/wav';
+  }
+  // EBML header: WebM (as recorded by MediaRecorder in Chrome and Firefox)
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return 'audio/webm';
+  }
+  if (startsWith(bytes, ascii('OggS'))) {
+    return 'audio/ogg';
+  }
+  // ISO base media (MP4/M4A, as recorded by Safari): box size, then "ftyp"
+  if (startsWith(bytes, ascii('ftyp'), 4)) {
+    return 'audio/mp4';
+  }
+  // MP3 with an ID3 tag, or starting directly on an MPEG audio frame sync
+  if (startsWith(bytes, ascii('ID3')) || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) {
+    return 'audio/mpeg';
+  }
+  if (startsWith(bytes, ascii('%PDF-'))) {
+    return 'application/pdf';
+  }
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) || startsWith(bytes, [0x50, 0x4b, 0x05, 0x06])) {
+    return 'application/zip';
+  }
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return 'application/x-ole-storage';
+  }
+  return null;
+}
+
+/**
+ * Whether the leading bytes look like text: valid UTF-8 with no NUL or
+ * other binary control characters
+ */
+export function looksLikeText(bytes: Uint8Array): boolean {
+  let text: string;
+  try {
+    // Leading bytes may end mid-character, so allow a truncated final sequence
+    text = new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+  } catch {
+    return false;
+  }
+  return !/[\u0000-\u0008\u000E-\u001A\u001C-\u001F]/.test(text);
+}
+
+/**
+ * Check a file's leading bytes against the MIME type it was uploaded as.
+ * Returns the verified type, or null if the content does not match.
+ */
+export function verifyFileType(claimedType: string, bytes: Uint8Array): string | null {
+  if (claimedType === 'text/plain') {
+    return sniffFileType(bytes) === null && looksLikeText(bytes) ? 'text/plain' : null;
+  }
+
+  const detected = sniffFileType(bytes);
+  if (detected === null) {
+    return null;
+  }
+  if (detected === claimedType) {
+    return detected;
+  }
+  if (detected === 'application/zip' && ZIP_CONTAINER_TYPES.includes(claimedType)) {
+    return claimedType;
+  }
+  if (detected === 'application/x-ole-storage' && OLE_CONTAINER_TYPES.includes(claimedType)) {
+    return claimedType;
+  }
+  return null;
+}
@@ -0,0 +1,25 @@
+import { QueryCtx } from '../_generated/server';
+import { Doc } from '../_generated/dataModel';
+
+/**
+ * Maximum number of chats a message can be forwarded to at once
+ */
+export const MAX_FORWARD_TARGETS = 10;
+
+/**
+ * Attribution for a forwarded message (the original author), or null
+ */
+export async function getForwardedFrom(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+) {
+  if (!message.forwardedFromUserId) {
+    return null;
+  }
+
+  const author = await ctx.db.get(message.forwardedFromUserId);
+  return {
+    userId: message.forwardedFromUserId,
+    name: author?.name ?? author?.email ?? 'Unknown',
+  };
+}
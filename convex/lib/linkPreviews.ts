@@ -0,0 +1,131 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Doc } from '../_generated/dataModel';
+import { internal } from '../_generated/api';
+import { getCurrentTimestamp } from './utils';
+
+/**
+ * Maximum number of URLs unfurled per message
+ */
+export const MAX_LINK_PREVIEWS_PER_MESSAGE = 3;
+
+/**
+ * How long a fetched preview is reused before it is refreshed (24 hours)
+ */
+export const LINK_PREVIEW_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a failed fetch is cached before retrying (1 hour)
+ */
+export const LINK_PREVIEW_FAILURE_TTL = 60 * 60 * 1000;
+
+/**
+ * How long a pending fetch may run before another message may retry it (1 minute)
+ */
+export const LINK_PREVIEW_PENDING_TTL = 60 * 1000;
+
+/**
+ * Previews not refreshed for this long are deleted by cron (30 days)
+ */
+export const LINK_PREVIEW_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const URL_PATTERN = /https?:\/\/[^\s<>()[\]"'`]+[^\s<>()[\]"'`.,:;!?]/gi;
+
+/**
+ * Extract distinct http(s) URLs from message text (capped).
+ * URLs inside inline or fenced code are ignored.
+ */
+export function extractLinkUrls(content: string): string[] {
+  const withoutCode = content
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`\n]*`/g, ' ');
+
+  const urls: string[] = [];
+  for (const match of withoutCode.matchAll(URL_PATTERN)) {
+    let normalized: string;
+    try {
+      const parsed = new URL(match[0]);
+      parsed.hash = '';
+      normalized = parsed.href;
+    } catch {
+      continue;
+    }
+
+    if (!urls.includes(normalized)) {
+      urls.push(normalized);
+    }
+    if (urls.length >= MAX_LINK_PREVIEWS_PER_MESSAGE) {
+      break;
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Schedule unfurling for URLs that have no fresh cached preview
+ */
+export async function scheduleLinkPreviews(
+  ctx: MutationCtx,
+  urls: string[]
+): Promise<void> {
+  const now = getCurrentTimestamp();
+
+  for (const url of urls) {
+    const existing = await ctx.db
+      .query('linkPreviews')
+      .withIndex('by_url', (q) => q.eq('url', url))
+      .first();
+
+    if (existing && existing.expiresAt > now) {
+      continue; // Fresh, failed recently, or already being fetched
+    }
+
+    if (existing) {
+      await ctx.db.patch(existing._id, {
+        status: 'pending',
+        expiresAt: now + LINK_PREVIEW_PENDING_TTL,
+      });
+    } else {
+      await ctx.db.insert('linkPreviews', {
+        url,
+        status: 'pending',
+        fetchedAt: now,
+        expiresAt: now + LINK_PREVIEW_PENDING_TTL,
+      });
+    }
+
+    await ctx.scheduler.runAfter(0, internal.unfurl.fetchLinkPreview, { url });
+  }
+}
+
+/**
+ * Resolve cached previews for a message's URLs, in message order.
+ * Stale previews are still shown until they are refreshed or cleaned up.
+ */
+export async function getLinkPreviews(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+) {
+  if (!message.linkUrls || message.linkUrls.length === 0 || message.isDeleted) {
+    return [];
+  }
+
+  const previews = await Promise.all(
+    message.linkUrls.map((url) =>
+      ctx.db
+        .query('linkPreviews')
+        .withIndex('by_url', (q) => q.eq('url', url))
+        .first()
+    )
+  );
+
+  return previews
+    .filter((p) => p !== null && p.title !== undefined)
+    .map((p) => ({
+      url: p!.url,
+      title: p!.title!,
+      description: p!.description,
+      imageUrl: p!.imageUrl,
+      siteName: p!.siteName,
+    }));
+}
@@ -0,0 +1,130 @@
+"use node";
+
+import { connect } from 'node:net';
+
+/**
+ * Verdict for one scanned file
+ */
+export interface ScanResult {
+  status: 'clean' | 'infected';
+  /** Name of the detected threat, when infected */
+  signature?: string;
+}
+
+/**
+ * A malware scanner. Implementations throw when the file could not be
+ * scanned (e.g. daemon unreachable) so the scan is retried.
+ */
+export interface MalwareScanner {
+  name: string;
+  scan(data: Uint8Array): Promise<ScanResult>;
+}
+
+/**
+ * Standard antivirus test string (https://www.eicar.org/download-anti-malware-testfile/)
+ */
+export const EICAR_TEST_SIGNATURE =
+  'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Scanner for development and tests: flags only the EICAR test file
+ */
+export function createStubScanner(): MalwareScanner {
+  return {
+    name: 'stub',
+    async scan(data) {
+      const text = new TextDecoder('latin1').decode(data);
+      return text.includes(EICAR_TEST_SIGNATURE)
+        ? { status: 'infected', signature: 'Eicar-Test-Signature' }
+        : { status: 'clean' };
+    },
+  };
+}
+
+export interface ClamAvOptions {
+  host: string;
+  port: number;
+  timeoutMs?: number;
+  /** Bytes sent per INSTREAM chunk */
+  chunkSize?: number;
+}
+
+/**
+ * Scanner backed by a ClamAV-compatible daemon (clamd), using the
+ * INSTREAM command over TCP
+ */
+export function createClamAvScanner({
+  host,
+  port,
+  timeoutMs = 30_000,
+  chunkSize = 64 * 1024,
+}: ClamAvOptions): MalwareScanner {
+  return {
+    name: 'clamav',
+    scan(data) {
+      return new Promise((resolve, reject) => {
+        const socket = connect({ host, port });
+        const chunks: Buffer[] = [];
+
+        socket.setTimeout(timeoutMs, () => {
+          socket.destroy(new Error(`clamd at ${host}:${port} timed out`));
+        });
+        socket.on('error', reject);
+        socket.on('data', (chunk: Buffer) => chunks.push(chunk));
+        socket.on('end', () => {
+          try {
+            resolve(parseClamAvResponse(Buffer.concat(chunks).toString('utf8')));
+          } catch (error) {
+            reject(error);
+          }
+        });
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          for (let offset = 0; offset < data.length; offset += chunkSize) {
+            const chunk = data.subarray(offset, offset + chunkSize);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            socket.write(length);
+            socket.write(chunk);
+          }
+          // A zero-length chunk ends the stream
+          socket.end(Buffer.alloc(4));
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Parse a clamd reply such as "stream: OK" or "stream: Eicar-Signature FOUND"
+ */
+export function parseClamAvResponse(response: string): ScanResult {
+  const reply = response.replace(/\0/g, '').trim();
+
+  if (reply.endsWith(' OK')) {
+    return { status: 'clean' };
+  }
+
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { status: 'infected', signature: found[1] };
+  }
+
+  throw new Error(`Unexpected clamd response: ${reply || '(empty)'}`);
+}
+
+/**
+ * Scanner selected by MALWARE_SCANNER ("clamav" or "stub", the default)
+ */
+export function getConfiguredScanner(
+  env: Record<string, string | undefined> = process.env
+): MalwareScanner {
+  if (env.MALWARE_SCANNER === 'clamav') {
+    return createClamAvScanner({
+      host: env.CLAMAV_HOST ?? '127.0.0.1',
+      port: Number(env.CLAMAV_PORT ?? 3310),
+    });
+  }
+  return createStubScanner();
+}
@@ -0,0 +1,120 @@
+import { QueryCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+
+/**
+ * Maximum number of distinct users a single message may mention
+ */
+export const MAX_MENTIONS_PER_MESSAGE = 50;
+
+/**
+ * Reduce mention IDs to distinct group members other than the sender.
+ * Unknown or non-member IDs are dropped rather than rejected.
+ */
+export async function getGroupMentionRecipients(
+  ctx: QueryCtx,
+  groupId: Id<'groups'>,
+  senderId: Id<'users'>,
+  mentionedUserIds: Id<'users'>[] | undefined
+): Promise<Id<'users'>[]> {
+  if (!mentionedUserIds || mentionedUserIds.length === 0) {
+    return [];
+  }
+
+  const distinctIds = [...new Set(mentionedUserIds)].filter(
+    (id) => id !== senderId
+  );
+
+  if (distinctIds.length > MAX_MENTIONS_PER_MESSAGE) {
+    throw new Error(
+      `Cannot mention more than ${MAX_MENTIONS_PER_MESSAGE} people in one message`
+    );
+  }
+
+  const recipients: Id<'users'>[] = [];
+  for (const userId of distinctIds) {
+    const membership = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group_and_user', (q) =>
+        q.eq('groupId', groupId).eq('userId', userId)
+      )
+      .first();
+    if (membership) {
+      recipients.push(userId);
+    }
+  }
+
+  return recipients;
+}
+
+/**
+ * Group members named in content as @name (or @email for users without a
+ * name), the way the composer's autocomplete writes them
+ */
+export async function getMentionsInContent(
+  ctx: QueryCtx,
+  groupId: Id<'groups'>,
+  content: string
+): Promise<Id<'users'>[]> {
+  if (!content.includes('@')) {
+    return [];
+  }
+
+  const members = await ctx.db
+    .query('groupMembers')
+    .withIndex('by_group', (q) => q.eq('groupId', groupId))
+    .collect();
+
+  const mentioned: Id<'users'>[] = [];
+  for (const member of members) {
+    const user = await ctx.db.get(member.userId);
+    const name = user?.name || user?.email;
+    if (name && containsMention(content, `@${name}`)) {
+      mentioned.push(member.userId);
+    }
+  }
+  return mentioned;
+}
+
+/**
+ * Whether content has the mention as a whole word ("@Al" is not in "@Alice")
+ */
+function containsMention(content: string, mention: string): boolean {
+  for (
+    let index = content.indexOf(mention);
+    index >= 0;
+    index = content.indexOf(mention, index + 1)
+  ) {
+    if (!/[\p{L}\p{N}_]/u.test(content.charAt(index + mention.length))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Resolve mentioned users on a message for highlighting
+ */
+export async function getMentionedUsers(
+  ctx: QueryCtx,
+  message: Doc<'messages'>,
+  currentUserId: Id<'users'>
+) {
+  if (!message.mentionedUserIds || message.mentionedUserIds.length === 0) {
+    return [];
+  }
+
+  const users = await Promise.all(
+    message.mentionedUserIds.map(async (id) => {
+      const user = await ctx.db.get(id);
+      if (!user) return null;
+
+      return {
+        userId: user._id,
+        name: user.name ?? user.email ?? 'Unknown',
+        isMe: user._id === currentUserId,
+      };
+    })
+  );
+
+  return users.filter((u) => u !== null);
+}
@@ -0,0 +1,65 @@
+import { QueryCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+
+/**
+ * Minimum number of options a poll must offer
+ */
+export const MIN_POLL_OPTIONS = 2;
+
+/**
+ * Maximum number of options a poll may offer
+ */
+export const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Tally a poll message's options and votes for display.
+ * Voter names are omitted for anonymous polls; votedByMe is always set.
+ */
+export async function getPollSummary(
+  ctx: QueryCtx,
+  message: Doc<'messages'>,
+  currentUserId: Id<'users'>
+) {
+  if (message.type !== 'poll' || !message.poll) {
+    return null;
+  }
+
+  const options = await ctx.db
+    .query('pollOptions')
+    .withIndex('by_message', (q) => q.eq('messageId', message._id))
+    .collect();
+
+  const votes = await ctx.db
+    .query('pollVotes')
+    .withIndex('by_message', (q) => q.eq('messageId', message._id))
+    .collect();
+
+  const { isAnonymous } = message.poll;
+  const voterNames = new Map<Id<'users'>, string>();
+  if (!isAnonymous) {
+    for (const userId of new Set(votes.map((vote) => vote.userId))) {
+      const user = await ctx.db.get(userId);
+      voterNames.set(userId, user?.name ?? user?.email ?? 'Unknown');
+    }
+  }
+
+  return {
+    allowMultiple: message.poll.allowMultiple,
+    isAnonymous,
+    isClosed: message.poll.closedAt !== undefined,
+    closedAt: message.poll.closedAt,
+    totalVoters: new Set(votes.map((vote) => vote.userId)).size,
+    options: options.map((option) => {
+      const optionVotes = votes.filter((vote) => vote.optionId === option._id);
+      return {
+        _id: option._id,
+        text: option.text,
+        voteCount: optionVotes.length,
+        votedByMe: optionVotes.some((vote) => vote.userId === currentUserId),
+        voterNames: isAnonymous
+          ? []
+          : optionVotes.map((vote) => voterNames.get(vote.userId)!),
+      };
+    }),
+  };
+}
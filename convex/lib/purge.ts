@@ -0,0 +1,107 @@
+import { MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+import {
+  getAttachmentDrafts,
+  isStorageReferenced,
+  deleteVerification,
+} from './attachments';
+import { deleteThumbnail } from './thumbnails';
+import { releaseUpload } from './storage';
+import { deleteScan } from './scanning';
+import { refreshThreadStats } from './threads';
+
+/**
+ * Delete an uploaded file and everything derived from it (thumbnail,
+ * quota charge, verification and scan records). Callers check it is no
+ * longer referenced first.
+ */
+export async function deleteStoredFile(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>
+): Promise<void> {
+  // Infected files are already gone from storage
+  if (await ctx.db.system.get(storageId)) {
+    await ctx.storage.delete(storageId);
+  }
+  await deleteThumbnail(ctx, storageId);
+  await releaseUpload(ctx, storageId);
+  await deleteVerification(ctx, storageId);
+  await deleteScan(ctx, storageId);
+}
+
+/**
+ * Delete rows of a table that reference a message through a by_message index
+ */
+async function deleteByMessage(
+  ctx: MutationCtx,
+  table:
+    | 'pinnedMessages'
+    | 'messageReactions'
+    | 'pollVotes'
+    | 'pollOptions'
+    | 'messageAttachments'
+    | 'messageRevisions'
+    | 'savedMessages'
+    | 'notifications',
+  messageId: Id<'messages'>
+): Promise<void> {
+  const rows = await ctx.db
+    .query(table)
+    .withIndex('by_message', (q) => q.eq('messageId', messageId))
+    .collect();
+
+  for (const row of rows) {
+    await ctx.db.delete(row._id);
+  }
+}
+
+/**
+ * Permanently delete a message (unlike deleteMessage's soft delete) with
+ * its thread replies, pins, reactions, poll, attachments, edit history,
+ * bookmarks and notifications. Files are deleted from storage unless a
+ * forwarded copy still uses them.
+ */
+export async function purgeMessage(
+  ctx: MutationCtx,
+  message: Doc<'messages'>
+): Promise<void> {
+  await deleteMessageRows(ctx, message);
+
+  // Keep the parent's reply stats right when a reply goes on its own
+  if (message.parentMessageId) {
+    await refreshThreadStats(ctx, message.parentMessageId);
+  }
+}
+
+async function deleteMessageRows(
+  ctx: MutationCtx,
+  message: Doc<'messages'>
+): Promise<void> {
+  // Soft-deleted replies are not in replyCount, so always look them up
+  const replies = await ctx.db
+    .query('messages')
+    .withIndex('by_parent', (q) => q.eq('parentMessageId', message._id))
+    .collect();
+
+  for (const reply of replies) {
+    await deleteMessageRows(ctx, reply);
+  }
+
+  const files = await getAttachmentDrafts(ctx, message);
+
+  await deleteByMessage(ctx, 'pinnedMessages', message._id);
+  await deleteByMessage(ctx, 'messageReactions', message._id);
+  await deleteByMessage(ctx, 'pollVotes', message._id);
+  await deleteByMessage(ctx, 'pollOptions', message._id);
+  await deleteByMessage(ctx, 'messageAttachments', message._id);
+  await deleteByMessage(ctx, 'messageRevisions', message._id);
+  await deleteByMessage(ctx, 'savedMessages', message._id);
+  await deleteByMessage(ctx, 'notifications', message._id);
+  await ctx.db.delete(message._id);
+
+  for (const file of files) {
+    if (!(await isStorageReferenced(ctx, file.storageId))) {
+      await deleteStoredFile(ctx, file.storageId);
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import { QueryCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+
+/**
+ * Aggregate reactions on a message into one entry per emoji,
+ * in the order each emoji was first used
+ */
+export async function getReactionSummary(
+  ctx: QueryCtx,
+  messageId: Id<'messages'>,
+  currentUserId: Id<'users'>
+) {
+  const reactions = await ctx.db
+    .query('messageReactions')
+    .withIndex('by_message', (q) => q.eq('messageId', messageId))
+    .collect();
+
+  if (reactions.length === 0) {
+    return [];
+  }
+
+  const byEmoji = new Map<
+    string,
+    { emoji: string; count: number; reactedByMe: boolean; userIds: Id<'users'>[] }
+  >();
+
+  for (const reaction of reactions.sort((a, b) => a.createdAt - b.createdAt)) {
+    const entry = byEmoji.get(reaction.emoji) ?? {
+      emoji: reaction.emoji,
+      count: 0,
+      reactedByMe: false,
+      userIds: [],
+    };
+    entry.count += 1;
+    entry.userIds.push(reaction.userId);
+    if (reaction.userId === currentUserId) {
+      entry.reactedByMe = true;
+    }
+    byEmoji.set(reaction.emoji, entry);
+  }
+
+  // Resolve display names for the chip tooltips
+  return await Promise.all(
+    [...byEmoji.values()].map(async (entry) => {
+      const users = await Promise.all(entry.userIds.map((id) => ctx.db.get(id)));
+      return {
+        emoji: entry.emoji,
+        count: entry.count,
+        reactedByMe: entry.reactedByMe,
+        userNames: users
+          .filter((u) => u !== null)
+          .map((u) => u!.name ?? u!.email),
+      };
+    })
+  );
+}
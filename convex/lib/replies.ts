@@ -0,0 +1,73 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+
+/**
+ * Maximum length of the quoted snippet shown above a reply
+ */
+const QUOTE_PREVIEW_LENGTH = 140;
+
+/**
+ * Validate the message being quoted by a reply.
+ * It must live in the same chat and the same thread (or both top-level),
+ * and must not be deleted.
+ */
+export async function assertReplyTarget(
+  ctx: MutationCtx,
+  replyToMessageId: Id<'messages'>,
+  target: {
+    conversationId?: Id<'directConversations'>;
+    groupId?: Id<'groups'>;
+    parentMessageId?: Id<'messages'>;
+  }
+): Promise<void> {
+  const original = await ctx.db.get(replyToMessageId);
+  if (!original || original.isDeleted) {
+    throw new Error('Message being replied to no longer exists');
+  }
+
+  if (
+    original.conversationId !== target.conversationId ||
+    original.groupId !== target.groupId
+  ) {
+    throw new Error('Message being replied to belongs to a different chat');
+  }
+
+  if (original.parentMessageId !== target.parentMessageId) {
+    throw new Error('Message being replied to is in a different thread');
+  }
+}
+
+/**
+ * Compact quote of the message a reply points at, or null if it isn't a
+ * reply. Deleted or missing originals are returned as { isDeleted: true }.
+ */
+export async function getReplyPreview(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+) {
+  if (!message.replyToMessageId) {
+    return null;
+  }
+
+  const original = await ctx.db.get(message.replyToMessageId);
+  if (!original || original.isDeleted) {
+    return { messageId: message.replyToMessageId, isDeleted: true };
+  }
+
+  const sender = await ctx.db.get(original.senderId);
+  const text =
+    original.type === 'file'
+      ? original.content || original.fileName || 'File'
+      : original.content;
+
+  return {
+    messageId: original._id,
+    senderName: sender?.name ?? sender?.email ?? 'Unknown',
+    content:
+      text.length > QUOTE_PREVIEW_LENGTH
+        ? text.slice(0, QUOTE_PREVIEW_LENGTH - 3) + '...'
+        : text,
+    type: original.type,
+    isDeleted: false,
+  };
+}
@@ -0,0 +1,217 @@
+import { v, Infer } from 'convex/values';
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+import { deleteStoredFile } from './purge';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Kinds of data a retention policy can apply to, in the order the purge
+ * job works through them
+ */
+export const RETENTION_TARGETS = ['messages', 'files', 'calls', 'notifications'] as const;
+
+export const retentionTargetValidator = v.union(
+  v.literal('messages'),
+  v.literal('files'),
+  v.literal('calls'),
+  v.literal('notifications')
+);
+
+export type RetentionTarget = Infer<typeof retentionTargetValidator>;
+
+/**
+ * Records examined per run of the purge job (it reschedules itself)
+ */
+export const RETENTION_BATCH_SIZE = 100;
+
+/**
+ * Records examined per target by the dry run before it stops counting
+ */
+export const RETENTION_PREVIEW_LIMIT = 5000;
+
+/**
+ * Why a record past its retention period is kept
+ */
+export type RetentionExemption = 'pinned' | 'legalHold' | 'inProgress' | 'activeThread';
+
+/**
+ * Creation-time cutoff for a target (records created before it are due for
+ * deletion), or null if no policy applies to the target
+ */
+export async function getRetentionCutoff(
+  ctx: QueryCtx,
+  target: RetentionTarget,
+  now: number
+): Promise<number | null> {
+  const policy = await ctx.db
+    .query('retentionPolicies')
+    .withIndex('by_target', (q) => q.eq('target', target))
+    .first();
+
+  return policy ? now - policy.retentionDays * DAY : null;
+}
+
+/**
+ * Groups whose data is under legal hold
+ */
+export async function getHeldGroupIds(ctx: QueryCtx): Promise<Set<Id<'groups'>>> {
+  const holds = await ctx.db.query('legalHolds').collect();
+  return new Set(holds.map((hold) => hold.groupId));
+}
+
+/**
+ * Why a message must be kept despite its age, or null if it can go.
+ * A thread parent is kept while any of its replies is pinned, since
+ * deleting the parent deletes the thread. Pass the messages cutoff to also
+ * keep parents with replies that are not yet due.
+ */
+export async function getMessageExemption(
+  ctx: QueryCtx,
+  message: Doc<'messages'>,
+  heldGroupIds: Set<Id<'groups'>>,
+  cutoff?: number
+): Promise<RetentionExemption | null> {
+  if (message.groupId && heldGroupIds.has(message.groupId)) {
+    return 'legalHold';
+  }
+
+  if (cutoff !== undefined) {
+    // Soft-deleted replies count too: purging the parent would take them early
+    const newerReply = await ctx.db
+      .query('messages')
+      .withIndex('by_parent', (q) =>
+        q.eq('parentMessageId', message._id).gte('createdAt', cutoff)
+      )
+      .first();
+    if (newerReply) {
+      return 'activeThread';
+    }
+  }
+
+  const threadIds = [message._id];
+  if (message.replyCount) {
+    const replies = await ctx.db
+      .query('messages')
+      .withIndex('by_parent', (q) => q.eq('parentMessageId', message._id))
+      .collect();
+    threadIds.push(...replies.map((reply) => reply._id));
+  }
+
+  for (const messageId of threadIds) {
+    const pin = await ctx.db
+      .query('pinnedMessages')
+      .withIndex('by_message', (q) => q.eq('messageId', messageId))
+      .first();
+    if (pin) {
+      return 'pinned';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Live messages that use a storage object (forwarded copies share storage),
+ * with the attachment rows pointing at it
+ */
+async function getStorageReferences(ctx: QueryCtx, storageId: Id<'_storage'>) {
+  const references: {
+    message: Doc<'messages'>;
+    attachmentId?: Id<'messageAttachments'>;
+  }[] = [];
+
+  const legacyMessages = await ctx.db
+    .query('messages')
+    .withIndex('by_file', (q) => q.eq('fileId', storageId))
+    .collect();
+  for (const message of legacyMessages) {
+    if (!message.isDeleted) {
+      references.push({ message });
+    }
+  }
+
+  const attachmentRows = await ctx.db
+    .query('messageAttachments')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .collect();
+  for (const row of attachmentRows) {
+    const message = await ctx.db.get(row.messageId);
+    if (message && !message.isDeleted) {
+      references.push({ message, attachmentId: row._id });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Classify an uploaded file past its retention period. Thumbnails and files
+ * no live message uses are skipped: they go with their original or with
+ * orphaned upload cleanup.
+ */
+export async function getFileRetention(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>,
+  heldGroupIds: Set<Id<'groups'>>
+) {
+  const thumbnailOf = await ctx.db
+    .query('imageThumbnails')
+    .withIndex('by_thumbnail', (q) => q.eq('thumbnailStorageId', storageId))
+    .first();
+  if (thumbnailOf) {
+    return { skip: true as const };
+  }
+
+  const references = await getStorageReferences(ctx, storageId);
+  if (references.length === 0) {
+    return { skip: true as const };
+  }
+
+  for (const { message } of references) {
+    const exemption = await getMessageExemption(ctx, message, heldGroupIds);
+    if (exemption) {
+      return { skip: false as const, exemption, references };
+    }
+  }
+
+  return { skip: false as const, exemption: null, references };
+}
+
+/**
+ * Delete a file past its retention period and detach it from the messages
+ * that carried it (they stay, marked as having had their files removed)
+ */
+export async function expireStoredFile(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>,
+  references: { message: Doc<'messages'>; attachmentId?: Id<'messageAttachments'> }[],
+  now: number
+): Promise<void> {
+  for (const { message, attachmentId } of references) {
+    if (attachmentId) {
+      await ctx.db.delete(attachmentId);
+      await ctx.db.patch(message._id, { filesExpiredAt: now });
+    } else {
+      await ctx.db.patch(message._id, { fileId: undefined, filesExpiredAt: now });
+    }
+  }
+
+  await deleteStoredFile(ctx, storageId);
+}
+
+/**
+ * Why a call record must be kept despite its age, or null if it can go
+ */
+export function getCallExemption(
+  call: Doc<'calls'>,
+  heldGroupIds: Set<Id<'groups'>>
+): RetentionExemption | null {
+  if (call.status === 'ringing' || call.status === 'active') {
+    return 'inProgress';
+  }
+  if (call.groupId && heldGroupIds.has(call.groupId)) {
+    return 'legalHold';
+  }
+  return null;
+}
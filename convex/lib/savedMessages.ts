@@ -0,0 +1,19 @@
+import { QueryCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+
+/**
+ * Whether a user has bookmarked a message
+ */
+export async function isMessageSaved(
+  ctx: QueryCtx,
+  messageId: Id<'messages'>,
+  userId: Id<'users'>
+): Promise<boolean> {
+  const saved = await ctx.db
+    .query('savedMessages')
+    .withIndex('by_user_and_message', (q) =>
+      q.eq('userId', userId).eq('messageId', messageId)
+    )
+    .first();
+  return saved !== null;
+}
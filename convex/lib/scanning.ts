@@ -0,0 +1,96 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+import { internal } from '../_generated/api';
+import { getCurrentTimestamp } from './utils';
+
+/**
+ * Scans that error (e.g. scanner unreachable) are retried this many times
+ */
+export const MAX_SCAN_ATTEMPTS = 5;
+
+/**
+ * Delay before the first retry; doubles with each attempt (30 seconds)
+ */
+export const SCAN_RETRY_BASE_DELAY = 30 * 1000;
+
+/**
+ * Storage objects inspected per scan backfill batch
+ */
+export const SCAN_BACKFILL_BATCH_SIZE = 100;
+
+export type ScanStatus = 'pending' | 'clean' | 'infected';
+
+/**
+ * Queue an uploaded file for malware scanning. Storage shared by forwarded
+ * copies is only scanned once.
+ */
+export async function scheduleMalwareScan(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>,
+  fileType: string
+): Promise<void> {
+  const existing = await ctx.db
+    .query('fileScans')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (existing) {
+    return;
+  }
+
+  await ctx.db.insert('fileScans', {
+    storageId,
+    fileType,
+    status: 'pending',
+    attempts: 0,
+    createdAt: getCurrentTimestamp(),
+  });
+
+  await ctx.scheduler.runAfter(0, internal.malwareScan.scanFile, { storageId });
+}
+
+/**
+ * Scan status of a stored file. A file without a scan record is pending;
+ * uploads from before scanning get one from files.backfillFileScans.
+ */
+export async function getScanStatus(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>
+): Promise<ScanStatus> {
+  const scan = await ctx.db
+    .query('fileScans')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  return scan?.status ?? 'pending';
+}
+
+/**
+ * Download URL for a file, or null until it has been scanned clean
+ */
+export async function getScannedFileUrl(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>
+): Promise<string | null> {
+  if ((await getScanStatus(ctx, storageId)) !== 'clean') {
+    return null;
+  }
+  return await ctx.storage.getUrl(storageId);
+}
+
+/**
+ * Drop a file's scan record (when its storage is deleted)
+ */
+export async function deleteScan(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>
+): Promise<void> {
+  const scan = await ctx.db
+    .query('fileScans')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (scan) {
+    await ctx.db.delete(scan._id);
+  }
+}
@@ -0,0 +1,225 @@
+import { MAX_LENGTHS } from './validators';
+
+/**
+ * Largest Slack export archive accepted. The whole archive is held in
+ * memory by the import actions.
+ */
+export const MAX_SLACK_ARCHIVE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Largest JSON file read from an archive (users.json, one channel-day, ...)
+ */
+export const MAX_SLACK_JSON_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Messages written per mutation while importing
+ */
+export const SLACK_IMPORT_BATCH_SIZE = 50;
+
+/**
+ * How long one import action works before handing over to a fresh one
+ * (actions are stopped after 10 minutes)
+ */
+export const SLACK_IMPORT_TIME_BUDGET = 4 * 60 * 1000;
+
+/**
+ * The only host file downloads (and the Slack token) are sent to
+ */
+export const SLACK_FILE_HOST = 'files.slack.com';
+
+/**
+ * Message subtypes imported as messages; joins, topic changes and other
+ * channel events are left out
+ */
+const IMPORTED_SUBTYPES = new Set([
+  undefined,
+  'thread_broadcast',
+  'file_share',
+  'me_message',
+  'bot_message',
+]);
+
+export type SlackUser = {
+  id: string;
+  name: string;
+  real_name?: string;
+  deleted?: boolean;
+  is_bot?: boolean;
+  profile?: { email?: string; real_name?: string; display_name?: string };
+};
+
+export type SlackChannel = {
+  id: string;
+  name: string;
+  created?: number;
+  creator?: string;
+  members?: string[];
+  purpose?: { value?: string };
+  topic?: { value?: string };
+};
+
+export type SlackFile = {
+  id: string;
+  name?: string;
+  title?: string;
+  mimetype?: string;
+  size?: number;
+  url_private_download?: string;
+  // 'tombstone' / 'hidden_by_limit' files have no content to download
+  mode?: string;
+};
+
+export type SlackMessage = {
+  type?: string;
+  subtype?: string;
+  user?: string;
+  username?: string;
+  bot_profile?: { name?: string };
+  text?: string;
+  ts: string;
+  thread_ts?: string;
+  edited?: { ts: string };
+  files?: SlackFile[];
+};
+
+/**
+ * Whether a user may import Slack history. Imports post messages as other
+ * users, so only emails listed in IMPORT_ADMIN_EMAILS (comma-separated)
+ * may run them.
+ */
+export function isImportAdmin(email: string): boolean {
+  const admins = (process.env.IMPORT_ADMIN_EMAILS ?? '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+  return email !== '' && admins.includes(normalizeEmail(email));
+}
+
+/**
+ * Canonical form of an email for matching Slack profiles to accounts here
+ */
+export function normalizeEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+export function getSlackUserEmail(user: SlackUser): string | undefined {
+  return normalizeEmail(user.profile?.email ?? '') || undefined;
+}
+
+export function getSlackUserName(user: SlackUser): string {
+  return (
+    user.profile?.display_name ||
+    user.profile?.real_name ||
+    user.real_name ||
+    user.name
+  );
+}
+
+/**
+ * Slack "1609459200.000100" timestamps to milliseconds
+ */
+export function slackTsToMillis(ts: string): number {
+  return Math.round(parseFloat(ts) * 1000);
+}
+
+/**
+ * Stable ID of an imported Slack message, stored on the message so a
+ * resumed import skips what it already wrote and replies find their parent
+ */
+export function getSlackSourceId(channelId: string, ts: string): string {
+  return `slack:${channelId}:${ts}`;
+}
+
+/**
+ * Whether a message from a channel-day file should be imported
+ */
+export function isImportableMessage(message: SlackMessage): boolean {
+  return (message.type ?? 'message') === 'message' && IMPORTED_SUBTYPES.has(message.subtype);
+}
+
+/**
+ * Files of a message that can be downloaded
+ */
+export function getDownloadableFiles(message: SlackMessage): SlackFile[] {
+  return (message.files ?? []).filter(
+    (file) => file.url_private_download && file.mode !== 'tombstone' && file.mode !== 'hidden_by_limit'
+  );
+}
+
+/**
+ * Download URL of a Slack file, or null unless it is an https URL on
+ * SLACK_FILE_HOST (the export is user-supplied, so its URLs are untrusted)
+ */
+export function getSlackFileUrl(file: SlackFile): URL | null {
+  if (!file.url_private_download) {
+    return null;
+  }
+
+  let url: URL;
+  try {
+    url = new URL(file.url_private_download);
+  } catch {
+    return null;
+  }
+  return url.protocol === 'https:' && url.host === SLACK_FILE_HOST ? url : null;
+}
+
+/**
+ * Convert Slack mrkdwn to this app's markdown: user and channel references
+ * become @name / #name, links become [label](url) and entities are decoded.
+ * Returns the text and the Slack user IDs it mentions.
+ */
+export function convertSlackText(
+  text: string,
+  userNames: Map<string, string>,
+  channelNames: Map<string, string>
+): { content: string; mentionedSlackIds: string[] } {
+  const mentionedSlackIds: string[] = [];
+
+  const converted = text.replace(/<([^<>]+)>/g, (_, inner: string) => {
+    const [target, label] = inner.split('|', 2);
+
+    if (target.startsWith('@')) {
+      const slackId = target.slice(1);
+      mentionedSlackIds.push(slackId);
+      return `@${userNames.get(slackId) ?? label ?? slackId}`;
+    }
+    if (target.startsWith('#')) {
+      return `#${channelNames.get(target.slice(1)) ?? label ?? target.slice(1)}`;
+    }
+    if (target.startsWith('!')) {
+      // <!here>, <!channel>, <!everyone>, <!subteam^ID|@team>
+      return label ?? `@${target.slice(1)}`;
+    }
+    if (target.startsWith('mailto:')) {
+      return label ?? target.slice('mailto:'.length);
+    }
+    return label && label !== target ? `[${label}](${target})` : target;
+  });
+
+  const content = converted
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+  return {
+    content:
+      content.length > MAX_LENGTHS.MESSAGE_CONTENT
+        ? content.slice(0, MAX_LENGTHS.MESSAGE_CONTENT - 1) + '…'
+        : content,
+    mentionedSlackIds: [...new Set(mentionedSlackIds)],
+  };
+}
+
+/**
+ * Paths of a channel's day files ("general/2021-01-01.json"), oldest first
+ */
+export function getChannelDayFiles(paths: string[], channelName: string): string[] {
+  const pattern = /^\d{4}-\d{2}-\d{2}\.json$/;
+  return paths
+    .filter((path) => {
+      const slash = path.lastIndexOf('/');
+      return path.slice(0, slash) === channelName && pattern.test(path.slice(slash + 1));
+    })
+    .sort();
+}
@@ -0,0 +1,179 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+import { getCurrentTimestamp } from './utils';
+import { isStorageReferenced } from './attachments';
+
+/**
+ * Default per-user storage quota (1 GB). Override with USER_STORAGE_QUOTA_BYTES.
+ */
+export const DEFAULT_USER_STORAGE_QUOTA = 1024 * 1024 * 1024;
+
+/**
+ * Default per-group storage quota (5 GB). Override with GROUP_STORAGE_QUOTA_BYTES.
+ */
+export const DEFAULT_GROUP_STORAGE_QUOTA = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Uploads not attached to any message within this window are deleted (24 hours)
+ */
+export const ORPHAN_UPLOAD_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+/**
+ * Storage objects inspected per orphan cleanup batch
+ */
+export const ORPHAN_CLEANUP_BATCH_SIZE = 100;
+
+function readQuota(value: string | undefined, fallback: number): number {
+  const parsed = Number(value);
+  return value && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Storage quota for a single user, in bytes
+ */
+export function getUserStorageQuota(): number {
+  return readQuota(process.env.USER_STORAGE_QUOTA_BYTES, DEFAULT_USER_STORAGE_QUOTA);
+}
+
+/**
+ * Storage quota for a single group, in bytes
+ */
+export function getGroupStorageQuota(): number {
+  return readQuota(process.env.GROUP_STORAGE_QUOTA_BYTES, DEFAULT_GROUP_STORAGE_QUOTA);
+}
+
+/**
+ * Bytes and file count currently charged to a user or a group
+ */
+export async function getStorageUsage(
+  ctx: QueryCtx,
+  owner: { userId: Id<'users'> } | { groupId: Id<'groups'> }
+): Promise<{ bytes: number; fileCount: number }> {
+  const uploads =
+    'userId' in owner
+      ? await ctx.db
+          .query('fileUploads')
+          .withIndex('by_user', (q) => q.eq('userId', owner.userId))
+          .collect()
+      : await ctx.db
+          .query('fileUploads')
+          .withIndex('by_group', (q) => q.eq('groupId', owner.groupId))
+          .collect();
+
+  return {
+    bytes: uploads.reduce((total, upload) => total + upload.size, 0),
+    fileCount: uploads.length,
+  };
+}
+
+/**
+ * Charge newly uploaded files to the uploader (and the group they are posted
+ * in), throwing if that would exceed either quota. Sizes come from storage,
+ * not the client. Files already charged are skipped.
+ */
+export async function chargeUploads(
+  ctx: MutationCtx,
+  userId: Id<'users'>,
+  groupId: Id<'groups'> | undefined,
+  storageIds: Id<'_storage'>[]
+): Promise<void> {
+  const newUploads: { storageId: Id<'_storage'>; size: number }[] = [];
+
+  for (const storageId of storageIds) {
+    const existing = await ctx.db
+      .query('fileUploads')
+      .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+      .first();
+    if (existing) continue;
+
+    const metadata = await ctx.db.system.get(storageId);
+    if (!metadata) {
+      throw new Error('Uploaded file not found');
+    }
+    newUploads.push({ storageId, size: metadata.size });
+  }
+
+  if (newUploads.length === 0) {
+    return;
+  }
+
+  const newBytes = newUploads.reduce((total, upload) => total + upload.size, 0);
+
+  const userUsage = await getStorageUsage(ctx, { userId });
+  if (userUsage.bytes + newBytes > getUserStorageQuota()) {
+    throw new Error('Storage quota exceeded. Delete some files to free up space.');
+  }
+
+  if (groupId) {
+    const groupUsage = await getStorageUsage(ctx, { groupId });
+    if (groupUsage.bytes + newBytes > getGroupStorageQuota()) {
+      throw new Error('This group has run out of file storage');
+    }
+  }
+
+  const now = getCurrentTimestamp();
+  for (const upload of newUploads) {
+    await ctx.db.insert('fileUploads', {
+      storageId: upload.storageId,
+      userId,
+      groupId,
+      size: upload.size,
+      createdAt: now,
+    });
+  }
+}
+
+/**
+ * Stop charging for a file whose storage has been deleted
+ */
+export async function releaseUpload(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>
+): Promise<void> {
+  const upload = await ctx.db
+    .query('fileUploads')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (upload) {
+    await ctx.db.delete(upload._id);
+  }
+}
+
+/**
+ * Whether a storage object is unused: no live message references it and it
+ * is not a generated thumbnail, a chat export or a Slack import archive
+ */
+export async function isOrphanedStorage(
+  ctx: QueryCtx,
+  storageId: Id<'_storage'>
+): Promise<boolean> {
+  const thumbnailOf = await ctx.db
+    .query('imageThumbnails')
+    .withIndex('by_thumbnail', (q) => q.eq('thumbnailStorageId', storageId))
+    .first();
+
+  if (thumbnailOf) {
+    return false; // Removed together with its original
+  }
+
+  const chatExport = await ctx.db
+    .query('chatExports')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (chatExport) {
+    return false; // Removed when the export expires
+  }
+
+  const slackImport = await ctx.db
+    .query('slackImports')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (slackImport) {
+    return false; // Removed when the import finishes or is discarded
+  }
+
+  return !(await isStorageReferenced(ctx, storageId));
+}
@@ -0,0 +1,128 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Doc, Id } from '../_generated/dataModel';
+
+/**
+ * Maximum number of recent repliers kept on a thread parent (for avatars)
+ */
+export const MAX_THREAD_REPLIER_AVATARS = 3;
+
+/**
+ * Load and validate the parent of a thread reply.
+ * The parent must live in the same conversation/group, must not be deleted,
+ * and must not itself be a reply (threads are one level deep).
+ */
+export async function getThreadParentOrThrow(
+  ctx: MutationCtx,
+  parentMessageId: Id<'messages'>,
+  target: {
+    conversationId?: Id<'directConversations'>;
+    groupId?: Id<'groups'>;
+  }
+): Promise<Doc<'messages'>> {
+  const parent = await ctx.db.get(parentMessageId);
+  if (!parent) {
+    throw new Error('Parent message not found');
+  }
+
+  if (
+    parent.conversationId !== target.conversationId ||
+    parent.groupId !== target.groupId
+  ) {
+    throw new Error('Parent message belongs to a different chat');
+  }
+
+  if (parent.isDeleted) {
+    throw new Error('Cannot reply to a deleted message');
+  }
+
+  if (parent.parentMessageId) {
+    throw new Error('Cannot reply to a thread reply');
+  }
+
+  return parent;
+}
+
+/**
+ * Update reply stats on a thread parent after a reply is inserted
+ */
+export async function recordThreadReply(
+  ctx: MutationCtx,
+  parent: Doc<'messages'>,
+  replierId: Id<'users'>,
+  repliedAt: number
+): Promise<void> {
+  const previousRepliers = (parent.lastReplierIds ?? []).filter(
+    (id) => id !== replierId
+  );
+
+  await ctx.db.patch(parent._id, {
+    replyCount: (parent.replyCount ?? 0) + 1,
+    lastReplyAt: repliedAt,
+    lastReplierIds: [replierId, ...previousRepliers].slice(
+      0,
+      MAX_THREAD_REPLIER_AVATARS
+    ),
+  });
+}
+
+/**
+ * Recompute reply stats on a thread parent after a reply is deleted.
+ * Deleted replies are not counted and their authors drop out of the
+ * recent repliers.
+ */
+export async function refreshThreadStats(
+  ctx: MutationCtx,
+  parentMessageId: Id<'messages'>
+): Promise<void> {
+  const parent = await ctx.db.get(parentMessageId);
+  if (!parent) return;
+
+  const replies = await ctx.db
+    .query('messages')
+    .withIndex('by_parent', (q) => q.eq('parentMessageId', parentMessageId))
+    .order('desc')
+    .collect();
+  const remaining = replies.filter((reply) => !reply.isDeleted);
+
+  const repliers: Id<'users'>[] = [];
+  for (const reply of remaining) {
+    if (repliers.length === MAX_THREAD_REPLIER_AVATARS) break;
+    if (!repliers.includes(reply.senderId)) {
+      repliers.push(reply.senderId);
+    }
+  }
+
+  await ctx.db.patch(parent._id, {
+    replyCount: remaining.length,
+    lastReplyAt: remaining[0]?.createdAt,
+    lastReplierIds: repliers.length > 0 ? repliers : undefined,
+  });
+}
+
+/**
+ * Resolve the recent repliers on a thread parent for inline avatars
+ */
+export async function getThreadRepliers(
+  ctx: QueryCtx,
+  message: Doc<'messages'>
+) {
+  if (!message.lastReplierIds || message.lastReplierIds.length === 0) {
+    return [];
+  }
+
+  const repliers = await Promise.all(
+    message.lastReplierIds.map(async (id) => {
+      const user = await ctx.db.get(id);
+      if (!user) return null;
+
+      return {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        avatarUrl: user.avatarUrl,
+      };
+    })
+  );
+
+  return repliers.filter((r) => r !== null);
+}
@@ -0,0 +1,94 @@
+import { QueryCtx, MutationCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+import { internal } from '../_generated/api';
+import { getCurrentTimestamp } from './utils';
+
+/**
+ * Longest edge of a generated thumbnail, in pixels
+ */
+export const THUMBNAIL_MAX_SIZE = 480;
+
+/**
+ * Whether a file type gets a server-side thumbnail
+ */
+export function isThumbnailable(fileType: string): boolean {
+  return fileType.startsWith('image/');
+}
+
+/**
+ * Schedule thumbnail generation for an uploaded image. Storage shared by
+ * forwarded copies is only processed once.
+ */
+export async function scheduleThumbnail(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>,
+  fileType: string
+): Promise<void> {
+  if (!isThumbnailable(fileType)) {
+    return;
+  }
+
+  const existing = await ctx.db
+    .query('imageThumbnails')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (existing) {
+    return;
+  }
+
+  await ctx.db.insert('imageThumbnails', {
+    storageId,
+    status: 'pending',
+    createdAt: getCurrentTimestamp(),
+  });
+
+  await ctx.scheduler.runAfter(0, internal.thumbnails.generateThumbnail, {
+    storageId,
+  });
+}
+
+/**
+ * Dimensions and thumbnail URL for an image, once processed.
+ * Pending or failed images have no dimensions and fall back to the original.
+ */
+export async function getImageInfo(ctx: QueryCtx, storageId: Id<'_storage'>) {
+  const thumbnail = await ctx.db
+    .query('imageThumbnails')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (!thumbnail || thumbnail.status !== 'ready') {
+    return { width: undefined, height: undefined, thumbnailUrl: null };
+  }
+
+  return {
+    width: thumbnail.width,
+    height: thumbnail.height,
+    thumbnailUrl: thumbnail.thumbnailStorageId
+      ? await ctx.storage.getUrl(thumbnail.thumbnailStorageId)
+      : null,
+  };
+}
+
+/**
+ * Remove an image's thumbnail along with its record (when the original is deleted)
+ */
+export async function deleteThumbnail(
+  ctx: MutationCtx,
+  storageId: Id<'_storage'>
+): Promise<void> {
+  const thumbnail = await ctx.db
+    .query('imageThumbnails')
+    .withIndex('by_storage', (q) => q.eq('storageId', storageId))
+    .first();
+
+  if (!thumbnail) {
+    return;
+  }
+
+  if (thumbnail.thumbnailStorageId) {
+    await ctx.storage.delete(thumbnail.thumbnailStorageId);
+  }
+  await ctx.db.delete(thumbnail._id);
+}
@@ -0,0 +1,335 @@
+"use node";
+
+import { lookup as dnsLookup, type LookupAddress } from 'node:dns';
+import { request as httpRequest, type IncomingMessage } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { BlockList, isIP, type LookupFunction } from 'node:net';
+
+/**
+ * Open Graph metadata extracted from a page
+ */
+export interface LinkMetadata {
+  title: string;
+  description?: string;
+  imageUrl?: string;
+  siteName?: string;
+}
+
+/**
+ * Raw response returned by a fetcher
+ */
+export interface FetchedPage {
+  /** Final URL after redirects */
+  url: string;
+  status: number;
+  contentType: string;
+  body: string;
+}
+
+/**
+ * Pluggable page fetcher. The default performs a guarded HTTP request;
+ * tests can swap in one that allows a local stub server.
+ */
+export type LinkPreviewFetcher = (url: string) => Promise<FetchedPage>;
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Internal address ranges. BlockList also matches IPv4-mapped IPv6
+ * addresses (::ffff:7f00:1) against the IPv4 rules.
+ */
+const privateAddresses = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+] as const) {
+  privateAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 prefixes translate the embedded IPv4 address
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+] as const) {
+  privateAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise internal
+ */
+export function isPrivateAddress(address: string): boolean {
+  const family = isIP(address);
+  if (family === 0) return false;
+  return privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for the SSRF guard. The request connects to the addresses
+ * checked here, so a host can't pass the check and then resolve to an
+ * internal address for the connection (DNS rebinding).
+ */
+const publicAddressLookup: LookupFunction = (hostname, options, callback) => {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses: LookupAddress[]) => {
+    if (error) {
+      callback(error, '', 0);
+      return;
+    }
+    if (addresses.length === 0 || addresses.some((a) => isPrivateAddress(a.address))) {
+      callback(new Error('URL resolves to a private address'), '', 0);
+      return;
+    }
+
+    if (options.all) {
+      (callback as (error: null, addresses: LookupAddress[]) => void)(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Reject URLs that can't be fetched safely. IP literals are checked here
+ * since connecting to them skips the DNS lookup.
+ */
+function assertFetchableUrl(url: URL, allowPrivateHosts: boolean): void {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Unsupported URL protocol');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateHosts && isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error('URL resolves to a private address');
+  }
+}
+
+/**
+ * Send a GET request without following redirects
+ */
+function requestPage(
+  url: URL,
+  options: { allowPrivateHosts: boolean; signal: AbortSignal }
+): Promise<IncomingMessage> {
+  const request = url.protocol === 'https:' ? httpsRequest : httpRequest;
+
+  return new Promise((resolve, reject) => {
+    request(
+      url,
+      {
+        headers: {
+          Accept: 'text/html,application/xhtml+xml',
+          'User-Agent': 'HuddleUpBot/1.0 (+link previews)',
+        },
+        lookup: options.allowPrivateHosts ? undefined : publicAddressLookup,
+        signal: options.signal,
+      },
+      resolve
+    )
+      .on('error', reject)
+      .end();
+  });
+}
+
+/**
+ * Read a response body as text, stopping at MAX_BODY_BYTES
+ */
+async function readLimitedBody(response: IncomingMessage): Promise<string> {
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+
+  for await (const chunk of response as AsyncIterable<Buffer>) {
+    received += chunk.byteLength;
+    text += decoder.decode(chunk, { stream: true });
+    if (received >= MAX_BODY_BYTES) break;
+  }
+
+  response.destroy();
+  return text;
+}
+
+/**
+ * Create the HTTP fetcher used for unfurling.
+ * Redirects are followed manually so every hop passes the SSRF guard;
+ * allowPrivateHosts disables the guard (local stub servers in tests).
+ * The timeout covers the whole fetch, redirects included.
+ */
+export function createHttpFetcher(
+  options: { allowPrivateHosts?: boolean; timeoutMs?: number } = {}
+): LinkPreviewFetcher {
+  const timeoutMs = options.timeoutMs ?? FETCH_TIMEOUT_MS;
+
+  const allowPrivateHosts = options.allowPrivateHosts ?? false;
+
+  return async (url) => {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let current = new URL(url);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      assertFetchableUrl(current, allowPrivateHosts);
+
+      const response = await requestPage(current, { allowPrivateHosts, signal });
+      const status = response.statusCode ?? 0;
+
+      const location = response.headers.location;
+      if (status >= 300 && status < 400 && location) {
+        response.destroy();
+        current = new URL(location, current);
+        continue;
+      }
+
+      const contentType = response.headers['content-type'] ?? '';
+      if (!contentType.includes('html')) {
+        response.destroy();
+      }
+      return {
+        url: current.href,
+        status,
+        contentType,
+        // Only HTML carries Open Graph tags; skip downloading anything else
+        body: contentType.includes('html') ? await readLimitedBody(response) : '',
+      };
+    }
+
+    throw new Error('Too many redirects');
+  };
+}
+
+const HTML_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+function decodeEntities(value: string): string {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      const point =
+        code[1].toLowerCase() === 'x'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point > 0 && point <= 0x10ffff
+        ? String.fromCodePoint(point)
+        : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function clean(value: string | undefined, maxLength: number): string | undefined {
+  if (!value) return undefined;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  if (!text) return undefined;
+  return text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text;
+}
+
+/**
+ * Extract Open Graph (falling back to Twitter card and <title>) metadata from HTML
+ */
+export function parseOpenGraph(html: string, pageUrl: string): LinkMetadata | null {
+  // Metadata lives in <head>; ignore the (possibly truncated) body
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd >= 0 ? html.slice(0, headEnd) : html;
+  const meta = new Map<string, string>();
+
+  for (const tag of head.match(/<meta\b[^>]*>/gi) ?? []) {
+    const attributes = new Map<string, string>();
+    for (const attr of tag.matchAll(/([a-z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+      attributes.set(attr[1].toLowerCase(), attr[3] ?? attr[4] ?? attr[5] ?? '');
+    }
+
+    const key = (attributes.get('property') ?? attributes.get('name'))?.toLowerCase();
+    const content = attributes.get('content');
+    if (key && content !== undefined && !meta.has(key)) {
+      meta.set(key, content);
+    }
+  }
+
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(head)?.[1];
+  const title = clean(
+    meta.get('og:title') ?? meta.get('twitter:title') ?? titleTag,
+    MAX_TITLE_LENGTH
+  );
+
+  if (!title) {
+    return null;
+  }
+
+  let imageUrl: string | undefined;
+  const rawImage = meta.get('og:image') ?? meta.get('og:image:url') ?? meta.get('twitter:image');
+  if (rawImage) {
+    try {
+      const resolved = new URL(decodeEntities(rawImage.trim()), pageUrl);
+      if (resolved.protocol === 'https:' || resolved.protocol === 'http:') {
+        imageUrl = resolved.href;
+      }
+    } catch {
+      // Ignore malformed image URLs
+    }
+  }
+
+  return {
+    title,
+    description: clean(
+      meta.get('og:description') ?? meta.get('twitter:description') ?? meta.get('description'),
+      MAX_DESCRIPTION_LENGTH
+    ),
+    imageUrl,
+    siteName: clean(meta.get('og:site_name'), MAX_TITLE_LENGTH),
+  };
+}
+
+let activeFetcher: LinkPreviewFetcher | null = null;
+
+/**
+ * Fetcher used by the unfurl action. Set LINK_PREVIEW_ALLOW_PRIVATE_HOSTS=true
+ * on a dev deployment to unfurl from a local stub server.
+ */
+export function getLinkPreviewFetcher(): LinkPreviewFetcher {
+  if (!activeFetcher) {
+    activeFetcher = createHttpFetcher({
+      allowPrivateHosts: process.env.LINK_PREVIEW_ALLOW_PRIVATE_HOSTS === 'true',
+    });
+  }
+  return activeFetcher;
+}
+
+/**
+ * Replace the fetcher used by the unfurl action (tests); pass null to reset
+ */
+export function setLinkPreviewFetcher(fetcher: LinkPreviewFetcher | null): void {
+  activeFetcher = fetcher;
+}
+
+/**
+ * Fetch a URL and extract its preview metadata.
+ * Returns null when the page is not HTML or has no usable title.
+ */
+export async function unfurlUrl(
+  url: string,
+  fetcher: LinkPreviewFetcher = getLinkPreviewFetcher()
+): Promise<LinkMetadata | null> {
+  const page = await fetcher(url);
+
+  if (page.status < 200 || page.status >= 300 || !page.contentType.includes('html')) {
+    return null;
+  }
+
+  return parseOpenGraph(page.body, page.url);
+}
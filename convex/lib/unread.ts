@@ -0,0 +1,61 @@
+import { QueryCtx } from '../_generated/server';
+import { Id } from '../_generated/dataModel';
+
+/**
+ * Unread counts are capped; the UI shows "99+" beyond this
+ */
+export const MAX_UNREAD_COUNT = 99;
+
+/**
+ * Count main-channel messages from other users newer than the user's read cursor
+ */
+export async function countUnreadMessages(
+  ctx: QueryCtx,
+  userId: Id<'users'>,
+  target: {
+    conversationId?: Id<'directConversations'>;
+    groupId?: Id<'groups'>;
+  }
+): Promise<number> {
+  const cursor = target.conversationId
+    ? await ctx.db
+        .query('readCursors')
+        .withIndex('by_user_and_conversation', (q) =>
+          q.eq('userId', userId).eq('conversationId', target.conversationId)
+        )
+        .first()
+    : await ctx.db
+        .query('readCursors')
+        .withIndex('by_user_and_group', (q) =>
+          q.eq('userId', userId).eq('groupId', target.groupId)
+        )
+        .first();
+
+  const lastReadAt = cursor?.lastReadAt ?? 0;
+
+  const messagesQuery = target.conversationId
+    ? ctx.db
+        .query('messages')
+        .withIndex('by_conversation', (q) =>
+          q
+            .eq('conversationId', target.conversationId)
+            .gt('createdAt', lastReadAt)
+        )
+    : ctx.db
+        .query('messages')
+        .withIndex('by_group', (q) =>
+          q.eq('groupId', target.groupId).gt('createdAt', lastReadAt)
+        );
+
+  const unread = await messagesQuery
+    .filter((q) =>
+      q.and(
+        q.neq(q.field('senderId'), userId),
+        q.eq(q.field('isDeleted'), false),
+        q.eq(q.field('parentMessageId'), undefined)
+      )
+    )
+    .take(MAX_UNREAD_COUNT + 1);
+
+  return unread.length;
+}
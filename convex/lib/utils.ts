@@ -48,6 +48,12 @@ export const ALLOWED_FILE_TYPES = [
   'image/png',
   'image/gif',
   'image/webp',
+  // Audio (including voice messages recorded in the browser)
+  'audio/webm',
+  'audio/ogg',
+  'audio/mp4',
+  'audio/mpeg',
+  'audio/wav',
   // Documents
   'application/pdf',
   'application/msword',
@@ -90,6 +96,11 @@ export function isPresenceStale(lastHeartbeat: number): boolean {
   return Date.now() - lastHeartbeat > PRESENCE_TIMEOUT;
 }
 
+/**
+ * How long a typing indicator stays alive without a refresh (6 seconds)
+ */
+export const TYPING_TIMEOUT = 6 * 1000;
+
 // ==========================================
 // Phase 8: Security Helpers
 // ==========================================
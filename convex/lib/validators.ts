@@ -14,7 +14,8 @@ export const messageTypeValidator = v.union(
   v.literal('text'),
   v.literal('file'),
   v.literal('system'),
-  v.literal('call')
+  v.literal('call'),
+  v.literal('poll')
 );
 
 // Call type validator
@@ -44,6 +45,7 @@ export const meetingRequestStatusValidator = v.union(
 // Notification type validator
 export const notificationTypeValidator = v.union(
   v.literal('message'),
+  v.literal('mention'),
   v.literal('call'),
   v.literal('meeting_request'),
   v.literal('meeting_response'),
@@ -74,6 +76,9 @@ export const MAX_LENGTHS = {
   NOTIFICATION_BODY: 1000,
   EVENT_TITLE: 200,
   EVENT_DESCRIPTION: 2000,
+  REACTION_EMOJI: 16,
+  POLL_QUESTION: 300,
+  POLL_OPTION: 100,
 } as const;
 
 /**
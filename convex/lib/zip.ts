@@ -0,0 +1,222 @@
+/**
+ * Minimal ZIP support for chat exports and imports. The writer stores
+ * entries uncompressed (attachments are mostly media that is already
+ * compressed); the reader handles stored and deflated entries. There is no
+ * ZIP64 support, so archives are limited to 4 GB and 65,535 entries.
+ */
+
+export type ZipEntry = {
+  // Path inside the archive, with forward slashes
+  path: string;
+  data: Uint8Array;
+  modifiedAt?: number;
+};
+
+const MAX_ZIP_ENTRIES = 0xffff;
+const MAX_ZIP_BYTES = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum as used by ZIP and gzip
+ */
+export function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Timestamp in MS-DOS date/time format (UTC, two-second resolution)
+ */
+function toDosDateTime(timestamp: number): { time: number; date: number } {
+  const d = new Date(timestamp);
+  const year = Math.max(d.getUTCFullYear(), 1980);
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive from a list of entries
+ */
+export function createZip(entries: ZipEntry[], now = Date.now()): Uint8Array {
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error('Too many files for one archive');
+  }
+
+  const encoder = new TextEncoder();
+  const localParts: Uint8Array[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const crc = crc32(entry.data);
+    const { time, date } = toDosDateTime(entry.modifiedAt ?? now);
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true); // Version needed to extract
+    localView.setUint16(6, 0x0800, true); // UTF-8 file names
+    localView.setUint16(8, 0, true); // Stored
+    localView.setUint16(10, time, true);
+    localView.setUint16(12, date, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, entry.data.length, true);
+    localView.setUint32(22, entry.data.length, true);
+    localView.setUint16(26, name.length, true);
+    localView.setUint16(28, 0, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true); // Version made by
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(10, 0, true);
+    centralView.setUint16(12, time, true);
+    centralView.setUint16(14, date, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, entry.data.length, true);
+    centralView.setUint32(24, entry.data.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true); // Local header offset
+    central.set(name, 46);
+
+    localParts.push(local, entry.data);
+    centralParts.push(central);
+    offset += local.length + entry.data.length;
+
+    if (offset > MAX_ZIP_BYTES) {
+      throw new Error('Archive is too large');
+    }
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true); // Central directory offset
+
+  const archive = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  for (const part of [...localParts, ...centralParts, end]) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
+
+/**
+ * An entry listed in an archive's central directory
+ */
+export type ZipDirectoryEntry = {
+  path: string;
+  // 0 = stored, 8 = deflated
+  method: number;
+  compressedSize: number;
+  size: number;
+  crc: number;
+  localHeaderOffset: number;
+};
+
+/**
+ * List the entries of a ZIP archive (directories are left out)
+ */
+export function readZipDirectory(archive: Uint8Array): ZipDirectoryEntry[] {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+
+  // The end record sits at the very end, after an optional comment
+  let end = -1;
+  for (let i = archive.length - 22; i >= Math.max(0, archive.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries: ZipDirectoryEntry[] = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > archive.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP archive');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const path = decoder.decode(archive.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (!path.endsWith('/')) {
+      entries.push({
+        path,
+        method: view.getUint16(offset + 10, true),
+        crc: view.getUint32(offset + 16, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localHeaderOffset: view.getUint32(offset + 42, true),
+      });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract one entry's contents. Deflated data is passed to inflateRaw
+ * (e.g. zlib.inflateRawSync in Node actions).
+ */
+export function readZipEntry(
+  archive: Uint8Array,
+  entry: ZipDirectoryEntry,
+  inflateRaw: (data: Uint8Array) => Uint8Array
+): Uint8Array {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const header = entry.localHeaderOffset;
+  if (view.getUint32(header, true) !== 0x04034b50) {
+    throw new Error(`Corrupt ZIP entry: ${entry.path}`);
+  }
+
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const raw = archive.subarray(start, start + entry.compressedSize);
+
+  let data: Uint8Array;
+  if (entry.method === 0) {
+    data = raw;
+  } else if (entry.method === 8) {
+    data = inflateRaw(raw);
+  } else {
+    throw new Error(`Unsupported compression in ZIP entry: ${entry.path}`);
+  }
+
+  if (data.length !== entry.size || crc32(data) !== entry.crc) {
+    throw new Error(`Corrupt ZIP entry: ${entry.path}`);
+  }
+  return data;
+}
@@ -0,0 +1,76 @@
+import { v } from 'convex/values';
+import { internalMutation } from './_generated/server';
+import { getCurrentTimestamp } from './lib/utils';
+import {
+  LINK_PREVIEW_TTL,
+  LINK_PREVIEW_FAILURE_TTL,
+  LINK_PREVIEW_RETENTION,
+} from './lib/linkPreviews';
+
+/**
+ * Store the result of an unfurl. Omitting title records a failed fetch,
+ * which keeps any previously fetched metadata but retries sooner.
+ */
+export const savePreview = internalMutation({
+  args: {
+    url: v.string(),
+    title: v.optional(v.string()),
+    description: v.optional(v.string()),
+    imageUrl: v.optional(v.string()),
+    siteName: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const now = getCurrentTimestamp();
+    const existing = await ctx.db
+      .query('linkPreviews')
+      .withIndex('by_url', (q) => q.eq('url', args.url))
+      .first();
+
+    const fields = args.title
+      ? {
+          status: 'ready' as const,
+          title: args.title,
+          description: args.description,
+          imageUrl: args.imageUrl,
+          siteName: args.siteName,
+          fetchedAt: now,
+          expiresAt: now + LINK_PREVIEW_TTL,
+        }
+      : {
+          status: 'failed' as const,
+          expiresAt: now + LINK_PREVIEW_FAILURE_TTL,
+        };
+
+    if (existing) {
+      await ctx.db.patch(existing._id, fields);
+      return existing._id;
+    }
+
+    return await ctx.db.insert('linkPreviews', {
+      url: args.url,
+      fetchedAt: now,
+      ...fields,
+    });
+  },
+});
+
+/**
+ * Delete previews that have not been refreshed within the retention window (run by cron)
+ */
+export const cleanupStalePreviews = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const stalePreviews = await ctx.db
+      .query('linkPreviews')
+      .withIndex('by_fetched', (q) =>
+        q.lt('fetchedAt', getCurrentTimestamp() - LINK_PREVIEW_RETENTION)
+      )
+      .collect();
+
+    for (const preview of stalePreviews) {
+      await ctx.db.delete(preview._id);
+    }
+
+    return stalePreviews.length;
+  },
+});
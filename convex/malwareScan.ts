@@ -0,0 +1,48 @@
+"use node";
+
+import { v } from 'convex/values';
+import { internalAction } from './_generated/server';
+import { internal } from './_generated/api';
+import { getConfiguredScanner } from './lib/malwareScanners';
+
+/**
+ * Scan an uploaded file with the configured scanner and record the verdict
+ * (internal action – scheduled when a file message is saved).
+ * Runs in Node runtime so the ClamAV scanner can open a TCP socket.
+ */
+export const scanFile = internalAction({
+  args: {
+    storageId: v.id('_storage'),
+  },
+  handler: async (ctx, args) => {
+    const blob = await ctx.storage.get(args.storageId);
+    if (!blob) {
+      return { ok: false }; // Deleted before we got to it
+    }
+
+    const scanner = getConfiguredScanner();
+    try {
+      const result = await scanner.scan(new Uint8Array(await blob.arrayBuffer()));
+      await ctx.runMutation(internal.files.saveScanResult, {
+        storageId: args.storageId,
+        scanner: scanner.name,
+        status: result.status,
+        signature: result.signature,
+      });
+      return { ok: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn('[malwareScan] Scan failed', {
+        storageId: args.storageId,
+        scanner: scanner.name,
+        error: message,
+      });
+      await ctx.runMutation(internal.files.saveScanResult, {
+        storageId: args.storageId,
+        scanner: scanner.name,
+        error: message,
+      });
+      return { ok: false };
+    }
+  },
+});
@@ -1,21 +1,57 @@
 import { v } from 'convex/values';
-import { mutation, query } from './_generated/server';
+import { mutation, query, internalMutation } from './_generated/server';
+import { internal } from './_generated/api';
 import { paginationOptsValidator } from 'convex/server';
 import { getAuthUserId } from './lib/auth';
-import { internal } from './_generated/api';
-import { getCurrentTimestamp } from './lib/utils';
-import { messageTypeValidator } from './lib/validators';
+import { Id } from './_generated/dataModel';
+import { getCurrentTimestamp, MAX_PAGE_SIZE } from './lib/utils';
+import {
+  MAX_LENGTHS,
+  messageTypeValidator,
+  validateStringLength,
+} from './lib/validators';
+import { getThreadRepliers, refreshThreadStats } from './lib/threads';
+import { getReactionSummary } from './lib/reactions';
+import {
+  getMentionedUsers,
+  getGroupMentionRecipients,
+  getMentionsInContent,
+} from './lib/mentions';
+import {
+  extractLinkUrls,
+  scheduleLinkPreviews,
+  getLinkPreviews,
+} from './lib/linkPreviews';
+import { deliverMessage } from './lib/delivery';
+import { getForwardedFrom, MAX_FORWARD_TARGETS } from './lib/forwarding';
+import { getReplyPreview } from './lib/replies';
+import { getPollSummary } from './lib/polls';
+import { getAttachmentDrafts, getMessageAttachments } from './lib/attachments';
+import { getScanStatus } from './lib/scanning';
+import { isMessageSaved } from './lib/savedMessages';
+import { EXPIRED_MESSAGE_BATCH_SIZE } from './lib/disappearing';
+import { purgeMessage } from './lib/purge';
+import { getHeldGroupIds } from './lib/retention';
+
+/**
+ * Default number of search hits returned by searchMessages
+ */
+const DEFAULT_SEARCH_LIMIT = 20;
 
 /**
- * Send a message to a direct conversation or group
+ * Send a message to a direct conversation or group.
+ * Pass parentMessageId to post the message as a thread reply.
  */
 export const sendMessage = mutation({
   args: {
     content: v.string(),
     conversationId: v.optional(v.id('directConversations')),
     groupId: v.optional(v.id('groups')),
+    parentMessageId: v.optional(v.id('messages')),
+    // Quote-reply to a message in the same chat/thread
+    replyToMessageId: v.optional(v.id('messages')),
     type: v.optional(messageTypeValidator),
-    // File attachment fields
+    // No longer accepted; kept so older clients get a clear error
     fileId: v.optional(v.id('_storage')),
     fileName: v.optional(v.string()),
     fileType: v.optional(v.string()),
@@ -34,165 +70,136 @@ export const sendMessage = mutation({
       throw new Error('User not found');
     }
 
-    // Validate that exactly one target is specified
-    if (!args.conversationId && !args.groupId) {
-      throw new Error('Must specify either conversationId or groupId');
+    // Polls carry options and settings; they're created through createPoll
+    if (args.type === 'poll') {
+      throw new Error('Use createPoll to create a poll');
     }
-    if (args.conversationId && args.groupId) {
-      throw new Error('Cannot specify both conversationId and groupId');
+
+    // Files must be verified, scanned and charged, so they're posted
+    // through files.saveFileMessage or files.saveAttachmentMessage
+    if (
+      args.type === 'file' ||
+      args.fileId !== undefined ||
+      args.fileName !== undefined ||
+      args.fileType !== undefined ||
+      args.fileSize !== undefined
+    ) {
+      throw new Error('Use saveAttachmentMessage to send files');
     }
 
-    const now = getCurrentTimestamp();
-    const messageType = args.type ?? 'text';
+    return await deliverMessage(ctx, currentUser, args);
+  },
+});
 
-    // Validate content for text messages
-    if (messageType === 'text' && args.content.trim().length === 0) {
-      throw new Error('Message content cannot be empty');
+/**
+ * Forward a text or file message to one or more DMs and/or groups.
+ * File messages share the original storage object rather than copying it.
+ */
+export const forwardMessage = mutation({
+  args: {
+    messageId: v.id('messages'),
+    conversationIds: v.optional(v.array(v.id('directConversations'))),
+    groupIds: v.optional(v.array(v.id('groups'))),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
     }
 
-    // Verify access to conversation or group
-    if (args.conversationId) {
-      const conversation = await ctx.db.get(args.conversationId);
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message || message.isDeleted) {
+      throw new Error('Message not found');
+    }
+
+    if (message.type !== 'text' && message.type !== 'file') {
+      throw new Error('Only text and file messages can be forwarded');
+    }
+
+    // Verify read access to the source message
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
-      // Verify user is a participant
       if (
         conversation.participant1Id !== currentUser._id &&
         conversation.participant2Id !== currentUser._id
       ) {
-        throw new Error('Not authorized to send messages in this conversation');
-      }
-
-      // Create message
-      const messageId = await ctx.db.insert('messages', {
-        senderId: currentUser._id,
-        content: args.content,
-        conversationId: args.conversationId,
-        type: messageType,
-        fileId: args.fileId,
-        fileName: args.fileName,
-        fileType: args.fileType,
-        fileSize: args.fileSize,
-        isDeleted: false,
-        createdAt: now,
-      });
-
-      // Update conversation's last message time
-      await ctx.db.patch(args.conversationId, {
-        lastMessageAt: now,
-      });
-
-      // Notify the other participant (in-app + push)
-      const recipientId =
-        conversation.participant1Id === currentUser._id
-          ? conversation.participant2Id
-          : conversation.participant1Id;
-      const senderName = currentUser.name ?? currentUser.email ?? 'Someone';
-      const messagePreview =
-        messageType === 'file'
-          ? (args.fileName ?? 'Sent a file')
-          : args.content;
-      const pushTitle = `New message from ${senderName}`;
-      const pushUrl = `/conversation/${args.conversationId}`;
-
-      await ctx.scheduler.runAfter(0, internal.notifications.notifyNewMessage, {
-        recipientId,
-        senderName,
-        messagePreview,
-        conversationId: args.conversationId,
-      });
-      await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
-        userId: recipientId,
-        title: pushTitle,
-        body: messagePreview.length > 100 ? messagePreview.slice(0, 97) + '...' : messagePreview,
-        url: pushUrl,
-      });
-
-      return messageId;
-    }
-
-    if (args.groupId) {
-      const group = await ctx.db.get(args.groupId);
-      if (!group) {
-        throw new Error('Group not found');
+        throw new Error('Not authorized to view this message');
       }
-
-      // Verify user is a member
+    } else if (message.groupId) {
       const membership = await ctx.db
         .query('groupMembers')
         .withIndex('by_group_and_user', (q) =>
-          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
         )
         .first();
 
       if (!membership) {
         throw new Error('Not a member of this group');
       }
+    }
 
-      // Create message
-      const messageId = await ctx.db.insert('messages', {
-        senderId: currentUser._id,
-        content: args.content,
-        groupId: args.groupId,
-        type: messageType,
-        fileId: args.fileId,
-        fileName: args.fileName,
-        fileType: args.fileType,
-        fileSize: args.fileSize,
-        isDeleted: false,
-        createdAt: now,
-      });
+    const conversationIds = [...new Set(args.conversationIds ?? [])];
+    const groupIds = [...new Set(args.groupIds ?? [])];
+    const targetCount = conversationIds.length + groupIds.length;
 
-      // Update group's last message time
-      await ctx.db.patch(args.groupId, {
-        lastMessageAt: now,
-      });
+    if (targetCount === 0) {
+      throw new Error('Select at least one chat to forward to');
+    }
+    if (targetCount > MAX_FORWARD_TARGETS) {
+      throw new Error(
+        `Cannot forward to more than ${MAX_FORWARD_TARGETS} chats at once`
+      );
+    }
 
-      // Notify all other group members (in-app + push)
-      const members = await ctx.db
-        .query('groupMembers')
-        .withIndex('by_group', (q) => q.eq('groupId', args.groupId!))
-        .collect();
-      const senderName = currentUser.name ?? currentUser.email ?? 'Someone';
-      const messagePreview =
-        messageType === 'file'
-          ? (args.fileName ?? 'Sent a file')
-          : args.content;
-      const pushTitle = `New message in ${group.name}`;
-      const pushUrl = `/group/${args.groupId}`;
-      const pushBody =
-        messagePreview.length > 100
-          ? messagePreview.slice(0, 97) + '...'
-          : messagePreview;
-
-      for (const member of members) {
-        if (member.userId === currentUser._id) continue;
-        await ctx.scheduler.runAfter(0, internal.notifications.notifyNewMessage, {
-          recipientId: member.userId,
-          senderName,
-          messagePreview,
-          groupId: args.groupId,
-          groupName: group.name,
-        });
-        await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
-          userId: member.userId,
-          title: pushTitle,
-          body: pushBody,
-          url: pushUrl,
-        });
+    const attachments =
+      message.type === 'file' ? await getAttachmentDrafts(ctx, message) : undefined;
+
+    for (const attachment of attachments ?? []) {
+      if ((await getScanStatus(ctx, attachment.storageId)) === 'infected') {
+        throw new Error('This message contains a blocked file and cannot be forwarded');
       }
+    }
 
-      return messageId;
+    // Copies land top-level without mentions; write access is verified per
+    // target by deliverMessage, and any failure aborts the whole forward
+    const draft = {
+      content: message.content,
+      type: message.type,
+      attachments,
+      forwardedFromMessageId: message.forwardedFromMessageId ?? message._id,
+      forwardedFromUserId: message.forwardedFromUserId ?? message.senderId,
+    };
+
+    const messageIds: Id<'messages'>[] = [];
+    for (const conversationId of conversationIds) {
+      messageIds.push(
+        await deliverMessage(ctx, currentUser, { ...draft, conversationId })
+      );
+    }
+    for (const groupId of groupIds) {
+      messageIds.push(
+        await deliverMessage(ctx, currentUser, { ...draft, groupId })
+      );
     }
 
-    throw new Error('Invalid message target');
+    return messageIds;
   },
 });
 
 /**
- * List messages for a conversation or group with pagination
+ * List messages for a conversation or group with pagination.
+ * Thread replies are excluded; use listThreadReplies for those.
  */
 export const listMessages = query({
   args: {
@@ -238,6 +245,7 @@ export const listMessages = query({
         .withIndex('by_conversation', (q) =>
           q.eq('conversationId', args.conversationId)
         )
+        .filter((q) => q.eq(q.field('parentMessageId'), undefined))
         .order('desc')
         .paginate(args.paginationOpts);
 
@@ -255,6 +263,15 @@ export const listMessages = query({
                   avatarUrl: sender.avatarUrl,
                 }
               : null,
+            threadRepliers: await getThreadRepliers(ctx, msg),
+            reactions: await getReactionSummary(ctx, msg._id, currentUser._id),
+            mentions: await getMentionedUsers(ctx, msg, currentUser._id),
+            linkPreviews: await getLinkPreviews(ctx, msg),
+            forwardedFrom: await getForwardedFrom(ctx, msg),
+            replyTo: await getReplyPreview(ctx, msg),
+            poll: await getPollSummary(ctx, msg, currentUser._id),
+            attachments: await getMessageAttachments(ctx, msg),
+            isSaved: await isMessageSaved(ctx, msg._id, currentUser._id),
           };
         })
       );
@@ -287,6 +304,7 @@ export const listMessages = query({
       const messages = await ctx.db
         .query('messages')
         .withIndex('by_group', (q) => q.eq('groupId', args.groupId))
+        .filter((q) => q.eq(q.field('parentMessageId'), undefined))
         .order('desc')
         .paginate(args.paginationOpts);
 
@@ -304,6 +322,15 @@ export const listMessages = query({
                   avatarUrl: sender.avatarUrl,
                 }
               : null,
+            threadRepliers: await getThreadRepliers(ctx, msg),
+            reactions: await getReactionSummary(ctx, msg._id, currentUser._id),
+            mentions: await getMentionedUsers(ctx, msg, currentUser._id),
+            linkPreviews: await getLinkPreviews(ctx, msg),
+            forwardedFrom: await getForwardedFrom(ctx, msg),
+            replyTo: await getReplyPreview(ctx, msg),
+            poll: await getPollSummary(ctx, msg, currentUser._id),
+            attachments: await getMessageAttachments(ctx, msg),
+            isSaved: await isMessageSaved(ctx, msg._id, currentUser._id),
           };
         })
       );
@@ -318,6 +345,355 @@ export const listMessages = query({
   },
 });
 
+/**
+ * Get a single message with sender info (e.g. the parent of an open thread)
+ */
+export const getMessage = query({
+  args: {
+    messageId: v.id('messages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message) {
+      return null;
+    }
+
+    // Verify access
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+    } else if (message.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+    }
+
+    const sender = await ctx.db.get(message.senderId);
+    return {
+      ...message,
+      sender: sender
+        ? {
+            _id: sender._id,
+            name: sender.name,
+            email: sender.email,
+            avatarUrl: sender.avatarUrl,
+          }
+        : null,
+      threadRepliers: await getThreadRepliers(ctx, message),
+      reactions: await getReactionSummary(ctx, message._id, currentUser._id),
+      mentions: await getMentionedUsers(ctx, message, currentUser._id),
+      linkPreviews: await getLinkPreviews(ctx, message),
+      forwardedFrom: await getForwardedFrom(ctx, message),
+      replyTo: await getReplyPreview(ctx, message),
+      poll: await getPollSummary(ctx, message, currentUser._id),
+      attachments: await getMessageAttachments(ctx, message),
+      isSaved: await isMessageSaved(ctx, message._id, currentUser._id),
+    };
+  },
+});
+
+/**
+ * List replies in a message thread with pagination (newest first, like listMessages)
+ */
+export const listThreadReplies = query({
+  args: {
+    parentMessageId: v.id('messages'),
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const parent = await ctx.db.get(args.parentMessageId);
+    if (!parent) {
+      throw new Error('Parent message not found');
+    }
+
+    // Verify access to the chat the thread lives in
+    if (parent.conversationId) {
+      const conversation = await ctx.db.get(parent.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized to view this conversation');
+      }
+    } else if (parent.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', parent.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+    }
+
+    const replies = await ctx.db
+      .query('messages')
+      .withIndex('by_parent', (q) =>
+        q.eq('parentMessageId', args.parentMessageId)
+      )
+      .order('desc')
+      .paginate(args.paginationOpts);
+
+    // Enrich with sender info
+    const enrichedReplies = await Promise.all(
+      replies.page.map(async (msg) => {
+        const sender = await ctx.db.get(msg.senderId);
+        return {
+          ...msg,
+          sender: sender
+            ? {
+                _id: sender._id,
+                name: sender.name,
+                email: sender.email,
+                avatarUrl: sender.avatarUrl,
+              }
+            : null,
+          reactions: await getReactionSummary(ctx, msg._id, currentUser._id),
+          mentions: await getMentionedUsers(ctx, msg, currentUser._id),
+          linkPreviews: await getLinkPreviews(ctx, msg),
+          forwardedFrom: await getForwardedFrom(ctx, msg),
+          replyTo: await getReplyPreview(ctx, msg),
+          poll: await getPollSummary(ctx, msg, currentUser._id),
+          attachments: await getMessageAttachments(ctx, msg),
+          isSaved: await isMessageSaved(ctx, msg._id, currentUser._id),
+        };
+      })
+    );
+
+    return {
+      ...replies,
+      page: enrichedReplies,
+    };
+  },
+});
+
+/**
+ * Full-text search over messages the current user can access.
+ * Optionally scoped to one conversation or group; hits are newest first.
+ */
+export const searchMessages = query({
+  args: {
+    searchTerm: v.string(),
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    limit: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const searchTerm = args.searchTerm.trim();
+    if (searchTerm.length === 0) {
+      return [];
+    }
+
+    const limit = Math.min(args.limit ?? DEFAULT_SEARCH_LIMIT, MAX_PAGE_SIZE);
+
+    // Collect the chats the user may read; search runs per chat so results
+    // can never include messages from chats the user is not part of
+    const chats: {
+      conversationId?: Id<'directConversations'>;
+      groupId?: Id<'groups'>;
+      name: string;
+    }[] = [];
+
+    const getConversationName = async (conversation: {
+      participant1Id: Id<'users'>;
+      participant2Id: Id<'users'>;
+    }) => {
+      const otherUserId =
+        conversation.participant1Id === currentUser._id
+          ? conversation.participant2Id
+          : conversation.participant1Id;
+      const otherUser = await ctx.db.get(otherUserId);
+      return otherUser?.name ?? otherUser?.email ?? 'Unknown';
+    };
+
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      chats.push({
+        conversationId: conversation._id,
+        name: await getConversationName(conversation),
+      });
+    } else if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) {
+        throw new Error('Group not found');
+      }
+
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+
+      chats.push({ groupId: group._id, name: group.name });
+    } else {
+      const conversationsAsP1 = await ctx.db
+        .query('directConversations')
+        .withIndex('by_participant1', (q) =>
+          q.eq('participant1Id', currentUser._id)
+        )
+        .collect();
+      const conversationsAsP2 = await ctx.db
+        .query('directConversations')
+        .withIndex('by_participant2', (q) =>
+          q.eq('participant2Id', currentUser._id)
+        )
+        .collect();
+
+      for (const conversation of [...conversationsAsP1, ...conversationsAsP2]) {
+        chats.push({
+          conversationId: conversation._id,
+          name: await getConversationName(conversation),
+        });
+      }
+
+      const memberships = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_user', (q) => q.eq('userId', currentUser._id))
+        .collect();
+
+      for (const membership of memberships) {
+        const group = await ctx.db.get(membership.groupId);
+        if (group) {
+          chats.push({ groupId: group._id, name: group.name });
+        }
+      }
+    }
+
+    const hits = [];
+
+    for (const chat of chats) {
+      const results = chat.conversationId
+        ? await ctx.db
+            .query('messages')
+            .withSearchIndex('search_content', (q) =>
+              q
+                .search('content', searchTerm)
+                .eq('conversationId', chat.conversationId)
+                .eq('isDeleted', false)
+            )
+            .take(limit)
+        : await ctx.db
+            .query('messages')
+            .withSearchIndex('search_content', (q) =>
+              q
+                .search('content', searchTerm)
+                .eq('groupId', chat.groupId)
+                .eq('isDeleted', false)
+            )
+            .take(limit);
+
+      for (const msg of results) {
+        if (msg.type !== 'text' && msg.type !== 'file') continue;
+        hits.push({ message: msg, chat });
+      }
+    }
+
+    const topHits = hits
+      .sort((a, b) => b.message.createdAt - a.message.createdAt)
+      .slice(0, limit);
+
+    // Enrich with sender info
+    return await Promise.all(
+      topHits.map(async ({ message, chat }) => {
+        const sender = await ctx.db.get(message.senderId);
+        return {
+          _id: message._id,
+          content: message.content,
+          type: message.type,
+          fileName: message.fileName,
+          createdAt: message.createdAt,
+          parentMessageId: message.parentMessageId,
+          conversationId: message.conversationId,
+          groupId: message.groupId,
+          chatName: chat.name,
+          sender: sender
+            ? {
+                _id: sender._id,
+                name: sender.name,
+                email: sender.email,
+                avatarUrl: sender.avatarUrl,
+              }
+            : null,
+        };
+      })
+    );
+  },
+});
+
 /**
  * Pin or unpin a message
  */
@@ -404,6 +780,164 @@ export const pinMessage = mutation({
   },
 });
 
+/**
+ * Add an emoji reaction to a message
+ */
+export const addReaction = mutation({
+  args: {
+    messageId: v.id('messages'),
+    emoji: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const emoji = args.emoji.trim();
+    if (emoji.length === 0) {
+      throw new Error('Reaction cannot be empty');
+    }
+    validateStringLength(emoji, MAX_LENGTHS.REACTION_EMOJI, 'Reaction');
+
+    // Get the message
+    const message = await ctx.db.get(args.messageId);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    if (message.isDeleted) {
+      throw new Error('Cannot react to a deleted message');
+    }
+
+    // Verify access
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+    } else if (message.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+    }
+
+    // Check if already reacted with this emoji
+    const existingReaction = await ctx.db
+      .query('messageReactions')
+      .withIndex('by_message_user_and_emoji', (q) =>
+        q
+          .eq('messageId', args.messageId)
+          .eq('userId', currentUser._id)
+          .eq('emoji', emoji)
+      )
+      .first();
+
+    if (existingReaction) {
+      return existingReaction._id; // Already reacted
+    }
+
+    return await ctx.db.insert('messageReactions', {
+      messageId: args.messageId,
+      userId: currentUser._id,
+      emoji,
+      createdAt: getCurrentTimestamp(),
+    });
+  },
+});
+
+/**
+ * Remove the current user's emoji reaction from a message
+ */
+export const removeReaction = mutation({
+  args: {
+    messageId: v.id('messages'),
+    emoji: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Get the message
+    const message = await ctx.db.get(args.messageId);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    // Verify access
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+    } else if (message.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+    }
+
+    const reaction = await ctx.db
+      .query('messageReactions')
+      .withIndex('by_message_user_and_emoji', (q) =>
+        q
+          .eq('messageId', args.messageId)
+          .eq('userId', currentUser._id)
+          .eq('emoji', args.emoji.trim())
+      )
+      .first();
+
+    if (reaction) {
+      await ctx.db.delete(reaction._id);
+    }
+
+    return null;
+  },
+});
+
 /**
  * Get pinned messages for a conversation or group
  */
@@ -546,6 +1080,11 @@ export const deleteMessage = mutation({
       updatedAt: getCurrentTimestamp(),
     });
 
+    // A deleted reply no longer counts towards its thread
+    if (message.parentMessageId && !message.isDeleted) {
+      await refreshThreadStats(ctx, message.parentMessageId);
+    }
+
     // Remove any pins on this message
     const pins = await ctx.db
       .query('pinnedMessages')
@@ -556,12 +1095,35 @@ export const deleteMessage = mutation({
       await ctx.db.delete(pin._id);
     }
 
+    // Remove reactions on this message
+    const reactions = await ctx.db
+      .query('messageReactions')
+      .withIndex('by_message', (q) => q.eq('messageId', args.messageId))
+      .collect();
+
+    for (const reaction of reactions) {
+      await ctx.db.delete(reaction._id);
+    }
+
+    // Remove poll votes (options stay so the row still describes the poll)
+    if (message.type === 'poll') {
+      const votes = await ctx.db
+        .query('pollVotes')
+        .withIndex('by_message', (q) => q.eq('messageId', args.messageId))
+        .collect();
+
+      for (const vote of votes) {
+        await ctx.db.delete(vote._id);
+      }
+    }
+
     return args.messageId;
   },
 });
 
 /**
- * Edit a message (sender only, text messages only)
+ * Edit a message (sender only, text messages only). Mentions are re-read
+ * from the new text and newly mentioned members are notified.
  */
 export const editMessage = mutation({
   args: {
@@ -607,11 +1169,185 @@ export const editMessage = mutation({
       throw new Error('Message content cannot be empty');
     }
 
+    // No-op edits don't create a revision
+    if (args.content === message.content) {
+      return args.messageId;
+    }
+
+    const now = getCurrentTimestamp();
+    const linkUrls = extractLinkUrls(args.content);
+
+    // Keep the previous version for the edit history
+    await ctx.db.insert('messageRevisions', {
+      messageId: args.messageId,
+      content: message.content,
+      writtenAt: message.updatedAt ?? message.createdAt,
+      editedBy: currentUser._id,
+      editedAt: now,
+    });
+
+    // Mentions follow the edited text
+    const mentionedUserIds = message.groupId
+      ? await getGroupMentionRecipients(
+          ctx,
+          message.groupId,
+          currentUser._id,
+          await getMentionsInContent(ctx, message.groupId, args.content)
+        )
+      : [];
+
     await ctx.db.patch(args.messageId, {
       content: args.content,
-      updatedAt: getCurrentTimestamp(),
+      mentionedUserIds: mentionedUserIds.length > 0 ? mentionedUserIds : undefined,
+      linkUrls: linkUrls.length > 0 ? linkUrls : undefined,
+      updatedAt: now,
     });
 
+    await scheduleLinkPreviews(ctx, linkUrls);
+
+    // Only people the edit adds are notified
+    const addedUserIds = mentionedUserIds.filter(
+      (id) => !message.mentionedUserIds?.includes(id)
+    );
+    const group = message.groupId ? await ctx.db.get(message.groupId) : null;
+    if (group && addedUserIds.length > 0) {
+      const senderName = currentUser.name ?? currentUser.email ?? 'Someone';
+      for (const recipientId of addedUserIds) {
+        await ctx.scheduler.runAfter(0, internal.notifications.notifyMention, {
+          recipientId,
+          senderName,
+          messagePreview: args.content,
+          groupId: group._id,
+          groupName: group.name,
+          messageId: message._id,
+        });
+        await ctx.scheduler.runAfter(0, internal.push.sendPushNotification, {
+          userId: recipientId,
+          title: `${senderName} mentioned you in ${group.name}`,
+          body: args.content.length > 100 ? args.content.slice(0, 97) + '...' : args.content,
+          url: `/group/${group._id}`,
+        });
+      }
+    }
+
     return args.messageId;
   },
 });
+
+/**
+ * Get the edit history of a message: prior revisions (oldest first) plus
+ * the current version. Same access rules as listMessages.
+ */
+export const getMessageHistory = query({
+  args: {
+    messageId: v.id('messages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message) {
+      return null;
+    }
+
+    // Verify access
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
+      if (
+        !conversation ||
+        (conversation.participant1Id !== currentUser._id &&
+          conversation.participant2Id !== currentUser._id)
+      ) {
+        throw new Error('Not authorized to view this conversation');
+      }
+    } else if (message.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+    }
+
+    // History of deleted messages stays hidden like their content
+    if (message.isDeleted) {
+      return null;
+    }
+
+    const revisions = await ctx.db
+      .query('messageRevisions')
+      .withIndex('by_message', (q) => q.eq('messageId', args.messageId))
+      .order('asc')
+      .collect();
+
+    return {
+      messageId: message._id,
+      revisions: revisions.map((revision) => ({
+        _id: revision._id,
+        content: revision.content,
+        writtenAt: revision.writtenAt,
+        editedAt: revision.editedAt,
+      })),
+      current: {
+        content: message.content,
+        writtenAt: message.updatedAt ?? message.createdAt,
+      },
+    };
+  },
+});
+
+/**
+ * Permanently delete disappearing messages whose timer has run out
+ * (internal – run by a cron job). Works in batches, rescheduling itself
+ * until it has been through every expired message. Messages in groups
+ * under legal hold are skipped and go on a later run once the hold is released.
+ */
+export const deleteExpiredMessages = internalMutation({
+  args: {
+    cursor: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args) => {
+    const batch = await ctx.db
+      .query('messages')
+      .withIndex('by_expiry', (q) =>
+        q.gte('expiresAt', 0).lte('expiresAt', getCurrentTimestamp())
+      )
+      .paginate({ numItems: EXPIRED_MESSAGE_BATCH_SIZE, cursor: args.cursor ?? null });
+    const heldGroupIds = await getHeldGroupIds(ctx);
+
+    let deleted = 0;
+    for (const { _id } of batch.page) {
+      // Replies go with their parent, possibly earlier in this batch
+      const message = await ctx.db.get(_id);
+      if (!message) continue;
+
+      // A legal hold overrides the chat's timer
+      if (message.groupId && heldGroupIds.has(message.groupId)) continue;
+
+      await purgeMessage(ctx, message);
+      deleted++;
+    }
+
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.messages.deleteExpiredMessages, {
+        cursor: batch.continueCursor,
+      });
+    }
+
+    return deleted;
+  },
+});
@@ -279,8 +279,14 @@ export const notifyNewMessage = internalMutation({
     conversationId: v.optional(v.id('directConversations')),
     groupId: v.optional(v.id('groups')),
     groupName: v.optional(v.string()),
+    messageId: v.optional(v.id('messages')),
   },
   handler: async (ctx, args) => {
+    // Purged (e.g. expired) before this ran
+    if (args.messageId && !(await ctx.db.get(args.messageId))) {
+      return;
+    }
+
     const title = args.groupName
       ? `New message in ${args.groupName}`
       : `New message from ${args.senderName}`;
@@ -296,6 +302,43 @@ export const notifyNewMessage = internalMutation({
       body,
       referenceId: args.conversationId ?? args.groupId,
       referenceType: args.conversationId ? 'conversation' : 'group',
+      messageId: args.messageId,
+      isRead: false,
+      createdAt: getCurrentTimestamp(),
+    });
+  },
+});
+
+/**
+ * Helper to notify user that they were @mentioned in a group.
+ * Sent instead of the generic new-message notification for that user.
+ */
+export const notifyMention = internalMutation({
+  args: {
+    recipientId: v.id('users'),
+    senderName: v.string(),
+    messagePreview: v.string(),
+    groupId: v.id('groups'),
+    groupName: v.string(),
+    messageId: v.optional(v.id('messages')),
+  },
+  handler: async (ctx, args) => {
+    if (args.messageId && !(await ctx.db.get(args.messageId))) {
+      return;
+    }
+
+    const body = args.messagePreview.length > 100
+      ? args.messagePreview.substring(0, 100) + '...'
+      : args.messagePreview;
+
+    await ctx.db.insert('notifications', {
+      userId: args.recipientId,
+      type: 'mention',
+      title: `${args.senderName} mentioned you in ${args.groupName}`,
+      body,
+      referenceId: args.groupId,
+      referenceType: 'group',
+      messageId: args.messageId,
       isRead: false,
       createdAt: getCurrentTimestamp(),
     });
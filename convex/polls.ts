@@ -0,0 +1,209 @@
+import { v } from 'convex/values';
+import { mutation } from './_generated/server';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+import { MAX_LENGTHS, validateStringLength } from './lib/validators';
+import { deliverMessage } from './lib/delivery';
+import { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS } from './lib/polls';
+
+/**
+ * Post a poll to a group. The question becomes the message content and
+ * each option gets a pollOptions row.
+ */
+export const createPoll = mutation({
+  args: {
+    groupId: v.id('groups'),
+    parentMessageId: v.optional(v.id('messages')),
+    question: v.string(),
+    options: v.array(v.string()),
+    allowMultiple: v.optional(v.boolean()),
+    isAnonymous: v.optional(v.boolean()),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const question = args.question.trim();
+    if (question.length === 0) {
+      throw new Error('Poll question cannot be empty');
+    }
+    validateStringLength(question, MAX_LENGTHS.POLL_QUESTION, 'Poll question');
+
+    const options = args.options.map((option) => option.trim());
+    if (options.some((option) => option.length === 0)) {
+      throw new Error('Poll options cannot be empty');
+    }
+    for (const option of options) {
+      validateStringLength(option, MAX_LENGTHS.POLL_OPTION, 'Poll option');
+    }
+    if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+      throw new Error(
+        `Polls need between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`
+      );
+    }
+    if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) {
+      throw new Error('Poll options must be unique');
+    }
+
+    // Membership is verified by deliverMessage
+    const messageId = await deliverMessage(ctx, currentUser, {
+      content: question,
+      groupId: args.groupId,
+      parentMessageId: args.parentMessageId,
+      type: 'poll',
+      poll: {
+        allowMultiple: args.allowMultiple ?? false,
+        isAnonymous: args.isAnonymous ?? false,
+      },
+    });
+
+    for (const [order, text] of options.entries()) {
+      await ctx.db.insert('pollOptions', { messageId, text, order });
+    }
+
+    return messageId;
+  },
+});
+
+/**
+ * Set the current user's vote on a poll, replacing any previous choice.
+ * Pass an empty optionIds to retract the vote.
+ */
+export const votePoll = mutation({
+  args: {
+    messageId: v.id('messages'),
+    optionIds: v.array(v.id('pollOptions')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message || message.isDeleted || message.type !== 'poll' || !message.poll) {
+      throw new Error('Poll not found');
+    }
+
+    // Verify user is a member of the poll's group
+    const membership = await ctx.db
+      .query('groupMembers')
+      .withIndex('by_group_and_user', (q) =>
+        q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+      )
+      .first();
+
+    if (!membership) {
+      throw new Error('Not a member of this group');
+    }
+
+    if (message.poll.closedAt !== undefined) {
+      throw new Error('This poll is closed');
+    }
+
+    const optionIds = [...new Set(args.optionIds)];
+    if (!message.poll.allowMultiple && optionIds.length > 1) {
+      throw new Error('This poll allows only one choice');
+    }
+
+    for (const optionId of optionIds) {
+      const option = await ctx.db.get(optionId);
+      if (!option || option.messageId !== args.messageId) {
+        throw new Error('Invalid poll option');
+      }
+    }
+
+    const existingVotes = await ctx.db
+      .query('pollVotes')
+      .withIndex('by_message_and_user', (q) =>
+        q.eq('messageId', args.messageId).eq('userId', currentUser._id)
+      )
+      .collect();
+
+    for (const vote of existingVotes) {
+      await ctx.db.delete(vote._id);
+    }
+
+    const now = getCurrentTimestamp();
+    for (const optionId of optionIds) {
+      await ctx.db.insert('pollVotes', {
+        messageId: args.messageId,
+        optionId,
+        userId: currentUser._id,
+        createdAt: now,
+      });
+    }
+
+    return args.messageId;
+  },
+});
+
+/**
+ * Close a poll to further votes (poll creator or group admin)
+ */
+export const closePoll = mutation({
+  args: {
+    messageId: v.id('messages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message || message.isDeleted || message.type !== 'poll' || !message.poll) {
+      throw new Error('Poll not found');
+    }
+
+    if (message.senderId !== currentUser._id) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership || membership.role !== 'admin') {
+        throw new Error('Only the poll creator or a group admin can close this poll');
+      }
+    }
+
+    if (message.poll.closedAt !== undefined) {
+      return args.messageId; // Already closed
+    }
+
+    await ctx.db.patch(args.messageId, {
+      poll: {
+        ...message.poll,
+        closedAt: getCurrentTimestamp(),
+        closedBy: currentUser._id,
+      },
+    });
+
+    return args.messageId;
+  },
+});
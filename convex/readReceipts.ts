@@ -0,0 +1,192 @@
+import { v } from 'convex/values';
+import { mutation, query } from './_generated/server';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+
+/**
+ * Advance the current user's read cursor for a conversation or group.
+ * Cursors only move forward, so out-of-order calls are harmless.
+ */
+export const markConversationRead = mutation({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    // createdAt of the newest message the user has seen
+    lastReadAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Validate that exactly one target is specified
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+    if (args.conversationId && args.groupId) {
+      throw new Error('Cannot specify both conversationId and groupId');
+    }
+
+    const now = getCurrentTimestamp();
+    // Never let a client move the cursor into the future
+    const lastReadAt = Math.min(args.lastReadAt, now);
+
+    let existingCursor;
+
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      existingCursor = await ctx.db
+        .query('readCursors')
+        .withIndex('by_user_and_conversation', (q) =>
+          q
+            .eq('userId', currentUser._id)
+            .eq('conversationId', args.conversationId)
+        )
+        .first();
+    } else {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      existingCursor = await ctx.db
+        .query('readCursors')
+        .withIndex('by_user_and_group', (q) =>
+          q.eq('userId', currentUser._id).eq('groupId', args.groupId)
+        )
+        .first();
+    }
+
+    if (existingCursor) {
+      if (existingCursor.lastReadAt >= lastReadAt) {
+        return existingCursor._id; // Already read this far
+      }
+
+      await ctx.db.patch(existingCursor._id, {
+        lastReadAt,
+        updatedAt: now,
+      });
+      return existingCursor._id;
+    }
+
+    return await ctx.db.insert('readCursors', {
+      userId: currentUser._id,
+      conversationId: args.conversationId,
+      groupId: args.groupId,
+      lastReadAt,
+      updatedAt: now,
+    });
+  },
+});
+
+/**
+ * Get other participants' read positions for a conversation or group
+ * (used for "Seen by" indicators)
+ */
+export const getReadReceipts = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Validate target
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    let cursors;
+
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      cursors = await ctx.db
+        .query('readCursors')
+        .withIndex('by_conversation', (q) =>
+          q.eq('conversationId', args.conversationId)
+        )
+        .collect();
+    } else {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+
+      cursors = await ctx.db
+        .query('readCursors')
+        .withIndex('by_group', (q) => q.eq('groupId', args.groupId))
+        .collect();
+    }
+
+    const receipts = await Promise.all(
+      cursors
+        .filter((cursor) => cursor.userId !== currentUser._id)
+        .map(async (cursor) => {
+          const user = await ctx.db.get(cursor.userId);
+          if (!user) return null;
+
+          return {
+            userId: user._id,
+            name: user.name,
+            email: user.email,
+            avatarUrl: user.avatarUrl,
+            lastReadAt: cursor.lastReadAt,
+          };
+        })
+    );
+
+    return receipts.filter((r) => r !== null);
+  },
+});
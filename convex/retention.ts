@@ -0,0 +1,317 @@
+import { v } from 'convex/values';
+import { internalMutation, internalQuery } from './_generated/server';
+import { internal } from './_generated/api';
+import { getCurrentTimestamp } from './lib/utils';
+import { purgeMessage } from './lib/purge';
+import {
+  RETENTION_TARGETS,
+  RETENTION_BATCH_SIZE,
+  RETENTION_PREVIEW_LIMIT,
+  RetentionExemption,
+  retentionTargetValidator,
+  getRetentionCutoff,
+  getHeldGroupIds,
+  getMessageExemption,
+  getFileRetention,
+  expireStoredFile,
+  getCallExemption,
+} from './lib/retention';
+
+// Retention is configured by workspace operators, not from the app:
+//   npx convex run retention:setRetentionPolicy '{"target": "messages", "retentionDays": 365}'
+//   npx convex run retention:placeLegalHold '{"groupId": "...", "reason": "Case 123"}'
+//   npx convex run retention:previewRetention
+
+/**
+ * Set how many days a kind of data is kept, or pass null to keep it forever
+ */
+export const setRetentionPolicy = internalMutation({
+  args: {
+    target: retentionTargetValidator,
+    retentionDays: v.union(v.number(), v.null()),
+  },
+  handler: async (ctx, args) => {
+    if (
+      args.retentionDays !== null &&
+      (!Number.isInteger(args.retentionDays) || args.retentionDays < 1)
+    ) {
+      throw new Error('Retention period must be a whole number of days (at least 1)');
+    }
+
+    const existing = await ctx.db
+      .query('retentionPolicies')
+      .withIndex('by_target', (q) => q.eq('target', args.target))
+      .first();
+
+    if (args.retentionDays === null) {
+      if (existing) {
+        await ctx.db.delete(existing._id);
+      }
+      return null;
+    }
+
+    if (existing) {
+      await ctx.db.patch(existing._id, {
+        retentionDays: args.retentionDays,
+        updatedAt: getCurrentTimestamp(),
+      });
+      return existing._id;
+    }
+
+    return await ctx.db.insert('retentionPolicies', {
+      target: args.target,
+      retentionDays: args.retentionDays,
+      updatedAt: getCurrentTimestamp(),
+    });
+  },
+});
+
+/**
+ * Exempt a group's messages, files and calls from retention purges
+ */
+export const placeLegalHold = internalMutation({
+  args: {
+    groupId: v.id('groups'),
+    reason: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const group = await ctx.db.get(args.groupId);
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    const existing = await ctx.db
+      .query('legalHolds')
+      .withIndex('by_group', (q) => q.eq('groupId', args.groupId))
+      .first();
+
+    if (existing) {
+      await ctx.db.patch(existing._id, { reason: args.reason });
+      return existing._id;
+    }
+
+    return await ctx.db.insert('legalHolds', {
+      groupId: args.groupId,
+      reason: args.reason,
+      createdAt: getCurrentTimestamp(),
+    });
+  },
+});
+
+/**
+ * Lift a group's legal hold; its old data is purged on the next run
+ */
+export const releaseLegalHold = internalMutation({
+  args: {
+    groupId: v.id('groups'),
+  },
+  handler: async (ctx, args) => {
+    const hold = await ctx.db
+      .query('legalHolds')
+      .withIndex('by_group', (q) => q.eq('groupId', args.groupId))
+      .first();
+
+    if (hold) {
+      await ctx.db.delete(hold._id);
+    }
+
+    return null;
+  },
+});
+
+/**
+ * Dry run: report what the next purge would delete and what it would keep
+ * (and why), per target. Counting stops after RETENTION_PREVIEW_LIMIT
+ * records per target; isComplete is false when that happened.
+ */
+export const previewRetention = internalQuery({
+  args: {},
+  handler: async (ctx) => {
+    const now = getCurrentTimestamp();
+    const heldGroupIds = await getHeldGroupIds(ctx);
+    const policies = await ctx.db.query('retentionPolicies').collect();
+
+    const report = [];
+    for (const target of RETENTION_TARGETS) {
+      const cutoff = await getRetentionCutoff(ctx, target, now);
+      if (cutoff === null) continue;
+
+      let wouldDelete = 0;
+      let bytes = 0;
+      let scanned = 0;
+      const kept: Record<RetentionExemption, number> = {
+        pinned: 0,
+        legalHold: 0,
+        inProgress: 0,
+        activeThread: 0,
+      };
+
+      if (target === 'messages') {
+        const messages = await ctx.db
+          .query('messages')
+          .withIndex('by_created_at', (q) => q.lt('createdAt', cutoff))
+          .take(RETENTION_PREVIEW_LIMIT);
+        scanned = messages.length;
+        for (const message of messages) {
+          const exemption = await getMessageExemption(ctx, message, heldGroupIds, cutoff);
+          if (exemption) kept[exemption]++;
+          else wouldDelete++;
+        }
+      } else if (target === 'files') {
+        const files = await ctx.db.system
+          .query('_storage')
+          .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+          .take(RETENTION_PREVIEW_LIMIT);
+        scanned = files.length;
+        for (const file of files) {
+          const retention = await getFileRetention(ctx, file._id, heldGroupIds);
+          if (retention.skip) continue;
+          if (retention.exemption) {
+            kept[retention.exemption]++;
+          } else {
+            wouldDelete++;
+            bytes += file.size;
+          }
+        }
+      } else if (target === 'calls') {
+        const calls = await ctx.db
+          .query('calls')
+          .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+          .take(RETENTION_PREVIEW_LIMIT);
+        scanned = calls.length;
+        for (const call of calls) {
+          const exemption = getCallExemption(call, heldGroupIds);
+          if (exemption) kept[exemption]++;
+          else wouldDelete++;
+        }
+      } else {
+        const notifications = await ctx.db
+          .query('notifications')
+          .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+          .take(RETENTION_PREVIEW_LIMIT);
+        scanned = notifications.length;
+        wouldDelete = notifications.length;
+      }
+
+      report.push({
+        target,
+        retentionDays: policies.find((policy) => policy.target === target)!.retentionDays,
+        cutoff,
+        wouldDelete,
+        ...(target === 'files' ? { bytes } : {}),
+        kept,
+        isComplete: scanned < RETENTION_PREVIEW_LIMIT,
+      });
+    }
+
+    return {
+      legalHoldGroupIds: [...heldGroupIds],
+      targets: report,
+    };
+  },
+});
+
+/**
+ * Delete data past its retention period (internal – started daily by a cron
+ * job). Works through the targets in order, one batch per run, rescheduling
+ * itself until every target is done. Pinned messages, threads with replies
+ * inside the retention period, groups under legal hold and calls still in
+ * progress are kept.
+ */
+export const purgeExpiredData = internalMutation({
+  args: {
+    target: v.optional(retentionTargetValidator),
+    cursor: v.optional(v.union(v.string(), v.null())),
+  },
+  handler: async (ctx, args) => {
+    const target = args.target ?? RETENTION_TARGETS[0];
+    const now = getCurrentTimestamp();
+    const cutoff = await getRetentionCutoff(ctx, target, now);
+    const heldGroupIds = await getHeldGroupIds(ctx);
+    const paginationOpts = { numItems: RETENTION_BATCH_SIZE, cursor: args.cursor ?? null };
+
+    let deleted = 0;
+    let isDone = true;
+    let continueCursor: string | null = null;
+
+    if (cutoff !== null && target === 'messages') {
+      const batch = await ctx.db
+        .query('messages')
+        .withIndex('by_created_at', (q) => q.lt('createdAt', cutoff))
+        .paginate(paginationOpts);
+
+      for (const { _id } of batch.page) {
+        // Thread replies go with their parent, possibly earlier in this batch
+        const message = await ctx.db.get(_id);
+        if (!message || (await getMessageExemption(ctx, message, heldGroupIds, cutoff))) {
+          continue;
+        }
+        await purgeMessage(ctx, message);
+        deleted++;
+      }
+      ({ isDone, continueCursor } = batch);
+    } else if (cutoff !== null && target === 'files') {
+      const batch = await ctx.db.system
+        .query('_storage')
+        .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+        .paginate(paginationOpts);
+
+      for (const file of batch.page) {
+        const retention = await getFileRetention(ctx, file._id, heldGroupIds);
+        if (retention.skip || retention.exemption) continue;
+        await expireStoredFile(ctx, file._id, retention.references, now);
+        deleted++;
+      }
+      ({ isDone, continueCursor } = batch);
+    } else if (cutoff !== null && target === 'calls') {
+      const batch = await ctx.db
+        .query('calls')
+        .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+        .paginate(paginationOpts);
+
+      for (const call of batch.page) {
+        if (getCallExemption(call, heldGroupIds)) continue;
+        const participants = await ctx.db
+          .query('callParticipants')
+          .withIndex('by_call', (q) => q.eq('callId', call._id))
+          .collect();
+        for (const participant of participants) {
+          await ctx.db.delete(participant._id);
+        }
+        await ctx.db.delete(call._id);
+        deleted++;
+      }
+      ({ isDone, continueCursor } = batch);
+    } else if (cutoff !== null) {
+      const batch = await ctx.db
+        .query('notifications')
+        .withIndex('by_creation_time', (q) => q.lt('_creationTime', cutoff))
+        .paginate(paginationOpts);
+
+      for (const notification of batch.page) {
+        await ctx.db.delete(notification._id);
+        deleted++;
+      }
+      ({ isDone, continueCursor } = batch);
+    }
+
+    if (!isDone) {
+      await ctx.scheduler.runAfter(0, internal.retention.purgeExpiredData, {
+        target,
+        cursor: continueCursor,
+      });
+    } else {
+      const next = RETENTION_TARGETS[RETENTION_TARGETS.indexOf(target) + 1];
+      if (next) {
+        await ctx.scheduler.runAfter(0, internal.retention.purgeExpiredData, {
+          target: next,
+        });
+      }
+    }
+
+    if (deleted > 0) {
+      console.warn('[retention] Purged expired data', { target, deleted });
+    }
+    return deleted;
+  },
+});
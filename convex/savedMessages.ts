@@ -0,0 +1,212 @@
+import { v } from 'convex/values';
+import { paginationOptsValidator } from 'convex/server';
+import { mutation, query } from './_generated/server';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+import { getAttachmentDrafts } from './lib/attachments';
+
+/**
+ * Bookmark a message for later. Saving an already saved message is a no-op.
+ */
+export const saveMessage = mutation({
+  args: {
+    messageId: v.id('messages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const message = await ctx.db.get(args.messageId);
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    if (message.isDeleted) {
+      throw new Error('Cannot save a deleted message');
+    }
+
+    // Verify access
+    if (message.conversationId) {
+      const conversation = await ctx.db.get(message.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+    } else if (message.groupId) {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+    }
+
+    const existing = await ctx.db
+      .query('savedMessages')
+      .withIndex('by_user_and_message', (q) =>
+        q.eq('userId', currentUser._id).eq('messageId', args.messageId)
+      )
+      .first();
+
+    if (existing) {
+      return existing._id;
+    }
+
+    return await ctx.db.insert('savedMessages', {
+      userId: currentUser._id,
+      messageId: args.messageId,
+      savedAt: getCurrentTimestamp(),
+    });
+  },
+});
+
+/**
+ * Remove a message from the current user's saved list
+ */
+export const unsaveMessage = mutation({
+  args: {
+    messageId: v.id('messages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const saved = await ctx.db
+      .query('savedMessages')
+      .withIndex('by_user_and_message', (q) =>
+        q.eq('userId', userId).eq('messageId', args.messageId)
+      )
+      .first();
+
+    if (saved) {
+      await ctx.db.delete(saved._id);
+    }
+
+    return null;
+  },
+});
+
+/**
+ * The current user's saved messages, most recently saved first.
+ * Access to each source conversation or group is checked again, so
+ * messages from chats the user has since left (or that were deleted)
+ * are left out of the page.
+ */
+export const listSavedMessages = query({
+  args: {
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const saved = await ctx.db
+      .query('savedMessages')
+      .withIndex('by_user', (q) => q.eq('userId', currentUser._id))
+      .order('desc')
+      .paginate(args.paginationOpts);
+
+    const items = await Promise.all(
+      saved.page.map(async (entry) => {
+        const message = await ctx.db.get(entry.messageId);
+        if (!message || message.isDeleted) {
+          return null;
+        }
+
+        let chatName: string;
+        if (message.conversationId) {
+          const conversation = await ctx.db.get(message.conversationId);
+          if (
+            !conversation ||
+            (conversation.participant1Id !== currentUser._id &&
+              conversation.participant2Id !== currentUser._id)
+          ) {
+            return null;
+          }
+
+          const otherUser = await ctx.db.get(
+            conversation.participant1Id === currentUser._id
+              ? conversation.participant2Id
+              : conversation.participant1Id
+          );
+          chatName = otherUser?.name ?? otherUser?.email ?? 'Unknown';
+        } else if (message.groupId) {
+          const group = await ctx.db.get(message.groupId);
+          const membership = await ctx.db
+            .query('groupMembers')
+            .withIndex('by_group_and_user', (q) =>
+              q.eq('groupId', message.groupId!).eq('userId', currentUser._id)
+            )
+            .first();
+          if (!group || !membership) {
+            return null;
+          }
+
+          chatName = group.name;
+        } else {
+          return null;
+        }
+
+        const sender = await ctx.db.get(message.senderId);
+        const attachments = await getAttachmentDrafts(ctx, message);
+
+        return {
+          _id: entry._id,
+          savedAt: entry.savedAt,
+          messageId: message._id,
+          parentMessageId: message.parentMessageId,
+          conversationId: message.conversationId,
+          groupId: message.groupId,
+          chatName,
+          type: message.type,
+          content: message.content,
+          fileNames: attachments.map((attachment) => attachment.fileName),
+          createdAt: message.createdAt,
+          sender: sender
+            ? {
+                _id: sender._id,
+                name: sender.name,
+                email: sender.email,
+                avatarUrl: sender.avatarUrl,
+              }
+            : null,
+        };
+      })
+    );
+
+    return {
+      ...saved,
+      page: items.filter((item) => item !== null),
+    };
+  },
+});
@@ -0,0 +1,251 @@
+import { v } from 'convex/values';
+import { mutation, query, internalMutation } from './_generated/server';
+import { internal } from './_generated/api';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+import { validateMessageContent } from './lib/validators';
+import { deliverMessage } from './lib/delivery';
+
+/**
+ * Earliest a message can be scheduled ahead of now (1 minute)
+ */
+const MIN_SCHEDULE_DELAY = 60 * 1000;
+
+/**
+ * Latest a message can be scheduled ahead of now (1 year)
+ */
+const MAX_SCHEDULE_DELAY = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Schedule a text message for later delivery to a conversation or group
+ */
+export const scheduleMessage = mutation({
+  args: {
+    content: v.string(),
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    parentMessageId: v.optional(v.id('messages')),
+    replyToMessageId: v.optional(v.id('messages')),
+    scheduledFor: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Validate that exactly one target is specified
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+    if (args.conversationId && args.groupId) {
+      throw new Error('Cannot specify both conversationId and groupId');
+    }
+
+    validateMessageContent(args.content);
+
+    const now = getCurrentTimestamp();
+    if (args.scheduledFor < now + MIN_SCHEDULE_DELAY) {
+      throw new Error('Scheduled time must be at least a minute from now');
+    }
+    if (args.scheduledFor > now + MAX_SCHEDULE_DELAY) {
+      throw new Error('Scheduled time must be within a year');
+    }
+
+    // Verify access now; delivery re-checks in case it changes before then
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized to send messages in this conversation');
+      }
+    } else {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+    }
+
+    const scheduledMessageId = await ctx.db.insert('scheduledMessages', {
+      senderId: currentUser._id,
+      conversationId: args.conversationId,
+      groupId: args.groupId,
+      parentMessageId: args.parentMessageId,
+      replyToMessageId: args.replyToMessageId,
+      content: args.content,
+      scheduledFor: args.scheduledFor,
+      status: 'pending',
+      createdAt: now,
+    });
+
+    const scheduledFunctionId = await ctx.scheduler.runAt(
+      args.scheduledFor,
+      internal.scheduledMessages.deliverScheduledMessage,
+      { scheduledMessageId }
+    );
+
+    await ctx.db.patch(scheduledMessageId, { scheduledFunctionId });
+
+    return scheduledMessageId;
+  },
+});
+
+/**
+ * Cancel a pending scheduled message, or dismiss a failed one (sender only)
+ */
+export const cancelScheduledMessage = mutation({
+  args: {
+    scheduledMessageId: v.id('scheduledMessages'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const scheduled = await ctx.db.get(args.scheduledMessageId);
+    if (!scheduled) {
+      throw new Error('Scheduled message not found');
+    }
+
+    if (scheduled.senderId !== currentUser._id) {
+      throw new Error('Not authorized');
+    }
+
+    // Failed sends can be dismissed the same way
+    if (scheduled.status !== 'pending' && scheduled.status !== 'failed') {
+      throw new Error('Scheduled message has already been sent or cancelled');
+    }
+
+    if (scheduled.status === 'pending' && scheduled.scheduledFunctionId) {
+      await ctx.scheduler.cancel(scheduled.scheduledFunctionId);
+    }
+
+    await ctx.db.patch(args.scheduledMessageId, { status: 'cancelled' });
+
+    return args.scheduledMessageId;
+  },
+});
+
+/**
+ * List the current user's pending and failed scheduled messages in a chat,
+ * soonest first
+ */
+export const listScheduledMessages = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) return [];
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) return [];
+
+    // Validate target
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    // Only the sender's own rows are returned, so no chat access check is needed
+    const scheduled = args.conversationId
+      ? await ctx.db
+          .query('scheduledMessages')
+          .withIndex('by_sender_and_conversation', (q) =>
+            q
+              .eq('senderId', currentUser._id)
+              .eq('conversationId', args.conversationId)
+          )
+          .collect()
+      : await ctx.db
+          .query('scheduledMessages')
+          .withIndex('by_sender_and_group', (q) =>
+            q.eq('senderId', currentUser._id).eq('groupId', args.groupId)
+          )
+          .collect();
+
+    return scheduled
+      .filter((s) => s.status === 'pending' || s.status === 'failed')
+      .map((s) => ({
+        _id: s._id,
+        content: s.content,
+        parentMessageId: s.parentMessageId,
+        scheduledFor: s.scheduledFor,
+        status: s.status,
+        error: s.error,
+      }));
+  },
+});
+
+/**
+ * Deliver a scheduled message through the same path as sendMessage
+ * (internal – invoked by the scheduler at scheduledFor)
+ */
+export const deliverScheduledMessage = internalMutation({
+  args: {
+    scheduledMessageId: v.id('scheduledMessages'),
+  },
+  handler: async (ctx, args) => {
+    const scheduled = await ctx.db.get(args.scheduledMessageId);
+    if (!scheduled || scheduled.status !== 'pending') {
+      return null; // Cancelled or already handled
+    }
+
+    const sender = await ctx.db.get(scheduled.senderId);
+
+    try {
+      if (!sender) {
+        throw new Error('User not found');
+      }
+
+      const messageId = await deliverMessage(ctx, sender, {
+        content: scheduled.content,
+        conversationId: scheduled.conversationId,
+        groupId: scheduled.groupId,
+        parentMessageId: scheduled.parentMessageId,
+        replyToMessageId: scheduled.replyToMessageId,
+        type: 'text',
+      });
+
+      await ctx.db.patch(args.scheduledMessageId, {
+        status: 'sent',
+        sentMessageId: messageId,
+      });
+      return messageId;
+    } catch (error) {
+      // Keep the row so the sender sees why it wasn't delivered
+      await ctx.db.patch(args.scheduledMessageId, {
+        status: 'failed',
+        error: error instanceof Error ? error.message : 'Delivery failed',
+      });
+      return null;
+    }
+  },
+});
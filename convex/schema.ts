@@ -28,6 +28,9 @@ export default defineSchema({
     participant1Id: v.id('users'),
     participant2Id: v.id('users'),
     lastMessageAt: v.optional(v.number()),
+    // Disappearing messages: new messages are deleted after this long
+    // (see lib/disappearing.ts)
+    disappearingTimer: v.optional(v.union(v.literal('1d'), v.literal('7d'), v.literal('30d'))),
     createdAt: v.number(),
   })
     .index('by_participant1', ['participant1Id'])
@@ -41,6 +44,9 @@ export default defineSchema({
     avatarUrl: v.optional(v.string()),
     creatorId: v.id('users'),
     lastMessageAt: v.optional(v.number()),
+    // Disappearing messages: new messages are deleted after this long
+    // (see lib/disappearing.ts)
+    disappearingTimer: v.optional(v.union(v.literal('1d'), v.literal('7d'), v.literal('30d'))),
     createdAt: v.number(),
   }).index('by_creator', ['creatorId']),
 
@@ -67,23 +73,201 @@ export default defineSchema({
       v.literal('text'),
       v.literal('file'),
       v.literal('system'),
-      v.literal('call')
+      v.literal('call'),
+      v.literal('poll')
     ),
     // For file messages
     fileId: v.optional(v.id('_storage')),
     fileName: v.optional(v.string()),
     fileType: v.optional(v.string()),
     fileSize: v.optional(v.number()),
+    // MIME type confirmed from the file's content (see fileVerification.verifyUpload)
+    verifiedFileType: v.optional(v.string()),
     // For call messages
     callDuration: v.optional(v.number()),
+    // For poll messages (content holds the question; options live in pollOptions)
+    poll: v.optional(
+      v.object({
+        allowMultiple: v.boolean(),
+        isAnonymous: v.boolean(),
+        closedAt: v.optional(v.number()),
+        closedBy: v.optional(v.id('users')),
+      })
+    ),
+    // Threads: replies reference their parent; parents track reply stats
+    parentMessageId: v.optional(v.id('messages')),
+    replyCount: v.optional(v.number()),
+    lastReplyAt: v.optional(v.number()),
+    // Most recent distinct repliers, newest first (capped, for inline avatars)
+    lastReplierIds: v.optional(v.array(v.id('users'))),
+    // Users @mentioned in a group message (validated members, excluding sender)
+    mentionedUserIds: v.optional(v.array(v.id('users'))),
+    // URLs found in the content, unfurled into the linkPreviews cache
+    linkUrls: v.optional(v.array(v.string())),
+    // Quote-reply: the message this one responds to (same chat and thread)
+    replyToMessageId: v.optional(v.id('messages')),
+    // Forwarded copies point at the original message and its author
+    // (re-forwarding keeps the original author)
+    forwardedFromMessageId: v.optional(v.id('messages')),
+    forwardedFromUserId: v.optional(v.id('users')),
     // Soft delete
     isDeleted: v.boolean(),
+    // Disappearing messages: hard-deleted by a cron job after this time
+    expiresAt: v.optional(v.number()),
+    // When the retention policy deleted this message's files (the message stays)
+    filesExpiredAt: v.optional(v.number()),
+    // Where an imported message came from (e.g. "slack:C123:1609459200.000100")
+    importSourceId: v.optional(v.string()),
     createdAt: v.number(),
     updatedAt: v.optional(v.number()),
   })
     .index('by_conversation', ['conversationId', 'createdAt'])
     .index('by_group', ['groupId', 'createdAt'])
-    .index('by_sender', ['senderId']),
+    .index('by_sender', ['senderId'])
+    .index('by_parent', ['parentMessageId', 'createdAt'])
+    // Forwarded messages share storage, so deletes check for other references
+    .index('by_file', ['fileId'])
+    .index('by_expiry', ['expiresAt'])
+    // Retention ages messages by createdAt (imported ones keep their original time)
+    .index('by_created_at', ['createdAt'])
+    .index('by_import_source', ['importSourceId'])
+    .searchIndex('search_content', {
+      searchField: 'content',
+      filterFields: ['conversationId', 'groupId', 'isDeleted'],
+    }),
+
+  // Per-user read position in a DM or group (polymorphic like messages)
+  readCursors: defineTable({
+    userId: v.id('users'),
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    // createdAt of the newest message the user has seen
+    lastReadAt: v.number(),
+    updatedAt: v.number(),
+  })
+    .index('by_user_and_conversation', ['userId', 'conversationId'])
+    .index('by_user_and_group', ['userId', 'groupId'])
+    .index('by_conversation', ['conversationId'])
+    .index('by_group', ['groupId']),
+
+  // Ephemeral "is typing" state; rows expire and are swept by a cron job
+  typingStates: defineTable({
+    userId: v.id('users'),
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    expiresAt: v.number(),
+  })
+    .index('by_user_and_conversation', ['userId', 'conversationId'])
+    .index('by_user_and_group', ['userId', 'groupId'])
+    .index('by_conversation', ['conversationId'])
+    .index('by_group', ['groupId'])
+    .index('by_expires', ['expiresAt']),
+
+  // Emoji reactions (one row per message, user and emoji)
+  messageReactions: defineTable({
+    messageId: v.id('messages'),
+    userId: v.id('users'),
+    emoji: v.string(),
+    createdAt: v.number(),
+  })
+    .index('by_message', ['messageId'])
+    .index('by_message_user_and_emoji', ['messageId', 'userId', 'emoji']),
+
+  // Choices on a poll message, in display order
+  pollOptions: defineTable({
+    messageId: v.id('messages'),
+    text: v.string(),
+    order: v.number(),
+  }).index('by_message', ['messageId', 'order']),
+
+  // One row per user and chosen option (multi-choice polls allow several)
+  pollVotes: defineTable({
+    messageId: v.id('messages'),
+    optionId: v.id('pollOptions'),
+    userId: v.id('users'),
+    createdAt: v.number(),
+  })
+    .index('by_message', ['messageId'])
+    .index('by_message_and_user', ['messageId', 'userId']),
+
+  // Files attached to a message, in display order. Older file messages
+  // keep their single attachment in messages.fileId instead.
+  messageAttachments: defineTable({
+    messageId: v.id('messages'),
+    storageId: v.id('_storage'),
+    fileName: v.string(),
+    fileType: v.string(),
+    fileSize: v.number(),
+    // MIME type confirmed from the file's content
+    verifiedType: v.optional(v.string()),
+    // Voice messages: length in seconds and a waveform summary (peak levels 0-1)
+    duration: v.optional(v.number()),
+    waveform: v.optional(v.array(v.number())),
+    order: v.number(),
+    createdAt: v.number(),
+  })
+    .index('by_message', ['messageId', 'order'])
+    .index('by_storage', ['storageId']),
+
+  // Server-generated thumbnail and original dimensions for an uploaded image,
+  // keyed by the original's storage ID (forwarded copies share it)
+  imageThumbnails: defineTable({
+    storageId: v.id('_storage'),
+    status: v.union(
+      v.literal('pending'),
+      v.literal('ready'),
+      v.literal('failed')
+    ),
+    thumbnailStorageId: v.optional(v.id('_storage')),
+    width: v.optional(v.number()),
+    height: v.optional(v.number()),
+    thumbnailWidth: v.optional(v.number()),
+    thumbnailHeight: v.optional(v.number()),
+    createdAt: v.number(),
+  })
+    .index('by_storage', ['storageId'])
+    .index('by_thumbnail', ['thumbnailStorageId']),
+
+  // Malware scan state of an uploaded file, keyed by storage ID (forwarded
+  // copies share it). Files can't be downloaded until they are clean.
+  fileScans: defineTable({
+    storageId: v.id('_storage'),
+    fileType: v.string(),
+    status: v.union(
+      v.literal('pending'),
+      v.literal('clean'),
+      v.literal('infected')
+    ),
+    scanner: v.optional(v.string()),
+    signature: v.optional(v.string()), // Detected threat name
+    attempts: v.number(),
+    lastError: v.optional(v.string()),
+    scannedAt: v.optional(v.number()),
+    createdAt: v.number(),
+  }).index('by_storage', ['storageId']),
+
+  // Outcome of checking an upload's content against its claimed MIME type.
+  // Files must be verified before they can be posted.
+  fileVerifications: defineTable({
+    storageId: v.id('_storage'),
+    claimedType: v.string(),
+    verifiedType: v.optional(v.string()),
+    status: v.union(v.literal('verified'), v.literal('rejected')),
+    createdAt: v.number(),
+  }).index('by_storage', ['storageId']),
+
+  // Uploaded files charged against storage quotas. Forwarded copies share
+  // the original's storage and are not charged again.
+  fileUploads: defineTable({
+    storageId: v.id('_storage'),
+    userId: v.id('users'),
+    groupId: v.optional(v.id('groups')), // Set when posted in a group
+    size: v.number(),
+    createdAt: v.number(),
+  })
+    .index('by_storage', ['storageId'])
+    .index('by_user', ['userId'])
+    .index('by_group', ['groupId']),
 
   // Pinned message references
   pinnedMessages: defineTable({
@@ -97,6 +281,123 @@ export default defineSchema({
     .index('by_group', ['groupId'])
     .index('by_message', ['messageId']),
 
+  // Messages a user has bookmarked to come back to (private to that user)
+  savedMessages: defineTable({
+    userId: v.id('users'),
+    messageId: v.id('messages'),
+    savedAt: v.number(),
+  })
+    .index('by_user', ['userId', 'savedAt'])
+    .index('by_user_and_message', ['userId', 'messageId'])
+    .index('by_message', ['messageId']),
+
+  // Workspace data retention: records of a kind older than retentionDays
+  // are purged daily (see retention.ts; one row per target)
+  retentionPolicies: defineTable({
+    target: v.union(
+      v.literal('messages'),
+      v.literal('files'),
+      v.literal('calls'),
+      v.literal('notifications')
+    ),
+    retentionDays: v.number(),
+    updatedAt: v.number(),
+  }).index('by_target', ['target']),
+
+  // Groups whose messages, files and calls are exempt from retention
+  // purges and disappearing messages (e.g. for litigation)
+  legalHolds: defineTable({
+    groupId: v.id('groups'),
+    reason: v.string(),
+    createdAt: v.number(),
+  }).index('by_group', ['groupId']),
+
+  // ZIP archives of a chat's history requested by a member (see exports.ts).
+  // Deleted, with their storage, after EXPORT_LIFETIME.
+  chatExports: defineTable({
+    userId: v.id('users'),
+    // Polymorphic: either conversationId or groupId will be set
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    status: v.union(
+      v.literal('pending'),
+      v.literal('ready'),
+      v.literal('failed')
+    ),
+    storageId: v.optional(v.id('_storage')),
+    fileName: v.optional(v.string()),
+    fileSize: v.optional(v.number()),
+    messageCount: v.optional(v.number()),
+    // Attachments listed in the transcripts but left out of the archive
+    skippedFileCount: v.optional(v.number()),
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+    completedAt: v.optional(v.number()),
+  })
+    .index('by_user_and_conversation', ['userId', 'conversationId'])
+    .index('by_user_and_group', ['userId', 'groupId'])
+    .index('by_storage', ['storageId']),
+
+  // Slack export imports (see slackImport.ts). Analysis fills in the
+  // dry-run report; the import itself then runs in resumable steps.
+  slackImports: defineTable({
+    userId: v.id('users'),
+    // The uploaded export ZIP, deleted once the import finishes or is discarded
+    storageId: v.optional(v.id('_storage')),
+    fileName: v.string(),
+    status: v.union(
+      v.literal('analyzing'),
+      v.literal('analyzed'),
+      v.literal('importing'),
+      v.literal('completed'),
+      v.literal('failed')
+    ),
+    report: v.optional(
+      v.object({
+        userCount: v.number(),
+        mappedUserCount: v.number(),
+        // Slack users with no account here (matched by email); their
+        // messages are imported under the importing user's name
+        unmappedUsers: v.array(
+          v.object({
+            slackId: v.string(),
+            name: v.string(),
+            email: v.optional(v.string()),
+          })
+        ),
+        channels: v.array(
+          v.object({
+            slackId: v.string(),
+            name: v.string(),
+            isPrivate: v.boolean(),
+            memberCount: v.number(),
+            messageCount: v.number(),
+            fileCount: v.number(),
+          })
+        ),
+        messageCount: v.number(),
+        fileCount: v.number(),
+        // DMs and group DMs, which are not imported
+        skippedConversationCount: v.number(),
+      })
+    ),
+    // Groups created for the channels, once the import has started
+    channelGroups: v.optional(
+      v.array(v.object({ slackId: v.string(), groupId: v.id('groups') }))
+    ),
+    // Next channel and day file to import (when resuming)
+    cursor: v.optional(v.object({ channelIndex: v.number(), dayIndex: v.number() })),
+    importedMessageCount: v.number(),
+    importedFileCount: v.number(),
+    // Files that could not be downloaded or are not allowed here
+    skippedFileCount: v.number(),
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+    completedAt: v.optional(v.number()),
+  })
+    .index('by_user', ['userId'])
+    .index('by_storage', ['storageId']),
+
   // Call records with duration
   calls: defineTable({
     conversationId: v.optional(v.id('directConversations')),
@@ -200,6 +501,7 @@ export default defineSchema({
     userId: v.id('users'),
     type: v.union(
       v.literal('message'),
+      v.literal('mention'),
       v.literal('call'),
       v.literal('meeting_request'),
       v.literal('meeting_response'),
@@ -211,11 +513,69 @@ export default defineSchema({
     // Reference to related entity
     referenceId: v.optional(v.string()),
     referenceType: v.optional(v.string()),
+    // Message notifications: removed along with the message when it is purged
+    messageId: v.optional(v.id('messages')),
     isRead: v.boolean(),
     createdAt: v.number(),
   })
     .index('by_user', ['userId'])
-    .index('by_user_and_read', ['userId', 'isRead']),
+    .index('by_user_and_read', ['userId', 'isRead'])
+    .index('by_message', ['messageId']),
+
+  // Messages written now and delivered later via the scheduler
+  scheduledMessages: defineTable({
+    senderId: v.id('users'),
+    // Polymorphic like messages
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    parentMessageId: v.optional(v.id('messages')),
+    replyToMessageId: v.optional(v.id('messages')),
+    content: v.string(),
+    scheduledFor: v.number(),
+    status: v.union(
+      v.literal('pending'),
+      v.literal('sent'),
+      v.literal('cancelled'),
+      v.literal('failed')
+    ),
+    scheduledFunctionId: v.optional(v.id('_scheduled_functions')),
+    sentMessageId: v.optional(v.id('messages')),
+    // Why delivery failed (e.g. sender left the group)
+    error: v.optional(v.string()),
+    createdAt: v.number(),
+  })
+    .index('by_sender_and_conversation', ['senderId', 'conversationId', 'scheduledFor'])
+    .index('by_sender_and_group', ['senderId', 'groupId', 'scheduledFor']),
+
+  // Prior versions of edited messages (audit trail; newest edit last)
+  messageRevisions: defineTable({
+    messageId: v.id('messages'),
+    // Content as it was before the edit
+    content: v.string(),
+    // When that content was written (original send or previous edit)
+    writtenAt: v.number(),
+    editedBy: v.id('users'),
+    editedAt: v.number(),
+  }).index('by_message', ['messageId', 'editedAt']),
+
+  // Cached Open Graph metadata for URLs posted in messages
+  linkPreviews: defineTable({
+    url: v.string(),
+    status: v.union(
+      v.literal('pending'),
+      v.literal('ready'),
+      v.literal('failed')
+    ),
+    title: v.optional(v.string()),
+    description: v.optional(v.string()),
+    imageUrl: v.optional(v.string()),
+    siteName: v.optional(v.string()),
+    fetchedAt: v.number(),
+    // After this the preview is refetched the next time the URL is posted
+    expiresAt: v.number(),
+  })
+    .index('by_url', ['url'])
+    .index('by_fetched', ['fetchedAt']),
 
   // Browser push subscription storage
   pushSubscriptions: defineTable({
@@ -0,0 +1,537 @@
+import { v } from 'convex/values';
+import { mutation, query, internalQuery, internalMutation } from './_generated/server';
+import { internal } from './_generated/api';
+import { Id } from './_generated/dataModel';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp } from './lib/utils';
+import { MAX_LENGTHS } from './lib/validators';
+import { insertAttachments, MAX_ATTACHMENTS_PER_MESSAGE } from './lib/attachments';
+import { recordThreadReply } from './lib/threads';
+import { getGroupMentionRecipients, MAX_MENTIONS_PER_MESSAGE } from './lib/mentions';
+import { isImportAdmin, normalizeEmail, MAX_SLACK_ARCHIVE_BYTES } from './lib/slackImport';
+import { isOrphanedStorage } from './lib/storage';
+
+// Imports listed on the import page
+const RECENT_IMPORTS_LIMIT = 10;
+
+const importedAttachmentValidator = v.object({
+  storageId: v.id('_storage'),
+  fileName: v.string(),
+  fileType: v.string(),
+  fileSize: v.number(),
+  verifiedType: v.string(),
+});
+
+/**
+ * Whether the current user may import Slack history (see IMPORT_ADMIN_EMAILS)
+ */
+export const canImportFromSlack = query({
+  args: {},
+  handler: async (ctx) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      return false;
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    return !!currentUser && isImportAdmin(currentUser.email);
+  },
+});
+
+/**
+ * Register a Slack export ZIP uploaded via files.generateUploadUrl and
+ * start the dry run: the archive is read and a report of its channels,
+ * messages and users without an account here is saved on the import.
+ */
+export const createSlackImport = mutation({
+  args: {
+    storageId: v.id('_storage'),
+    fileName: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    if (!isImportAdmin(currentUser.email)) {
+      throw new Error('Not authorized to import Slack history');
+    }
+
+    // Only a fresh upload: anything else (an attachment, an export) would be
+    // deleted along with the import
+    const file = await ctx.db.system.get(args.storageId);
+    if (!file || !(await isOrphanedStorage(ctx, args.storageId))) {
+      throw new Error('Upload not found');
+    }
+
+    if (file.size > MAX_SLACK_ARCHIVE_BYTES) {
+      await ctx.storage.delete(args.storageId);
+      throw new Error(
+        `Slack export is too large (max ${MAX_SLACK_ARCHIVE_BYTES / (1024 * 1024)} MB)`
+      );
+    }
+
+    const importId = await ctx.db.insert('slackImports', {
+      userId: currentUser._id,
+      storageId: args.storageId,
+      fileName: args.fileName,
+      status: 'analyzing',
+      importedMessageCount: 0,
+      importedFileCount: 0,
+      skippedFileCount: 0,
+      createdAt: getCurrentTimestamp(),
+    });
+
+    await ctx.scheduler.runAfter(0, internal.slackImportWorker.analyzeSlackImport, {
+      importId,
+    });
+
+    return importId;
+  },
+});
+
+/**
+ * Import an analyzed Slack export. A failed import can be started again;
+ * it resumes where it stopped without duplicating messages.
+ */
+export const startSlackImport = mutation({
+  args: {
+    importId: v.id('slackImports'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const currentUser = await ctx.db.get(userId);
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    const slackImport = await ctx.db.get(args.importId);
+    if (!slackImport || slackImport.userId !== currentUser._id) {
+      throw new Error('Import not found');
+    }
+
+    if (!isImportAdmin(currentUser.email)) {
+      throw new Error('Not authorized to import Slack history');
+    }
+
+    if (
+      !slackImport.report ||
+      !slackImport.storageId ||
+      (slackImport.status !== 'analyzed' && slackImport.status !== 'failed')
+    ) {
+      throw new Error('This import cannot be started');
+    }
+
+    await ctx.db.patch(args.importId, { status: 'importing', error: undefined });
+    await ctx.scheduler.runAfter(0, internal.slackImportWorker.runSlackImport, {
+      importId: args.importId,
+    });
+
+    return null;
+  },
+});
+
+/**
+ * Delete an import that is not running, with its uploaded archive.
+ * Groups and messages already imported stay.
+ */
+export const deleteSlackImport = mutation({
+  args: {
+    importId: v.id('slackImports'),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    const slackImport = await ctx.db.get(args.importId);
+    if (!slackImport || slackImport.userId !== userId) {
+      throw new Error('Import not found');
+    }
+
+    if (slackImport.status === 'analyzing' || slackImport.status === 'importing') {
+      throw new Error('Cannot delete an import while it is running');
+    }
+
+    await ctx.db.delete(args.importId);
+    // Keep the archive if something else has come to use it meanwhile
+    if (
+      slackImport.storageId &&
+      (await ctx.db.system.get(slackImport.storageId)) &&
+      (await isOrphanedStorage(ctx, slackImport.storageId))
+    ) {
+      await ctx.storage.delete(slackImport.storageId);
+    }
+
+    return null;
+  },
+});
+
+/**
+ * The current user's recent imports with their status, progress and
+ * dry-run report, newest first
+ */
+export const listSlackImports = query({
+  args: {},
+  handler: async (ctx) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      return [];
+    }
+
+    const imports = await ctx.db
+      .query('slackImports')
+      .withIndex('by_user', (q) => q.eq('userId', userId))
+      .order('desc')
+      .take(RECENT_IMPORTS_LIMIT);
+
+    return imports.map((slackImport) => ({
+      _id: slackImport._id,
+      fileName: slackImport.fileName,
+      status: slackImport.status,
+      report: slackImport.report,
+      importedMessageCount: slackImport.importedMessageCount,
+      importedFileCount: slackImport.importedFileCount,
+      skippedFileCount: slackImport.skippedFileCount,
+      // Channels finished so far (the cursor points at the next one)
+      importedChannelCount:
+        slackImport.status === 'completed'
+          ? (slackImport.report?.channels.length ?? 0)
+          : (slackImport.cursor?.channelIndex ?? 0),
+      error: slackImport.error,
+      createdAt: slackImport.createdAt,
+      completedAt: slackImport.completedAt,
+    }));
+  },
+});
+
+/**
+ * An import record (internal – used by slackImportWorker)
+ */
+export const getSlackImport = internalQuery({
+  args: {
+    importId: v.id('slackImports'),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db.get(args.importId);
+  },
+});
+
+/**
+ * Accounts for a list of emails, matched case-insensitively; emails without
+ * one are left out. Returned emails are as passed in.
+ */
+export const findUsersByEmail = internalQuery({
+  args: {
+    emails: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    // Stored emails keep the case they were signed up with, so the by_email
+    // index can't be used
+    const users = await ctx.db.query('users').collect();
+    const byEmail = new Map(users.map((user) => [normalizeEmail(user.email), user._id]));
+
+    const found: { email: string; userId: Id<'users'> }[] = [];
+    for (const email of args.emails) {
+      const userId = byEmail.get(normalizeEmail(email));
+      if (userId) {
+        found.push({ email, userId });
+      }
+    }
+    return found;
+  },
+});
+
+/**
+ * Source IDs from the list that were already imported
+ */
+export const getImportedSourceIds = internalQuery({
+  args: {
+    sourceIds: v.array(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const imported: string[] = [];
+    for (const sourceId of args.sourceIds) {
+      const message = await ctx.db
+        .query('messages')
+        .withIndex('by_import_source', (q) => q.eq('importSourceId', sourceId))
+        .first();
+      if (message) {
+        imported.push(sourceId);
+      }
+    }
+    return imported;
+  },
+});
+
+/**
+ * Save the dry-run report (internal – called by slackImportWorker)
+ */
+export const saveSlackAnalysis = internalMutation({
+  args: {
+    importId: v.id('slackImports'),
+    report: v.object({
+      userCount: v.number(),
+      mappedUserCount: v.number(),
+      unmappedUsers: v.array(
+        v.object({ slackId: v.string(), name: v.string(), email: v.optional(v.string()) })
+      ),
+      channels: v.array(
+        v.object({
+          slackId: v.string(),
+          name: v.string(),
+          isPrivate: v.boolean(),
+          memberCount: v.number(),
+          messageCount: v.number(),
+          fileCount: v.number(),
+        })
+      ),
+      messageCount: v.number(),
+      fileCount: v.number(),
+      skippedConversationCount: v.number(),
+    }),
+  },
+  handler: async (ctx, args) => {
+    if (await ctx.db.get(args.importId)) {
+      await ctx.db.patch(args.importId, { status: 'analyzed', report: args.report });
+    }
+    return null;
+  },
+});
+
+/**
+ * Create a group per Slack channel with its members (internal – called by
+ * slackImportWorker). Members start with everything read, so imported
+ * history does not show up as unread.
+ */
+export const createImportedGroups = internalMutation({
+  args: {
+    importId: v.id('slackImports'),
+    channels: v.array(
+      v.object({
+        slackId: v.string(),
+        name: v.string(),
+        description: v.optional(v.string()),
+        memberIds: v.array(v.id('users')),
+        adminIds: v.array(v.id('users')),
+        createdAt: v.number(),
+      })
+    ),
+  },
+  handler: async (ctx, args) => {
+    const slackImport = await ctx.db.get(args.importId);
+    if (!slackImport) {
+      throw new Error('Import not found');
+    }
+
+    // Already created on an earlier run
+    if (slackImport.channelGroups) {
+      return slackImport.channelGroups;
+    }
+
+    const now = getCurrentTimestamp();
+    const channelGroups = [];
+    for (const channel of args.channels) {
+      const groupId = await ctx.db.insert('groups', {
+        name: channel.name.slice(0, MAX_LENGTHS.GROUP_NAME),
+        description: channel.description?.slice(0, MAX_LENGTHS.GROUP_DESCRIPTION),
+        creatorId: slackImport.userId,
+        createdAt: channel.createdAt,
+      });
+
+      const adminIds = new Set([slackImport.userId, ...channel.adminIds]);
+      const memberIds = new Set([...adminIds, ...channel.memberIds]);
+      for (const memberId of memberIds) {
+        await ctx.db.insert('groupMembers', {
+          groupId,
+          userId: memberId,
+          role: adminIds.has(memberId) ? 'admin' : 'member',
+          joinedAt: now,
+        });
+        await ctx.db.insert('readCursors', {
+          userId: memberId,
+          groupId,
+          lastReadAt: now,
+          updatedAt: now,
+        });
+      }
+
+      channelGroups.push({ slackId: channel.slackId, groupId });
+    }
+
+    await ctx.db.patch(args.importId, { channelGroups });
+    return channelGroups;
+  },
+});
+
+/**
+ * Write a batch of a channel's messages, oldest first, with their original
+ * timestamps (internal – called by slackImportWorker). Messages already
+ * imported are skipped; replies whose parent was not imported become
+ * top-level messages. No notifications are sent.
+ */
+export const insertImportedMessages = internalMutation({
+  args: {
+    importId: v.id('slackImports'),
+    groupId: v.id('groups'),
+    messages: v.array(
+      v.object({
+        sourceId: v.string(),
+        parentSourceId: v.optional(v.string()),
+        senderId: v.id('users'),
+        content: v.string(),
+        mentionedUserIds: v.array(v.id('users')),
+        attachments: v.array(importedAttachmentValidator),
+        createdAt: v.number(),
+        editedAt: v.optional(v.number()),
+      })
+    ),
+  },
+  handler: async (ctx, args) => {
+    const slackImport = await ctx.db.get(args.importId);
+    const group = await ctx.db.get(args.groupId);
+    if (!slackImport || !group) {
+      throw new Error('Import not found');
+    }
+
+    let inserted = 0;
+    let lastMessageAt = group.lastMessageAt ?? 0;
+
+    for (const draft of args.messages) {
+      const existing = await ctx.db
+        .query('messages')
+        .withIndex('by_import_source', (q) => q.eq('importSourceId', draft.sourceId))
+        .first();
+      if (existing) continue;
+
+      const parent = draft.parentSourceId
+        ? await ctx.db
+            .query('messages')
+            .withIndex('by_import_source', (q) => q.eq('importSourceId', draft.parentSourceId))
+            .first()
+        : null;
+      const threadParent = parent && parent.groupId === args.groupId ? parent : null;
+
+      const mentionedUserIds = await getGroupMentionRecipients(
+        ctx,
+        args.groupId,
+        draft.senderId,
+        draft.mentionedUserIds.slice(0, MAX_MENTIONS_PER_MESSAGE)
+      );
+
+      const messageId = await ctx.db.insert('messages', {
+        senderId: draft.senderId,
+        content: draft.content,
+        groupId: args.groupId,
+        parentMessageId: threadParent?._id,
+        type: draft.attachments.length > 0 ? 'file' : 'text',
+        mentionedUserIds: mentionedUserIds.length > 0 ? mentionedUserIds : undefined,
+        importSourceId: draft.sourceId,
+        isDeleted: false,
+        createdAt: draft.createdAt,
+        updatedAt: draft.editedAt,
+      });
+
+      // Imported files are not charged to anyone's storage quota
+      await insertAttachments(
+        ctx,
+        messageId,
+        draft.attachments.slice(0, MAX_ATTACHMENTS_PER_MESSAGE),
+        draft.createdAt
+      );
+
+      if (threadParent) {
+        await recordThreadReply(ctx, threadParent, draft.senderId, draft.createdAt);
+      }
+
+      lastMessageAt = Math.max(lastMessageAt, draft.createdAt);
+      inserted++;
+    }
+
+    if (inserted > 0) {
+      await ctx.db.patch(args.groupId, { lastMessageAt });
+      await ctx.db.patch(args.importId, {
+        importedMessageCount: slackImport.importedMessageCount + inserted,
+      });
+    }
+
+    return inserted;
+  },
+});
+
+/**
+ * Record how far an import got (internal – called by slackImportWorker
+ * after each channel-day file)
+ */
+export const updateSlackImportProgress = internalMutation({
+  args: {
+    importId: v.id('slackImports'),
+    cursor: v.object({ channelIndex: v.number(), dayIndex: v.number() }),
+    importedFiles: v.number(),
+    skippedFiles: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const slackImport = await ctx.db.get(args.importId);
+    if (!slackImport) {
+      throw new Error('Import not found');
+    }
+
+    await ctx.db.patch(args.importId, {
+      cursor: args.cursor,
+      importedFileCount: slackImport.importedFileCount + args.importedFiles,
+      skippedFileCount: slackImport.skippedFileCount + args.skippedFiles,
+    });
+    return null;
+  },
+});
+
+/**
+ * Mark an analysis or import as finished (internal – called by
+ * slackImportWorker). A completed import's archive is deleted; a failed
+ * one keeps it so the import can be started again.
+ */
+export const finishSlackImport = internalMutation({
+  args: {
+    importId: v.id('slackImports'),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const slackImport = await ctx.db.get(args.importId);
+    if (!slackImport) {
+      return null;
+    }
+
+    if (args.error) {
+      await ctx.db.patch(args.importId, {
+        status: 'failed',
+        error: args.error,
+        completedAt: getCurrentTimestamp(),
+      });
+      return null;
+    }
+
+    if (slackImport.storageId && (await ctx.db.system.get(slackImport.storageId))) {
+      await ctx.storage.delete(slackImport.storageId);
+    }
+    await ctx.db.patch(args.importId, {
+      status: 'completed',
+      storageId: undefined,
+      cursor: undefined,
+      completedAt: getCurrentTimestamp(),
+    });
+    return null;
+  },
+});
@@ -0,0 +1,455 @@
+"use node";
+
+import { inflateRawSync } from 'node:zlib';
+import { v } from 'convex/values';
+import { internalAction, ActionCtx } from './_generated/server';
+import { internal } from './_generated/api';
+import { Id } from './_generated/dataModel';
+import { isAllowedFileType, isAllowedFileSize } from './lib/utils';
+import { verifyFileType, SNIFF_BYTE_LENGTH } from './lib/fileSniffing';
+import { readZipDirectory, readZipEntry, ZipDirectoryEntry } from './lib/zip';
+import {
+  MAX_SLACK_ARCHIVE_BYTES,
+  MAX_SLACK_JSON_BYTES,
+  SLACK_IMPORT_BATCH_SIZE,
+  SLACK_IMPORT_TIME_BUDGET,
+  SlackUser,
+  SlackChannel,
+  SlackFile,
+  SlackMessage,
+  getSlackUserEmail,
+  getSlackUserName,
+  slackTsToMillis,
+  getSlackSourceId,
+  isImportableMessage,
+  getDownloadableFiles,
+  getSlackFileUrl,
+  convertSlackText,
+  getChannelDayFiles,
+} from './lib/slackImport';
+
+// Slack file downloads that take longer than this are skipped
+const FILE_DOWNLOAD_TIMEOUT = 30 * 1000;
+
+type ImportedFile = NonNullable<Awaited<ReturnType<typeof importSlackFile>>>;
+
+type MessageDraft = {
+  sourceId: string;
+  parentSourceId?: string;
+  senderId: Id<'users'>;
+  content: string;
+  mentionedUserIds: Id<'users'>[];
+  attachments: ImportedFile[];
+  createdAt: number;
+  editedAt?: number;
+};
+
+type SlackExport = {
+  users: SlackUser[];
+  // Public channels first, then private ones (report order)
+  channels: (SlackChannel & { isPrivate: boolean })[];
+  conversationCount: number;
+  dayFiles: (channel: SlackChannel) => string[];
+  readJson: <T>(path: string) => T;
+};
+
+/**
+ * Load a Slack export ZIP from storage and index its contents. Exports
+ * zipped inside a top-level folder are handled too.
+ */
+async function openSlackExport(
+  ctx: ActionCtx,
+  storageId: Id<'_storage'>
+): Promise<SlackExport> {
+  const blob = await ctx.storage.get(storageId);
+  if (!blob) {
+    throw new Error('The uploaded export is no longer available');
+  }
+  if (blob.size > MAX_SLACK_ARCHIVE_BYTES) {
+    throw new Error('Slack export is too large');
+  }
+
+  const archive = new Uint8Array(await blob.arrayBuffer());
+  const entries = readZipDirectory(archive);
+  const usersEntry = entries
+    .filter((entry) => entry.path === 'users.json' || entry.path.endsWith('/users.json'))
+    .sort((a, b) => a.path.length - b.path.length)[0];
+  if (!usersEntry) {
+    throw new Error('Not a Slack export (users.json is missing)');
+  }
+
+  const root = usersEntry.path.slice(0, -'users.json'.length);
+  const byPath = new Map<string, ZipDirectoryEntry>();
+  for (const entry of entries) {
+    if (entry.path.startsWith(root)) {
+      byPath.set(entry.path.slice(root.length), entry);
+    }
+  }
+
+  const readJson = <T>(path: string): T => {
+    const entry = byPath.get(path);
+    if (!entry) {
+      throw new Error(`Missing ${path} in Slack export`);
+    }
+    if (entry.size > MAX_SLACK_JSON_BYTES) {
+      throw new Error(`${path} is too large to import`);
+    }
+    const data = readZipEntry(archive, entry, (raw) =>
+      inflateRawSync(raw, { maxOutputLength: MAX_SLACK_JSON_BYTES })
+    );
+    try {
+      return JSON.parse(new TextDecoder().decode(data)) as T;
+    } catch {
+      throw new Error(`${path} is not valid JSON`);
+    }
+  };
+  const readOptional = <T>(path: string, fallback: T): T =>
+    byPath.has(path) ? readJson<T>(path) : fallback;
+
+  const paths = [...byPath.keys()];
+  return {
+    users: readJson<SlackUser[]>('users.json'),
+    channels: [
+      ...readOptional<SlackChannel[]>('channels.json', []).map((c) => ({ ...c, isPrivate: false })),
+      ...readOptional<SlackChannel[]>('groups.json', []).map((c) => ({ ...c, isPrivate: true })),
+    ],
+    conversationCount:
+      readOptional<unknown[]>('dms.json', []).length +
+      readOptional<unknown[]>('mpims.json', []).length,
+    dayFiles: (channel) => getChannelDayFiles(paths, channel.name),
+    readJson,
+  };
+}
+
+/**
+ * Map Slack user IDs to accounts here by email
+ */
+async function mapSlackUsers(
+  ctx: ActionCtx,
+  users: SlackUser[]
+): Promise<Map<string, Id<'users'>>> {
+  const emails = [
+    ...new Set(users.map(getSlackUserEmail).filter((email) => email !== undefined)),
+  ];
+  const found: { email: string; userId: Id<'users'> }[] = await ctx.runQuery(
+    internal.slackImport.findUsersByEmail,
+    { emails }
+  );
+  const byEmail = new Map(found.map(({ email, userId }) => [email, userId]));
+
+  const mapped = new Map<string, Id<'users'>>();
+  for (const user of users) {
+    const email = getSlackUserEmail(user);
+    const userId = email ? byEmail.get(email) : undefined;
+    if (userId) {
+      mapped.set(user.id, userId);
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Download a Slack file and store it if it is a type and size allowed
+ * here and its content matches its type. Files hosted anywhere but Slack
+ * are skipped so the token is never sent elsewhere. Returns null to skip it.
+ */
+async function importSlackFile(ctx: ActionCtx, file: SlackFile) {
+  const fileType = file.mimetype ?? '';
+  if (!isAllowedFileType(fileType) || (file.size !== undefined && !isAllowedFileSize(file.size))) {
+    return null;
+  }
+
+  const url = getSlackFileUrl(file);
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const token = process.env.SLACK_IMPORT_TOKEN;
+    const response = await fetch(url, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: AbortSignal.timeout(FILE_DOWNLOAD_TIMEOUT),
+    });
+    if (!response.ok) {
+      return null;
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const verifiedType = verifyFileType(fileType, bytes.subarray(0, SNIFF_BYTE_LENGTH));
+    if (!isAllowedFileSize(bytes.length) || !verifiedType) {
+      return null;
+    }
+
+    const storageId = await ctx.storage.store(new Blob([bytes], { type: fileType }));
+    return {
+      storageId,
+      fileName: file.name || file.title || 'File',
+      fileType,
+      fileSize: bytes.length,
+      verifiedType,
+    };
+  } catch (error) {
+    console.warn('[slackImport] File download failed', {
+      fileId: file.id,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return null;
+  }
+}
+
+/**
+ * Dry run: read a Slack export and save a report of what would be imported
+ * and which Slack users have no account here (internal action – scheduled
+ * by slackImport.createSlackImport)
+ */
+export const analyzeSlackImport = internalAction({
+  args: {
+    importId: v.id('slackImports'),
+  },
+  handler: async (ctx, args) => {
+    try {
+      const slackImport = await ctx.runQuery(internal.slackImport.getSlackImport, {
+        importId: args.importId,
+      });
+      if (!slackImport?.storageId) {
+        return { ok: false };
+      }
+
+      const slackExport = await openSlackExport(ctx, slackImport.storageId);
+      const mappedUsers = await mapSlackUsers(ctx, slackExport.users);
+      const people = slackExport.users.filter((user) => !user.is_bot && user.id !== 'USLACKBOT');
+
+      let messageCount = 0;
+      let fileCount = 0;
+      const channels = slackExport.channels.map((channel) => {
+        let channelMessages = 0;
+        let channelFiles = 0;
+        for (const path of slackExport.dayFiles(channel)) {
+          for (const message of slackExport.readJson<SlackMessage[]>(path)) {
+            if (!isImportableMessage(message)) continue;
+            channelMessages++;
+            channelFiles += getDownloadableFiles(message).length;
+          }
+        }
+        messageCount += channelMessages;
+        fileCount += channelFiles;
+
+        return {
+          slackId: channel.id,
+          name: channel.name,
+          isPrivate: channel.isPrivate,
+          memberCount: channel.members?.length ?? 0,
+          messageCount: channelMessages,
+          fileCount: channelFiles,
+        };
+      });
+
+      await ctx.runMutation(internal.slackImport.saveSlackAnalysis, {
+        importId: args.importId,
+        report: {
+          userCount: people.length,
+          mappedUserCount: people.filter((user) => mappedUsers.has(user.id)).length,
+          unmappedUsers: people
+            .filter((user) => !mappedUsers.has(user.id))
+            .map((user) => ({
+              slackId: user.id,
+              name: getSlackUserName(user),
+              email: getSlackUserEmail(user),
+            })),
+          channels,
+          messageCount,
+          fileCount,
+          skippedConversationCount: slackExport.conversationCount,
+        },
+      });
+      return { ok: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn('[slackImport] Analysis failed', { importId: args.importId, error: message });
+      await ctx.runMutation(internal.slackImport.finishSlackImport, {
+        importId: args.importId,
+        error: message,
+      });
+      return { ok: false };
+    }
+  },
+});
+
+/**
+ * Import a Slack export's channels as groups, one channel-day file at a
+ * time (internal action – scheduled by slackImport.startSlackImport).
+ * Reschedules itself from the saved cursor when its time budget runs out.
+ */
+export const runSlackImport = internalAction({
+  args: {
+    importId: v.id('slackImports'),
+  },
+  handler: async (ctx, args) => {
+    const startedAt = Date.now();
+    try {
+      const slackImport = await ctx.runQuery(internal.slackImport.getSlackImport, {
+        importId: args.importId,
+      });
+      if (!slackImport || slackImport.status !== 'importing' || !slackImport.storageId) {
+        return { ok: false };
+      }
+
+      const slackExport = await openSlackExport(ctx, slackImport.storageId);
+      const mappedUsers = await mapSlackUsers(ctx, slackExport.users);
+      const userNames = new Map(slackExport.users.map((user) => [user.id, getSlackUserName(user)]));
+      const channelNames = new Map(slackExport.channels.map((c) => [c.id, c.name]));
+
+      const channelGroups: { slackId: string; groupId: Id<'groups'> }[] = await ctx.runMutation(
+        internal.slackImport.createImportedGroups,
+        {
+          importId: args.importId,
+          channels: slackExport.channels.map((channel) => {
+            const creatorId = channel.creator ? mappedUsers.get(channel.creator) : undefined;
+            return {
+              slackId: channel.id,
+              name: channel.name,
+              description: channel.purpose?.value || channel.topic?.value || undefined,
+              memberIds: (channel.members ?? [])
+                .map((member) => mappedUsers.get(member))
+                .filter((userId) => userId !== undefined),
+              adminIds: creatorId ? [creatorId] : [],
+              createdAt: channel.created ? channel.created * 1000 : startedAt,
+            };
+          }),
+        }
+      );
+      const groupIds = new Map(channelGroups.map(({ slackId, groupId }) => [slackId, groupId]));
+
+      let { channelIndex, dayIndex } = slackImport.cursor ?? { channelIndex: 0, dayIndex: 0 };
+      for (; channelIndex < slackExport.channels.length; channelIndex++, dayIndex = 0) {
+        const channel = slackExport.channels[channelIndex];
+        const groupId = groupIds.get(channel.id);
+        const dayFiles = slackExport.dayFiles(channel);
+        if (!groupId) continue;
+
+        for (; dayIndex < dayFiles.length; dayIndex++) {
+          if (Date.now() - startedAt > SLACK_IMPORT_TIME_BUDGET) {
+            await ctx.scheduler.runAfter(0, internal.slackImportWorker.runSlackImport, {
+              importId: args.importId,
+            });
+            return { ok: true };
+          }
+
+          const messages = slackExport
+            .readJson<SlackMessage[]>(dayFiles[dayIndex])
+            .filter(isImportableMessage)
+            .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+          const alreadyImported = new Set<string>(
+            await ctx.runQuery(internal.slackImport.getImportedSourceIds, {
+              sourceIds: messages.map((message) => getSlackSourceId(channel.id, message.ts)),
+            })
+          );
+
+          let importedFiles = 0;
+          let skippedFiles = 0;
+          let drafts: MessageDraft[] = [];
+          const insertBatch = (batch: MessageDraft[]) =>
+            ctx.runMutation(internal.slackImport.insertImportedMessages, {
+              importId: args.importId,
+              groupId,
+              messages: batch,
+            });
+
+          let outOfTime = false;
+          for (const message of messages) {
+            const sourceId = getSlackSourceId(channel.id, message.ts);
+            if (alreadyImported.has(sourceId)) continue;
+
+            const attachments: ImportedFile[] = [];
+            for (const file of getDownloadableFiles(message)) {
+              const attachment = await importSlackFile(ctx, file);
+              if (attachment) {
+                attachments.push(attachment);
+                importedFiles++;
+              } else {
+                skippedFiles++;
+              }
+            }
+
+            const { content, mentionedSlackIds } = convertSlackText(
+              message.text ?? '',
+              userNames,
+              channelNames
+            );
+            if (!content.trim() && attachments.length === 0) continue;
+
+            // Unmapped authors' messages are posted by the importer, under their Slack name
+            const senderId = message.user ? mappedUsers.get(message.user) : undefined;
+            const authorName =
+              (message.user && userNames.get(message.user)) ||
+              message.username ||
+              message.bot_profile?.name ||
+              'Unknown';
+
+            drafts.push({
+              sourceId,
+              parentSourceId:
+                message.thread_ts && message.thread_ts !== message.ts
+                  ? getSlackSourceId(channel.id, message.thread_ts)
+                  : undefined,
+              senderId: senderId ?? slackImport.userId,
+              content: senderId ? content : `**${authorName}:** ${content}`,
+              mentionedUserIds: mentionedSlackIds
+                .map((slackId) => mappedUsers.get(slackId))
+                .filter((userId) => userId !== undefined),
+              attachments,
+              createdAt: slackTsToMillis(message.ts),
+              editedAt: message.edited ? slackTsToMillis(message.edited.ts) : undefined,
+            });
+
+            // Busy days with many files can outlast the budget on their own
+            if (drafts.length >= SLACK_IMPORT_BATCH_SIZE) {
+              await insertBatch(drafts);
+              drafts = [];
+              if (Date.now() - startedAt > SLACK_IMPORT_TIME_BUDGET) {
+                outOfTime = true;
+                break;
+              }
+            }
+          }
+
+          if (drafts.length > 0) {
+            await insertBatch(drafts);
+          }
+
+          // An unfinished day is picked up again; its imported messages are skipped
+          await ctx.runMutation(internal.slackImport.updateSlackImportProgress, {
+            importId: args.importId,
+            cursor: outOfTime
+              ? { channelIndex, dayIndex }
+              : dayIndex + 1 < dayFiles.length
+                ? { channelIndex, dayIndex: dayIndex + 1 }
+                : { channelIndex: channelIndex + 1, dayIndex: 0 },
+            importedFiles,
+            skippedFiles,
+          });
+
+          if (outOfTime) {
+            await ctx.scheduler.runAfter(0, internal.slackImportWorker.runSlackImport, {
+              importId: args.importId,
+            });
+            return { ok: true };
+          }
+        }
+      }
+
+      await ctx.runMutation(internal.slackImport.finishSlackImport, {
+        importId: args.importId,
+      });
+      return { ok: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.warn('[slackImport] Import failed', { importId: args.importId, error: message });
+      await ctx.runMutation(internal.slackImport.finishSlackImport, {
+        importId: args.importId,
+        error: message,
+      });
+      return { ok: false };
+    }
+  },
+});
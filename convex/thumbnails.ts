@@ -0,0 +1,65 @@
+"use node";
+
+import { v } from 'convex/values';
+import { internalAction } from './_generated/server';
+import { internal } from './_generated/api';
+import sharp from 'sharp';
+import { THUMBNAIL_MAX_SIZE } from './lib/thumbnails';
+
+/**
+ * Read an uploaded image, record its dimensions and store a downscaled WebP
+ * thumbnail (internal action – scheduled when an image message is saved).
+ * Runs in Node runtime so sharp (native) is available.
+ */
+export const generateThumbnail = internalAction({
+  args: {
+    storageId: v.id('_storage'),
+  },
+  handler: async (ctx, args) => {
+    const blob = await ctx.storage.get(args.storageId);
+    if (!blob) {
+      // Deleted before we got to it
+      await ctx.runMutation(internal.files.saveThumbnail, { storageId: args.storageId });
+      return { ok: false };
+    }
+
+    try {
+      const input = Buffer.from(await blob.arrayBuffer());
+      // rotate() applies EXIF orientation so dimensions match what browsers show
+      const { data, info } = await sharp(input, { animated: false })
+        .rotate()
+        .resize({
+          width: THUMBNAIL_MAX_SIZE,
+          height: THUMBNAIL_MAX_SIZE,
+          fit: 'inside',
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const metadata = await sharp(input).metadata();
+      const isRotated = (metadata.orientation ?? 1) >= 5;
+
+      const thumbnailStorageId = await ctx.storage.store(
+        new Blob([new Uint8Array(data)], { type: 'image/webp' })
+      );
+
+      await ctx.runMutation(internal.files.saveThumbnail, {
+        storageId: args.storageId,
+        thumbnailStorageId,
+        width: isRotated ? metadata.height : metadata.width,
+        height: isRotated ? metadata.width : metadata.height,
+        thumbnailWidth: info.width,
+        thumbnailHeight: info.height,
+      });
+      return { ok: true };
+    } catch (error) {
+      console.warn('[thumbnails] Failed to generate thumbnail', {
+        storageId: args.storageId,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      await ctx.runMutation(internal.files.saveThumbnail, { storageId: args.storageId });
+      return { ok: false };
+    }
+  },
+});
@@ -0,0 +1,208 @@
+import { v } from 'convex/values';
+import { mutation, query, internalMutation } from './_generated/server';
+import { getAuthUserId } from './lib/auth';
+import { getCurrentTimestamp, TYPING_TIMEOUT } from './lib/utils';
+
+/**
+ * Set or clear the current user's typing state in a conversation or group.
+ * Clients call this throttled while composing; each call extends the expiry.
+ */
+export const setTyping = mutation({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+    isTyping: v.boolean(),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Validate that exactly one target is specified
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+    if (args.conversationId && args.groupId) {
+      throw new Error('Cannot specify both conversationId and groupId');
+    }
+
+    let existingState;
+
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      existingState = await ctx.db
+        .query('typingStates')
+        .withIndex('by_user_and_conversation', (q) =>
+          q
+            .eq('userId', currentUser._id)
+            .eq('conversationId', args.conversationId)
+        )
+        .first();
+    } else {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not a member of this group');
+      }
+
+      existingState = await ctx.db
+        .query('typingStates')
+        .withIndex('by_user_and_group', (q) =>
+          q.eq('userId', currentUser._id).eq('groupId', args.groupId)
+        )
+        .first();
+    }
+
+    if (!args.isTyping) {
+      if (existingState) {
+        await ctx.db.delete(existingState._id);
+      }
+      return null;
+    }
+
+    const expiresAt = getCurrentTimestamp() + TYPING_TIMEOUT;
+
+    if (existingState) {
+      await ctx.db.patch(existingState._id, { expiresAt });
+      return existingState._id;
+    }
+
+    return await ctx.db.insert('typingStates', {
+      userId: currentUser._id,
+      conversationId: args.conversationId,
+      groupId: args.groupId,
+      expiresAt,
+    });
+  },
+});
+
+/**
+ * Get users currently typing in a conversation or group (excluding self).
+ * Returns expiresAt so clients can hide entries that lapse between sweeps.
+ */
+export const getTypingUsers = query({
+  args: {
+    conversationId: v.optional(v.id('directConversations')),
+    groupId: v.optional(v.id('groups')),
+  },
+  handler: async (ctx, args) => {
+    const userId = await getAuthUserId(ctx);
+    if (!userId) {
+      throw new Error('Not authenticated');
+    }
+
+    // Get current user
+    const currentUser = await ctx.db.get(userId);
+
+    if (!currentUser) {
+      throw new Error('User not found');
+    }
+
+    // Validate target
+    if (!args.conversationId && !args.groupId) {
+      throw new Error('Must specify either conversationId or groupId');
+    }
+
+    let states;
+
+    if (args.conversationId) {
+      const conversation = await ctx.db.get(args.conversationId);
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (
+        conversation.participant1Id !== currentUser._id &&
+        conversation.participant2Id !== currentUser._id
+      ) {
+        throw new Error('Not authorized');
+      }
+
+      states = await ctx.db
+        .query('typingStates')
+        .withIndex('by_conversation', (q) =>
+          q.eq('conversationId', args.conversationId)
+        )
+        .collect();
+    } else {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) =>
+          q.eq('groupId', args.groupId!).eq('userId', currentUser._id)
+        )
+        .first();
+
+      if (!membership) {
+        throw new Error('Not authorized');
+      }
+
+      states = await ctx.db
+        .query('typingStates')
+        .withIndex('by_group', (q) => q.eq('groupId', args.groupId))
+        .collect();
+    }
+
+    const now = getCurrentTimestamp();
+    const typingUsers = await Promise.all(
+      states
+        .filter((state) => state.userId !== currentUser._id)
+        .filter((state) => state.expiresAt > now)
+        .map(async (state) => {
+          const user = await ctx.db.get(state.userId);
+          if (!user) return null;
+
+          return {
+            userId: user._id,
+            name: user.name,
+            email: user.email,
+            expiresAt: state.expiresAt,
+          };
+        })
+    );
+
+    return typingUsers.filter((u) => u !== null);
+  },
+});
+
+/**
+ * Delete expired typing states (run by cron)
+ */
+export const cleanupExpiredTyping = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const expiredStates = await ctx.db
+      .query('typingStates')
+      .withIndex('by_expires', (q) => q.lt('expiresAt', getCurrentTimestamp()))
+      .collect();
+
+    for (const state of expiredStates) {
+      await ctx.db.delete(state._id);
+    }
+
+    return expiredStates.length;
+  },
+});
@@ -0,0 +1,33 @@
+"use node";
+
+import { v } from 'convex/values';
+import { internalAction } from './_generated/server';
+import { internal } from './_generated/api';
+import { unfurlUrl } from './lib/unfurl';
+
+/**
+ * Fetch Open Graph metadata for a URL and store it in the linkPreviews cache
+ * (internal action – scheduled from sendMessage/editMessage only).
+ */
+export const fetchLinkPreview = internalAction({
+  args: {
+    url: v.string(),
+  },
+  handler: async (ctx, args) => {
+    try {
+      const metadata = await unfurlUrl(args.url);
+      await ctx.runMutation(internal.linkPreviews.savePreview, {
+        url: args.url,
+        ...(metadata ?? {}),
+      });
+      return { ok: metadata !== null };
+    } catch (error) {
+      console.warn('[unfurl] Failed to fetch link preview', {
+        url: args.url,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      await ctx.runMutation(internal.linkPreviews.savePreview, { url: args.url });
+      return { ok: false };
+    }
+  },
+});
@@ -0,0 +1,120 @@
+import { useState, useRef } from 'react';
+import { PlayIcon, PauseIcon } from '@heroicons/react/24/outline';
+import PropTypes from 'prop-types';
+import { formatDuration } from '../../utils/audio';
+import './AudioPlayer.css';
+
+/**
+ * Inline audio player for voice messages and audio attachments. The
+ * waveform (when known) doubles as the scrub bar; a range input laid over
+ * it handles pointer and keyboard seeking.
+ */
+export default function AudioPlayer({ src, duration, waveform, label }) {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  // Browser recordings (WebM) often report an infinite duration, so prefer the stored one
+  const [loadedDuration, setLoadedDuration] = useState(null);
+  const totalDuration = duration ?? loadedDuration ?? 0;
+  const progress = totalDuration > 0 ? Math.min(currentTime / totalDuration, 1) : 0;
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch((error) => console.error('Failed to play audio:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleSeek = (e) => {
+    const time = Number(e.target.value);
+    setCurrentTime(time);
+    if (audioRef.current) {
+      audioRef.current.currentTime = time;
+    }
+  };
+
+  return (
+    <div className="audio-player">
+      <button
+        type="button"
+        className="audio-player__toggle"
+        onClick={togglePlay}
+        aria-label={isPlaying ? `Pause ${label}` : `Play ${label}`}
+      >
+        {isPlaying ? (
+          <PauseIcon className="w-4 h-4" aria-hidden />
+        ) : (
+          <PlayIcon className="w-4 h-4" aria-hidden />
+        )}
+      </button>
+
+      <div className="audio-player__track">
+        {waveform?.length ? (
+          <div className="audio-player__waveform" aria-hidden>
+            {waveform.map((level, i) => (
+              <span
+                key={i}
+                className={`audio-player__bar ${(i + 0.5) / waveform.length <= progress ? 'audio-player__bar--played' : ''}`}
+                style={{ height: `${Math.max(level, 0.08) * 100}%` }}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="audio-player__progress" aria-hidden>
+            <span className="audio-player__progress-fill" style={{ width: `${progress * 100}%` }} />
+          </div>
+        )}
+        <input
+          type="range"
+          className="audio-player__scrubber"
+          min={0}
+          max={totalDuration || 0}
+          step={0.1}
+          value={Math.min(currentTime, totalDuration)}
+          onChange={handleSeek}
+          disabled={!totalDuration}
+          aria-label={`Seek ${label}`}
+          aria-valuetext={`${formatDuration(currentTime)} of ${formatDuration(totalDuration)}`}
+        />
+      </div>
+
+      <span className="audio-player__time">
+        {formatDuration(isPlaying || currentTime > 0 ? currentTime : totalDuration)}
+      </span>
+
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onLoadedMetadata={(e) => {
+          if (Number.isFinite(e.currentTarget.duration)) {
+            setLoadedDuration(e.currentTarget.duration);
+          }
+        }}
+      >
+        {/* Uploaded audio has no transcript yet; an empty track keeps the element valid */}
+        <track kind="captions" />
+      </audio>
+    </div>
+  );
+}
+
+AudioPlayer.propTypes = {
+  src: PropTypes.string.isRequired,
+  // Length in seconds, when recorded in the app
+  duration: PropTypes.number,
+  // Peak levels 0-1, one per bar
+  waveform: PropTypes.arrayOf(PropTypes.number),
+  // Used in the controls' accessible names
+  label: PropTypes.string.isRequired,
+};
@@ -1,16 +1,29 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useMutation } from 'convex/react';
 import PropTypes from 'prop-types';
 import {
+  ClockIcon,
   CalendarIcon,
   PhoneIcon,
   VideoCameraIcon,
   InformationCircleIcon,
+  MagnifyingGlassIcon,
 } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
 import UserPresence from '../common/UserPresence';
 import { useCall } from '../../hooks/useCall.jsx';
 import { ScheduleMeetingModal } from '../calendar';
+import MessageSearchResults from './MessageSearchResults';
 import './ChatHeader.css';
 
+// Must match convex/lib/disappearing.ts DISAPPEARING_TIMER_DURATIONS
+const DISAPPEARING_TIMER_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: '1d', label: '1 day', short: '1d' },
+  { value: '7d', label: '7 days', short: '7d' },
+  { value: '30d', label: '30 days', short: '30d' },
+];
+
 export default function ChatHeader({
   title,
   subtitle,
@@ -20,11 +33,68 @@ export default function ChatHeader({
   conversationId,
   groupId,
   otherUserId,
+  disappearingTimer,
+  canChangeDisappearingTimer,
   onShowDetails,
 }) {
   const { startCall, isInCall } = useCall();
   const [isStartingCall, setIsStartingCall] = useState(false);
   const [showScheduleModal, setShowScheduleModal] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const searchInputRef = useRef(null);
+  const [showTimerMenu, setShowTimerMenu] = useState(false);
+  const [timerError, setTimerError] = useState('');
+  const timerMenuRef = useRef(null);
+
+  const setConversationTimer = useMutation(api.conversations.setDisappearingTimer);
+  const setGroupTimer = useMutation(api.groups.setDisappearingTimer);
+  const activeTimer = DISAPPEARING_TIMER_OPTIONS.find((o) => o.value === disappearingTimer);
+
+  // Focus the search field when the popover opens
+  useEffect(() => {
+    if (showSearch) {
+      searchInputRef.current?.focus();
+    }
+  }, [showSearch]);
+
+  // Close the timer menu on outside click or Escape
+  useEffect(() => {
+    if (!showTimerMenu) return undefined;
+    const handlePointerDown = (e) => {
+      if (timerMenuRef.current && !timerMenuRef.current.contains(e.target)) {
+        setShowTimerMenu(false);
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setShowTimerMenu(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [showTimerMenu]);
+
+  const handleSetTimer = async (timer) => {
+    setTimerError('');
+    try {
+      if (type === 'conversation') {
+        await setConversationTimer({ conversationId, timer });
+      } else {
+        await setGroupTimer({ groupId, timer });
+      }
+      setShowTimerMenu(false);
+    } catch (error) {
+      setTimerError(error.message || 'Failed to update disappearing messages');
+    }
+  };
+
+  const closeSearch = () => {
+    setShowSearch(false);
+    setSearchTerm('');
+  };
 
   const handleStartCall = async (callType) => {
     if (isInCall || isStartingCall) return;
@@ -57,7 +127,21 @@ export default function ChatHeader({
           )}
         </div>
         <div className="chat-header__text">
-          <h2 className="chat-header__title">{title}</h2>
+          <div className="chat-header__title-row">
+            <h2 className="chat-header__title">{title}</h2>
+            {activeTimer && (
+              <span
+                className="chat-header__timer-badge"
+                title={`Messages disappear after ${activeTimer.label}`}
+              >
+                <ClockIcon className="w-3 h-3" aria-hidden />
+                {activeTimer.short}
+                <span className="sr-only">
+                  Disappearing messages: {activeTimer.label}
+                </span>
+              </span>
+            )}
+          </div>
           <p className="chat-header__subtitle">
             {type === 'conversation' && presenceStatus ? (
               <span className={`chat-header__status chat-header__status--${presenceStatus}`}>
@@ -71,6 +155,57 @@ export default function ChatHeader({
       </div>
 
       <div className="chat-header__actions">
+        <button
+          className="chat-header__action"
+          title="Search in chat"
+          aria-label="Search in chat"
+          aria-expanded={showSearch}
+          onClick={() => (showSearch ? closeSearch() : setShowSearch(true))}
+        >
+          <MagnifyingGlassIcon className="w-5 h-5" aria-hidden />
+        </button>
+        <div className="chat-header__timer" ref={timerMenuRef}>
+          <button
+            className={`chat-header__action ${activeTimer ? 'chat-header__action--active' : ''}`}
+            title="Disappearing messages"
+            aria-label="Disappearing messages"
+            aria-haspopup="menu"
+            aria-expanded={showTimerMenu}
+            onClick={() => {
+              setTimerError('');
+              setShowTimerMenu((prev) => !prev);
+            }}
+          >
+            <ClockIcon className="w-5 h-5" aria-hidden />
+          </button>
+          {showTimerMenu && (
+            <div className="chat-header__timer-menu" role="menu" aria-label="Disappearing messages">
+              <p className="chat-header__timer-hint">
+                {canChangeDisappearingTimer
+                  ? 'New messages will be deleted for everyone after:'
+                  : 'Only group admins can change this.'}
+              </p>
+              {DISAPPEARING_TIMER_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  role="menuitemradio"
+                  aria-checked={(disappearingTimer ?? 'off') === option.value}
+                  className={`chat-header__timer-option ${(disappearingTimer ?? 'off') === option.value ? 'chat-header__timer-option--selected' : ''}`}
+                  onClick={() => handleSetTimer(option.value)}
+                  disabled={!canChangeDisappearingTimer}
+                >
+                  {option.label}
+                </button>
+              ))}
+              {timerError && (
+                <p className="chat-header__timer-error" role="alert">
+                  {timerError}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
         {type === 'conversation' && otherUserId && (
           <button
             className="chat-header__action"
@@ -109,6 +244,29 @@ export default function ChatHeader({
         </button>
       </div>
 
+      {showSearch && (
+        <div className="chat-header__search" role="dialog" aria-label="Search in chat">
+          <input
+            ref={searchInputRef}
+            type="search"
+            className="chat-header__search-input"
+            placeholder={`Search in ${title}`}
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && closeSearch()}
+            aria-label="Search messages in this chat"
+          />
+          <div className="chat-header__search-results">
+            <MessageSearchResults
+              searchTerm={searchTerm}
+              conversationId={type === 'conversation' ? conversationId : undefined}
+              groupId={type === 'group' ? groupId : undefined}
+              onSelect={closeSearch}
+            />
+          </div>
+        </div>
+      )}
+
       {type === 'conversation' && otherUserId && (
         <ScheduleMeetingModal
           isOpen={showScheduleModal}
@@ -130,5 +288,8 @@ ChatHeader.propTypes = {
   conversationId: PropTypes.string,
   groupId: PropTypes.string,
   otherUserId: PropTypes.string,
+  // '1d' | '7d' | '30d', or undefined when messages don't disappear
+  disappearingTimer: PropTypes.oneOf(['1d', '7d', '30d']),
+  canChangeDisappearingTimer: PropTypes.bool,
   onShowDetails: PropTypes.func.isRequired,
 };
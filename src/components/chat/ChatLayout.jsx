@@ -3,6 +3,8 @@ import { Routes, Route } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import ChatView from './ChatView';
 import WelcomeView from './WelcomeView';
+import SavedMessagesView from './SavedMessagesView';
+import SlackImportView from './SlackImportView';
 import { CalendarView } from '../calendar';
 import './ChatLayout.css';
 
@@ -19,6 +21,8 @@ export default function ChatLayout() {
           <Route path="/conversation/:conversationId" element={<ChatView type="conversation" />} />
           <Route path="/group/:groupId" element={<ChatView type="group" />} />
           <Route path="/calendar" element={<CalendarView />} />
+          <Route path="/saved" element={<SavedMessagesView />} />
+          <Route path="/import/slack" element={<SlackImportView />} />
         </Routes>
       </main>
     </div>
@@ -1,19 +1,84 @@
-import { useState } from 'react';
-import { useParams } from 'react-router-dom';
-import { useQuery } from 'convex/react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { useQuery, useMutation } from 'convex/react';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
 import ChatHeader from './ChatHeader';
 import DetailPanel from './DetailPanel';
+import ThreadPanel from './ThreadPanel';
+import TypingIndicator from './TypingIndicator';
 import LoadingSpinner from '../common/LoadingSpinner';
 import MessageSkeleton from '../common/MessageSkeleton';
+import { useFileDrop } from '../../hooks/useFileDrop';
 import './ChatView.css';
 
 export default function ChatView({ type }) {
   const { conversationId, groupId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const jumpToMessageId = searchParams.get('message');
+  const threadParam = searchParams.get('thread');
   const [showDetails, setShowDetails] = useState(false);
+  const [threadMessageId, setThreadMessageId] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const lastMarkedReadRef = useRef(0);
+  const messageInputRef = useRef(null);
+
+  // Files dropped or pasted anywhere in the chat go to the main message input
+  const handleFiles = useCallback((files) => messageInputRef.current?.addFiles(files), []);
+  const { isDragging, dropZoneProps } = useFileDrop(handleFiles);
+
+  const markConversationRead = useMutation(api.readReceipts.markConversationRead);
+
+  // Threads and read positions belong to a single chat; reset when switching chats
+  useEffect(() => {
+    setThreadMessageId(null);
+    setReplyingTo(null);
+    lastMarkedReadRef.current = 0;
+  }, [conversationId, groupId]);
+
+  // Search results link here with ?thread=<parentId> to open a reply's thread
+  useEffect(() => {
+    if (threadParam) {
+      setThreadMessageId(threadParam);
+      setShowDetails(false);
+    }
+  }, [threadParam, conversationId, groupId]);
+
+  // Shared files link back to their message; thread replies open their thread
+  const handleJumpToFile = useCallback(
+    (file) => {
+      const params = { message: file.parentMessageId ?? file.messageId };
+      if (file.parentMessageId) {
+        params.thread = file.parentMessageId;
+      }
+      setSearchParams(params);
+    },
+    [setSearchParams]
+  );
+
+  const handleJumpComplete = useCallback(() => {
+    setSearchParams({}, { replace: true });
+  }, [setSearchParams]);
+
+  const handleReadUpTo = useCallback(
+    (timestamp) => {
+      // Only advance the cursor; skip redundant mutations
+      if (timestamp <= lastMarkedReadRef.current) return;
+      lastMarkedReadRef.current = timestamp;
+
+      markConversationRead({
+        conversationId: type === 'conversation' ? conversationId : undefined,
+        groupId: type === 'group' ? groupId : undefined,
+        lastReadAt: timestamp,
+      }).catch((error) => {
+        console.error('Failed to mark conversation read:', error);
+      });
+    },
+    [markConversationRead, type, conversationId, groupId]
+  );
 
   // Fetch conversation or group details
   const conversation = useQuery(
@@ -64,7 +129,14 @@ export default function ChatView({ type }) {
     : `${group?.members?.length || 0} members`;
 
   return (
-    <div className="chat-view">
+    <div className="chat-view" {...dropZoneProps}>
+      {isDragging && (
+        <div className="chat-view__drop-overlay" aria-hidden>
+          <ArrowUpTrayIcon className="w-8 h-8" />
+          <span>Drop files to attach</span>
+        </div>
+      )}
+
       <ChatHeader
         title={chatTitle}
         subtitle={chatSubtitle}
@@ -82,7 +154,14 @@ export default function ChatView({ type }) {
         conversationId={type === 'conversation' ? conversationId : undefined}
         groupId={type === 'group' ? groupId : undefined}
         otherUserId={type === 'conversation' ? conversation?.otherUser?._id : undefined}
-        onShowDetails={() => setShowDetails(!showDetails)}
+        disappearingTimer={
+          type === 'conversation' ? conversation?.disappearingTimer : group?.disappearingTimer
+        }
+        canChangeDisappearingTimer={type === 'conversation' || group?.myRole === 'admin'}
+        onShowDetails={() => {
+          setShowDetails(!showDetails);
+          setThreadMessageId(null);
+        }}
       />
 
       <div className="chat-view__body">
@@ -90,22 +169,48 @@ export default function ChatView({ type }) {
           <MessageList
             conversationId={type === 'conversation' ? conversationId : undefined}
             groupId={type === 'group' ? groupId : undefined}
+            onReadUpTo={handleReadUpTo}
+            jumpToMessageId={jumpToMessageId ?? undefined}
+            onJumpComplete={handleJumpComplete}
+            onReply={setReplyingTo}
+            onOpenThread={(messageId) => {
+              setThreadMessageId(messageId);
+              setShowDetails(false);
+            }}
+          />
+          <TypingIndicator
+            conversationId={type === 'conversation' ? conversationId : undefined}
+            groupId={type === 'group' ? groupId : undefined}
           />
         </div>
 
+        {threadMessageId && (
+          <ThreadPanel
+            key={threadMessageId}
+            parentMessageId={threadMessageId}
+            conversationId={type === 'conversation' ? conversationId : undefined}
+            groupId={type === 'group' ? groupId : undefined}
+            onClose={() => setThreadMessageId(null)}
+          />
+        )}
+
         {showDetails && (
           <DetailPanel
             type={type}
             conversation={conversation}
             group={group}
             onClose={() => setShowDetails(false)}
+            onJumpToMessage={handleJumpToFile}
           />
         )}
       </div>
 
       <MessageInput
+        ref={messageInputRef}
         conversationId={type === 'conversation' ? conversationId : undefined}
         groupId={type === 'group' ? groupId : undefined}
+        replyTo={replyingTo}
+        onCancelReply={() => setReplyingTo(null)}
       />
     </div>
   );
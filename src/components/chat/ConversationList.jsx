@@ -7,6 +7,9 @@ import LoadingSpinner from '../common/LoadingSpinner';
 import { formatRelativeTime } from '../../utils/dateUtils';
 import './ConversationList.css';
 
+// Must match convex/lib/unread.ts MAX_UNREAD_COUNT
+const MAX_UNREAD_BADGE = 99;
+
 export default function ConversationList() {
   const conversations = useQuery(api.conversations.listConversations);
   const navigate = useNavigate();
@@ -36,7 +39,7 @@ export default function ConversationList() {
       {conversations.map((conv) => (
         <li key={conv._id}>
           <button
-            className={`conversation-list__item ${
+            className={`conversation-list__item ${conv.unreadCount > 0 ? 'conversation-list__item--unread' : ''} ${
               conversationId === conv._id ? 'conversation-list__item--active' : ''
             }`}
             onClick={() => navigate(`/conversation/${conv._id}`)}
@@ -59,11 +62,21 @@ export default function ConversationList() {
                 <span className="conversation-list__name">
                   {conv.otherUser?.name || conv.otherUser?.email || 'Unknown User'}
                 </span>
-                {conv.lastMessage && (
-                  <span className="conversation-list__time">
-                    {formatRelativeTime(conv.lastMessage.createdAt)}
-                  </span>
-                )}
+                <span className="conversation-list__header-meta">
+                  {conv.lastMessage && (
+                    <span className="conversation-list__time">
+                      {formatRelativeTime(conv.lastMessage.createdAt)}
+                    </span>
+                  )}
+                  {conv.unreadCount > 0 && (
+                    <span
+                      className="conversation-list__unread"
+                      aria-label={`${conv.unreadCount} unread messages`}
+                    >
+                      {conv.unreadCount > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : conv.unreadCount}
+                    </span>
+                  )}
+                </span>
               </div>
               {conv.lastMessage && (
                 <p className="conversation-list__preview">
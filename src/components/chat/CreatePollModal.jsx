@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useMutation } from 'convex/react';
+import { XMarkIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import './CreatePollModal.css';
+
+// Must match convex/lib/polls.ts
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Compose a poll (question, options, single/multi choice, anonymity) and post it
+ */
+export default function CreatePollModal({ groupId, parentMessageId, onClose }) {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const createPoll = useMutation(api.polls.createPoll);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const updateOption = (index, value) => {
+    setOptions(options.map((option, i) => (i === index ? value : option)));
+  };
+
+  const removeOption = (index) => {
+    setOptions(options.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // The modal is portaled but React still bubbles submit to MessageInput's form
+    e.stopPropagation();
+
+    const filledOptions = options.map((o) => o.trim()).filter(Boolean);
+    if (!question.trim()) {
+      setError('Enter a question');
+      return;
+    }
+    if (filledOptions.length < MIN_POLL_OPTIONS) {
+      setError(`Add at least ${MIN_POLL_OPTIONS} options`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await createPoll({
+        groupId,
+        parentMessageId,
+        question: question.trim(),
+        options: filledOptions,
+        allowMultiple,
+        isAnonymous,
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to create poll');
+      setIsSubmitting(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="create-poll__overlay"
+      role="presentation"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        className="create-poll"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="create-poll-title"
+      >
+        <div className="create-poll__header">
+          <h2 id="create-poll-title">Create poll</h2>
+          <button
+            type="button"
+            className="create-poll__close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <XMarkIcon className="w-5 h-5" aria-hidden />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="create-poll__form">
+          <div className="create-poll__field">
+            <label htmlFor="poll-question">Question</label>
+            <input
+              id="poll-question"
+              type="text"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              placeholder="Where should we go for lunch?"
+              maxLength={300}
+            />
+          </div>
+
+          <fieldset className="create-poll__field create-poll__options">
+            <legend>Options</legend>
+            {options.map((option, index) => (
+              <div key={index} className="create-poll__option">
+                <input
+                  type="text"
+                  value={option}
+                  onChange={(e) => updateOption(index, e.target.value)}
+                  placeholder={`Option ${index + 1}`}
+                  aria-label={`Option ${index + 1}`}
+                  maxLength={100}
+                />
+                {options.length > MIN_POLL_OPTIONS && (
+                  <button
+                    type="button"
+                    className="create-poll__remove-option"
+                    onClick={() => removeOption(index)}
+                    aria-label={`Remove option ${index + 1}`}
+                  >
+                    <XMarkIcon className="w-4 h-4" aria-hidden />
+                  </button>
+                )}
+              </div>
+            ))}
+            {options.length < MAX_POLL_OPTIONS && (
+              <button
+                type="button"
+                className="create-poll__add-option"
+                onClick={() => setOptions([...options, ''])}
+              >
+                <PlusIcon className="w-4 h-4" aria-hidden />
+                Add option
+              </button>
+            )}
+          </fieldset>
+
+          <label className="create-poll__toggle">
+            <input
+              type="checkbox"
+              checked={allowMultiple}
+              onChange={(e) => setAllowMultiple(e.target.checked)}
+            />
+            Allow multiple answers
+          </label>
+          <label className="create-poll__toggle">
+            <input
+              type="checkbox"
+              checked={isAnonymous}
+              onChange={(e) => setIsAnonymous(e.target.checked)}
+            />
+            Anonymous voting
+          </label>
+
+          {error && (
+            <div className="create-poll__error" role="alert">
+              {error}
+            </div>
+          )}
+
+          <div className="create-poll__actions">
+            <button type="button" className="btn btn--secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn--primary" disabled={isSubmitting}>
+              {isSubmitting ? 'Posting...' : 'Post poll'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+CreatePollModal.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  parentMessageId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+};
@@ -1,14 +1,42 @@
 import { useState } from 'react';
-import { useMutation, useQuery } from 'convex/react';
-import { XMarkIcon, ArrowUpIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { useMutation, useQuery, usePaginatedQuery } from 'convex/react';
+import {
+  XMarkIcon,
+  ArrowUpIcon,
+  MapPinIcon,
+  ArrowDownTrayIcon,
+  ChatBubbleLeftIcon,
+  DocumentIcon,
+} from '@heroicons/react/24/outline';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import UserPresence from '../common/UserPresence';
 import LoadingSpinner from '../common/LoadingSpinner';
-import { formatRelativeTime } from '../../utils/dateUtils';
+import StorageUsage from '../common/StorageUsage';
+import { formatRelativeTime, formatDate } from '../../utils/dateUtils';
 import './DetailPanel.css';
 
-export default function DetailPanel({ type, conversation, group, onClose }) {
+// Page size for the shared files tab
+const FILES_PAGE_SIZE = 30;
+
+// Options for the shared files category filter (values match convex/lib/attachments.ts)
+const FILE_CATEGORIES = [
+  { value: '', label: 'All types' },
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'document', label: 'Documents' },
+  { value: 'archive', label: 'Archives' },
+  { value: 'other', label: 'Other' },
+];
+
+export default function DetailPanel({
+  type,
+  conversation,
+  group,
+  onClose,
+  onJumpToMessage,
+}) {
   const [activeTab, setActiveTab] = useState('info');
 
   // Get pinned messages
@@ -73,6 +101,12 @@ export default function DetailPanel({ type, conversation, group, onClose }) {
             >
               Pinned ({pinnedMessages?.length || 0})
             </button>
+            <button
+              className={`detail-panel__tab ${activeTab === 'files' ? 'detail-panel__tab--active' : ''}`}
+              onClick={() => setActiveTab('files')}
+            >
+              Files
+            </button>
           </div>
 
           {activeTab === 'info' && (
@@ -87,6 +121,19 @@ export default function DetailPanel({ type, conversation, group, onClose }) {
           {activeTab === 'pinned' && (
             <PinnedMessagesList messages={pinnedMessages} />
           )}
+
+          {activeTab === 'files' && conversation && (
+            <SharedFilesList
+              conversationId={conversation._id}
+              senders={[conversation.otherUser].filter(Boolean).map((user) => ({
+                userId: user._id,
+                name: user.name || user.email,
+              }))}
+              onJumpToMessage={onJumpToMessage}
+            />
+          )}
+
+          {conversation && <ChatExportSection conversationId={conversation._id} />}
         </div>
       </aside>
     );
@@ -121,6 +168,12 @@ export default function DetailPanel({ type, conversation, group, onClose }) {
           )}
         </div>
 
+        {activeTab === 'files' && group && (
+          <div className="detail-panel__storage">
+            <StorageUsage groupId={group._id} />
+          </div>
+        )}
+
         <div className="detail-panel__tabs">
           <button
             className={`detail-panel__tab ${activeTab === 'members' ? 'detail-panel__tab--active' : ''}`}
@@ -134,6 +187,12 @@ export default function DetailPanel({ type, conversation, group, onClose }) {
           >
             Pinned ({pinnedMessages?.length || 0})
           </button>
+          <button
+            className={`detail-panel__tab ${activeTab === 'files' ? 'detail-panel__tab--active' : ''}`}
+            onClick={() => setActiveTab('files')}
+          >
+            Files
+          </button>
         </div>
 
         {activeTab === 'members' && (
@@ -143,6 +202,19 @@ export default function DetailPanel({ type, conversation, group, onClose }) {
         {activeTab === 'pinned' && (
           <PinnedMessagesList messages={pinnedMessages} />
         )}
+
+        {activeTab === 'files' && group && (
+          <SharedFilesList
+            groupId={group._id}
+            senders={(group.members ?? []).map((member) => ({
+              userId: member.userId,
+              name: member.name || member.email,
+            }))}
+            onJumpToMessage={onJumpToMessage}
+          />
+        )}
+
+        {group && <ChatExportSection groupId={group._id} />}
       </div>
     </aside>
   );
@@ -257,11 +329,237 @@ function PinnedMessagesList({ messages }) {
   );
 }
 
+function SharedFilesList({ conversationId, groupId, senders, onJumpToMessage }) {
+  const [category, setCategory] = useState('');
+  const [senderId, setSenderId] = useState('');
+
+  const currentUser = useQuery(api.users.getCurrentUser);
+
+  const { results, status, loadMore } = usePaginatedQuery(
+    api.files.listFilesInChat,
+    {
+      conversationId,
+      groupId,
+      category: category || undefined,
+      senderId: senderId || undefined,
+    },
+    { initialNumItems: FILES_PAGE_SIZE }
+  );
+
+  // In a DM the other participant is passed in; add "You" so either side can be picked
+  const senderOptions =
+    conversationId && currentUser
+      ? [{ userId: currentUser._id, name: 'You' }, ...senders]
+      : senders;
+
+  return (
+    <div className="detail-panel__files">
+      <div className="detail-panel__files-filters">
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          aria-label="Filter by file type"
+        >
+          {FILE_CATEGORIES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={senderId}
+          onChange={(e) => setSenderId(e.target.value)}
+          aria-label="Filter by sender"
+        >
+          <option value="">Anyone</option>
+          {senderOptions.map((sender) => (
+            <option key={sender.userId} value={sender.userId}>
+              {sender.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {status === 'LoadingFirstPage' ? (
+        <div className="detail-panel__files-loading">
+          <LoadingSpinner size="small" />
+        </div>
+      ) : results.length === 0 && status === 'Exhausted' ? (
+        <p className="detail-panel__empty">No files shared yet</p>
+      ) : (
+        <ul className="detail-panel__file-list">
+          {results.map((file) => (
+            <li key={file._id} className="detail-panel__file">
+              <div className="detail-panel__file-preview" aria-hidden>
+                {file.category === 'image' && file.url ? (
+                  <img src={file.thumbnailUrl ?? file.url} alt="" loading="lazy" />
+                ) : (
+                  <DocumentIcon className="w-5 h-5" />
+                )}
+              </div>
+              <div className="detail-panel__file-info">
+                <span className="detail-panel__file-name" title={file.fileName}>
+                  {file.fileName}
+                </span>
+                <span className="detail-panel__file-meta">
+                  {file.scanStatus === 'pending'
+                    ? 'Scanning for viruses…'
+                    : file.scanStatus === 'infected'
+                      ? 'Blocked: failed malware scan'
+                      : `${formatFileSize(file.fileSize)} · ${file.senderName} · ${formatRelativeTime(file.createdAt)}`}
+                </span>
+              </div>
+              <div className="detail-panel__file-actions">
+                {file.url && (
+                  <a
+                    href={file.url}
+                    download={file.fileName}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="detail-panel__file-action"
+                    title="Download"
+                    aria-label={`Download ${file.fileName}`}
+                  >
+                    <ArrowDownTrayIcon className="w-5 h-5" aria-hidden />
+                  </a>
+                )}
+                {onJumpToMessage && (
+                  <button
+                    type="button"
+                    className="detail-panel__file-action"
+                    onClick={() => onJumpToMessage(file)}
+                    title="Show in chat"
+                    aria-label={`Show ${file.fileName} in chat`}
+                  >
+                    <ChatBubbleLeftIcon className="w-5 h-5" aria-hidden />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {(status === 'CanLoadMore' || status === 'LoadingMore') && (
+        <button
+          type="button"
+          className="btn btn--secondary btn--small detail-panel__files-more"
+          onClick={() => loadMore(FILES_PAGE_SIZE)}
+          disabled={status === 'LoadingMore'}
+        >
+          {status === 'LoadingMore' ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Start an export of the chat's history and offer the latest archive for
+ * download until it expires
+ */
+function ChatExportSection({ conversationId, groupId }) {
+  const target = conversationId ? { conversationId } : { groupId };
+  const latestExport = useQuery(api.exports.getLatestExport, target);
+  const requestExport = useMutation(api.exports.requestExport);
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isPending = isStarting || latestExport?.status === 'pending';
+
+  const handleExport = async () => {
+    setError(null);
+    setIsStarting(true);
+    try {
+      await requestExport(target);
+    } catch (err) {
+      setError(err.message || 'Failed to start export');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <div className="detail-panel__export">
+      <h5>Export chat</h5>
+      <p className="detail-panel__export-hint">
+        Download the full history as a ZIP with HTML, text and JSON transcripts and the
+        shared files.
+      </p>
+
+      {latestExport?.status === 'ready' && latestExport.url && (
+        <div className="detail-panel__export-ready">
+          <a
+            href={latestExport.url}
+            download={latestExport.fileName}
+            className="detail-panel__export-link"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" aria-hidden />
+            <span>
+              {latestExport.fileName} ({formatFileSize(latestExport.fileSize)})
+            </span>
+          </a>
+          <span className="detail-panel__export-meta">
+            {latestExport.messageCount} messages · available until{' '}
+            {formatDate(latestExport.expiresAt)}
+          </span>
+          {latestExport.skippedFileCount > 0 && (
+            <span className="detail-panel__export-meta">
+              {latestExport.skippedFileCount === 1
+                ? '1 file was'
+                : `${latestExport.skippedFileCount} files were`}{' '}
+              left out (unavailable or over the size limit)
+            </span>
+          )}
+        </div>
+      )}
+
+      {latestExport?.status === 'failed' && !isPending && (
+        <p className="detail-panel__export-error" role="alert">
+          Export failed: {latestExport.error || 'Unknown error'}
+        </p>
+      )}
+      {error && (
+        <p className="detail-panel__export-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button
+        type="button"
+        className="btn btn--secondary btn--small detail-panel__export-button"
+        onClick={handleExport}
+        disabled={isPending || latestExport === undefined}
+      >
+        {isPending ? (
+          <>
+            <LoadingSpinner size="small" />
+            Preparing export...
+          </>
+        ) : latestExport?.status === 'ready' ? (
+          'Export again'
+        ) : (
+          'Export chat'
+        )}
+      </button>
+    </div>
+  );
+}
+
+function formatFileSize(bytes) {
+  if (!bytes || bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
 DetailPanel.propTypes = {
   type: PropTypes.oneOf(['conversation', 'group']).isRequired,
   conversation: PropTypes.object,
   group: PropTypes.object,
   onClose: PropTypes.func.isRequired,
+  onJumpToMessage: PropTypes.func,
 };
 
 MembersList.propTypes = {
@@ -273,3 +571,20 @@ MembersList.propTypes = {
 PinnedMessagesList.propTypes = {
   messages: PropTypes.array,
 };
+
+ChatExportSection.propTypes = {
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+};
+
+SharedFilesList.propTypes = {
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+  senders: PropTypes.arrayOf(
+    PropTypes.shape({
+      userId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+    })
+  ).isRequired,
+  onJumpToMessage: PropTypes.func,
+};
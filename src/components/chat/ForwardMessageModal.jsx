@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useQuery, useMutation } from 'convex/react';
+import { XMarkIcon, UserGroupIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import LoadingSpinner from '../common/LoadingSpinner';
+import './ForwardMessageModal.css';
+
+// Must match convex/lib/forwarding.ts MAX_FORWARD_TARGETS
+const MAX_FORWARD_TARGETS = 10;
+
+/**
+ * Pick one or more DMs/groups and forward a message to them
+ */
+export default function ForwardMessageModal({ messageId, onClose }) {
+  const [filter, setFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [isForwarding, setIsForwarding] = useState(false);
+  const [error, setError] = useState('');
+
+  const conversations = useQuery(api.conversations.listConversations);
+  const groups = useQuery(api.groups.listGroups);
+  const forwardMessage = useMutation(api.messages.forwardMessage);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const chats =
+    conversations && groups
+      ? [
+          ...groups.map((g) => ({ key: `group:${g._id}`, kind: 'group', id: g._id, name: g.name })),
+          ...conversations.map((c) => ({
+            key: `conversation:${c._id}`,
+            kind: 'conversation',
+            id: c._id,
+            name: c.otherUser?.name || c.otherUser?.email || 'Unknown',
+            avatarUrl: c.otherUser?.avatarUrl,
+          })),
+        ]
+      : null;
+
+  const query = filter.trim().toLowerCase();
+  const visibleChats = chats?.filter((chat) => chat.name.toLowerCase().includes(query));
+
+  const toggleChat = (key) => {
+    if (selected.includes(key)) {
+      setError('');
+      setSelected(selected.filter((k) => k !== key));
+    } else if (selected.length >= MAX_FORWARD_TARGETS) {
+      setError(`You can forward to up to ${MAX_FORWARD_TARGETS} chats at once`);
+    } else {
+      setError('');
+      setSelected([...selected, key]);
+    }
+  };
+
+  const handleForward = async () => {
+    if (selected.length === 0) return;
+    const picked = chats.filter((chat) => selected.includes(chat.key));
+
+    setIsForwarding(true);
+    setError('');
+    try {
+      await forwardMessage({
+        messageId,
+        conversationIds: picked.filter((c) => c.kind === 'conversation').map((c) => c.id),
+        groupIds: picked.filter((c) => c.kind === 'group').map((c) => c.id),
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to forward message');
+      setIsForwarding(false);
+    }
+  };
+
+  // Portal so the overlay isn't clipped or styled by the message bubble
+  return createPortal(
+    <div
+      className="forward-message__overlay"
+      role="presentation"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        className="forward-message"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="forward-message-title"
+      >
+        <div className="forward-message__header">
+          <h2 id="forward-message-title">Forward message</h2>
+          <button
+            type="button"
+            className="forward-message__close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <XMarkIcon className="w-5 h-5" aria-hidden />
+          </button>
+        </div>
+
+        <div className="forward-message__search">
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Search chats..."
+            aria-label="Search chats"
+          />
+        </div>
+
+        <div className="forward-message__body">
+          {visibleChats === undefined ? (
+            <div className="forward-message__loading">
+              <LoadingSpinner size="small" />
+            </div>
+          ) : visibleChats.length === 0 ? (
+            <p className="forward-message__empty">No chats found</p>
+          ) : (
+            <ul className="forward-message__chats" aria-label="Chats">
+              {visibleChats.map((chat) => {
+                const isSelected = selected.includes(chat.key);
+                return (
+                  <li key={chat.key}>
+                    <button
+                      type="button"
+                      className={`forward-message__chat ${isSelected ? 'forward-message__chat--selected' : ''}`}
+                      onClick={() => toggleChat(chat.key)}
+                      aria-pressed={isSelected}
+                    >
+                      <span className="forward-message__avatar" aria-hidden>
+                        {chat.kind === 'group' ? (
+                          <UserGroupIcon className="w-5 h-5" />
+                        ) : chat.avatarUrl ? (
+                          <img src={chat.avatarUrl} alt="" />
+                        ) : (
+                          chat.name[0]
+                        )}
+                      </span>
+                      <span className="forward-message__chat-name">{chat.name}</span>
+                      <span className="forward-message__check" aria-hidden>
+                        {isSelected && <CheckIcon className="w-4 h-4" />}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {error && (
+          <p className="forward-message__error" role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className="forward-message__footer">
+          <button type="button" className="btn btn--secondary btn--small" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn btn--primary btn--small"
+            onClick={handleForward}
+            disabled={selected.length === 0 || isForwarding}
+          >
+            {isForwarding
+              ? 'Forwarding...'
+              : selected.length > 1
+                ? `Forward to ${selected.length} chats`
+                : 'Forward'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+ForwardMessageModal.propTypes = {
+  messageId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
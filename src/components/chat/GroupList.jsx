@@ -1,11 +1,14 @@
 import { useQuery } from 'convex/react';
-import { PaperClipIcon, PhoneIcon } from '@heroicons/react/24/outline';
+import { PaperClipIcon, PhoneIcon, ChartBarIcon } from '@heroicons/react/24/outline';
 import { useNavigate, useParams } from 'react-router-dom';
 import { api } from '../../../convex/_generated/api';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { formatRelativeTime } from '../../utils/dateUtils';
 import './GroupList.css';
 
+// Must match convex/lib/unread.ts MAX_UNREAD_COUNT
+const MAX_UNREAD_BADGE = 99;
+
 export default function GroupList() {
   const groups = useQuery(api.groups.listGroups);
   const navigate = useNavigate();
@@ -35,7 +38,7 @@ export default function GroupList() {
       {groups.map((group) => (
         <li key={group._id}>
           <button
-            className={`group-list__item ${
+            className={`group-list__item ${group.unreadCount > 0 ? 'group-list__item--unread' : ''} ${
               groupId === group._id ? 'group-list__item--active' : ''
             }`}
             onClick={() => navigate(`/group/${group._id}`)}
@@ -50,11 +53,21 @@ export default function GroupList() {
             <div className="group-list__content">
               <div className="group-list__header">
                 <span className="group-list__name">{group.name}</span>
-                {group.lastMessage && (
-                  <span className="group-list__time">
-                    {formatRelativeTime(group.lastMessage.createdAt)}
-                  </span>
-                )}
+                <span className="group-list__header-meta">
+                  {group.lastMessage && (
+                    <span className="group-list__time">
+                      {formatRelativeTime(group.lastMessage.createdAt)}
+                    </span>
+                  )}
+                  {group.unreadCount > 0 && (
+                    <span
+                      className="group-list__unread"
+                      aria-label={`${group.unreadCount} unread messages`}
+                    >
+                      {group.unreadCount > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : group.unreadCount}
+                    </span>
+                  )}
+                </span>
               </div>
               <div className="group-list__meta">
                 <span className="group-list__members">
@@ -70,6 +83,8 @@ export default function GroupList() {
                     <><PaperClipIcon className="w-4 h-4 inline-block mr-1 align-middle" aria-hidden />File attachment</>
                   ) : group.lastMessage.type === 'call' ? (
                     <><PhoneIcon className="w-4 h-4 inline-block mr-1 align-middle" aria-hidden />Call</>
+                  ) : group.lastMessage.type === 'poll' ? (
+                    <><ChartBarIcon className="w-4 h-4 inline-block mr-1 align-middle" aria-hidden />{group.lastMessage.content}</>
                   ) : (
                     group.lastMessage.content
                   )}
@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useQuery } from 'convex/react';
+import {
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ArrowDownTrayIcon,
+} from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatMessageTime } from '../../utils/dateUtils';
+import './ImageLightbox.css';
+
+/**
+ * Full-size image viewer that pages through every image in the chat
+ */
+export default function ImageLightbox({
+  conversationId,
+  groupId,
+  initialImage,
+  onClose,
+}) {
+  // Track the image itself rather than an index so live updates don't shift it
+  const [current, setCurrent] = useState(initialImage);
+
+  const images = useQuery(
+    api.files.listChatImages,
+    conversationId ? { conversationId } : { groupId }
+  );
+
+  const index = images
+    ? images.findIndex(
+        (image) =>
+          image.messageId === current.messageId &&
+          image.storageId === current.storageId
+      )
+    : -1;
+  const image = index >= 0 ? images[index] : null;
+  const prevImage = index > 0 ? images[index - 1] : null;
+  const nextImage = index >= 0 && index < images.length - 1 ? images[index + 1] : null;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && prevImage) setCurrent(prevImage);
+      if (e.key === 'ArrowRight' && nextImage) setCurrent(nextImage);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, prevImage, nextImage]);
+
+  return createPortal(
+    <div
+      className="image-lightbox"
+      role="presentation"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        className="image-lightbox__dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Image viewer"
+      >
+        <div className="image-lightbox__header">
+          {image && (
+            <div className="image-lightbox__info">
+              <span className="image-lightbox__file-name">{image.fileName}</span>
+              <span className="image-lightbox__meta">
+                {image.senderName} · {formatMessageTime(image.createdAt)} ·{' '}
+                {index + 1} of {images.length}
+              </span>
+            </div>
+          )}
+          <div className="image-lightbox__actions">
+            {image && (
+              <a
+                href={image.url}
+                download={image.fileName}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="image-lightbox__action"
+                aria-label="Download"
+              >
+                <ArrowDownTrayIcon className="w-5 h-5" aria-hidden />
+              </a>
+            )}
+            <button
+              type="button"
+              className="image-lightbox__action"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              <XMarkIcon className="w-6 h-6" aria-hidden />
+            </button>
+          </div>
+        </div>
+
+        <div
+          className="image-lightbox__stage"
+          role="presentation"
+          onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+          {images === undefined ? (
+            <LoadingSpinner />
+          ) : !image ? (
+            <p className="image-lightbox__empty">This image is no longer available</p>
+          ) : (
+            <img
+              key={image.url}
+              className="image-lightbox__image"
+              src={image.url}
+              alt={image.fileName}
+              width={image.width}
+              height={image.height}
+            />
+          )}
+
+          {prevImage && (
+            <button
+              type="button"
+              className="image-lightbox__nav image-lightbox__nav--prev"
+              onClick={() => setCurrent(prevImage)}
+              aria-label="Previous image"
+            >
+              <ChevronLeftIcon className="w-6 h-6" aria-hidden />
+            </button>
+          )}
+          {nextImage && (
+            <button
+              type="button"
+              className="image-lightbox__nav image-lightbox__nav--next"
+              onClick={() => setCurrent(nextImage)}
+              aria-label="Next image"
+            >
+              <ChevronRightIcon className="w-6 h-6" aria-hidden />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+ImageLightbox.propTypes = {
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+  initialImage: PropTypes.shape({
+    messageId: PropTypes.string.isRequired,
+    storageId: PropTypes.string.isRequired,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,141 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { parseMarkdown } from '../../utils/markdown';
+import './MessageContent.css';
+
+/**
+ * Split plain text into text and highlighted @mentions.
+ * Longer names are matched first so "@Ann Lee" wins over "@Ann".
+ */
+function renderMentions(text, mentions, keyPrefix) {
+  if (!mentions || mentions.length === 0) {
+    return text;
+  }
+
+  const byName = new Map(mentions.map((m) => [`@${m.name}`, m]));
+  const escaped = [...byName.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'g');
+
+  return text.split(pattern).map((part, i) => {
+    const mention = i % 2 === 1 ? byName.get(part) : undefined;
+    if (!mention) return part;
+    return (
+      <span
+        key={`${keyPrefix}-${i}`}
+        className={`message-content__mention ${mention.isMe ? 'message-content__mention--me' : ''}`}
+      >
+        {part}
+      </span>
+    );
+  });
+}
+
+function renderInline(nodes, mentions, keyPrefix = 'i') {
+  return nodes.map((node, index) => {
+    const key = `${keyPrefix}-${index}`;
+    switch (node.type) {
+      case 'text':
+        return <span key={key}>{renderMentions(node.text, mentions, key)}</span>;
+      case 'strong':
+        return <strong key={key}>{renderInline(node.children, mentions, key)}</strong>;
+      case 'em':
+        return <em key={key}>{renderInline(node.children, mentions, key)}</em>;
+      case 'code':
+        return (
+          <code key={key} className="message-content__code">
+            {node.text}
+          </code>
+        );
+      case 'link':
+        return (
+          <a
+            key={key}
+            className="message-content__link"
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            {renderInline(node.children, mentions, key)}
+          </a>
+        );
+      case 'break':
+        return <br key={key} />;
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlock(block, index, mentions) {
+  switch (block.type) {
+    case 'paragraph':
+      return (
+        <p key={index} className="message-content__paragraph">
+          {renderInline(block.children, mentions, `p${index}`)}
+        </p>
+      );
+    case 'code_block':
+      return (
+        <pre
+          key={index}
+          className="message-content__code-block"
+          data-language={block.language ?? undefined}
+        >
+          <code>
+            {block.tokens.map((token, i) =>
+              token.type === 'plain' ? (
+                token.text
+              ) : (
+                <span key={i} className={`message-content__token--${token.type}`}>
+                  {token.text}
+                </span>
+              )
+            )}
+          </code>
+        </pre>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          className="message-content__list"
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+        >
+          {block.items.map((item, i) => (
+            <li key={i}>{renderInline(item, mentions, `l${index}-${i}`)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render message text as safe, allow-listed markdown with @mention highlights
+ */
+export default function MessageContent({ content, mentions, className }) {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+
+  return (
+    <div className={`message-content ${className ?? ''}`}>
+      {blocks.map((block, index) => renderBlock(block, index, mentions))}
+    </div>
+  );
+}
+
+MessageContent.propTypes = {
+  content: PropTypes.string.isRequired,
+  mentions: PropTypes.arrayOf(
+    PropTypes.shape({
+      userId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      isMe: PropTypes.bool,
+    })
+  ),
+  className: PropTypes.string,
+};
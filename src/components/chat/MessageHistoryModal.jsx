@@ -0,0 +1,116 @@
+import { useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useQuery } from 'convex/react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatRelativeTime } from '../../utils/dateUtils';
+import { diffWords } from '../../utils/diff';
+import './MessageHistoryModal.css';
+
+/**
+ * Edit history of a message, newest version first, each diffed against
+ * the version before it
+ */
+export default function MessageHistoryModal({ messageId, onClose }) {
+  const history = useQuery(api.messages.getMessageHistory, { messageId });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const versions = history
+    ? [
+        ...history.revisions.map((r) => ({ content: r.content, writtenAt: r.writtenAt })),
+        history.current,
+      ]
+    : [];
+
+  // Portal so the overlay isn't clipped or styled by the message bubble
+  return createPortal(
+    <div
+      className="message-history__overlay"
+      role="presentation"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        className="message-history"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="message-history-title"
+      >
+        <div className="message-history__header">
+          <h2 id="message-history-title">Edit history</h2>
+          <button
+            type="button"
+            className="message-history__close"
+            onClick={onClose}
+            aria-label="Close edit history"
+          >
+            <XMarkIcon className="w-5 h-5" aria-hidden />
+          </button>
+        </div>
+
+        <div className="message-history__body">
+          {history === undefined ? (
+            <div className="message-history__loading">
+              <LoadingSpinner size="small" />
+            </div>
+          ) : history === null ? (
+            <p className="message-history__empty">This message is no longer available.</p>
+          ) : (
+            <ol className="message-history__versions">
+              {versions
+                .map((version, index) => (
+                  <li key={index} className="message-history__version">
+                    <div className="message-history__version-meta">
+                      <span className="message-history__version-label">
+                        {index === 0
+                          ? 'Original'
+                          : index === versions.length - 1
+                            ? 'Current'
+                            : `Edit ${index}`}
+                      </span>
+                      <time dateTime={new Date(version.writtenAt).toISOString()}>
+                        {formatRelativeTime(version.writtenAt)}
+                      </time>
+                    </div>
+                    <p className="message-history__content">
+                      {index === 0
+                        ? version.content
+                        : diffWords(versions[index - 1].content, version.content).map(
+                            (part, i) =>
+                              part.type === 'equal' ? (
+                                part.text
+                              ) : part.type === 'insert' ? (
+                                <ins key={i} className="message-history__insert">
+                                  {part.text}
+                                </ins>
+                              ) : (
+                                <del key={i} className="message-history__delete">
+                                  {part.text}
+                                </del>
+                              )
+                          )}
+                    </p>
+                  </li>
+                ))
+                .reverse()}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+MessageHistoryModal.propTypes = {
+  messageId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -1,19 +1,53 @@
-import { useState, useRef, useCallback } from 'react';
-import { useMutation } from 'convex/react';
-import { XMarkIcon, PaperClipIcon, ArrowRightIcon } from '@heroicons/react/24/outline';
+import { useState, useRef, useCallback, useEffect, forwardRef, useImperativeHandle } from 'react';
+import { useMutation, useQuery, useAction } from 'convex/react';
+import {
+  XMarkIcon,
+  PaperClipIcon,
+  ArrowRightIcon,
+  BoldIcon,
+  ItalicIcon,
+  CodeBracketIcon,
+  CommandLineIcon,
+  ListBulletIcon,
+  NumberedListIcon,
+  LinkIcon,
+  EyeIcon,
+  ClockIcon,
+  ArrowUturnLeftIcon,
+  ChartBarIcon,
+  ArrowPathIcon,
+  MicrophoneIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import { sanitizeInput } from '../../utils/sanitize';
-import LoadingSpinner from '../common/LoadingSpinner';
+import { uploadFileWithProgress } from '../../utils/upload';
+import { formatDuration } from '../../utils/audio';
+import { useVoiceRecorder } from '../../hooks/useVoiceRecorder';
+import { parseConvexError, ErrorType } from '../../utils/errorUtils';
+import MessageContent from './MessageContent';
+import ScheduleSendPopover from './ScheduleSendPopover';
+import ScheduledMessageList from './ScheduledMessageList';
+import CreatePollModal from './CreatePollModal';
 import './MessageInput.css';
 
 const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+// Must match convex/lib/attachments.ts MAX_ATTACHMENTS_PER_MESSAGE
+const MAX_ATTACHMENTS = 10;
+// Must match convex/lib/attachments.ts MAX_VOICE_DURATION (seconds)
+const MAX_VOICE_DURATION = 15 * 60;
 // Must match convex/lib/utils.ts ALLOWED_FILE_TYPES
 const ALLOWED_FILE_TYPES = [
   'image/jpeg',
   'image/png',
   'image/gif',
   'image/webp',
+  'audio/webm',
+  'audio/ogg',
+  'audio/mp4',
+  'audio/mpeg',
+  'audio/wav',
   'application/pdf',
   'application/msword',
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
@@ -23,6 +57,77 @@ const ALLOWED_FILE_TYPES = [
   'application/zip',
 ];
 
+// Minimum gap between typing pings; must stay below convex/lib/utils.ts TYPING_TIMEOUT
+const TYPING_THROTTLE_MS = 3000;
+
+// Maximum number of @mention suggestions shown at once
+const MAX_MENTION_SUGGESTIONS = 5;
+// "@query" immediately before the caret, at the start or after whitespace
+const MENTION_TRIGGER = /(^|\s)@([^\s@]*)$/;
+
+// Markdown formatting toolbar; see src/utils/markdown.js for the supported syntax
+const FORMAT_ACTIONS = [
+  { id: 'bold', label: 'Bold', Icon: BoldIcon },
+  { id: 'italic', label: 'Italic', Icon: ItalicIcon },
+  { id: 'code', label: 'Inline code', Icon: CodeBracketIcon },
+  { id: 'codeBlock', label: 'Code block', Icon: CommandLineIcon },
+  { id: 'bulletList', label: 'Bulleted list', Icon: ListBulletIcon },
+  { id: 'numberedList', label: 'Numbered list', Icon: NumberedListIcon },
+  { id: 'link', label: 'Link', Icon: LinkIcon },
+];
+
+/**
+ * Apply a markdown format to the selected text.
+ * Returns the replacement text and the selection to restore afterwards.
+ */
+function formatSelection(action, selected) {
+  const wrap = (marker, placeholder) => {
+    const inner = selected || placeholder;
+    return {
+      text: `${marker}${inner}${marker}`,
+      selectStart: marker.length,
+      selectEnd: marker.length + inner.length,
+    };
+  };
+
+  switch (action) {
+    case 'bold':
+      return wrap('**', 'bold text');
+    case 'italic':
+      return wrap('*', 'italic text');
+    case 'code':
+      return wrap('`', 'code');
+    case 'codeBlock': {
+      const inner = selected || 'code';
+      const fence = '```';
+      return {
+        text: `${fence}\n${inner}\n${fence}`,
+        selectStart: fence.length + 1,
+        selectEnd: fence.length + 1 + inner.length,
+      };
+    }
+    case 'bulletList':
+    case 'numberedList': {
+      const lines = (selected || 'List item').split('\n');
+      const text = lines
+        .map((line, i) => `${action === 'bulletList' ? '-' : `${i + 1}.`} ${line}`)
+        .join('\n');
+      return { text, selectStart: text.length, selectEnd: text.length };
+    }
+    case 'link': {
+      const label = selected || 'link text';
+      const url = 'https://';
+      return {
+        text: `[${label}](${url})`,
+        selectStart: label.length + 3,
+        selectEnd: label.length + 3 + url.length,
+      };
+    }
+    default:
+      return { text: selected, selectStart: 0, selectEnd: selected.length };
+  }
+}
+
 // Normalize route params: only pass non-empty IDs so Convex never receives ""
 function normalizeId(value) {
   const s = value != null ? String(value).trim() : '';
@@ -37,80 +142,217 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-export default function MessageInput({ conversationId, groupId }) {
+/**
+ * Find an in-progress @mention ending at the caret, if any
+ */
+function getMentionQuery(text, caret) {
+  const match = MENTION_TRIGGER.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, query: match[2].toLowerCase() };
+}
+
+function getMemberDisplayName(member) {
+  return member.name || member.email || 'Unknown';
+}
+
+let nextPendingFileId = 0;
+
+/**
+ * Message composer. The ref exposes addFiles(files) so drop zones around the
+ * input (e.g. the chat view) can attach dropped or pasted files.
+ */
+const MessageInput = forwardRef(function MessageInput(
+  { conversationId, groupId, parentMessageId, replyTo, onCancelReply },
+  ref
+) {
   const [content, setContent] = useState('');
-  const [pendingFile, setPendingFile] = useState(null);
+  // Files staged for the next message:
+  // { id, file, status: 'queued'|'uploading'|'uploaded'|'failed', progress, storageId, error }
+  const [pendingFiles, setPendingFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState('');
+  // Abort handles for in-flight uploads, and files removed mid-upload
+  const uploadAbortsRef = useRef(new Map());
+  const cancelledFileIdsRef = useRef(new Set());
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  // Members picked from the autocomplete; filtered against the final text on send
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [showPreview, setShowPreview] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [showPollComposer, setShowPollComposer] = useState(false);
 
   const convId = normalizeId(conversationId);
   const grpId = normalizeId(groupId);
 
   const sendMessage = useMutation(api.messages.sendMessage);
+  const scheduleMessage = useMutation(api.scheduledMessages.scheduleMessage);
   const generateUploadUrl = useMutation(api.files.generateUploadUrl);
-  const saveFileMessage = useMutation(api.files.saveFileMessage);
+  const verifyUpload = useAction(api.fileVerification.verifyUpload);
+  const saveAttachmentMessage = useMutation(api.files.saveAttachmentMessage);
+  const setTyping = useMutation(api.typing.setTyping);
+
+  // Mentions are only offered in groups
+  const group = useQuery(api.groups.getGroup, grpId ? { groupId: grpId } : 'skip');
+  const currentUser = useQuery(api.users.getCurrentUser);
+
+  const mentionSuggestions =
+    mentionQuery && group?.members
+      ? group.members
+          .filter((member) => member.userId !== currentUser?._id)
+          .filter((member) =>
+            getMemberDisplayName(member).toLowerCase().includes(mentionQuery.query) ||
+            member.email?.toLowerCase().startsWith(mentionQuery.query)
+          )
+          .slice(0, MAX_MENTION_SUGGESTIONS)
+      : [];
+  const showMentionSuggestions = mentionSuggestions.length > 0;
+
+  const updateTyping = useCallback(
+    (isTyping) => {
+      if (!convId && !grpId) return;
+
+      const now = Date.now();
+      if (isTyping) {
+        if (now - lastTypingSentRef.current < TYPING_THROTTLE_MS) return;
+        lastTypingSentRef.current = now;
+      } else {
+        if (lastTypingSentRef.current === 0) return; // Nothing to clear
+        lastTypingSentRef.current = 0;
+      }
+
+      setTyping({ conversationId: convId, groupId: grpId, isTyping }).catch(
+        (err) => console.error('Failed to update typing state:', err)
+      );
+    },
+    [convId, grpId, setTyping]
+  );
+
+  // Focus the input when a message is picked to reply to
+  useEffect(() => {
+    if (replyTo) {
+      textareaRef.current?.focus();
+    }
+  }, [replyTo]);
+
+  // Clear our typing state when leaving the chat
+  useEffect(() => {
+    return () => updateTyping(false);
+  }, [updateTyping]);
+
+  const updatePendingFile = useCallback((id, changes) => {
+    setPendingFiles((prev) => prev.map((f) => (f.id === id ? { ...f, ...changes } : f)));
+  }, []);
+
+  /**
+   * Upload one staged file with progress; resolves to its storage ID, or
+   * null if it failed (marked for retry) or was cancelled (already removed)
+   */
+  const uploadPendingFile = useCallback(
+    async (item) => {
+      updatePendingFile(item.id, { status: 'uploading', progress: 0, error: null });
+      try {
+        const uploadUrl = await generateUploadUrl();
+        if (cancelledFileIdsRef.current.has(item.id)) return null;
+
+        const upload = uploadFileWithProgress(uploadUrl, item.file, (progress) =>
+          updatePendingFile(item.id, { progress })
+        );
+        uploadAbortsRef.current.set(item.id, upload.abort);
+
+        const storageId = await upload.promise;
+        // The server checks the content really is the type the browser reported
+        await verifyUpload({ storageId, fileType: item.file.type });
+        if (cancelledFileIdsRef.current.has(item.id)) return null;
+
+        updatePendingFile(item.id, { status: 'uploaded', progress: 100, storageId });
+        return storageId;
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          const parsed = parseConvexError(err);
+          updatePendingFile(item.id, {
+            status: 'failed',
+            error:
+              parsed.type === ErrorType.FILE_TYPE_MISMATCH
+                ? parsed.message
+                : err.message || 'Upload failed',
+          });
+        }
+        return null;
+      } finally {
+        uploadAbortsRef.current.delete(item.id);
+      }
+    },
+    [generateUploadUrl, verifyUpload, updatePendingFile]
+  );
 
   const handleSubmit = useCallback(
     async (e) => {
       e?.preventDefault();
       const trimmedContent = sanitizeInput(content.trim());
       const hasText = trimmedContent.length > 0;
-      const hasFile = pendingFile != null;
+      const hasFiles = pendingFiles.length > 0;
 
-      if (!hasText && !hasFile) return;
+      if (!hasText && !hasFiles) return;
       if (!convId && !grpId) return;
 
       setError('');
+      updateTyping(false);
+      setMentionQuery(null);
 
       try {
-        if (hasFile) {
-          setIsUploading(true);
-          setUploadProgress(0);
-
-          const file = pendingFile;
-          const uploadUrl = await generateUploadUrl();
-          const response = await fetch(uploadUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': file.type },
-            body: file,
-          });
+        setIsUploading(hasFiles);
 
-          if (!response.ok) {
-            const text = await response.text();
-            throw new Error(text || 'Upload failed');
+        // Upload whatever isn't uploaded yet (one at a time); earlier successes are reused
+        const storageIds = new Map();
+        for (const item of pendingFiles) {
+          const storageId =
+            item.status === 'uploaded' ? item.storageId : await uploadPendingFile(item);
+          if (storageId) {
+            storageIds.set(item.id, storageId);
           }
+        }
 
-          const data = await response.json();
-          const storageId = data?.storageId;
-          if (!storageId) {
-            throw new Error('Invalid upload response — please try again.');
-          }
+        const files = pendingFiles.filter((f) => !cancelledFileIdsRef.current.has(f.id));
+        if (files.some((f) => !storageIds.has(f.id))) {
+          setError('Some files failed to upload. Retry or remove them, then send again.');
+          return;
+        }
 
-          await saveFileMessage({
-            storageId,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
+        if (files.length > 0) {
+          await saveAttachmentMessage({
+            attachments: files.map((f) => ({
+              storageId: storageIds.get(f.id),
+              fileName: f.file.name,
+              fileType: f.file.type,
+              fileSize: f.file.size,
+            })),
             content: hasText ? trimmedContent : undefined,
             conversationId: convId,
             groupId: grpId,
+            parentMessageId,
+            replyToMessageId: replyTo?._id,
           });
-
-          setPendingFile(null);
-          setContent('');
-          setUploadProgress(100);
-        } else {
+          setPendingFiles([]);
+          cancelledFileIdsRef.current.clear();
+        } else if (hasText) {
           await sendMessage({
             content: trimmedContent,
             conversationId: convId,
             groupId: grpId,
+            parentMessageId,
+            replyToMessageId: replyTo?._id,
             type: 'text',
           });
-          setContent('');
+        } else {
+          return; // Every file was cancelled and there's no text
         }
+        setContent('');
+        setShowPreview(false);
+        onCancelReply?.();
         // Reset textarea height after sending so it matches page-load size (clear inline height)
         const ta = textareaRef.current;
         if (ta) {
@@ -121,56 +363,267 @@ export default function MessageInput({ conversationId, groupId }) {
         setError(err.message || 'Failed to send');
       } finally {
         setIsUploading(false);
-        setUploadProgress(0);
       }
     },
-    [content, pendingFile, convId, grpId, sendMessage, generateUploadUrl, saveFileMessage]
+    [content, pendingFiles, convId, grpId, parentMessageId, replyTo, onCancelReply, sendMessage, uploadPendingFile, saveAttachmentMessage, updateTyping]
   );
 
+  /**
+   * Upload a finished voice recording and post it straight away as its own message
+   */
+  const sendVoiceMessage = useCallback(
+    async ({ file, duration, waveform }) => {
+      if (!convId && !grpId) return;
+
+      setError('');
+      setIsUploading(true);
+      try {
+        const uploadUrl = await generateUploadUrl();
+        const storageId = await uploadFileWithProgress(uploadUrl, file).promise;
+        await verifyUpload({ storageId, fileType: file.type });
+        await saveAttachmentMessage({
+          attachments: [
+            {
+              storageId,
+              fileName: file.name,
+              fileType: file.type,
+              fileSize: file.size,
+              duration,
+              waveform,
+            },
+          ],
+          conversationId: convId,
+          groupId: grpId,
+          parentMessageId,
+          replyToMessageId: replyTo?._id,
+        });
+        onCancelReply?.();
+      } catch (err) {
+        const parsed = parseConvexError(err);
+        setError(
+          parsed.type === ErrorType.FILE_TYPE_MISMATCH
+            ? parsed.message
+            : err.message || 'Failed to send voice message'
+        );
+      } finally {
+        setIsUploading(false);
+      }
+    },
+    [convId, grpId, parentMessageId, replyTo, onCancelReply, generateUploadUrl, verifyUpload, saveAttachmentMessage]
+  );
+
+  const voiceRecorder = useVoiceRecorder({
+    maxDuration: MAX_VOICE_DURATION,
+    onComplete: sendVoiceMessage,
+  });
+  const { start: startVoiceRecorder } = voiceRecorder;
+
+  const startRecording = useCallback(async () => {
+    setError('');
+    updateTyping(false);
+    try {
+      await startVoiceRecorder();
+    } catch (err) {
+      setError(
+        err.name === 'NotAllowedError'
+          ? 'Microphone access was denied. Allow it in your browser settings to record voice messages.'
+          : 'Could not start recording'
+      );
+    }
+  }, [startVoiceRecorder, updateTyping]);
+
+  const handleSchedule = useCallback(
+    async (scheduledFor) => {
+      const trimmedContent = sanitizeInput(content.trim());
+      if (!trimmedContent || (!convId && !grpId)) return;
+
+      setError('');
+      setIsScheduling(true);
+      try {
+        await scheduleMessage({
+          content: trimmedContent,
+          conversationId: convId,
+          groupId: grpId,
+          parentMessageId,
+          replyToMessageId: replyTo?._id,
+          scheduledFor,
+        });
+        updateTyping(false);
+        setContent('');
+        setShowPreview(false);
+        setShowSchedule(false);
+        onCancelReply?.();
+        const ta = textareaRef.current;
+        if (ta) {
+          ta.style.height = '';
+        }
+        textareaRef.current?.focus();
+      } catch (err) {
+        setError(err.message || 'Failed to schedule message');
+      } finally {
+        setIsScheduling(false);
+      }
+    },
+    [content, convId, grpId, parentMessageId, replyTo, onCancelReply, scheduleMessage, updateTyping]
+  );
+
+  const closeSchedule = useCallback(() => setShowSchedule(false), []);
+
+  const resizeTextarea = () => {
+    const textarea = textareaRef.current;
+    if (textarea) {
+      textarea.style.height = 'auto';
+      textarea.style.height = Math.min(textarea.scrollHeight, 150) + 'px';
+    }
+  };
+
+  const handleFormat = (action) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const { selectionStart, selectionEnd } = textarea;
+    const { text, selectStart, selectEnd } = formatSelection(
+      action,
+      content.slice(selectionStart, selectionEnd)
+    );
+
+    setContent(content.slice(0, selectionStart) + text + content.slice(selectionEnd));
+
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart + selectStart, selectionStart + selectEnd);
+      resizeTextarea();
+    });
+  };
+
+  const selectMention = (member) => {
+    const textarea = textareaRef.current;
+    if (!mentionQuery || !textarea) return;
+
+    const name = getMemberDisplayName(member);
+    const caret = textarea.selectionStart;
+    const before = content.slice(0, mentionQuery.start);
+    const after = content.slice(caret);
+    const inserted = `@${name} `;
+
+    setContent(before + inserted + after);
+    setMentionQuery(null);
+
+    // Restore the caret after the inserted mention once React has re-rendered
+    requestAnimationFrame(() => {
+      const position = before.length + inserted.length;
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    });
+  };
+
   const handleKeyDown = (e) => {
+    if (showMentionSuggestions) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveSuggestion(
+          (i) => (i + step + mentionSuggestions.length) % mentionSuggestions.length
+        );
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectMention(mentionSuggestions[Math.min(activeSuggestion, mentionSuggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit();
     }
   };
 
-  const handleFileSelect = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  const addFiles = useCallback(
+    (files) => {
+      const problems = [];
+      const accepted = [];
 
-    e.target.value = '';
+      for (const file of files) {
+        if (!ALLOWED_FILE_TYPES.includes(file.type)) {
+          problems.push(`${file.name}: type not supported`);
+        } else if (file.size > MAX_FILE_SIZE) {
+          problems.push(`${file.name}: larger than 20MB`);
+        } else {
+          accepted.push(file);
+        }
+      }
 
-    if (!ALLOWED_FILE_TYPES.includes(file.type)) {
-      setError('File type not supported. Allowed: images, PDF, Word, Excel, text, or ZIP.');
-      return;
-    }
+      const room = MAX_ATTACHMENTS - pendingFiles.length;
+      if (accepted.length > room) {
+        problems.push(`You can attach up to ${MAX_ATTACHMENTS} files per message`);
+        accepted.splice(Math.max(room, 0));
+      }
 
-    if (file.size > MAX_FILE_SIZE) {
-      setError('File is too large. Maximum size is 20MB.');
-      return;
-    }
+      setError(
+        problems.length > 0
+          ? `${problems.join('. ')}. Allowed: images, audio, PDF, Word, Excel, text, or ZIP.`
+          : ''
+      );
+      if (accepted.length === 0) return;
 
-    setError('');
-    setPendingFile(file);
-  }, []);
+      setPendingFiles((prev) => [
+        ...prev,
+        ...accepted.map((file) => ({
+          id: nextPendingFileId++,
+          file,
+          status: 'queued',
+          progress: 0,
+          storageId: null,
+          error: null,
+        })),
+      ]);
+      textareaRef.current?.focus();
+    },
+    [pendingFiles.length]
+  );
 
-  const removePendingFile = useCallback(() => {
-    setPendingFile(null);
-    fileInputRef.current?.value && (fileInputRef.current.value = '');
+  useImperativeHandle(ref, () => ({ addFiles }), [addFiles]);
+
+  const handleFileSelect = useCallback(
+    (e) => {
+      const files = Array.from(e.target.files ?? []);
+      e.target.value = '';
+      if (files.length > 0) {
+        addFiles(files);
+      }
+    },
+    [addFiles]
+  );
+
+  // Removing a file mid-upload cancels the upload
+  const removePendingFile = useCallback((id) => {
+    cancelledFileIdsRef.current.add(id);
+    uploadAbortsRef.current.get(id)?.();
+    setPendingFiles((prev) => prev.filter((f) => f.id !== id));
   }, []);
 
   const handleTextareaChange = (e) => {
     setContent(e.target.value);
-    // Auto-resize textarea
-    const textarea = textareaRef.current;
-    if (textarea) {
-      textarea.style.height = 'auto';
-      textarea.style.height = Math.min(textarea.scrollHeight, 150) + 'px';
+    updateTyping(e.target.value.trim().length > 0);
+    if (grpId) {
+      setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+      setActiveSuggestion(0);
     }
+    // Auto-resize textarea
+    resizeTextarea();
   };
 
   const isDisabled = !convId && !grpId;
-  const canSend = (content.trim() || pendingFile) && !isUploading;
+  const canSend = (content.trim() || pendingFiles.length > 0) && !isUploading;
+  // Attachments can't be scheduled; the upload has to happen now
+  const canSchedule = content.trim() && pendingFiles.length === 0 && !isUploading;
 
   return (
     <form className="message-input" onSubmit={handleSubmit}>
@@ -188,84 +641,312 @@ export default function MessageInput({ conversationId, groupId }) {
         </div>
       )}
 
-      {isUploading && (
-        <div className="message-input__upload-progress">
-          <LoadingSpinner size="small" />
-          <span>Uploading file...</span>
-        </div>
-      )}
+      <ScheduledMessageList
+        conversationId={convId}
+        groupId={grpId}
+        parentMessageId={parentMessageId}
+      />
 
-      {pendingFile && !isUploading && (
-        <div className="message-input__draft-attachment">
-          <PaperClipIcon className="message-input__draft-attachment-icon w-5 h-5 flex-shrink-0" aria-hidden />
-          <span className="message-input__draft-attachment-name" title={pendingFile.name}>
-            {pendingFile.name}
-          </span>
-          <span className="message-input__draft-attachment-size">
-            {formatFileSize(pendingFile.size)}
-          </span>
+      {replyTo && (
+        <div className="message-input__reply">
+          <ArrowUturnLeftIcon className="message-input__reply-icon w-4 h-4 flex-shrink-0" aria-hidden />
+          <div className="message-input__reply-body">
+            <span className="message-input__reply-sender">
+              Replying to {replyTo.sender?.name || replyTo.sender?.email || 'Unknown'}
+            </span>
+            <span className="message-input__reply-text">
+              {replyTo.content || replyTo.fileName || 'Attachment'}
+            </span>
+          </div>
           <button
             type="button"
-            className="message-input__draft-attachment-remove"
-            onClick={removePendingFile}
-            aria-label="Remove attachment"
+            className="message-input__reply-cancel"
+            onClick={onCancelReply}
+            aria-label="Cancel reply"
           >
-            <XMarkIcon className="w-5 h-5" aria-hidden />
+            <XMarkIcon className="w-4 h-4" aria-hidden />
           </button>
         </div>
       )}
 
-      <div className="message-input__container">
+      {pendingFiles.length > 0 && (
+        <ul className="message-input__draft-attachments" aria-label="Attachments">
+          {pendingFiles.map((item) => (
+            <li
+              key={item.id}
+              className={`message-input__draft-attachment message-input__draft-attachment--${item.status}`}
+            >
+              <PaperClipIcon className="message-input__draft-attachment-icon w-5 h-5 flex-shrink-0" aria-hidden />
+              <div className="message-input__draft-attachment-info">
+                <span className="message-input__draft-attachment-name" title={item.file.name}>
+                  {item.file.name}
+                </span>
+                <span className="message-input__draft-attachment-size">
+                  {item.status === 'failed'
+                    ? item.error
+                    : item.status === 'uploading'
+                      ? `Uploading… ${item.progress}%`
+                      : formatFileSize(item.file.size)}
+                </span>
+                {item.status === 'uploading' && (
+                  <progress
+                    className="message-input__draft-attachment-progress"
+                    value={item.progress}
+                    max={100}
+                    aria-label={`Upload progress for ${item.file.name}`}
+                  />
+                )}
+              </div>
+              {item.status === 'failed' && (
+                <button
+                  type="button"
+                  className="message-input__draft-attachment-remove"
+                  onClick={() => uploadPendingFile(item)}
+                  aria-label={`Retry upload of ${item.file.name}`}
+                  title="Retry"
+                >
+                  <ArrowPathIcon className="w-4 h-4" aria-hidden />
+                </button>
+              )}
+              <button
+                type="button"
+                className="message-input__draft-attachment-remove"
+                onClick={() => removePendingFile(item.id)}
+                aria-label={
+                  item.status === 'uploading'
+                    ? `Cancel upload of ${item.file.name}`
+                    : `Remove ${item.file.name}`
+                }
+                title={item.status === 'uploading' ? 'Cancel upload' : 'Remove'}
+              >
+                <XMarkIcon className="w-5 h-5" aria-hidden />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showPreview && (
+        <div className="message-input__preview" aria-label="Message preview">
+          {content.trim() ? (
+            <MessageContent content={content} />
+          ) : (
+            <p className="message-input__preview-empty">Nothing to preview</p>
+          )}
+        </div>
+      )}
+
+      <div className="message-input__toolbar" role="toolbar" aria-label="Formatting">
+        {FORMAT_ACTIONS.map(({ id, label, Icon }) => (
+          <button
+            key={id}
+            type="button"
+            className="message-input__format"
+            onClick={() => handleFormat(id)}
+            disabled={isDisabled || isUploading}
+            title={label}
+            aria-label={label}
+          >
+            <Icon className="w-4 h-4" aria-hidden />
+          </button>
+        ))}
         <button
           type="button"
-          className="message-input__attach"
-          onClick={() => fileInputRef.current?.click()}
-          disabled={isDisabled || isUploading}
-          aria-label="Attach file"
+          className={`message-input__format message-input__format--preview ${showPreview ? 'message-input__format--active' : ''}`}
+          onClick={() => setShowPreview((prev) => !prev)}
+          disabled={isDisabled}
+          title={showPreview ? 'Hide preview' : 'Show preview'}
+          aria-label={showPreview ? 'Hide preview' : 'Show preview'}
+          aria-pressed={showPreview}
         >
-          <PaperClipIcon className="w-5 h-5" aria-hidden />
+          <EyeIcon className="w-4 h-4" aria-hidden />
         </button>
-        <input
-          ref={fileInputRef}
-          type="file"
-          accept={ALLOWED_FILE_TYPES.join(',')}
-          onChange={handleFileSelect}
-          className="message-input__file-input"
-          aria-hidden="true"
-        />
+        {grpId && (
+          <button
+            type="button"
+            className="message-input__format"
+            onClick={() => setShowPollComposer(true)}
+            disabled={isUploading}
+            title="Create poll"
+            aria-label="Create poll"
+          >
+            <ChartBarIcon className="w-4 h-4" aria-hidden />
+          </button>
+        )}
+      </div>
 
-        <textarea
-          ref={textareaRef}
-          className="message-input__textarea"
-          value={content}
-          onChange={handleTextareaChange}
-          onKeyDown={handleKeyDown}
-          placeholder={
-            isDisabled
-              ? 'Select a conversation'
-              : pendingFile
-                ? 'Add a message (optional)...'
-                : 'Type a message...'
-          }
-          disabled={isDisabled || isUploading}
-          rows={1}
-          aria-label="Message input"
+      {showPollComposer && grpId && (
+        <CreatePollModal
+          groupId={grpId}
+          parentMessageId={parentMessageId}
+          onClose={() => setShowPollComposer(false)}
         />
+      )}
 
-        <button
-          type="submit"
-          className="message-input__send"
-          disabled={isDisabled || !canSend}
-          aria-label="Send message"
-        >
-          <ArrowRightIcon className="w-5 h-5" aria-hidden />
-        </button>
-      </div>
+      {showMentionSuggestions && (
+        <ul className="message-input__mentions" id="message-input-mentions" role="listbox" aria-label="Mention suggestions">
+          {mentionSuggestions.map((member, index) => (
+            <li
+              key={member.userId}
+              id={`message-input-mention-${member.userId}`}
+              role="option"
+              aria-selected={index === activeSuggestion}
+              className={`message-input__mention ${index === activeSuggestion ? 'message-input__mention--active' : ''}`}
+              // Keep focus in the textarea while picking
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectMention(member);
+              }}
+            >
+              <span className="message-input__mention-name">{getMemberDisplayName(member)}</span>
+              {member.name && member.email && (
+                <span className="message-input__mention-email">{member.email}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {voiceRecorder.isRecording ? (
+        <div className="message-input__container message-input__recording" role="status">
+          <button
+            type="button"
+            className="message-input__attach"
+            onClick={voiceRecorder.cancel}
+            aria-label="Discard voice message"
+            title="Discard"
+          >
+            <TrashIcon className="w-5 h-5" aria-hidden />
+          </button>
+          <span className="message-input__recording-indicator" aria-hidden />
+          <span className="message-input__recording-time">
+            Recording {formatDuration(voiceRecorder.elapsed)}
+          </span>
+          <button
+            type="button"
+            className="message-input__send"
+            onClick={voiceRecorder.stop}
+            aria-label="Send voice message"
+          >
+            <ArrowRightIcon className="w-5 h-5" aria-hidden />
+          </button>
+        </div>
+      ) : (
+        <div className="message-input__container">
+          <button
+            type="button"
+            className="message-input__attach"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isDisabled || isUploading || pendingFiles.length >= MAX_ATTACHMENTS}
+            aria-label="Attach files"
+          >
+            <PaperClipIcon className="w-5 h-5" aria-hidden />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ALLOWED_FILE_TYPES.join(',')}
+            onChange={handleFileSelect}
+            className="message-input__file-input"
+            aria-hidden="true"
+          />
+
+          <textarea
+            ref={textareaRef}
+            className="message-input__textarea"
+            value={content}
+            onChange={handleTextareaChange}
+            onKeyDown={handleKeyDown}
+            onBlur={() => {
+              updateTyping(false);
+              setMentionQuery(null);
+            }}
+            placeholder={
+              isDisabled
+                ? 'Select a conversation'
+                : pendingFiles.length > 0
+                  ? 'Add a message (optional)...'
+                  : parentMessageId
+                    ? 'Reply in thread...'
+                    : 'Type a message...'
+            }
+            disabled={isDisabled || isUploading}
+            rows={1}
+            aria-label="Message input"
+            aria-autocomplete={grpId ? 'list' : undefined}
+            aria-controls={showMentionSuggestions ? 'message-input-mentions' : undefined}
+            aria-activedescendant={
+              showMentionSuggestions
+                ? `message-input-mention-${mentionSuggestions[Math.min(activeSuggestion, mentionSuggestions.length - 1)].userId}`
+                : undefined
+            }
+          />
+
+          <button
+            type="button"
+            className={`message-input__schedule ${showSchedule ? 'message-input__schedule--active' : ''}`}
+            onClick={() => setShowSchedule((prev) => !prev)}
+            disabled={isDisabled || !canSchedule}
+            title="Schedule send"
+            aria-label="Schedule send"
+            aria-expanded={showSchedule}
+          >
+            <ClockIcon className="w-5 h-5" aria-hidden />
+          </button>
+
+          {/* Record a voice note while the composer is empty; otherwise send */}
+          {voiceRecorder.isSupported && !canSend && !isUploading ? (
+            <button
+              type="button"
+              className="message-input__send"
+              onClick={startRecording}
+              disabled={isDisabled}
+              aria-label="Record voice message"
+              title="Record voice message"
+            >
+              <MicrophoneIcon className="w-5 h-5" aria-hidden />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              className="message-input__send"
+              disabled={isDisabled || !canSend}
+              aria-label="Send message"
+            >
+              <ArrowRightIcon className="w-5 h-5" aria-hidden />
+            </button>
+          )}
+        </div>
+      )}
+
+      {showSchedule && canSchedule && (
+        <ScheduleSendPopover
+          onSchedule={handleSchedule}
+          onClose={closeSchedule}
+          isScheduling={isScheduling}
+        />
+      )}
     </form>
   );
-}
+});
 
 MessageInput.propTypes = {
   conversationId: PropTypes.string,
   groupId: PropTypes.string,
+  parentMessageId: PropTypes.string,
+  // Message being quote-replied to (as returned by listMessages)
+  replyTo: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    content: PropTypes.string,
+    type: PropTypes.string,
+    fileName: PropTypes.string,
+    sender: PropTypes.shape({
+      name: PropTypes.string,
+      email: PropTypes.string,
+    }),
+  }),
+  onCancelReply: PropTypes.func,
 };
+
+export default MessageInput;
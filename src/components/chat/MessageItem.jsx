@@ -1,5 +1,5 @@
 import { useState, useCallback } from 'react';
-import { useMutation, useQuery } from 'convex/react';
+import { useMutation } from 'convex/react';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import {
@@ -8,25 +8,54 @@ import {
   MapPinIcon,
   TrashIcon,
   PaperClipIcon,
+  ChatBubbleLeftRightIcon,
+  FaceSmileIcon,
+  ArrowUturnRightIcon,
+  ArrowUturnLeftIcon,
+  ShieldExclamationIcon,
+  BookmarkIcon,
+  BookmarkSlashIcon,
 } from '@heroicons/react/24/outline';
 import { formatMessageTime, formatRelativeTime } from '../../utils/dateUtils';
-import { sanitizeText } from '../../utils/sanitize';
+import { sanitizeUrl } from '../../utils/sanitize';
+import MessageContent from './MessageContent';
+import MessageHistoryModal from './MessageHistoryModal';
+import ForwardMessageModal from './ForwardMessageModal';
+import PollCard from './PollCard';
+import AudioPlayer from './AudioPlayer';
 import './MessageItem.css';
 
-export default function MessageItem({ message, isOwnMessage, showAvatar }) {
+// Emojis offered in the quick reaction picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// Bounding box for inline image thumbnails (px)
+const IMAGE_MAX_WIDTH = 300;
+const IMAGE_MAX_HEIGHT = 320;
+
+export default function MessageItem({
+  message,
+  isOwnMessage,
+  showAvatar,
+  onOpenThread,
+  onReply,
+  onJumpToMessage,
+  onOpenImage,
+  isHighlighted,
+}) {
   const [showActions, setShowActions] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showForward, setShowForward] = useState(false);
   const [editContent, setEditContent] = useState(message.content);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
 
   const deleteMessage = useMutation(api.messages.deleteMessage);
   const editMessage = useMutation(api.messages.editMessage);
   const pinMessage = useMutation(api.messages.pinMessage);
-
-  // Get file URL if it's a file message
-  const fileUrl = useQuery(
-    api.files.getFileUrl,
-    message.type === 'file' && message.fileId ? { storageId: message.fileId } : 'skip'
-  );
+  const saveMessage = useMutation(api.savedMessages.saveMessage);
+  const unsaveMessage = useMutation(api.savedMessages.unsaveMessage);
+  const addReaction = useMutation(api.messages.addReaction);
+  const removeReaction = useMutation(api.messages.removeReaction);
 
   const handleDelete = useCallback(async () => {
     if (window.confirm('Delete this message?')) {
@@ -56,6 +85,35 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
     }
   }, [pinMessage, message._id]);
 
+  const handleToggleSaved = useCallback(async () => {
+    try {
+      if (message.isSaved) {
+        await unsaveMessage({ messageId: message._id });
+      } else {
+        await saveMessage({ messageId: message._id });
+      }
+    } catch (error) {
+      console.error('Failed to update saved message:', error);
+    }
+  }, [saveMessage, unsaveMessage, message._id, message.isSaved]);
+
+  const handleToggleReaction = useCallback(
+    async (emoji) => {
+      const existing = message.reactions?.find((r) => r.emoji === emoji);
+      try {
+        if (existing?.reactedByMe) {
+          await removeReaction({ messageId: message._id, emoji });
+        } else {
+          await addReaction({ messageId: message._id, emoji });
+        }
+      } catch (error) {
+        console.error('Failed to update reaction:', error);
+      }
+      setShowReactionPicker(false);
+    },
+    [addReaction, removeReaction, message._id, message.reactions]
+  );
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -69,7 +127,10 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
   // Render deleted message (use same alignment as regular messages so our deletions stay on the right)
   if (message.isDeleted) {
     return (
-      <div className={`message-item message-item--deleted ${isOwnMessage ? 'message-item--own' : ''}`}>
+      <div
+        className={`message-item message-item--deleted ${isOwnMessage ? 'message-item--own' : ''}`}
+        data-message-id={message._id}
+      >
         <div
           className="message-item__main-wrap"
           style={isOwnMessage ? { display: 'flex', justifyContent: 'flex-end', width: '100%' } : undefined}
@@ -90,7 +151,7 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
   // Render system message (like call records)
   if (message.type === 'system' || message.type === 'call') {
     return (
-      <div className="message-item message-item--system">
+      <div className="message-item message-item--system" data-message-id={message._id}>
         <div className="message-item__system-content">
           {message.type === 'call' && <PhoneIcon className="message-item__call-icon w-5 h-5" aria-hidden />}
           <span>{message.content}</span>
@@ -106,9 +167,13 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
 
   return (
     <div
-      className={`message-item ${isOwnMessage ? 'message-item--own' : ''} ${showAvatar ? 'message-item--with-avatar' : ''}`}
+      className={`message-item ${isOwnMessage ? 'message-item--own' : ''} ${showAvatar ? 'message-item--with-avatar' : ''} ${isHighlighted ? 'message-item--highlighted' : ''}`}
+      data-message-id={message._id}
       onMouseEnter={() => setShowActions(true)}
-      onMouseLeave={() => setShowActions(false)}
+      onMouseLeave={() => {
+        setShowActions(false);
+        setShowReactionPicker(false);
+      }}
     >
       {!isOwnMessage && showAvatar && (
         <div className="message-item__avatar">
@@ -136,6 +201,17 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
             </span>
           )}
 
+          {message.forwardedFrom && (
+            <span className="message-item__forwarded">
+              <ArrowUturnRightIcon className="w-3 h-3" aria-hidden />
+              Forwarded from {message.forwardedFrom.name}
+            </span>
+          )}
+
+          {message.replyTo && (
+            <ReplyQuote replyTo={message.replyTo} onJump={onJumpToMessage} />
+          )}
+
           {isEditing ? (
             <div className="message-item__edit">
               <textarea
@@ -161,25 +237,68 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
             </div>
           ) : (
             <>
-              {message.type === 'file' ? (
+              {message.type === 'poll' && message.poll ? (
+                <PollCard
+                  messageId={message._id}
+                  question={message.content}
+                  poll={message.poll}
+                  canClose={isOwnMessage}
+                />
+              ) : message.type === 'file' ? (
                 <div className="message-item__file-wrapper">
-                  <FileAttachment
-                    fileName={message.fileName}
-                    fileType={message.fileType}
-                    fileSize={message.fileSize}
-                    fileUrl={fileUrl}
-                  />
+                  <div className="message-item__attachments">
+                    {message.attachments?.map((attachment) => (
+                      <FileAttachment
+                        key={attachment.storageId}
+                        fileName={attachment.fileName}
+                        fileType={attachment.fileType}
+                        fileSize={attachment.fileSize}
+                        fileUrl={attachment.url ?? undefined}
+                        scanStatus={attachment.scanStatus}
+                        duration={attachment.duration}
+                        waveform={attachment.waveform}
+                        thumbnailUrl={attachment.thumbnailUrl ?? undefined}
+                        width={attachment.width}
+                        height={attachment.height}
+                        onOpen={
+                          onOpenImage
+                            ? () =>
+                                onOpenImage({
+                                  messageId: message._id,
+                                  storageId: attachment.storageId,
+                                })
+                            : undefined
+                        }
+                      />
+                    ))}
+                  </div>
+                  {message.filesExpiredAt && (
+                    <p className="message-item__file-expired">
+                      Files removed under the retention policy
+                    </p>
+                  )}
                   {message.content && message.content !== message.fileName && (
-                    <p className="message-item__file-caption">{sanitizeText(message.content)}</p>
+                    <MessageContent
+                      className="message-item__file-caption"
+                      content={message.content}
+                      mentions={message.mentions}
+                    />
                   )}
                 </div>
               ) : (
-                <p className="message-item__text">
-                  {sanitizeText(message.content)}
+                <div className="message-item__text">
+                  <MessageContent content={message.content} mentions={message.mentions} />
                   {message.updatedAt && (
-                    <span className="message-item__edited">(edited)</span>
+                    <button
+                      type="button"
+                      className="message-item__edited"
+                      onClick={() => setShowHistory(true)}
+                      title="View edit history"
+                    >
+                      (edited)
+                    </button>
                   )}
-                </p>
+                </div>
               )}
             </>
           )}
@@ -189,8 +308,76 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
           </span>
         </div>
 
+        {showHistory && (
+          <MessageHistoryModal messageId={message._id} onClose={() => setShowHistory(false)} />
+        )}
+
+        {showForward && (
+          <ForwardMessageModal messageId={message._id} onClose={() => setShowForward(false)} />
+        )}
+
+        {!isEditing && message.linkPreviews?.length > 0 && (
+          <div className="message-item__link-previews">
+            {message.linkPreviews.map((preview) => (
+              <LinkPreviewCard key={preview.url} preview={preview} />
+            ))}
+          </div>
+        )}
+
+        {message.reactions?.length > 0 && (
+          <div className="message-item__reactions">
+            {message.reactions.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                type="button"
+                className={`message-item__reaction ${reaction.reactedByMe ? 'message-item__reaction--mine' : ''}`}
+                onClick={() => handleToggleReaction(reaction.emoji)}
+                title={reaction.userNames?.join(', ')}
+                aria-pressed={reaction.reactedByMe}
+              >
+                <span aria-hidden>{reaction.emoji}</span>
+                <span className="message-item__reaction-count">{reaction.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {onOpenThread && message.replyCount > 0 && (
+          <ThreadSummary
+            replyCount={message.replyCount}
+            lastReplyAt={message.lastReplyAt}
+            repliers={message.threadRepliers}
+            onClick={() => onOpenThread(message._id)}
+          />
+        )}
+
         {showActions && !isEditing && isOwnMessage && (
           <div className="message-item__actions">
+            <button
+              className="message-item__action"
+              onClick={() => setShowReactionPicker(!showReactionPicker)}
+              title="React"
+            >
+              <FaceSmileIcon className="w-5 h-5" aria-hidden />
+            </button>
+            {onReply && (
+              <button
+                className="message-item__action"
+                onClick={() => onReply(message)}
+                title="Reply"
+              >
+                <ArrowUturnLeftIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
+            {onOpenThread && (
+              <button
+                className="message-item__action"
+                onClick={() => onOpenThread(message._id)}
+                title="Reply in thread"
+              >
+                <ChatBubbleLeftRightIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
             {message.type === 'text' && (
               <button
                 className="message-item__action"
@@ -200,20 +387,93 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
                 <PencilSquareIcon className="w-5 h-5" aria-hidden />
               </button>
             )}
+            {message.type !== 'poll' && (
+              <button
+                className="message-item__action"
+                onClick={() => setShowForward(true)}
+                title="Forward"
+              >
+                <ArrowUturnRightIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
+            <button
+              className={`message-item__action ${message.isSaved ? 'message-item__action--active' : ''}`}
+              onClick={handleToggleSaved}
+              title={message.isSaved ? 'Remove from saved' : 'Save for later'}
+              aria-pressed={Boolean(message.isSaved)}
+            >
+              {message.isSaved ? (
+                <BookmarkSlashIcon className="w-5 h-5" aria-hidden />
+              ) : (
+                <BookmarkIcon className="w-5 h-5" aria-hidden />
+              )}
+            </button>
             <button className="message-item__action" onClick={handlePin} title="Pin">
               <MapPinIcon className="w-5 h-5" aria-hidden />
             </button>
             <button className="message-item__action" onClick={handleDelete} title="Delete">
               <TrashIcon className="w-5 h-5" aria-hidden />
             </button>
+            {showReactionPicker && (
+              <ReactionPicker onSelect={handleToggleReaction} />
+            )}
           </div>
         )}
 
         {showActions && !isEditing && !isOwnMessage && (
           <div className="message-item__actions">
+            <button
+              className="message-item__action"
+              onClick={() => setShowReactionPicker(!showReactionPicker)}
+              title="React"
+            >
+              <FaceSmileIcon className="w-5 h-5" aria-hidden />
+            </button>
+            {onReply && (
+              <button
+                className="message-item__action"
+                onClick={() => onReply(message)}
+                title="Reply"
+              >
+                <ArrowUturnLeftIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
+            {onOpenThread && (
+              <button
+                className="message-item__action"
+                onClick={() => onOpenThread(message._id)}
+                title="Reply in thread"
+              >
+                <ChatBubbleLeftRightIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
+            {message.type !== 'poll' && (
+              <button
+                className="message-item__action"
+                onClick={() => setShowForward(true)}
+                title="Forward"
+              >
+                <ArrowUturnRightIcon className="w-5 h-5" aria-hidden />
+              </button>
+            )}
+            <button
+              className={`message-item__action ${message.isSaved ? 'message-item__action--active' : ''}`}
+              onClick={handleToggleSaved}
+              title={message.isSaved ? 'Remove from saved' : 'Save for later'}
+              aria-pressed={Boolean(message.isSaved)}
+            >
+              {message.isSaved ? (
+                <BookmarkSlashIcon className="w-5 h-5" aria-hidden />
+              ) : (
+                <BookmarkIcon className="w-5 h-5" aria-hidden />
+              )}
+            </button>
             <button className="message-item__action" onClick={handlePin} title="Pin">
               <MapPinIcon className="w-5 h-5" aria-hidden />
             </button>
+            {showReactionPicker && (
+              <ReactionPicker onSelect={handleToggleReaction} />
+            )}
           </div>
         )}
       </div>
@@ -223,26 +483,100 @@ export default function MessageItem({ message, isOwnMessage, showAvatar }) {
 }
 
 // File attachment component
-function FileAttachment({ fileName, fileType, fileSize, fileUrl }) {
+function FileAttachment({
+  fileName,
+  fileType,
+  fileSize,
+  fileUrl,
+  scanStatus,
+  duration,
+  waveform,
+  thumbnailUrl,
+  width,
+  height,
+  onOpen,
+}) {
   const isImage = fileType?.startsWith('image/');
   const formattedSize = formatFileSize(fileSize);
 
+  if (fileType?.startsWith('audio/') && fileUrl) {
+    // Voice messages (recorded in the app, so they have a duration) show just the player
+    const isVoiceMessage = duration !== undefined;
+    return (
+      <div className="message-item__file message-item__file--audio">
+        {!isVoiceMessage && <span className="message-item__file-name">{fileName}</span>}
+        <AudioPlayer
+          src={fileUrl}
+          duration={duration}
+          waveform={waveform}
+          label={isVoiceMessage ? 'voice message' : fileName}
+        />
+      </div>
+    );
+  }
+
   if (isImage && fileUrl) {
+    // Reserve the image's box before it loads so the list doesn't jump
+    const style =
+      width && height
+        ? {
+            aspectRatio: `${width} / ${height}`,
+            width: Math.min(IMAGE_MAX_WIDTH, Math.round((IMAGE_MAX_HEIGHT * width) / height)),
+          }
+        : undefined;
+    const image = (
+      <img
+        src={thumbnailUrl ?? fileUrl}
+        alt={fileName}
+        width={width}
+        height={height}
+        loading="lazy"
+      />
+    );
+
     return (
-      <div className="message-item__file message-item__file--image">
-        <a href={fileUrl} target="_blank" rel="noopener noreferrer">
-          <img src={fileUrl} alt={fileName} loading="lazy" />
-        </a>
+      <div className="message-item__file message-item__file--image" style={style}>
+        {onOpen ? (
+          <button
+            type="button"
+            className="message-item__image-button"
+            onClick={onOpen}
+            aria-label={`View ${fileName}`}
+          >
+            {image}
+          </button>
+        ) : (
+          <a href={fileUrl} target="_blank" rel="noopener noreferrer">
+            {image}
+          </a>
+        )}
       </div>
     );
   }
 
+  const isBlocked = scanStatus === 'infected';
+
   return (
-    <div className="message-item__file">
-      <PaperClipIcon className="message-item__file-icon w-6 h-6 flex-shrink-0" aria-hidden />
+    <div className={`message-item__file ${isBlocked ? 'message-item__file--blocked' : ''}`}>
+      {isBlocked ? (
+        <ShieldExclamationIcon className="message-item__file-icon w-6 h-6 flex-shrink-0" aria-hidden />
+      ) : (
+        <PaperClipIcon className="message-item__file-icon w-6 h-6 flex-shrink-0" aria-hidden />
+      )}
       <div className="message-item__file-info">
         <span className="message-item__file-name">{fileName}</span>
         <span className="message-item__file-size">{formattedSize}</span>
+        {/* Downloads are withheld until the malware scan has passed */}
+        {scanStatus === 'pending' && (
+          <span className="message-item__file-scan" role="status">
+            Scanning for viruses…
+          </span>
+        )}
+        {isBlocked && (
+          <span className="message-item__file-scan" role="status">
+            Blocked: this file failed a malware scan
+          </span>
+        )}
       </div>
       {fileUrl && (
         <a
@@ -259,6 +593,136 @@ function FileAttachment({ fileName, fileType, fileSize, fileUrl }) {
   );
 }
 
+// Quick emoji picker shown from the message action bar
+function ReactionPicker({ onSelect }) {
+  return (
+    <div className="message-item__reaction-picker" role="menu" aria-label="Add reaction">
+      {QUICK_REACTIONS.map((emoji) => (
+        <button
+          key={emoji}
+          type="button"
+          role="menuitem"
+          className="message-item__reaction-option"
+          onClick={() => onSelect(emoji)}
+        >
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Unfurled preview card for a link in the message
+function LinkPreviewCard({ preview }) {
+  const href = sanitizeUrl(preview.url);
+  const imageUrl = preview.imageUrl ? sanitizeUrl(preview.imageUrl) : null;
+  if (!href) return null;
+
+  let hostname = preview.siteName;
+  if (!hostname) {
+    try {
+      hostname = new URL(href).hostname;
+    } catch {
+      hostname = href;
+    }
+  }
+
+  return (
+    <a
+      className="message-item__link-preview"
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+    >
+      {imageUrl && (
+        <img
+          className="message-item__link-preview-image"
+          src={imageUrl}
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+        />
+      )}
+      <span className="message-item__link-preview-body">
+        <span className="message-item__link-preview-site">{hostname}</span>
+        <span className="message-item__link-preview-title">{preview.title}</span>
+        {preview.description && (
+          <span className="message-item__link-preview-description">
+            {preview.description}
+          </span>
+        )}
+      </span>
+    </a>
+  );
+}
+
+// Quoted snippet of the message this one replies to
+function ReplyQuote({ replyTo, onJump }) {
+  if (replyTo.isDeleted) {
+    return (
+      <div className="message-item__quote message-item__quote--deleted">
+        Original message deleted
+      </div>
+    );
+  }
+
+  const body = (
+    <>
+      <span className="message-item__quote-sender">{replyTo.senderName}</span>
+      <span className="message-item__quote-text">
+        {replyTo.type === 'file' && (
+          <PaperClipIcon className="message-item__quote-icon w-3 h-3" aria-hidden />
+        )}
+        {replyTo.content}
+      </span>
+    </>
+  );
+
+  if (!onJump) {
+    return <div className="message-item__quote">{body}</div>;
+  }
+
+  return (
+    <button
+      type="button"
+      className="message-item__quote"
+      onClick={() => onJump(replyTo.messageId)}
+      title="Jump to original message"
+    >
+      {body}
+    </button>
+  );
+}
+
+// Inline thread summary shown under a parent message
+function ThreadSummary({ replyCount, lastReplyAt, repliers, onClick }) {
+  return (
+    <button type="button" className="message-item__thread" onClick={onClick}>
+      {repliers?.length > 0 && (
+        <span className="message-item__thread-avatars">
+          {repliers.map((user) => (
+            <span key={user._id} className="message-item__thread-avatar" title={user.name || user.email}>
+              {user.avatarUrl ? (
+                <img src={user.avatarUrl} alt="" />
+              ) : (
+                <span>{user.name?.[0] || user.email?.[0] || '?'}</span>
+              )}
+            </span>
+          ))}
+        </span>
+      )}
+      <span className="message-item__thread-count">
+        {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+      </span>
+      {lastReplyAt && (
+        <span className="message-item__thread-time">
+          Last reply {formatRelativeTime(lastReplyAt)}
+        </span>
+      )}
+    </button>
+  );
+}
+
 function formatCallDuration(seconds) {
   const mins = Math.floor(seconds / 60);
   const secs = seconds % 60;
@@ -273,6 +737,22 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+const replyToShape = PropTypes.shape({
+  messageId: PropTypes.string.isRequired,
+  isDeleted: PropTypes.bool.isRequired,
+  senderName: PropTypes.string,
+  content: PropTypes.string,
+  type: PropTypes.string,
+});
+
+const linkPreviewShape = PropTypes.shape({
+  url: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  imageUrl: PropTypes.string,
+  siteName: PropTypes.string,
+});
+
 MessageItem.propTypes = {
   message: PropTypes.shape({
     _id: PropTypes.string.isRequired,
@@ -289,13 +769,81 @@ MessageItem.propTypes = {
     fileName: PropTypes.string,
     fileType: PropTypes.string,
     fileSize: PropTypes.number,
+    filesExpiredAt: PropTypes.number,
     callDuration: PropTypes.number,
     isDeleted: PropTypes.bool.isRequired,
     createdAt: PropTypes.number.isRequired,
     updatedAt: PropTypes.number,
+    parentMessageId: PropTypes.string,
+    replyCount: PropTypes.number,
+    lastReplyAt: PropTypes.number,
+    threadRepliers: PropTypes.array,
+    reactions: PropTypes.arrayOf(
+      PropTypes.shape({
+        emoji: PropTypes.string.isRequired,
+        count: PropTypes.number.isRequired,
+        reactedByMe: PropTypes.bool,
+        userNames: PropTypes.arrayOf(PropTypes.string),
+      })
+    ),
+    mentions: PropTypes.arrayOf(
+      PropTypes.shape({
+        userId: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        isMe: PropTypes.bool,
+      })
+    ),
+    linkPreviews: PropTypes.arrayOf(linkPreviewShape),
+    replyTo: replyToShape,
+    attachments: PropTypes.arrayOf(
+      PropTypes.shape({
+        storageId: PropTypes.string.isRequired,
+        fileName: PropTypes.string.isRequired,
+        fileType: PropTypes.string.isRequired,
+        fileSize: PropTypes.number.isRequired,
+        url: PropTypes.string,
+        scanStatus: PropTypes.oneOf(['pending', 'clean', 'infected']),
+        duration: PropTypes.number,
+        waveform: PropTypes.arrayOf(PropTypes.number),
+        thumbnailUrl: PropTypes.string,
+        width: PropTypes.number,
+        height: PropTypes.number,
+      })
+    ),
+    poll: PropTypes.object,
+    isSaved: PropTypes.bool,
+    forwardedFrom: PropTypes.shape({
+      userId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    }),
   }).isRequired,
   isOwnMessage: PropTypes.bool.isRequired,
   showAvatar: PropTypes.bool,
+  onOpenThread: PropTypes.func,
+  onReply: PropTypes.func,
+  onJumpToMessage: PropTypes.func,
+  onOpenImage: PropTypes.func,
+  isHighlighted: PropTypes.bool,
+};
+
+ReactionPicker.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+};
+
+LinkPreviewCard.propTypes = {
+  preview: linkPreviewShape.isRequired,
+};
+
+ReplyQuote.propTypes = {
+  replyTo: replyToShape.isRequired,
+  onJump: PropTypes.func,
+};
+
+ThreadSummary.propTypes = {
+  replyCount: PropTypes.number.isRequired,
+  lastReplyAt: PropTypes.number,
+  repliers: PropTypes.array,
+  onClick: PropTypes.func.isRequired,
 };
 
 FileAttachment.propTypes = {
@@ -303,4 +851,11 @@ FileAttachment.propTypes = {
   fileType: PropTypes.string,
   fileSize: PropTypes.number,
   fileUrl: PropTypes.string,
+  scanStatus: PropTypes.oneOf(['pending', 'clean', 'infected']),
+  duration: PropTypes.number,
+  waveform: PropTypes.arrayOf(PropTypes.number),
+  thumbnailUrl: PropTypes.string,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  onOpen: PropTypes.func,
 };
@@ -1,25 +1,46 @@
-import { useRef, useEffect, useCallback, useState } from 'react';
+import { Fragment, useRef, useEffect, useCallback, useState } from 'react';
 import { ArrowDownIcon } from '@heroicons/react/24/outline';
 import { usePaginatedQuery, useQuery } from 'convex/react';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import MessageItem from './MessageItem';
+import ImageLightbox from './ImageLightbox';
 import MessageSkeleton from '../common/MessageSkeleton';
 import './MessageList.css';
 
 const INITIAL_NUM_ITEMS = 30;
+const JUMP_PAGE_SIZE = 50;
+const HIGHLIGHT_DURATION_MS = 2000;
 
-export default function MessageList({ conversationId, groupId }) {
+export default function MessageList({
+  conversationId,
+  groupId,
+  parentMessageId,
+  onOpenThread,
+  onReply,
+  onReadUpTo,
+  jumpToMessageId,
+  onJumpComplete,
+}) {
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
   const [isAtBottom, setIsAtBottom] = useState(true);
   const prevMessagesLengthRef = useRef(0);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Jump requested by clicking a reply's quote (search jumps come in via props)
+  const [quoteJumpId, setQuoteJumpId] = useState(null);
+  // Image opened in the lightbox ({ messageId, storageId })
+  const [lightboxImage, setLightboxImage] = useState(null);
+  const closeLightbox = useCallback(() => setLightboxImage(null), []);
 
   const currentUser = useQuery(api.users.getCurrentUser);
 
+  // In a thread pane the list shows replies to one parent instead of the main channel
   const { results, status, loadMore } = usePaginatedQuery(
-    api.messages.listMessages,
-    conversationId
+    parentMessageId ? api.messages.listThreadReplies : api.messages.listMessages,
+    parentMessageId
+      ? { parentMessageId, paginationOpts: { numItems: INITIAL_NUM_ITEMS } }
+      : conversationId
       ? { conversationId, paginationOpts: { numItems: INITIAL_NUM_ITEMS } }
       : groupId
       ? { groupId, paginationOpts: { numItems: INITIAL_NUM_ITEMS } }
@@ -27,12 +48,83 @@ export default function MessageList({ conversationId, groupId }) {
     { initialNumItems: INITIAL_NUM_ITEMS }
   );
 
+  // Other participants' read positions, for "Seen by" under the last own message
+  const readReceipts = useQuery(
+    api.readReceipts.getReadReceipts,
+    parentMessageId
+      ? 'skip'
+      : conversationId
+      ? { conversationId }
+      : groupId
+      ? { groupId }
+      : 'skip'
+  );
+
   // Reverse messages for display (newest at bottom)
   const messages = results ? [...results].reverse() : [];
+  const newestMessageAt =
+    messages.length > 0 ? messages[messages.length - 1].createdAt : null;
+
+  // Report the newest message as read while it is in view and the tab is visible
+  useEffect(() => {
+    if (!onReadUpTo || newestMessageAt === null || !isAtBottom) return;
+
+    const markIfVisible = () => {
+      if (document.visibilityState === 'visible') {
+        onReadUpTo(newestMessageAt);
+      }
+    };
+
+    markIfVisible();
+    document.addEventListener('visibilitychange', markIfVisible);
+    return () => document.removeEventListener('visibilitychange', markIfVisible);
+  }, [onReadUpTo, newestMessageAt, isAtBottom]);
+
+  // Jump to a specific message (from search or a quote): page back until it
+  // is loaded, then scroll it into view and briefly highlight it
+  const jumpTargetId = jumpToMessageId ?? quoteJumpId;
+  const isJumpTargetLoaded =
+    !!jumpTargetId && messages.some((m) => m._id === jumpTargetId);
+
+  const finishJump = useCallback(() => {
+    setQuoteJumpId(null);
+    if (jumpToMessageId) {
+      onJumpComplete?.();
+    }
+  }, [jumpToMessageId, onJumpComplete]);
+
+  useEffect(() => {
+    if (!jumpTargetId || status === 'LoadingFirstPage') return;
+
+    if (!isJumpTargetLoaded) {
+      if (status === 'CanLoadMore') {
+        loadMore(JUMP_PAGE_SIZE);
+      } else if (status === 'Exhausted') {
+        // Message is gone (deleted or not in this chat)
+        finishJump();
+      }
+      return;
+    }
+
+    const element = containerRef.current?.querySelector(
+      `[data-message-id="${jumpTargetId}"]`
+    );
+    element?.scrollIntoView({ block: 'center' });
+    setIsAtBottom(false);
+    setHighlightedId(jumpTargetId);
+    finishJump();
+  }, [jumpTargetId, isJumpTargetLoaded, status, loadMore, finishJump]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timeout = setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION_MS);
+    return () => clearTimeout(timeout);
+  }, [highlightedId]);
 
   // Scroll to bottom on new messages (only if already at bottom)
   useEffect(() => {
     if (
+      !jumpTargetId &&
       isAtBottom &&
       messages.length > 0 &&
       messages.length !== prevMessagesLengthRef.current
@@ -40,7 +132,7 @@ export default function MessageList({ conversationId, groupId }) {
       scrollToBottom();
     }
     prevMessagesLengthRef.current = messages.length;
-  }, [messages.length, isAtBottom]);
+  }, [messages.length, isAtBottom, jumpTargetId]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -86,6 +178,18 @@ export default function MessageList({ conversationId, groupId }) {
     );
   }
 
+  const lastOwnMessage = currentUser
+    ? [...messages]
+        .reverse()
+        .find(
+          (m) => !m.isDeleted && String(m.senderId) === String(currentUser._id)
+        )
+    : undefined;
+  const seenBy =
+    lastOwnMessage && readReceipts
+      ? readReceipts.filter((r) => r.lastReadAt >= lastOwnMessage.createdAt)
+      : [];
+
   return (
     <div
       ref={containerRef}
@@ -101,7 +205,7 @@ export default function MessageList({ conversationId, groupId }) {
         </div>
       )}
 
-      {status === 'Exhausted' && messages.length > 0 && (
+      {status === 'Exhausted' && messages.length > 0 && !parentMessageId && (
         <div className="message-list__start">
           <p>Beginning of conversation</p>
         </div>
@@ -109,9 +213,11 @@ export default function MessageList({ conversationId, groupId }) {
 
       {messages.length === 0 ? (
         <div className="message-list__empty">
-          <p>No messages yet</p>
+          <p>{parentMessageId ? 'No replies yet' : 'No messages yet'}</p>
           <p className="message-list__empty-hint">
-            Send a message to start the conversation
+            {parentMessageId
+              ? 'Reply to start the thread'
+              : 'Send a message to start the conversation'}
           </p>
         </div>
       ) : (
@@ -124,12 +230,25 @@ export default function MessageList({ conversationId, groupId }) {
               message.createdAt - prevMessage.createdAt > 5 * 60 * 1000;
 
             return (
-              <MessageItem
-                key={message._id}
-                message={message}
-                isOwnMessage={!!currentUser && String(message.senderId) === String(currentUser._id)}
-                showAvatar={showAvatar}
-              />
+              <Fragment key={message._id}>
+                <MessageItem
+                  message={message}
+                  isOwnMessage={!!currentUser && String(message.senderId) === String(currentUser._id)}
+                  showAvatar={showAvatar}
+                  onOpenThread={onOpenThread}
+                  onReply={onReply}
+                  onJumpToMessage={setQuoteJumpId}
+                  onOpenImage={setLightboxImage}
+                  isHighlighted={message._id === highlightedId}
+                />
+                {message._id === lastOwnMessage?._id && seenBy.length > 0 && (
+                  <div className="message-list__seen">
+                    {conversationId
+                      ? 'Seen'
+                      : `Seen by ${seenBy.map((r) => r.name || r.email).join(', ')}`}
+                  </div>
+                )}
+              </Fragment>
             );
           })}
         </div>
@@ -146,6 +265,15 @@ export default function MessageList({ conversationId, groupId }) {
           <ArrowDownIcon className="w-5 h-5" aria-hidden />
         </button>
       )}
+
+      {lightboxImage && (
+        <ImageLightbox
+          conversationId={conversationId}
+          groupId={groupId}
+          initialImage={lightboxImage}
+          onClose={closeLightbox}
+        />
+      )}
     </div>
   );
 }
@@ -153,4 +281,10 @@ export default function MessageList({ conversationId, groupId }) {
 MessageList.propTypes = {
   conversationId: PropTypes.string,
   groupId: PropTypes.string,
+  parentMessageId: PropTypes.string,
+  onOpenThread: PropTypes.func,
+  onReply: PropTypes.func,
+  onReadUpTo: PropTypes.func,
+  jumpToMessageId: PropTypes.string,
+  onJumpComplete: PropTypes.func,
 };
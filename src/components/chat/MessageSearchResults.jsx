@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { useQuery } from 'convex/react';
+import { useNavigate } from 'react-router-dom';
+import { PaperClipIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatRelativeTime } from '../../utils/dateUtils';
+import './MessageSearchResults.css';
+
+const SEARCH_DEBOUNCE_MS = 300;
+// Characters of context shown around the first match
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+
+/**
+ * Cut a snippet around the first occurrence of any search word
+ */
+function getSnippet(content, words) {
+  const lower = content.toLowerCase();
+  const matchIndex = words
+    .map((word) => lower.indexOf(word))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b)[0];
+
+  if (matchIndex === undefined || content.length <= SNIPPET_LENGTH) {
+    return content.length <= SNIPPET_LENGTH
+      ? content
+      : content.slice(0, SNIPPET_LENGTH) + '…';
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_BEFORE);
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  return (start > 0 ? '…' : '') + content.slice(start, end) + (end < content.length ? '…' : '');
+}
+
+/**
+ * Split text into plain and matched parts so matches can be wrapped in <mark>
+ */
+function highlightWords(text, words) {
+  if (words.length === 0) return [text];
+  const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+  );
+}
+
+export default function MessageSearchResults({ searchTerm, conversationId, groupId, onSelect }) {
+  const [debouncedTerm, setDebouncedTerm] = useState(searchTerm.trim());
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedTerm(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const results = useQuery(
+    api.messages.searchMessages,
+    debouncedTerm
+      ? { searchTerm: debouncedTerm, conversationId, groupId }
+      : 'skip'
+  );
+
+  const words = debouncedTerm.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const handleSelect = (hit) => {
+    const path = hit.conversationId
+      ? `/conversation/${hit.conversationId}`
+      : `/group/${hit.groupId}`;
+    // Thread replies jump to their parent and open the thread
+    const params = new URLSearchParams({ message: hit.parentMessageId ?? hit._id });
+    if (hit.parentMessageId) {
+      params.set('thread', hit.parentMessageId);
+    }
+    navigate(`${path}?${params.toString()}`);
+    onSelect?.();
+  };
+
+  if (!debouncedTerm) {
+    return null;
+  }
+
+  if (results === undefined) {
+    return (
+      <div className="message-search__loading">
+        <LoadingSpinner size="small" />
+      </div>
+    );
+  }
+
+  if (results.length === 0) {
+    return <p className="message-search__empty">No messages found</p>;
+  }
+
+  const isScoped = Boolean(conversationId || groupId);
+
+  return (
+    <ul className="message-search__results">
+      {results.map((hit) => (
+        <li key={hit._id}>
+          <button className="message-search__hit" onClick={() => handleSelect(hit)}>
+            <div className="message-search__hit-header">
+              <span className="message-search__hit-sender">
+                {hit.sender?.name || hit.sender?.email || 'Unknown'}
+                {!isScoped && (
+                  <span className="message-search__hit-chat"> in {hit.chatName}</span>
+                )}
+              </span>
+              <span className="message-search__hit-time">
+                {formatRelativeTime(hit.createdAt)}
+              </span>
+            </div>
+            <p className="message-search__hit-snippet">
+              {hit.type === 'file' && (
+                <PaperClipIcon className="w-4 h-4 inline-block mr-1 align-middle" aria-hidden />
+              )}
+              {highlightWords(getSnippet(hit.content, words), words)}
+            </p>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+MessageSearchResults.propTypes = {
+  searchTerm: PropTypes.string.isRequired,
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+  onSelect: PropTypes.func,
+};
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { useMutation } from 'convex/react';
+import { ChartBarIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import './PollCard.css';
+
+/**
+ * Poll message body: options with live vote bars, voting and closing
+ */
+export default function PollCard({ messageId, question, poll, canClose }) {
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const votePoll = useMutation(api.polls.votePoll);
+  const closePoll = useMutation(api.polls.closePoll);
+
+  const myOptionIds = poll.options.filter((o) => o.votedByMe).map((o) => o._id);
+
+  const handleVote = async (optionId) => {
+    // Clicking a chosen option un-chooses it; single-choice replaces the choice
+    const isChosen = myOptionIds.includes(optionId);
+    const optionIds = poll.allowMultiple
+      ? isChosen
+        ? myOptionIds.filter((id) => id !== optionId)
+        : [...myOptionIds, optionId]
+      : isChosen
+        ? []
+        : [optionId];
+
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await votePoll({ messageId, optionIds });
+    } catch (err) {
+      setError(err.message || 'Failed to vote');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (!window.confirm('Close this poll? No more votes will be accepted.')) return;
+    setError('');
+    try {
+      await closePoll({ messageId });
+    } catch (err) {
+      setError(err.message || 'Failed to close poll');
+    }
+  };
+
+  return (
+    <div className={`poll-card ${poll.isClosed ? 'poll-card--closed' : ''}`}>
+      <div className="poll-card__header">
+        <ChartBarIcon className="poll-card__icon w-5 h-5" aria-hidden />
+        <p className="poll-card__question">{question}</p>
+      </div>
+      <p className="poll-card__meta">
+        {poll.isClosed
+          ? 'Poll closed'
+          : poll.allowMultiple
+            ? 'Select one or more'
+            : 'Select one'}
+        {poll.isAnonymous && ' · Anonymous'}
+      </p>
+
+      <ul className="poll-card__options">
+        {poll.options.map((option) => {
+          const percent =
+            poll.totalVoters > 0 ? Math.round((option.voteCount / poll.totalVoters) * 100) : 0;
+          return (
+            <li key={option._id}>
+              <button
+                type="button"
+                className={`poll-card__option ${option.votedByMe ? 'poll-card__option--chosen' : ''}`}
+                onClick={() => handleVote(option._id)}
+                disabled={poll.isClosed || isSubmitting}
+                aria-pressed={option.votedByMe}
+                title={option.voterNames.length > 0 ? option.voterNames.join(', ') : undefined}
+              >
+                <span className="poll-card__bar" style={{ width: `${percent}%` }} aria-hidden />
+                <span
+                  className={`poll-card__check ${poll.allowMultiple ? 'poll-card__check--multiple' : ''}`}
+                  aria-hidden
+                >
+                  {option.votedByMe && <CheckIcon className="w-3 h-3" />}
+                </span>
+                <span className="poll-card__option-text">{option.text}</span>
+                <span className="poll-card__option-count">
+                  {option.voteCount} · {percent}%
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {error && (
+        <p className="poll-card__error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="poll-card__footer">
+        <span>
+          {poll.totalVoters} {poll.totalVoters === 1 ? 'vote' : 'votes'}
+        </span>
+        {canClose && !poll.isClosed && (
+          <button type="button" className="poll-card__close" onClick={handleClose}>
+            Close poll
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+PollCard.propTypes = {
+  messageId: PropTypes.string.isRequired,
+  question: PropTypes.string.isRequired,
+  poll: PropTypes.shape({
+    allowMultiple: PropTypes.bool.isRequired,
+    isAnonymous: PropTypes.bool.isRequired,
+    isClosed: PropTypes.bool.isRequired,
+    totalVoters: PropTypes.number.isRequired,
+    options: PropTypes.arrayOf(
+      PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        voteCount: PropTypes.number.isRequired,
+        votedByMe: PropTypes.bool.isRequired,
+        voterNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+      })
+    ).isRequired,
+  }).isRequired,
+  canClose: PropTypes.bool,
+};
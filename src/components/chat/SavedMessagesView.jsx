@@ -0,0 +1,122 @@
+import { useMutation, usePaginatedQuery } from 'convex/react';
+import { useNavigate } from 'react-router-dom';
+import { BookmarkIcon, PaperClipIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { formatRelativeTime } from '../../utils/dateUtils';
+import './SavedMessagesView.css';
+
+const SAVED_PAGE_SIZE = 30;
+const SNIPPET_LENGTH = 200;
+
+function getSnippet(item) {
+  const text =
+    item.type === 'file' && (!item.content || item.fileNames.includes(item.content))
+      ? item.fileNames.join(', ')
+      : item.content;
+  return text.length <= SNIPPET_LENGTH ? text : text.slice(0, SNIPPET_LENGTH) + '…';
+}
+
+/**
+ * The current user's bookmarked messages from every chat, with a link back
+ * to each message in context
+ */
+export default function SavedMessagesView() {
+  const navigate = useNavigate();
+  const unsaveMessage = useMutation(api.savedMessages.unsaveMessage);
+
+  const { results, status, loadMore } = usePaginatedQuery(
+    api.savedMessages.listSavedMessages,
+    {},
+    { initialNumItems: SAVED_PAGE_SIZE }
+  );
+
+  const handleOpen = (item) => {
+    const path = item.conversationId
+      ? `/conversation/${item.conversationId}`
+      : `/group/${item.groupId}`;
+    // Thread replies jump to their parent and open the thread
+    const params = new URLSearchParams({ message: item.parentMessageId ?? item.messageId });
+    if (item.parentMessageId) {
+      params.set('thread', item.parentMessageId);
+    }
+    navigate(`${path}?${params.toString()}`);
+  };
+
+  const handleUnsave = async (item) => {
+    try {
+      await unsaveMessage({ messageId: item.messageId });
+    } catch (error) {
+      console.error('Failed to remove saved message:', error);
+    }
+  };
+
+  return (
+    <div className="saved-messages">
+      <div className="saved-messages__header">
+        <h1 className="saved-messages__title">Saved messages</h1>
+      </div>
+
+      <div className="saved-messages__content">
+        {status === 'LoadingFirstPage' ? (
+          <div className="saved-messages__loading">
+            <LoadingSpinner size="small" />
+          </div>
+        ) : results.length === 0 && status === 'Exhausted' ? (
+          <div className="saved-messages__empty">
+            <BookmarkIcon className="w-8 h-8" aria-hidden />
+            <p>Nothing saved yet. Use the bookmark button on a message to save it for later.</p>
+          </div>
+        ) : (
+          <ul className="saved-messages__list">
+            {results.map((item) => (
+              <li key={item._id} className="saved-messages__item">
+                <button
+                  type="button"
+                  className="saved-messages__open"
+                  onClick={() => handleOpen(item)}
+                >
+                  <div className="saved-messages__item-header">
+                    <span className="saved-messages__sender">
+                      {item.sender?.name || item.sender?.email || 'Unknown'}
+                      <span className="saved-messages__chat"> in {item.chatName}</span>
+                    </span>
+                    <span className="saved-messages__time">
+                      {formatRelativeTime(item.createdAt)}
+                    </span>
+                  </div>
+                  <p className="saved-messages__snippet">
+                    {item.type === 'file' && (
+                      <PaperClipIcon className="w-4 h-4 inline-block mr-1 align-middle" aria-hidden />
+                    )}
+                    {getSnippet(item)}
+                  </p>
+                </button>
+                <button
+                  type="button"
+                  className="saved-messages__remove"
+                  onClick={() => handleUnsave(item)}
+                  title="Remove from saved"
+                  aria-label="Remove from saved"
+                >
+                  <XMarkIcon className="w-4 h-4" aria-hidden />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {(status === 'CanLoadMore' || status === 'LoadingMore') && (
+          <button
+            type="button"
+            className="btn btn--secondary btn--small saved-messages__more"
+            onClick={() => loadMore(SAVED_PAGE_SIZE)}
+            disabled={status === 'LoadingMore'}
+          >
+            {status === 'LoadingMore' ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
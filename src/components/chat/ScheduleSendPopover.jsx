@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { formatScheduledTime } from '../../utils/dateUtils';
+import './ScheduleSendPopover.css';
+
+// Must match convex/scheduledMessages.ts MIN_SCHEDULE_DELAY
+const MIN_SCHEDULE_DELAY_MS = 60 * 1000;
+const MORNING_HOUR = 9;
+
+/**
+ * Next occurrence of 9:00 AM local time, daysAhead days from today
+ */
+function morningIn(daysAhead) {
+  const date = new Date();
+  date.setDate(date.getDate() + daysAhead);
+  date.setHours(MORNING_HOUR, 0, 0, 0);
+  return date.getTime();
+}
+
+function getPresets() {
+  const now = new Date();
+  const daysUntilMonday = ((8 - now.getDay()) % 7) || 7;
+  return [
+    { label: 'In 1 hour', time: now.getTime() + 60 * 60 * 1000 },
+    { label: 'Tomorrow morning', time: morningIn(1) },
+    { label: 'Monday morning', time: morningIn(daysUntilMonday) },
+  ];
+}
+
+/**
+ * Format a timestamp as a local value for <input type="datetime-local">
+ */
+function toLocalInputValue(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+export default function ScheduleSendPopover({ onSchedule, onClose, isScheduling }) {
+  const [customValue, setCustomValue] = useState(() =>
+    toLocalInputValue(morningIn(1))
+  );
+  const [error, setError] = useState('');
+  const popoverRef = useRef(null);
+  const presets = getPresets();
+
+  // Close on outside click or Escape
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const handleCustomSchedule = () => {
+    // datetime-local values parse as local time
+    const time = new Date(customValue).getTime();
+    if (Number.isNaN(time)) {
+      setError('Pick a date and time');
+      return;
+    }
+    if (time < Date.now() + MIN_SCHEDULE_DELAY_MS) {
+      setError('Pick a time at least a minute from now');
+      return;
+    }
+    setError('');
+    onSchedule(time);
+  };
+
+  return (
+    <div
+      ref={popoverRef}
+      className="schedule-send"
+      role="dialog"
+      aria-label="Schedule send"
+    >
+      <p className="schedule-send__title">Schedule send</p>
+      <ul className="schedule-send__presets">
+        {presets.map((preset) => (
+          <li key={preset.label}>
+            <button
+              type="button"
+              className="schedule-send__preset"
+              onClick={() => onSchedule(preset.time)}
+              disabled={isScheduling}
+            >
+              <span>{preset.label}</span>
+              <span className="schedule-send__preset-time">
+                {formatScheduledTime(preset.time)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="schedule-send__custom">
+        <label htmlFor="schedule-send-custom" className="schedule-send__label">
+          Pick date &amp; time
+        </label>
+        <input
+          id="schedule-send-custom"
+          type="datetime-local"
+          className="schedule-send__input"
+          value={customValue}
+          min={toLocalInputValue(Date.now() + MIN_SCHEDULE_DELAY_MS)}
+          onChange={(e) => setCustomValue(e.target.value)}
+        />
+        {error && (
+          <p className="schedule-send__error" role="alert">
+            {error}
+          </p>
+        )}
+        <button
+          type="button"
+          className="schedule-send__submit"
+          onClick={handleCustomSchedule}
+          disabled={isScheduling || !customValue}
+        >
+          Schedule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+ScheduleSendPopover.propTypes = {
+  onSchedule: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  isScheduling: PropTypes.bool,
+};
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from 'convex/react';
+import {
+  ClockIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import { formatScheduledTime } from '../../utils/dateUtils';
+import { truncateText } from '../../utils/sanitize';
+import './ScheduledMessageList.css';
+
+/**
+ * Collapsible list of the current user's pending scheduled sends in a chat
+ * (or thread), with cancel for each
+ */
+export default function ScheduledMessageList({ conversationId, groupId, parentMessageId }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [error, setError] = useState('');
+
+  const scheduled = useQuery(
+    api.scheduledMessages.listScheduledMessages,
+    conversationId ? { conversationId } : groupId ? { groupId } : 'skip'
+  );
+  const cancelScheduledMessage = useMutation(api.scheduledMessages.cancelScheduledMessage);
+
+  // Thread inputs list only their thread's sends; the main input only top-level ones
+  const items = (scheduled ?? []).filter(
+    (s) => (s.parentMessageId ?? null) === (parentMessageId ?? null)
+  );
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const failedCount = items.filter((s) => s.status === 'failed').length;
+
+  const handleCancel = async (scheduledMessageId) => {
+    setError('');
+    try {
+      await cancelScheduledMessage({ scheduledMessageId });
+    } catch (err) {
+      setError(err.message || 'Failed to cancel');
+    }
+  };
+
+  return (
+    <div className="scheduled-messages">
+      <button
+        type="button"
+        className="scheduled-messages__toggle"
+        onClick={() => setIsExpanded((prev) => !prev)}
+        aria-expanded={isExpanded}
+      >
+        <ClockIcon className="w-4 h-4" aria-hidden />
+        <span>
+          {items.length} scheduled {items.length === 1 ? 'message' : 'messages'}
+          {failedCount > 0 && ` (${failedCount} failed)`}
+        </span>
+        {isExpanded ? (
+          <ChevronUpIcon className="w-4 h-4" aria-hidden />
+        ) : (
+          <ChevronDownIcon className="w-4 h-4" aria-hidden />
+        )}
+      </button>
+
+      {isExpanded && (
+        <ul className="scheduled-messages__list">
+          {items.map((item) => (
+            <li
+              key={item._id}
+              className={`scheduled-messages__item ${item.status === 'failed' ? 'scheduled-messages__item--failed' : ''}`}
+            >
+              <div className="scheduled-messages__item-body">
+                <span className="scheduled-messages__item-time">
+                  {item.status === 'failed' ? (
+                    <>
+                      <ExclamationTriangleIcon className="w-4 h-4" aria-hidden />
+                      Not sent{item.error ? `: ${item.error}` : ''}
+                    </>
+                  ) : (
+                    formatScheduledTime(item.scheduledFor)
+                  )}
+                </span>
+                <span className="scheduled-messages__item-content">
+                  {truncateText(item.content, 120)}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="scheduled-messages__cancel"
+                onClick={() => handleCancel(item._id)}
+                title={item.status === 'failed' ? 'Dismiss' : 'Cancel scheduled send'}
+                aria-label={item.status === 'failed' ? 'Dismiss' : 'Cancel scheduled send'}
+              >
+                <XMarkIcon className="w-4 h-4" aria-hidden />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="scheduled-messages__error" role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+ScheduledMessageList.propTypes = {
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+  parentMessageId: PropTypes.string,
+};
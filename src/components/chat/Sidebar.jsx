@@ -2,29 +2,43 @@ import { useState, useEffect } from 'react';
 import { useQuery } from 'convex/react';
 import { useClerk } from '@clerk/clerk-react';
 import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
-import { Bars3Icon, XMarkIcon, ChatBubbleLeftRightIcon, CalendarIcon } from '@heroicons/react/24/outline';
+import {
+  Bars3Icon,
+  XMarkIcon,
+  ChatBubbleLeftRightIcon,
+  CalendarIcon,
+  MagnifyingGlassIcon,
+  BookmarkIcon,
+  ArrowUpTrayIcon,
+} from '@heroicons/react/24/outline';
 import { api } from '../../../convex/_generated/api';
 import PropTypes from 'prop-types';
 import ConversationList from './ConversationList';
 import GroupList from './GroupList';
 import UserSearch from './UserSearch';
 import CreateGroupModal from './CreateGroupModal';
+import MessageSearchResults from './MessageSearchResults';
 import NotificationBell from '../common/NotificationBell';
 import UserPresence from '../common/UserPresence';
+import StorageUsage from '../common/StorageUsage';
 import './Sidebar.css';
 
 export default function Sidebar({ isOpen, onToggle }) {
   const [activeTab, setActiveTab] = useState('conversations');
   const [showSearch, setShowSearch] = useState(false);
   const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [messageSearch, setMessageSearch] = useState('');
   
   const currentUser = useQuery(api.users.getCurrentUser);
+  const canImportFromSlack = useQuery(api.slackImport.canImportFromSlack);
   const { signOut } = useClerk();
   const navigate = useNavigate();
   const location = useLocation();
   const [searchParams, setSearchParams] = useSearchParams();
   
   const isCalendarView = location.pathname === '/calendar';
+  const isSavedView = location.pathname === '/saved';
+  const isImportView = location.pathname === '/import/slack';
 
   // Handle URL-based modal triggers from WelcomeView buttons
   useEffect(() => {
@@ -112,6 +126,10 @@ export default function Sidebar({ isOpen, onToggle }) {
         </button>
       </div>
 
+      <div className="sidebar__storage">
+        <StorageUsage />
+      </div>
+
       <div className="sidebar__actions">
         <button
           className="sidebar__action-btn"
@@ -127,9 +145,22 @@ export default function Sidebar({ isOpen, onToggle }) {
         </button>
       </div>
 
+      <div className="sidebar__search">
+        <MagnifyingGlassIcon className="sidebar__search-icon w-4 h-4" aria-hidden />
+        <input
+          type="search"
+          className="sidebar__search-input"
+          placeholder="Search messages"
+          value={messageSearch}
+          onChange={(e) => setMessageSearch(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setMessageSearch('')}
+          aria-label="Search messages"
+        />
+      </div>
+
       <div className="sidebar__nav-links">
         <button
-          className={`sidebar__nav-link ${!isCalendarView ? 'sidebar__nav-link--active' : ''}`}
+          className={`sidebar__nav-link ${!isCalendarView && !isSavedView && !isImportView ? 'sidebar__nav-link--active' : ''}`}
           onClick={() => navigate('/')}
         >
           <ChatBubbleLeftRightIcon className="sidebar__nav-icon w-4 h-4" aria-hidden />
@@ -142,6 +173,22 @@ export default function Sidebar({ isOpen, onToggle }) {
           <CalendarIcon className="sidebar__nav-icon w-4 h-4" aria-hidden />
           Calendar
         </button>
+        <button
+          className={`sidebar__nav-link ${isSavedView ? 'sidebar__nav-link--active' : ''}`}
+          onClick={() => navigate('/saved')}
+        >
+          <BookmarkIcon className="sidebar__nav-icon w-4 h-4" aria-hidden />
+          Saved
+        </button>
+        {canImportFromSlack && (
+          <button
+            className={`sidebar__nav-link ${isImportView ? 'sidebar__nav-link--active' : ''}`}
+            onClick={() => navigate('/import/slack')}
+          >
+            <ArrowUpTrayIcon className="sidebar__nav-icon w-4 h-4" aria-hidden />
+            Import
+          </button>
+        )}
       </div>
 
       <nav className="sidebar__tabs">
@@ -160,7 +207,9 @@ export default function Sidebar({ isOpen, onToggle }) {
       </nav>
 
       <div className="sidebar__content">
-        {activeTab === 'conversations' ? (
+        {messageSearch.trim() ? (
+          <MessageSearchResults searchTerm={messageSearch} />
+        ) : activeTab === 'conversations' ? (
           <ConversationList />
         ) : (
           <GroupList />
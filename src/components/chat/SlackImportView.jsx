@@ -0,0 +1,281 @@
+import { useRef, useState } from 'react';
+import { useMutation, useQuery } from 'convex/react';
+import { Navigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { ArrowUpTrayIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { uploadFileWithProgress } from '../../utils/upload';
+import { formatRelativeTime } from '../../utils/dateUtils';
+import './SlackImportView.css';
+
+const STATUS_LABELS = {
+  analyzing: 'Reading archive...',
+  analyzed: 'Ready to import',
+  importing: 'Importing...',
+  completed: 'Imported',
+  failed: 'Failed',
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Upload a Slack export ZIP, review the dry-run report and import its
+ * channels as groups (only for IMPORT_ADMIN_EMAILS)
+ */
+export default function SlackImportView() {
+  const canImport = useQuery(api.slackImport.canImportFromSlack);
+  const imports = useQuery(api.slackImport.listSlackImports);
+  const generateUploadUrl = useMutation(api.files.generateUploadUrl);
+  const createSlackImport = useMutation(api.slackImport.createSlackImport);
+  const fileInputRef = useRef(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (canImport === false) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setUploadProgress(0);
+    try {
+      const uploadUrl = await generateUploadUrl();
+      const storageId = await uploadFileWithProgress(uploadUrl, file, setUploadProgress).promise;
+      await createSlackImport({ storageId, fileName: file.name });
+    } catch (err) {
+      setError(err.message || 'Failed to upload the export');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  return (
+    <div className="slack-import">
+      <div className="slack-import__header">
+        <h1 className="slack-import__title">Import from Slack</h1>
+        <p className="slack-import__subtitle">
+          Upload a Slack workspace export (ZIP). Channels become groups, Slack users are matched
+          to accounts here by email, and messages keep their original times.
+        </p>
+      </div>
+
+      <div className="slack-import__content">
+        <div className="slack-import__upload">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            className="slack-import__file-input"
+            onChange={handleFileChange}
+          />
+          <button
+            type="button"
+            className="btn btn--primary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadProgress !== null || !canImport}
+          >
+            <ArrowUpTrayIcon className="w-4 h-4" aria-hidden />
+            {uploadProgress !== null ? `Uploading... ${uploadProgress}%` : 'Upload Slack export'}
+          </button>
+          {error && (
+            <p className="slack-import__error" role="alert">
+              {error}
+            </p>
+          )}
+        </div>
+
+        {imports === undefined ? (
+          <div className="slack-import__loading">
+            <LoadingSpinner size="small" />
+          </div>
+        ) : (
+          <ul className="slack-import__list">
+            {imports.map((slackImport) => (
+              <SlackImportCard key={slackImport._id} slackImport={slackImport} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SlackImportCard({ slackImport }) {
+  const startSlackImport = useMutation(api.slackImport.startSlackImport);
+  const deleteSlackImport = useMutation(api.slackImport.deleteSlackImport);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { report, status } = slackImport;
+  const isRunning = status === 'analyzing' || status === 'importing';
+  const canStart = !!report && (status === 'analyzed' || status === 'failed');
+
+  const run = async (action, fallbackMessage) => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await action({ importId: slackImport._id });
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <li className="slack-import__item">
+      <div className="slack-import__item-header">
+        <span className="slack-import__file-name">{slackImport.fileName}</span>
+        <span className={`slack-import__status slack-import__status--${status}`}>
+          {isRunning && <LoadingSpinner size="small" />}
+          {STATUS_LABELS[status]}
+        </span>
+      </div>
+      <span className="slack-import__meta">
+        Uploaded {formatRelativeTime(slackImport.createdAt)}
+      </span>
+
+      {report && (
+        <div className="slack-import__report">
+          <p>
+            {plural(report.channels.length, 'channel')} · {plural(report.messageCount, 'message')}{' '}
+            · {plural(report.fileCount, 'file')} · {report.mappedUserCount} of{' '}
+            {plural(report.userCount, 'user')} matched
+          </p>
+          {report.skippedConversationCount > 0 && (
+            <p className="slack-import__meta">
+              {plural(report.skippedConversationCount, 'direct message conversation')} will not be
+              imported
+            </p>
+          )}
+
+          {report.unmappedUsers.length > 0 && (
+            <details className="slack-import__details">
+              <summary>
+                {plural(report.unmappedUsers.length, 'Slack user')} without an account here
+              </summary>
+              <p className="slack-import__meta">
+                Their messages are posted by you, prefixed with their name. Invite them with the
+                listed email before importing to keep them as the author.
+              </p>
+              <ul className="slack-import__users">
+                {report.unmappedUsers.map((user) => (
+                  <li key={user.slackId}>
+                    {user.name}
+                    {user.email && <span className="slack-import__meta"> ({user.email})</span>}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <details className="slack-import__details">
+            <summary>Channels</summary>
+            <ul className="slack-import__channels">
+              {report.channels.map((channel) => (
+                <li key={channel.slackId}>
+                  #{channel.name}
+                  {channel.isPrivate && ' (private)'}
+                  <span className="slack-import__meta">
+                    {' '}
+                    {plural(channel.memberCount, 'member')}, {plural(channel.messageCount, 'message')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        </div>
+      )}
+
+      {(status === 'importing' || status === 'completed' || slackImport.importedMessageCount > 0) && (
+        <p className="slack-import__progress">
+          {report && `${slackImport.importedChannelCount} of ${report.channels.length} channels · `}
+          {plural(slackImport.importedMessageCount, 'message')} and{' '}
+          {plural(slackImport.importedFileCount, 'file')} imported
+          {slackImport.skippedFileCount > 0 && ` · ${slackImport.skippedFileCount} skipped`}
+        </p>
+      )}
+
+      {status === 'failed' && (
+        <p className="slack-import__error" role="alert">
+          {slackImport.error || 'Unknown error'}
+        </p>
+      )}
+      {error && (
+        <p className="slack-import__error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {!isRunning && (
+        <div className="slack-import__actions">
+          {canStart && (
+            <button
+              type="button"
+              className="btn btn--primary btn--small"
+              onClick={() => run(startSlackImport, 'Failed to start the import')}
+              disabled={isBusy}
+            >
+              {status === 'failed' ? 'Resume import' : 'Start import'}
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn btn--secondary btn--small"
+            onClick={() => run(deleteSlackImport, 'Failed to delete the import')}
+            disabled={isBusy}
+            title={status === 'completed' ? 'Remove from list' : 'Delete upload'}
+          >
+            <TrashIcon className="w-4 h-4" aria-hidden />
+            {status === 'completed' ? 'Remove' : 'Delete'}
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+SlackImportCard.propTypes = {
+  slackImport: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    fileName: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['analyzing', 'analyzed', 'importing', 'completed', 'failed'])
+      .isRequired,
+    report: PropTypes.shape({
+      userCount: PropTypes.number.isRequired,
+      mappedUserCount: PropTypes.number.isRequired,
+      unmappedUsers: PropTypes.arrayOf(
+        PropTypes.shape({
+          slackId: PropTypes.string.isRequired,
+          name: PropTypes.string.isRequired,
+          email: PropTypes.string,
+        })
+      ).isRequired,
+      channels: PropTypes.arrayOf(
+        PropTypes.shape({
+          slackId: PropTypes.string.isRequired,
+          name: PropTypes.string.isRequired,
+          isPrivate: PropTypes.bool.isRequired,
+          memberCount: PropTypes.number.isRequired,
+          messageCount: PropTypes.number.isRequired,
+        })
+      ).isRequired,
+      messageCount: PropTypes.number.isRequired,
+      fileCount: PropTypes.number.isRequired,
+      skippedConversationCount: PropTypes.number.isRequired,
+    }),
+    importedMessageCount: PropTypes.number.isRequired,
+    importedFileCount: PropTypes.number.isRequired,
+    skippedFileCount: PropTypes.number.isRequired,
+    importedChannelCount: PropTypes.number.isRequired,
+    error: PropTypes.string,
+    createdAt: PropTypes.number.isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,93 @@
+import { useState, useRef, useCallback } from 'react';
+import { useQuery } from 'convex/react';
+import { XMarkIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import MessageItem from './MessageItem';
+import MessageList from './MessageList';
+import MessageInput from './MessageInput';
+import MessageSkeleton from '../common/MessageSkeleton';
+import { useFileDrop } from '../../hooks/useFileDrop';
+import './ThreadPanel.css';
+
+export default function ThreadPanel({ parentMessageId, conversationId, groupId, onClose }) {
+  const currentUser = useQuery(api.users.getCurrentUser);
+  const parentMessage = useQuery(api.messages.getMessage, { messageId: parentMessageId });
+  const [replyingTo, setReplyingTo] = useState(null);
+  const messageInputRef = useRef(null);
+
+  // Drops and pastes inside the thread attach to the thread reply, not the main input
+  const handleFiles = useCallback((files) => messageInputRef.current?.addFiles(files), []);
+  const { isDragging, dropZoneProps } = useFileDrop(handleFiles);
+
+  const replyCount = parentMessage?.replyCount ?? 0;
+
+  return (
+    <aside className="thread-panel" aria-label="Thread" {...dropZoneProps}>
+      {isDragging && (
+        <div className="thread-panel__drop-overlay" aria-hidden>
+          <ArrowUpTrayIcon className="w-8 h-8" />
+          <span>Drop files to reply in thread</span>
+        </div>
+      )}
+
+      <div className="thread-panel__header">
+        <h3>Thread</h3>
+        <button
+          className="thread-panel__close"
+          onClick={onClose}
+          aria-label="Close thread"
+        >
+          <XMarkIcon className="w-5 h-5" aria-hidden />
+        </button>
+      </div>
+
+      <div className="thread-panel__parent">
+        {parentMessage === undefined ? (
+          <MessageSkeleton count={1} />
+        ) : parentMessage === null ? (
+          <p className="thread-panel__missing">This message is no longer available</p>
+        ) : (
+          <MessageItem
+            message={parentMessage}
+            isOwnMessage={!!currentUser && String(parentMessage.senderId) === String(currentUser._id)}
+            showAvatar
+          />
+        )}
+      </div>
+
+      <div className="thread-panel__divider">
+        <span>
+          {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+        </span>
+      </div>
+
+      <div className="thread-panel__replies">
+        <MessageList
+          conversationId={conversationId}
+          groupId={groupId}
+          parentMessageId={parentMessageId}
+          onReply={setReplyingTo}
+        />
+      </div>
+
+      {parentMessage && !parentMessage.isDeleted && (
+        <MessageInput
+          ref={messageInputRef}
+          conversationId={conversationId}
+          groupId={groupId}
+          parentMessageId={parentMessageId}
+          replyTo={replyingTo}
+          onCancelReply={() => setReplyingTo(null)}
+        />
+      )}
+    </aside>
+  );
+}
+
+ThreadPanel.propTypes = {
+  parentMessageId: PropTypes.string.isRequired,
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+};
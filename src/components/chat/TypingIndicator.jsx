@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { useQuery } from 'convex/react';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import './TypingIndicator.css';
+
+// How often to re-check expiry while someone is shown as typing
+const EXPIRY_CHECK_MS = 1000;
+
+function formatTypingText(users) {
+  const names = users.map((u) => u.name || u.email || 'Someone');
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  if (names.length === 3) {
+    return `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  }
+  return 'Several people are typing…';
+}
+
+export default function TypingIndicator({ conversationId, groupId }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  const typingUsers = useQuery(
+    api.typing.getTypingUsers,
+    conversationId ? { conversationId } : groupId ? { groupId } : 'skip'
+  );
+
+  // Entries can lapse before the server sweeps them; tick so they disappear on time
+  const hasTypingUsers = typingUsers !== undefined && typingUsers.length > 0;
+  useEffect(() => {
+    if (!hasTypingUsers) return;
+    const interval = setInterval(() => setNow(Date.now()), EXPIRY_CHECK_MS);
+    return () => clearInterval(interval);
+  }, [hasTypingUsers]);
+
+  const activeUsers = (typingUsers ?? []).filter((u) => u.expiresAt > now);
+
+  return (
+    <div className="typing-indicator" aria-live="polite">
+      {activeUsers.length > 0 && (
+        <>
+          <span className="typing-indicator__dots" aria-hidden>
+            <span />
+            <span />
+            <span />
+          </span>
+          <span className="typing-indicator__text">{formatTypingText(activeUsers)}</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+TypingIndicator.propTypes = {
+  conversationId: PropTypes.string,
+  groupId: PropTypes.string,
+};
@@ -8,6 +8,7 @@ import {
   PhoneIcon,
   CalendarIcon,
   UsersIcon,
+  AtSymbolIcon,
 } from '@heroicons/react/24/outline';
 import { api } from '../../../convex/_generated/api';
 import { formatRelativeTime } from '../../utils/dateUtils';
@@ -263,6 +264,8 @@ function getNotificationIcon(type) {
   switch (type) {
     case 'message':
       return <ChatBubbleLeftRightIcon className={iconClass} aria-hidden />;
+    case 'mention':
+      return <AtSymbolIcon className={iconClass} aria-hidden />;
     case 'call':
       return <PhoneIcon className={iconClass} aria-hidden />;
     case 'meeting_request':
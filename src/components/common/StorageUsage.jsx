@@ -0,0 +1,56 @@
+import { useQuery } from 'convex/react';
+import { api } from '../../../convex/_generated/api';
+import PropTypes from 'prop-types';
+import './StorageUsage.css';
+
+// Above this share of the quota the meter turns amber
+const NEAR_QUOTA_RATIO = 0.9;
+
+/**
+ * Storage used against the quota, for the current user or a group
+ */
+export default function StorageUsage({ groupId }) {
+  const usage = useQuery(api.files.getStorageUsage, groupId ? { groupId } : {});
+
+  if (!usage) {
+    return null;
+  }
+
+  const ratio = usage.quotaBytes > 0 ? Math.min(usage.usedBytes / usage.quotaBytes, 1) : 0;
+
+  return (
+    <div className="storage-usage">
+      <div className="storage-usage__label">
+        <span>Storage</span>
+        <span>
+          {formatBytes(usage.usedBytes)} of {formatBytes(usage.quotaBytes)}
+        </span>
+      </div>
+      <div
+        className="storage-usage__bar"
+        role="progressbar"
+        aria-label="Storage used"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(ratio * 100)}
+      >
+        <span
+          className={`storage-usage__fill ${ratio >= NEAR_QUOTA_RATIO ? 'storage-usage__fill--warning' : ''}`}
+          style={{ width: `${ratio * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (!bytes || bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+StorageUsage.propTypes = {
+  groupId: PropTypes.string,
+};
@@ -1,5 +1,5 @@
 import { useState, useCallback, useMemo } from 'react';
-import { useQuery, useMutation, usePaginatedQuery } from 'convex/react';
+import { useQuery, useMutation, useAction, usePaginatedQuery } from 'convex/react';
 import { api } from '../../convex/_generated/api';
 import { parseConvexError } from '../utils/errorUtils';
 
@@ -130,6 +130,7 @@ export function useSendMessage({ conversationId, groupId }) {
   const sendMessage = useMutation(api.messages.sendMessage);
   const generateUploadUrl = useMutation(api.files.generateUploadUrl);
   const saveFileMessage = useMutation(api.files.saveFileMessage);
+  const verifyUpload = useAction(api.fileVerification.verifyUpload);
 
   const send = useCallback(
     async (content, type = 'text') => {
@@ -184,6 +185,9 @@ export function useSendMessage({ conversationId, groupId }) {
 
         const { storageId } = await response.json();
 
+        // Confirm the content matches the reported type before posting
+        await verifyUpload({ storageId, fileType: file.type });
+
         // Save file message
         await saveFileMessage({
           storageId,
@@ -201,7 +205,7 @@ export function useSendMessage({ conversationId, groupId }) {
         setIsSending(false);
       }
     },
-    [conversationId, groupId, generateUploadUrl, saveFileMessage]
+    [conversationId, groupId, generateUploadUrl, verifyUpload, saveFileMessage]
   );
 
   return {
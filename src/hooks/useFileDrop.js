@@ -0,0 +1,77 @@
+import { useState, useRef, useCallback } from 'react';
+
+/**
+ * Whether a drag event carries files (as opposed to text or links)
+ */
+function hasFiles(e) {
+  return Array.from(e.dataTransfer?.types ?? []).includes('Files');
+}
+
+/**
+ * Drag-and-drop and clipboard-paste file handling for a drop zone element.
+ * Events are stopped at the zone so nested zones (e.g. a thread panel inside
+ * the chat view) receive their own drops.
+ * @param {Function} onFiles - Called with an array of File objects
+ * @returns {{isDragging: boolean, dropZoneProps: Object}} Spread dropZoneProps onto the zone
+ */
+export function useFileDrop(onFiles) {
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child element; track nesting depth
+  const depthRef = useRef(0);
+
+  const onDragEnter = useCallback((e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    depthRef.current += 1;
+    setIsDragging(true);
+  }, []);
+
+  const onDragOver = useCallback((e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'copy';
+  }, []);
+
+  const onDragLeave = useCallback((e) => {
+    if (!hasFiles(e)) return;
+    e.stopPropagation();
+    depthRef.current = Math.max(0, depthRef.current - 1);
+    if (depthRef.current === 0) {
+      setIsDragging(false);
+    }
+  }, []);
+
+  const onDrop = useCallback(
+    (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      depthRef.current = 0;
+      setIsDragging(false);
+
+      const files = Array.from(e.dataTransfer.files);
+      if (files.length > 0) {
+        onFiles(files);
+      }
+    },
+    [onFiles]
+  );
+
+  const onPaste = useCallback(
+    (e) => {
+      const files = Array.from(e.clipboardData?.files ?? []);
+      if (files.length === 0) return; // Plain text paste
+      e.preventDefault();
+      e.stopPropagation();
+      onFiles(files);
+    },
+    [onFiles]
+  );
+
+  return {
+    isDragging,
+    dropZoneProps: { onDragEnter, onDragOver, onDragLeave, onDrop, onPaste },
+  };
+}
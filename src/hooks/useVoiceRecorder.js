@@ -0,0 +1,107 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { getRecordingMimeType, summarizeWaveform } from '../utils/audio';
+
+/**
+ * Decode a recording and summarize it as waveform bars. Returns undefined
+ * if the browser can't decode its own recording (the player then shows a
+ * plain progress bar).
+ */
+async function getWaveform(blob) {
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return undefined;
+
+  const audioContext = new AudioContextClass();
+  try {
+    const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+    return summarizeWaveform(buffer.getChannelData(0));
+  } catch {
+    return undefined;
+  } finally {
+    audioContext.close();
+  }
+}
+
+/**
+ * Microphone recording for voice messages using MediaRecorder.
+ * Stopping (or hitting maxDuration) calls onComplete with
+ * { file, duration, waveform }; cancelling discards the recording.
+ * @param {Object} options
+ * @param {number} options.maxDuration - Recording stops automatically after this many seconds
+ * @param {Function} options.onComplete - Called with the finished recording
+ * @returns {{isSupported: boolean, isRecording: boolean, elapsed: number, start: Function, stop: Function, cancel: Function}}
+ */
+export function useVoiceRecorder({ maxDuration, onComplete }) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const discardRef = useRef(false);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  const mimeType = getRecordingMimeType();
+  const isSupported = mimeType !== null && !!navigator.mediaDevices?.getUserMedia;
+
+  const stop = useCallback(() => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    discardRef.current = true;
+    stop();
+  }, [stop]);
+
+  /**
+   * Ask for the microphone and start recording. Rejects if access is denied.
+   */
+  const start = useCallback(async () => {
+    if (!isSupported || recorderRef.current) return;
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    const startedAt = Date.now();
+    discardRef.current = false;
+
+    const timer = setInterval(() => {
+      const seconds = (Date.now() - startedAt) / 1000;
+      setElapsed(seconds);
+      if (seconds >= maxDuration && recorder.state === 'recording') {
+        recorder.stop();
+      }
+    }, 250);
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    recorder.onstop = async () => {
+      clearInterval(timer);
+      stream.getTracks().forEach((track) => track.stop());
+      recorderRef.current = null;
+      setIsRecording(false);
+      setElapsed(0);
+
+      if (discardRef.current || chunks.length === 0) return;
+
+      // Upload as the bare MIME type; the server allow-list has no codec parameters
+      const fileType = mimeType.split(';')[0];
+      const extension = fileType === 'audio/mp4' ? 'm4a' : fileType.split('/')[1];
+      const blob = new Blob(chunks, { type: fileType });
+      const duration = Math.min((Date.now() - startedAt) / 1000, maxDuration);
+      const file = new File([blob], `Voice message.${extension}`, { type: fileType });
+
+      onCompleteRef.current({ file, duration, waveform: await getWaveform(blob) });
+    };
+
+    recorderRef.current = recorder;
+    recorder.start();
+    setIsRecording(true);
+  }, [isSupported, mimeType, maxDuration]);
+
+  // Release the microphone if the composer unmounts mid-recording
+  useEffect(() => cancel, [cancel]);
+
+  return { isSupported, isRecording, elapsed, start, stop, cancel };
+}
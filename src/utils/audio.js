@@ -0,0 +1,57 @@
+/**
+ * Audio helpers for recording and playing voice messages
+ */
+
+// Bars in a voice message's waveform; must not exceed convex/lib/attachments.ts MAX_WAVEFORM_BARS
+export const WAVEFORM_BARS = 48;
+
+// Recording formats in order of preference (Chrome/Firefox record WebM or Ogg, Safari MP4)
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+/**
+ * First recording format the browser's MediaRecorder supports, or null
+ * if voice recording isn't available
+ * @returns {string|null}
+ */
+export function getRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Summarize audio samples as per-bar peak levels, scaled so the loudest
+ * bar is 1 and rounded to two decimals
+ * @param {Float32Array|number[]} samples - PCM samples in the range -1..1
+ * @param {number} [bars] - Number of bars
+ * @returns {number[]}
+ */
+export function summarizeWaveform(samples, bars = WAVEFORM_BARS) {
+  if (samples.length === 0) return [];
+
+  const count = Math.min(bars, samples.length);
+  const peaks = [];
+  for (let bar = 0; bar < count; bar++) {
+    const start = Math.floor((bar * samples.length) / count);
+    const end = Math.floor(((bar + 1) * samples.length) / count);
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) => (loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0));
+}
+
+/**
+ * Format a length in seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const mins = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
@@ -67,6 +67,25 @@ export function formatMessageTime(timestamp) {
   }
 }
 
+/**
+ * Format an upcoming timestamp (e.g., "Today 4:00 PM", "Tomorrow 9:00 AM", "Oct 21 9:00 AM")
+ */
+export function formatScheduledTime(timestamp) {
+  const date = new Date(timestamp);
+  const now = new Date();
+  const isToday = date.toDateString() === now.toDateString();
+  const isTomorrow =
+    new Date(now.getTime() + 86400000).toDateString() === date.toDateString();
+
+  if (isToday) {
+    return `Today ${formatTime(timestamp)}`;
+  } else if (isTomorrow) {
+    return `Tomorrow ${formatTime(timestamp)}`;
+  } else {
+    return `${formatDate(timestamp)} ${formatTime(timestamp)}`;
+  }
+}
+
 /**
  * Format duration in milliseconds to readable string
  */
@@ -0,0 +1,63 @@
+/**
+ * Word-level text diff for message edit history
+ */
+
+/**
+ * Split text into words and the whitespace between them
+ * @param {string} text
+ * @returns {string[]} Tokens (whitespace runs are kept as their own tokens)
+ */
+function tokenize(text) {
+  return text.split(/(\s+)/).filter((token) => token.length > 0);
+}
+
+/**
+ * Diff two strings word by word using longest common subsequence.
+ * Adjacent parts of the same type are merged.
+ * @param {string} before - Previous version
+ * @param {string} after - Next version
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} Diff parts
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before ?? '');
+  const b = tokenize(after ?? '');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const previous = parts[parts.length - 1];
+    if (previous?.type === type) {
+      previous.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i]);
+      i += 1;
+    } else {
+      push('insert', b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return parts;
+}
@@ -13,6 +13,7 @@ export const ErrorType = {
   NETWORK: 'NETWORK',
   SERVER: 'SERVER',
   RATE_LIMIT: 'RATE_LIMIT',
+  FILE_TYPE_MISMATCH: 'FILE_TYPE_MISMATCH',
   UNKNOWN: 'UNKNOWN',
 };
 
@@ -27,6 +28,8 @@ const ERROR_MESSAGES = {
   [ErrorType.NETWORK]: 'Unable to connect. Please check your internet connection.',
   [ErrorType.SERVER]: 'Something went wrong on our end. Please try again later.',
   [ErrorType.RATE_LIMIT]: 'Too many requests. Please wait a moment and try again.',
+  [ErrorType.FILE_TYPE_MISMATCH]:
+    "This file's contents don't match its type, so it can't be sent. It may have been renamed or damaged.",
   [ErrorType.UNKNOWN]: 'An unexpected error occurred. Please try again.',
 };
 
@@ -42,7 +45,11 @@ export function parseConvexError(error) {
   let type = ErrorType.UNKNOWN;
   let userMessage = ERROR_MESSAGES[ErrorType.UNKNOWN];
 
-  if (errorMessage.includes('Not authenticated') || errorMessage.includes('Unauthorized')) {
+  // Checked first: the server message mentions "file type", which would read as validation
+  if (errorMessage.includes('does not match its file type')) {
+    type = ErrorType.FILE_TYPE_MISMATCH;
+    userMessage = ERROR_MESSAGES[ErrorType.FILE_TYPE_MISMATCH];
+  } else if (errorMessage.includes('Not authenticated') || errorMessage.includes('Unauthorized')) {
     type = ErrorType.AUTHENTICATION;
     userMessage = ERROR_MESSAGES[ErrorType.AUTHENTICATION];
   } else if (errorMessage.includes('Not authorized') || errorMessage.includes('permission')) {
@@ -0,0 +1,313 @@
+/**
+ * Minimal, allow-list markdown parser for chat messages.
+ *
+ * Produces a plain tree of known node types instead of HTML. Components render
+ * the tree as React elements, so text is always escaped and raw HTML in a
+ * message is shown literally. Link targets must pass sanitizeUrl.
+ *
+ * Supported: **bold**, *italic*, `inline code`, ``` fenced code blocks ```,
+ * - bulleted / 1. numbered lists, [links](https://...) and bare URLs.
+ */
+
+import { sanitizeInput, sanitizeUrl } from './sanitize';
+
+const FENCE = /^\s*```\s*([\w#+-]*)\s*$/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+/**
+ * Inline syntax, in priority order. Code spans come first so their contents
+ * are never parsed as emphasis or links.
+ */
+const INLINE_PATTERN = new RegExp(
+  [
+    '`([^`\\n]+)`', // 1: inline code
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)', // 2, 3: [text](url)
+    "(https?:\\/\\/[^\\s<]+[^\\s<.,:;\"')\\]!?])", // 4: bare URL
+    '\\*\\*(?=\\S)([^\\n]+?)\\*\\*', // 5: **bold**
+    '(?<![\\w])__(?=\\S)([^\\n]+?)__(?![\\w])', // 6: __bold__
+    '\\*(?=\\S)([^*\\n]+?)\\*', // 7: *italic*
+    '(?<![\\w])_(?=\\S)([^_\\n]+?)_(?![\\w])', // 8: _italic_
+  ].join('|'),
+  'g'
+);
+
+/**
+ * Parse inline markdown into text/strong/em/code/link nodes
+ * @param {string} text - A single line of text
+ * @param {boolean} [allowLinks=true] - False inside link labels (no nesting)
+ * @returns {Array<object>} Inline nodes
+ */
+export function parseInline(text, allowLinks = true) {
+  const nodes = [];
+  let lastIndex = 0;
+
+  const pushText = (value) => {
+    if (!value) return;
+    const previous = nodes[nodes.length - 1];
+    if (previous?.type === 'text') {
+      previous.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [raw, code, linkText, linkUrl, bareUrl, strong, strongAlt, em, emAlt] = match;
+    let node = null;
+
+    if (code !== undefined) {
+      node = { type: 'code', text: code };
+    } else if (linkText !== undefined) {
+      const href = allowLinks ? sanitizeUrl(linkUrl) : null;
+      // Unsafe or nested links fall back to their literal text
+      node = href
+        ? { type: 'link', href, children: parseInline(linkText, false) }
+        : null;
+    } else if (bareUrl !== undefined) {
+      const href = allowLinks ? sanitizeUrl(bareUrl) : null;
+      node = href ? { type: 'link', href, children: [{ type: 'text', text: bareUrl }] } : null;
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      node = { type: 'strong', children: parseInline(strong ?? strongAlt, allowLinks) };
+    } else if (em !== undefined || emAlt !== undefined) {
+      node = { type: 'em', children: parseInline(em ?? emAlt, allowLinks) };
+    }
+
+    if (!node) {
+      continue;
+    }
+
+    pushText(text.slice(lastIndex, match.index));
+    nodes.push(node);
+    lastIndex = match.index + raw.length;
+  }
+
+  pushText(text.slice(lastIndex));
+  return nodes;
+}
+
+/**
+ * Join paragraph lines with explicit line breaks
+ */
+function parseParagraph(lines) {
+  const children = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      children.push({ type: 'break' });
+    }
+    children.push(...parseInline(line));
+  });
+  return { type: 'paragraph', children };
+}
+
+/**
+ * Parse message text into block nodes (paragraph, code_block, list)
+ * @param {string} text - Raw message content
+ * @returns {Array<object>} Block nodes
+ */
+export function parseMarkdown(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return [];
+  }
+
+  const lines = sanitizeInput(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(parseParagraph(paragraph));
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      flushParagraph();
+      const codeLines = [];
+      i += 1;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        codeLines.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // Skip the closing fence (or run off the end if unclosed)
+
+      const language = fence[1].toLowerCase() || null;
+      const code = codeLines.join('\n');
+      blocks.push({
+        type: 'code_block',
+        language,
+        tokens: highlightCode(code, language),
+      });
+      continue;
+    }
+
+    const bullet = BULLET_ITEM.exec(line);
+    const ordered = ORDERED_ITEM.exec(line);
+    if (bullet || ordered) {
+      flushParagraph();
+      const isOrdered = !bullet;
+      const itemPattern = isOrdered ? ORDERED_ITEM : BULLET_ITEM;
+      const items = [];
+      while (i < lines.length) {
+        const item = itemPattern.exec(lines[i]);
+        if (!item) break;
+        items.push(parseInline(isOrdered ? item[2] : item[1]));
+        i += 1;
+      }
+      blocks.push({
+        type: 'list',
+        ordered: isOrdered,
+        start: isOrdered ? Number(ordered[1]) : undefined,
+        items,
+      });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+    i += 1;
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+// ==========================================
+// Syntax highlighting
+// ==========================================
+
+const C_LIKE_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function',
+  'if', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null',
+  'private', 'protected', 'public', 'return', 'static', 'switch', 'this',
+  'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'async', 'await',
+  'from', 'of', 'undefined', 'type', 'implements', 'yield',
+];
+
+const LANGUAGES = {
+  js: { keywords: C_LIKE_KEYWORDS, lineComment: '//', blockComment: true },
+  python: {
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+      'def', 'del', 'elif', 'else', 'except', 'False', 'finally', 'for',
+      'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+      'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try',
+      'while', 'with', 'yield',
+    ],
+    lineComment: '#',
+  },
+  bash: {
+    keywords: [
+      'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done',
+      'case', 'esac', 'function', 'in', 'return', 'export', 'local', 'echo',
+    ],
+    lineComment: '#',
+  },
+  json: { keywords: ['true', 'false', 'null'] },
+  sql: {
+    keywords: [
+      'select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set',
+      'delete', 'create', 'table', 'drop', 'alter', 'join', 'left', 'right',
+      'inner', 'outer', 'on', 'group', 'by', 'order', 'limit', 'and', 'or',
+      'not', 'null', 'as', 'distinct', 'having', 'count',
+    ],
+    lineComment: '--',
+    caseInsensitive: true,
+  },
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js',
+  jsx: 'js',
+  ts: 'js',
+  typescript: 'js',
+  tsx: 'js',
+  java: 'js',
+  c: 'js',
+  'c++': 'js',
+  cpp: 'js',
+  'c#': 'js',
+  csharp: 'js',
+  go: 'js',
+  rust: 'js',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split code into tokens (keyword, string, number, comment, plain).
+ * Unknown or missing languages produce a single plain token.
+ * @param {string} code - Source code
+ * @param {string|null} language - Fence language tag
+ * @returns {Array<{type: string, text: string}>} Tokens
+ */
+export function highlightCode(code, language) {
+  const config = LANGUAGES[LANGUAGE_ALIASES[language] ?? language];
+  if (!config || code.length === 0) {
+    return code.length === 0 ? [] : [{ type: 'plain', text: code }];
+  }
+
+  const parts = [];
+  if (config.blockComment) parts.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+  if (config.lineComment) parts.push(`${escapeRegExp(config.lineComment)}[^\\n]*`);
+  const commentCount = parts.length;
+  parts.push('"(?:[^"\\\\\\n]|\\\\.)*"', "'(?:[^'\\\\\\n]|\\\\.)*'", '`(?:[^`\\\\]|\\\\.)*`');
+  parts.push('\\b\\d+(?:\\.\\d+)?\\b');
+  parts.push(`\\b(?:${config.keywords.map(escapeRegExp).join('|')})\\b`);
+
+  const pattern = new RegExp(
+    parts.map((part) => `(${part})`).join('|'),
+    config.caseInsensitive ? 'gi' : 'g'
+  );
+
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+
+    const group = match.slice(1).findIndex((value) => value !== undefined);
+    const type =
+      group < commentCount
+        ? 'comment'
+        : group < commentCount + 3
+          ? 'string'
+          : group === commentCount + 3
+            ? 'number'
+            : 'keyword';
+
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'plain', text: code.slice(lastIndex, match.index) });
+    }
+    tokens.push({ type, text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < code.length) {
+    tokens.push({ type: 'plain', text: code.slice(lastIndex) });
+  }
+
+  return tokens;
+}
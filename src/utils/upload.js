@@ -0,0 +1,58 @@
+/**
+ * File upload helpers (XHR-based so upload progress can be reported)
+ */
+
+/**
+ * Upload a file to a Convex upload URL, reporting progress as it goes.
+ * The returned promise rejects with an error named 'AbortError' if the
+ * upload is cancelled via abort().
+ * @param {string} uploadUrl - URL from files.generateUploadUrl
+ * @param {File} file - File to upload
+ * @param {Function} [onProgress] - Called with a 0-100 percentage
+ * @returns {{promise: Promise<string>, abort: Function}} Resolves to the storage ID
+ */
+export function uploadFileWithProgress(uploadUrl, file, onProgress) {
+  const xhr = new XMLHttpRequest();
+
+  const promise = new Promise((resolve, reject) => {
+    xhr.open('POST', uploadUrl);
+    xhr.setRequestHeader('Content-Type', file.type);
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) {
+        onProgress?.(Math.round((e.loaded / e.total) * 100));
+      }
+    };
+
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(xhr.responseText || 'Upload failed'));
+        return;
+      }
+
+      let storageId;
+      try {
+        storageId = JSON.parse(xhr.responseText)?.storageId;
+      } catch {
+        storageId = undefined;
+      }
+      if (!storageId) {
+        reject(new Error('Invalid upload response — please try again.'));
+        return;
+      }
+      resolve(storageId);
+    };
+
+    xhr.onerror = () => reject(new Error('Network error during upload'));
+
+    xhr.onabort = () => {
+      const error = new Error('Upload cancelled');
+      error.name = 'AbortError';
+      reject(error);
+    };
+
+    xhr.send(file);
+  });
+
+  return { promise, abort: () => xhr.abort() };
+}
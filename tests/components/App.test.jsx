@@ -1,25 +1,48 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import App from '../../src/App';
 
-// Mock the Convex client
+const auth = vi.hoisted(() => ({ state: 'loading' }));
+
+// Mock the Convex client; the auth gates render for the current auth.state
 vi.mock('convex/react', () => ({
   ConvexProvider: ({ children }) => children,
   ConvexReactClient: vi.fn(),
+  AuthLoading: ({ children }) => (auth.state === 'loading' ? children : null),
+  Unauthenticated: ({ children }) => (auth.state === 'signedOut' ? children : null),
+  Authenticated: ({ children }) => (auth.state === 'signedIn' ? children : null),
   useQuery: vi.fn(),
   useMutation: vi.fn(),
+  useAction: vi.fn(),
+}));
+
+vi.mock('@clerk/clerk-react', () => ({
+  SignIn: () => <div>Sign in form</div>,
+  SignUp: () => <div>Sign up form</div>,
+  useAuth: () => ({ isSignedIn: auth.state === 'signedIn' }),
 }));
 
 describe('App', () => {
-  it('renders the welcome message', () => {
+  beforeEach(() => {
+    auth.state = 'loading';
+  });
+
+  it('shows a loading screen while auth is being checked', () => {
+    render(<App />);
+    expect(screen.getByText('Loading HuddleUp...')).toBeInTheDocument();
+    expect(screen.queryByText('Sign in form')).not.toBeInTheDocument();
+  });
+
+  it('shows the sign-in form to signed-out users', () => {
+    auth.state = 'signedOut';
     render(<App />);
-    expect(screen.getByText('Welcome to HuddleUp')).toBeInTheDocument();
+    expect(screen.getByText('Sign in form')).toBeInTheDocument();
+    expect(screen.queryByText('Loading HuddleUp...')).not.toBeInTheDocument();
   });
 
-  it('renders the description', () => {
+  it('waits for a signed-in user’s profile before showing the app', () => {
+    auth.state = 'signedIn';
     render(<App />);
-    expect(
-      screen.getByText('Real-time collaboration and messaging')
-    ).toBeInTheDocument();
+    expect(screen.getByText('Setting up your account...')).toBeInTheDocument();
   });
 });
@@ -0,0 +1,126 @@
+import { Blob } from 'node:buffer';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import {
+  setupBackend,
+  createUser,
+  createConversation,
+  createGroup,
+  uploadFile,
+} from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('attachment messages', () => {
+  it('posts several files as one message in a chat the sender belongs to', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const first = await uploadFile(t, 'image/png');
+    const second = await uploadFile(t, 'application/pdf');
+
+    const messageId = await ada.client.mutation(api.files.saveAttachmentMessage, {
+      conversationId,
+      content: ' Two files ',
+      attachments: [
+        { storageId: first, fileName: 'a.png', fileType: 'image/png', fileSize: 13 },
+        { storageId: second, fileName: 'b.pdf', fileType: 'application/pdf', fileSize: 13 },
+      ],
+    });
+
+    const { message, attachments, uploads } = await t.run(async (ctx) => ({
+      message: await ctx.db.get(messageId),
+      attachments: await ctx.db
+        .query('messageAttachments')
+        .withIndex('by_message', (q) => q.eq('messageId', messageId))
+        .collect(),
+      uploads: await ctx.db.query('fileUploads').collect(),
+    }));
+    expect(message).toMatchObject({ type: 'file', content: 'Two files' });
+    expect(attachments.map((attachment) => attachment.fileName)).toEqual(['a.png', 'b.pdf']);
+    expect(uploads.map((upload) => upload.userId)).toEqual([ada.userId, ada.userId]);
+  });
+
+  it('rejects senders outside the conversation or group', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const storageId = await uploadFile(t, 'image/png');
+    const attachments = [{ storageId, fileName: 'a.png', fileType: 'image/png', fileSize: 13 }];
+
+    await expect(
+      eve.client.mutation(api.files.saveAttachmentMessage, { conversationId, attachments })
+    ).rejects.toThrow('Not authorized');
+    await expect(
+      eve.client.mutation(api.files.saveAttachmentMessage, { groupId, attachments })
+    ).rejects.toThrow('Not a member of this group');
+    await expect(
+      t.mutation(api.files.saveAttachmentMessage, { groupId, attachments })
+    ).rejects.toThrow('Not authenticated');
+
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages).toEqual([]);
+  });
+
+  it('rejects empty, unverified and mistyped attachments', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const groupId = await createGroup(t, [ada.userId]);
+    const png = await uploadFile(t, 'image/png');
+    const unverified = await t.run((ctx) => ctx.storage.store(new Blob(['x'])));
+
+    await expect(
+      ada.client.mutation(api.files.saveAttachmentMessage, { groupId, attachments: [] })
+    ).rejects.toThrow('At least one file is required');
+    await expect(
+      ada.client.mutation(api.files.saveAttachmentMessage, {
+        groupId,
+        attachments: [
+          { storageId: unverified, fileName: 'a.png', fileType: 'image/png', fileSize: 1 },
+        ],
+      })
+    ).rejects.toThrow('File has not been verified');
+    await expect(
+      ada.client.mutation(api.files.saveAttachmentMessage, {
+        groupId,
+        attachments: [
+          { storageId: png, fileName: 'a.pdf', fileType: 'application/pdf', fileSize: 13 },
+        ],
+      })
+    ).rejects.toThrow('File content does not match its file type');
+  });
+
+  it('cannot be posted through sendMessage', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const groupId = await createGroup(t, [ada.userId]);
+    const storageId = await uploadFile(t, 'image/png');
+
+    await expect(
+      ada.client.mutation(api.messages.sendMessage, { groupId, content: 'a.png', type: 'file' })
+    ).rejects.toThrow('Use saveAttachmentMessage to send files');
+    await expect(
+      ada.client.mutation(api.messages.sendMessage, {
+        groupId,
+        content: 'a.png',
+        fileId: storageId,
+        fileName: 'a.png',
+        fileType: 'image/png',
+        fileSize: 13,
+      })
+    ).rejects.toThrow('Use saveAttachmentMessage to send files');
+
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages).toEqual([]);
+  });
+});
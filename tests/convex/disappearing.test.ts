@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api, internal } from '../../convex/_generated/api';
+import { DISAPPEARING_TIMER_DURATIONS } from '../../convex/lib/disappearing';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('disappearing messages', () => {
+  it('lets DM participants and group admins set the timer', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await bob.client.mutation(api.conversations.setDisappearingTimer, {
+      conversationId,
+      timer: '7d',
+    });
+    await expect(
+      eve.client.mutation(api.conversations.setDisappearingTimer, { conversationId, timer: '1d' })
+    ).rejects.toThrow('Not authorized');
+
+    await ada.client.mutation(api.groups.setDisappearingTimer, { groupId, timer: '1d' });
+    await expect(
+      bob.client.mutation(api.groups.setDisappearingTimer, { groupId, timer: 'off' })
+    ).rejects.toThrow('Only admins can change disappearing messages');
+    await expect(
+      eve.client.mutation(api.groups.setDisappearingTimer, { groupId, timer: 'off' })
+    ).rejects.toThrow('Only admins can change disappearing messages');
+
+    const { conversation, group } = await t.run(async (ctx) => ({
+      conversation: await ctx.db.get(conversationId),
+      group: await ctx.db.get(groupId),
+    }));
+    expect(conversation?.disappearingTimer).toBe('7d');
+    expect(group?.disappearingTimer).toBe('1d');
+  });
+
+  it('purges expired messages with their bookmarks and notifications', async () => {
+    vi.setSystemTime(0);
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+
+    const keptId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'Sent before the timer',
+    });
+    await ada.client.mutation(api.conversations.setDisappearingTimer, {
+      conversationId,
+      timer: '1d',
+    });
+    const expiringId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'Secret plans',
+    });
+    await bob.client.mutation(api.savedMessages.saveMessage, { messageId: expiringId });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const before = await t.run((ctx) => ctx.db.query('notifications').collect());
+    expect(before.map((notification) => notification.body)).toEqual([
+      'Sent before the timer',
+      'Secret plans',
+    ]);
+
+    vi.setSystemTime(DISAPPEARING_TIMER_DURATIONS['1d'] + 1000);
+    expect(await t.mutation(internal.messages.deleteExpiredMessages, {})).toBe(1);
+
+    const after = await t.run(async (ctx) => ({
+      messages: await ctx.db.query('messages').collect(),
+      saved: await ctx.db.query('savedMessages').collect(),
+      notifications: await ctx.db.query('notifications').collect(),
+    }));
+    expect(after.messages.map((message) => message._id)).toEqual([keptId]);
+    expect(after.saved).toEqual([]);
+    expect(after.notifications.map((notification) => notification.body)).toEqual([
+      'Sent before the timer',
+    ]);
+  });
+
+  it('drops notifications for messages purged before they were created', async () => {
+    vi.setSystemTime(0);
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    await ada.client.mutation(api.conversations.setDisappearingTimer, {
+      conversationId,
+      timer: '1d',
+    });
+    await ada.client.mutation(api.messages.sendMessage, { conversationId, content: 'Gone' });
+
+    vi.setSystemTime(DISAPPEARING_TIMER_DURATIONS['1d'] + 1000);
+    await t.mutation(internal.messages.deleteExpiredMessages, {});
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const notifications = await t.run((ctx) => ctx.db.query('notifications').collect());
+    expect(notifications).toEqual([]);
+  });
+
+  it('keeps expired messages of a held group until the hold is released', async () => {
+    vi.setSystemTime(0);
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    await ada.client.mutation(api.groups.setDisappearingTimer, { groupId, timer: '1d' });
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Evidence',
+    });
+    await t.mutation(internal.retention.placeLegalHold, { groupId, reason: 'Case 123' });
+
+    vi.setSystemTime(DISAPPEARING_TIMER_DURATIONS['1d'] + 1000);
+    expect(await t.mutation(internal.messages.deleteExpiredMessages, {})).toBe(0);
+    const held = await t.run((ctx) => ctx.db.get(messageId));
+    expect(held?.expiresAt).toBe(DISAPPEARING_TIMER_DURATIONS['1d']);
+
+    await t.mutation(internal.retention.releaseLegalHold, { groupId });
+    expect(await t.mutation(internal.messages.deleteExpiredMessages, {})).toBe(1);
+    expect(await t.run((ctx) => ctx.db.get(messageId))).toBeNull();
+  });
+});
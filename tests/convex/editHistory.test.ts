@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('editing messages', () => {
+  it('keeps revisions that only chat members can read', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Draft',
+    });
+
+    await expect(
+      bob.client.mutation(api.messages.editMessage, { messageId, content: 'Hijacked' })
+    ).rejects.toThrow('Only the sender can edit this message');
+    await ada.client.mutation(api.messages.editMessage, { messageId, content: 'Final' });
+
+    const history = await bob.client.query(api.messages.getMessageHistory, { messageId });
+    expect(history?.revisions.map((revision) => revision.content)).toEqual(['Draft']);
+    expect(history?.current.content).toBe('Final');
+    await expect(
+      eve.client.query(api.messages.getMessageHistory, { messageId })
+    ).rejects.toThrow('Not a member of this group');
+  });
+
+  it('re-reads mentions and only notifies people the edit adds', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const carol = await createUser(t, 'carol');
+    const car = await createUser(t, 'car');
+    const groupId = await createGroup(t, [ada.userId, bob.userId, carol.userId, car.userId]);
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: '@bob can you review?',
+    });
+
+    await ada.client.mutation(api.messages.editMessage, {
+      messageId,
+      content: '@carol can you review?',
+    });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const message = await t.run((ctx) => ctx.db.get(messageId));
+    expect(message?.mentionedUserIds).toEqual([carol.userId]);
+
+    const mentions = await t.run((ctx) =>
+      ctx.db
+        .query('notifications')
+        .filter((q) => q.eq(q.field('type'), 'mention'))
+        .collect()
+    );
+    expect(mentions.map((n) => n.userId).sort()).toEqual([bob.userId, carol.userId].sort());
+
+    await ada.client.mutation(api.messages.editMessage, {
+      messageId,
+      content: '@carol can you review today?',
+    });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+    const mentionCount = await t.run(
+      async (ctx) =>
+        (
+          await ctx.db
+            .query('notifications')
+            .filter((q) => q.eq(q.field('type'), 'mention'))
+            .collect()
+        ).length
+    );
+    expect(mentionCount).toBe(2);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../../convex/lib/zip';
+import {
+  assignFilePaths,
+  buildHtmlTranscript,
+  buildTextTranscript,
+  getExportFileName,
+  sanitizeFileName,
+  type ExportChat,
+  type ExportMessage,
+} from '../../convex/lib/exports';
+import type { Id } from '../../convex/_generated/dataModel';
+
+const storage = (id: string) => id as Id<'_storage'>;
+
+const chat: ExportChat = {
+  kind: 'group',
+  name: 'Project <X>',
+  members: [{ name: 'Ada', email: 'ada@example.com' }, { email: 'bob@example.com' }],
+  exportedBy: { name: 'Ada', email: 'ada@example.com' },
+};
+
+const message = (overrides: Partial<ExportMessage>): ExportMessage => ({
+  id: 'm1',
+  type: 'text',
+  sender: { name: 'Ada', email: 'ada@example.com' },
+  content: 'Hello',
+  isDeleted: false,
+  createdAt: Date.UTC(2026, 9, 1, 9, 15),
+  attachments: [],
+  reactions: [],
+  ...overrides,
+});
+
+describe('createZip', () => {
+  it('computes standard CRC-32 checksums', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('writes local headers, a central directory and an end record', () => {
+    const data = new TextEncoder().encode('hello');
+    const zip = createZip([
+      { path: 'a.txt', data },
+      { path: 'files/b.txt', data: new Uint8Array() },
+    ]);
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(crc32(data));
+    expect(view.getUint32(22, true)).toBe(5);
+    expect(new TextDecoder().decode(zip.slice(30, 35))).toBe('a.txt');
+    expect(new TextDecoder().decode(zip.slice(35, 40))).toBe('hello');
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    expect(centralOffset + view.getUint32(end + 12, true)).toBe(end);
+  });
+});
+
+describe('export file names', () => {
+  it('strips characters that are unsafe in file names', () => {
+    expect(sanitizeFileName('../a:b*?.txt')).toBe('_a_b__.txt');
+    expect(sanitizeFileName('...')).toBe('file');
+  });
+
+  it('slugs the chat name and dates the archive', () => {
+    expect(getExportFileName('Project X!', Date.UTC(2026, 9, 19))).toBe(
+      'project-x-2026-10-19.zip'
+    );
+  });
+
+  it('gives each stored file one unique path and skips unavailable files', () => {
+    const attachment = (id: string, fileName: string, isAvailable = true) => ({
+      storageId: storage(id),
+      fileName,
+      fileType: 'text/plain',
+      fileSize: 1,
+      isAvailable,
+    });
+    const paths = assignFilePaths([
+      message({ attachments: [attachment('s1', 'notes.txt'), attachment('s2', 'Notes.txt')] }),
+      message({ attachments: [attachment('s1', 'notes.txt'), attachment('s3', 'bad.exe', false)] }),
+    ]);
+
+    expect([...paths.entries()]).toEqual([
+      ['s1', 'files/notes.txt'],
+      ['s2', 'files/Notes (2).txt'],
+    ]);
+  });
+});
+
+describe('transcripts', () => {
+  const messages = [
+    message({ id: 'm1', content: 'Kick-off <b>today</b>' }),
+    message({ id: 'm2', content: 'secret', isDeleted: true }),
+    message({
+      id: 'm3',
+      parentMessageId: 'm1',
+      type: 'file',
+      content: 'plan.png',
+      sender: { email: 'bob@example.com' },
+      attachments: [
+        {
+          storageId: storage('s1'),
+          fileName: 'plan.png',
+          fileType: 'image/png',
+          fileSize: 10,
+          isAvailable: true,
+        },
+      ],
+    }),
+  ];
+  const filePaths = new Map([['s1', 'files/plan.png']]);
+  const exportedAt = Date.UTC(2026, 9, 19, 12, 0);
+
+  it('indents thread replies under their parent in the text transcript', () => {
+    const text = buildTextTranscript(chat, messages, filePaths, exportedAt);
+    const lines = text.split('\n');
+
+    expect(lines[0]).toBe('Project <X>');
+    expect(lines).toContain('[2026-10-01 09:15 UTC] Ada: Kick-off <b>today</b>');
+    expect(lines).toContain('    [2026-10-01 09:15 UTC] bob@example.com: plan.png');
+    expect(lines).toContain('      Attachment: plan.png -> files/plan.png');
+    expect(text).not.toContain('secret');
+    expect(lines.indexOf('[2026-10-01 09:15 UTC] Ada: (message deleted)')).toBeGreaterThan(
+      lines.indexOf('      Attachment: plan.png -> files/plan.png')
+    );
+  });
+
+  it('escapes content and shows bundled images inline in the HTML transcript', () => {
+    const html = buildHtmlTranscript(chat, messages, filePaths, exportedAt);
+
+    expect(html).toContain('<title>Project &lt;X&gt;</title>');
+    expect(html).toContain('Kick-off &lt;b&gt;today&lt;/b&gt;');
+    expect(html).toContain('<img class="message__image" src="files/plan.png" alt="plan.png">');
+    expect(html).not.toContain('secret');
+    expect(html).not.toContain('<script');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { sniffFileType, looksLikeText, verifyFileType } from '../../convex/lib/fileSniffing';
+
+const bytes = (...values: number[]) => new Uint8Array(values);
+const text = (value: string) => new TextEncoder().encode(value);
+
+const PNG = bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00);
+const JPEG = bytes(0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10);
+const PDF = text('%PDF-1.7\n%âã');
+const ZIP = bytes(0x50, 0x4b, 0x03, 0x04, 0x14, 0x00);
+const OLE = bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1);
+// Windows executable ("MZ" header)
+const EXE = bytes(0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00);
+
+describe('sniffFileType', () => {
+  it('recognises common signatures', () => {
+    expect(sniffFileType(PNG)).toBe('image/png');
+    expect(sniffFileType(JPEG)).toBe('image/jpeg');
+    expect(sniffFileType(text('GIF89a...'))).toBe('image/gif');
+    expect(sniffFileType(text('RIFF\u0000\u0000\u0000\u0000WEBPVP8 '))).toBe('image/webp');
+    expect(sniffFileType(PDF)).toBe('application/pdf');
+    expect(sniffFileType(ZIP)).toBe('application/zip');
+  });
+
+  it('recognises audio containers', () => {
+    expect(sniffFileType(bytes(0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42))).toBe('audio/webm');
+    expect(sniffFileType(text('OggS\u0000\u0002'))).toBe('audio/ogg');
+    expect(sniffFileType(text('\u0000\u0000\u0000\u001cftypM4A '))).toBe('audio/mp4');
+    expect(sniffFileType(text('ID3\u0004\u0000'))).toBe('audio/mpeg');
+    expect(sniffFileType(bytes(0xff, 0xfb, 0x90, 0x64))).toBe('audio/mpeg');
+    expect(sniffFileType(text('RIFF\u0000\u0000\u0000\u0000WAVEfmt '))).toBe('audio/wav');
+  });
+
+  it('returns null for unknown or short content', () => {
+    expect(sniffFileType(EXE)).toBeNull();
+    expect(sniffFileType(bytes(0xff, 0xd8))).toBeNull();
+    expect(sniffFileType(new Uint8Array())).toBeNull();
+  });
+});
+
+describe('looksLikeText', () => {
+  it('accepts UTF-8 text, including a character cut off at the end', () => {
+    expect(looksLikeText(text('Meeting notes\n\t- ship it ✅'))).toBe(true);
+    expect(looksLikeText(text('café').slice(0, 4))).toBe(true);
+  });
+
+  it('rejects binary content', () => {
+    expect(looksLikeText(EXE)).toBe(false);
+    expect(looksLikeText(bytes(0xc3, 0x28))).toBe(false);
+  });
+});
+
+describe('verifyFileType', () => {
+  it('accepts content that matches the claimed type', () => {
+    expect(verifyFileType('image/png', PNG)).toBe('image/png');
+    expect(verifyFileType('application/pdf', PDF)).toBe('application/pdf');
+    expect(verifyFileType('text/plain', text('hello'))).toBe('text/plain');
+  });
+
+  it('accepts Office documents by their container format', () => {
+    const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    expect(verifyFileType(docx, ZIP)).toBe(docx);
+    expect(verifyFileType('application/msword', OLE)).toBe('application/msword');
+  });
+
+  it('rejects a renamed executable', () => {
+    expect(verifyFileType('application/pdf', EXE)).toBeNull();
+    expect(verifyFileType('text/plain', EXE)).toBeNull();
+  });
+
+  it('rejects content of a different allowed type', () => {
+    expect(verifyFileType('image/png', JPEG)).toBeNull();
+    expect(verifyFileType('text/plain', PDF)).toBeNull();
+    expect(verifyFileType('application/msword', ZIP)).toBeNull();
+  });
+});
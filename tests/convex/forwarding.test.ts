@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('forwarding', () => {
+  it('copies a message with its original author, re-forwards included', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const carol = await createUser(t, 'carol');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [bob.userId, carol.userId]);
+    const otherConversationId = await createConversation(t, carol.userId, ada.userId);
+
+    const originalId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'Release notes',
+    });
+    const [copyId] = await bob.client.mutation(api.messages.forwardMessage, {
+      messageId: originalId,
+      groupIds: [groupId],
+    });
+    const [secondCopyId] = await carol.client.mutation(api.messages.forwardMessage, {
+      messageId: copyId,
+      conversationIds: [otherConversationId],
+    });
+
+    const copy = await t.run((ctx) => ctx.db.get(secondCopyId));
+    expect(copy).toMatchObject({
+      content: 'Release notes',
+      senderId: carol.userId,
+      forwardedFromMessageId: originalId,
+      forwardedFromUserId: ada.userId,
+    });
+  });
+
+  it('needs access to the source and every target, or forwards nothing', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const bobGroupId = await createGroup(t, [bob.userId]);
+    const eveGroupId = await createGroup(t, [eve.userId]);
+
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'Private',
+    });
+
+    await expect(
+      eve.client.mutation(api.messages.forwardMessage, { messageId, groupIds: [eveGroupId] })
+    ).rejects.toThrow('Not authorized to view this message');
+    await expect(
+      bob.client.mutation(api.messages.forwardMessage, {
+        messageId,
+        groupIds: [bobGroupId, eveGroupId],
+      })
+    ).rejects.toThrow('Not a member of this group');
+
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages).toHaveLength(1);
+  });
+});
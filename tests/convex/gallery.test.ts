@@ -0,0 +1,81 @@
+import { Blob } from 'node:buffer';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api, internal } from '../../convex/_generated/api';
+import {
+  setupBackend,
+  createUser,
+  createConversation,
+  createGroup,
+  uploadFile,
+} from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('media gallery', () => {
+  it('lists scanned images with their thumbnails and skips pending ones', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const scanned = await uploadFile(t, 'image/png', 'scanned');
+    const pending = await uploadFile(t, 'image/png', 'pending');
+    const document = await uploadFile(t, 'application/pdf', 'document');
+
+    await ada.client.mutation(api.files.saveAttachmentMessage, {
+      conversationId,
+      attachments: [
+        { storageId: scanned, fileName: 'scanned.png', fileType: 'image/png', fileSize: 7 },
+        { storageId: pending, fileName: 'pending.png', fileType: 'image/png', fileSize: 7 },
+        { storageId: document, fileName: 'doc.pdf', fileType: 'application/pdf', fileSize: 8 },
+      ],
+    });
+    await t.mutation(internal.files.saveScanResult, { storageId: scanned, scanner: 'test', status: 'clean' });
+    await t.mutation(internal.files.saveScanResult, { storageId: document, scanner: 'test', status: 'clean' });
+    const thumbnailStorageId = await t.run((ctx) => ctx.storage.store(new Blob(['thumb'])));
+    await t.mutation(internal.files.saveThumbnail, {
+      storageId: scanned,
+      thumbnailStorageId,
+      width: 800,
+      height: 600,
+      thumbnailWidth: 480,
+      thumbnailHeight: 360,
+    });
+
+    const images = await bob.client.query(api.files.listChatImages, { conversationId });
+    expect(images).toHaveLength(1);
+    expect(images[0]).toMatchObject({
+      storageId: scanned,
+      fileName: 'scanned.png',
+      width: 800,
+      height: 600,
+      senderName: 'ada',
+    });
+    expect(images[0].thumbnailUrl).toEqual(expect.any(String));
+  });
+
+  it('only shows a chat’s images to its members', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await expect(
+      eve.client.query(api.files.listChatImages, { conversationId })
+    ).rejects.toThrow('Not authorized');
+    await expect(eve.client.query(api.files.listChatImages, { groupId })).rejects.toThrow(
+      'Not a member of this group'
+    );
+    await expect(t.query(api.files.listChatImages, { groupId })).rejects.toThrow(
+      'Not authenticated'
+    );
+    expect(await bob.client.query(api.files.listChatImages, { groupId })).toEqual([]);
+  });
+});
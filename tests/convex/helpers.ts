@@ -0,0 +1,93 @@
+import { Blob } from 'node:buffer';
+import { convexTest } from 'convex-test';
+import schema from '../../convex/schema';
+import type { Id } from '../../convex/_generated/dataModel';
+
+const modules = import.meta.glob('../../convex/**/*.*s');
+
+/**
+ * A fresh in-memory backend for one test. Call vi.useFakeTimers() first so
+ * notifications and other scheduled work don't run unless a test asks.
+ */
+export function setupBackend() {
+  return convexTest(schema, modules);
+}
+
+export type TestBackend = ReturnType<typeof setupBackend>;
+
+/**
+ * Insert a user and return their ID with a client signed in as them
+ */
+export async function createUser(t: TestBackend, name: string, email = `${name}@example.com`) {
+  const userId = await t.run((ctx) =>
+    ctx.db.insert('users', {
+      clerkId: `clerk_${name}`,
+      email,
+      name,
+      presenceStatus: 'active',
+      lastHeartbeat: 0,
+      createdAt: 0,
+    })
+  );
+  return { userId, client: t.withIdentity({ subject: `clerk_${name}` }) };
+}
+
+export async function createConversation(
+  t: TestBackend,
+  participant1Id: Id<'users'>,
+  participant2Id: Id<'users'>
+) {
+  return await t.run((ctx) =>
+    ctx.db.insert('directConversations', { participant1Id, participant2Id, createdAt: 0 })
+  );
+}
+
+/**
+ * Insert a group; the first member is its admin and creator
+ */
+export async function createGroup(t: TestBackend, memberIds: Id<'users'>[], name = 'Team') {
+  return await t.run(async (ctx) => {
+    const groupId = await ctx.db.insert('groups', { name, creatorId: memberIds[0], createdAt: 0 });
+    for (const [index, userId] of memberIds.entries()) {
+      await ctx.db.insert('groupMembers', {
+        groupId,
+        userId,
+        role: index === 0 ? 'admin' : 'member',
+        joinedAt: 0,
+      });
+    }
+    return groupId;
+  });
+}
+
+/**
+ * Store an upload that fileVerification has already accepted as `fileType`.
+ * Pass scanStatus to also record a finished malware scan.
+ */
+export async function uploadFile(
+  t: TestBackend,
+  fileType: string,
+  content = 'file contents',
+  scanStatus?: 'clean' | 'infected'
+) {
+  return await t.run(async (ctx) => {
+    const storageId = await ctx.storage.store(new Blob([content], { type: fileType }));
+    await ctx.db.insert('fileVerifications', {
+      storageId,
+      claimedType: fileType,
+      verifiedType: fileType,
+      status: 'verified',
+      createdAt: 0,
+    });
+    if (scanStatus) {
+      await ctx.db.insert('fileScans', {
+        storageId,
+        fileType,
+        status: scanStatus,
+        attempts: 1,
+        createdAt: 0,
+      });
+    }
+    return storageId;
+  });
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer, type Server, type Socket } from 'node:net';
+import type { AddressInfo } from 'node:net';
+import {
+  EICAR_TEST_SIGNATURE,
+  createStubScanner,
+  createClamAvScanner,
+  parseClamAvResponse,
+  getConfiguredScanner,
+} from '../../convex/lib/malwareScanners';
+
+const encode = (text: string) => new TextEncoder().encode(text);
+
+/**
+ * Minimal clamd stand-in: reads an INSTREAM upload and flags the EICAR string
+ */
+function handleClamdConnection(socket: Socket) {
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const command = 'zINSTREAM\0';
+    if (buffer.length < command.length) return;
+
+    // Walk length-prefixed chunks until the zero-length terminator
+    let offset = command.length;
+    const parts: Buffer[] = [];
+    while (offset + 4 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      if (length === 0) {
+        const body = Buffer.concat(parts).toString('latin1');
+        socket.end(
+          body.includes(EICAR_TEST_SIGNATURE) ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0'
+        );
+        return;
+      }
+      if (offset + 4 + length > buffer.length) return;
+      parts.push(buffer.subarray(offset + 4, offset + 4 + length));
+      offset += 4 + length;
+    }
+  });
+}
+
+describe('createClamAvScanner with a local stub daemon', () => {
+  let server: Server;
+  let port: number;
+
+  beforeAll(async () => {
+    server = createServer(handleClamdConnection);
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('reports clean files', async () => {
+    const scanner = createClamAvScanner({ host: '127.0.0.1', port });
+    await expect(scanner.scan(encode('quarterly report'))).resolves.toEqual({ status: 'clean' });
+  });
+
+  it('reports infected files streamed across several chunks', async () => {
+    const scanner = createClamAvScanner({ host: '127.0.0.1', port, chunkSize: 16 });
+    await expect(scanner.scan(encode(`header ${EICAR_TEST_SIGNATURE} trailer`))).resolves.toEqual({
+      status: 'infected',
+      signature: 'Eicar-Signature',
+    });
+  });
+
+  it('rejects when the daemon is unreachable', async () => {
+    const closed = createServer();
+    await new Promise<void>((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = (closed.address() as AddressInfo).port;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const scanner = createClamAvScanner({ host: '127.0.0.1', port: closedPort });
+    await expect(scanner.scan(encode('anything'))).rejects.toThrow();
+  });
+});
+
+describe('parseClamAvResponse', () => {
+  it('parses OK, FOUND and error replies', () => {
+    expect(parseClamAvResponse('stream: OK\0')).toEqual({ status: 'clean' });
+    expect(parseClamAvResponse('stream: Win.Test.EICAR_HDB-1 FOUND\0')).toEqual({
+      status: 'infected',
+      signature: 'Win.Test.EICAR_HDB-1',
+    });
+    expect(() => parseClamAvResponse('INSTREAM size limit exceeded. ERROR\0')).toThrow(
+      /Unexpected clamd response/
+    );
+  });
+});
+
+describe('stub scanner', () => {
+  it('flags only the EICAR test file', async () => {
+    const scanner = createStubScanner();
+    await expect(scanner.scan(encode(EICAR_TEST_SIGNATURE))).resolves.toMatchObject({
+      status: 'infected',
+    });
+    await expect(scanner.scan(encode('hello'))).resolves.toEqual({ status: 'clean' });
+  });
+
+  it('is the default when no scanner is configured', () => {
+    expect(getConfiguredScanner({}).name).toBe('stub');
+    expect(getConfiguredScanner({ MALWARE_SCANNER: 'clamav' }).name).toBe('clamav');
+  });
+});
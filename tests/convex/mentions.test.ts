@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('mentions', () => {
+  it('keeps only other group members and notifies them of the mention', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const carol = await createUser(t, 'carol');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId, bob.userId, carol.userId]);
+
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: '@bob @eve @ada look, @bob',
+    });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const message = await t.run((ctx) => ctx.db.get(messageId));
+    expect(message?.mentionedUserIds).toEqual([bob.userId]);
+
+    const notifications = await t.run((ctx) => ctx.db.query('notifications').collect());
+    const typeFor = (userId: string) =>
+      notifications.filter((n) => n.userId === userId).map((n) => n.type);
+    expect(typeFor(bob.userId)).toEqual(['mention']);
+    expect(typeFor(carol.userId)).toEqual(['message']);
+    expect(typeFor(eve.userId)).toEqual([]);
+  });
+
+  it('only mentions members named with @ in the text', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Thanks bob, and @bobby too',
+    });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const message = await t.run((ctx) => ctx.db.get(messageId));
+    expect(message?.mentionedUserIds).toBeUndefined();
+    const notifications = await t.run((ctx) => ctx.db.query('notifications').collect());
+    expect(notifications.map((n) => n.type)).toEqual(['message']);
+
+    // Clients can no longer name recipients themselves
+    await expect(
+      ada.client.mutation(api.messages.sendMessage, {
+        groupId,
+        content: 'Hi',
+        mentionedUserIds: [bob.userId],
+      } as never)
+    ).rejects.toThrow('Unexpected field `mentionedUserIds`');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+async function setupPoll() {
+  const t = setupBackend();
+  const admin = await createUser(t, 'ada');
+  const author = await createUser(t, 'bob');
+  const member = await createUser(t, 'carol');
+  const outsider = await createUser(t, 'eve');
+  const groupId = await createGroup(t, [admin.userId, author.userId, member.userId]);
+
+  const messageId = await author.client.mutation(api.polls.createPoll, {
+    groupId,
+    question: 'Lunch?',
+    options: ['Pizza', 'Sushi'],
+  });
+  const options = await t.run((ctx) =>
+    ctx.db
+      .query('pollOptions')
+      .withIndex('by_message', (q) => q.eq('messageId', messageId))
+      .collect()
+  );
+  return { t, admin, author, member, outsider, groupId, messageId, options };
+}
+
+describe('polls', () => {
+  it('replaces a member’s vote and rejects outsiders and foreign options', async () => {
+    const { t, member, outsider, messageId, options } = await setupPoll();
+
+    await member.client.mutation(api.polls.votePoll, { messageId, optionIds: [options[0]._id] });
+    await member.client.mutation(api.polls.votePoll, { messageId, optionIds: [options[1]._id] });
+    const votes = await t.run((ctx) => ctx.db.query('pollVotes').collect());
+    expect(votes.map((vote) => vote.optionId)).toEqual([options[1]._id]);
+
+    await expect(
+      member.client.mutation(api.polls.votePoll, {
+        messageId,
+        optionIds: [options[0]._id, options[1]._id],
+      })
+    ).rejects.toThrow('This poll allows only one choice');
+    await expect(
+      outsider.client.mutation(api.polls.votePoll, { messageId, optionIds: [options[0]._id] })
+    ).rejects.toThrow('Not a member of this group');
+  });
+
+  it('lets only the creator or an admin close the poll', async () => {
+    const { admin, member, messageId, options } = await setupPoll();
+
+    await expect(
+      member.client.mutation(api.polls.closePoll, { messageId })
+    ).rejects.toThrow('Only the poll creator or a group admin can close this poll');
+    await admin.client.mutation(api.polls.closePoll, { messageId });
+    await expect(
+      member.client.mutation(api.polls.votePoll, { messageId, optionIds: [options[0]._id] })
+    ).rejects.toThrow('This poll is closed');
+  });
+
+  it('cannot be posted through sendMessage', async () => {
+    const { author, groupId } = await setupPoll();
+
+    await expect(
+      author.client.mutation(api.messages.sendMessage, { groupId, content: 'Lunch?', type: 'poll' })
+    ).rejects.toThrow('Use createPoll to create a poll');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('reactions', () => {
+  it('lets members react once per emoji and remove their reaction', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Ship it',
+    });
+
+    await bob.client.mutation(api.messages.addReaction, { messageId, emoji: '🎉' });
+    await bob.client.mutation(api.messages.addReaction, { messageId, emoji: ' 🎉 ' });
+    const reactions = () =>
+      t.run((ctx) =>
+        ctx.db
+          .query('messageReactions')
+          .withIndex('by_message', (q) => q.eq('messageId', messageId))
+          .collect()
+      );
+    expect(await reactions()).toHaveLength(1);
+
+    await bob.client.mutation(api.messages.removeReaction, { messageId, emoji: '🎉' });
+    expect(await reactions()).toHaveLength(0);
+  });
+
+  it('rejects reactions from outside the chat and on deleted messages', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId]);
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Members only',
+    });
+
+    await expect(
+      eve.client.mutation(api.messages.addReaction, { messageId, emoji: '👀' })
+    ).rejects.toThrow('Not authorized');
+
+    await ada.client.mutation(api.messages.deleteMessage, { messageId });
+    await expect(
+      ada.client.mutation(api.messages.addReaction, { messageId, emoji: '👍' })
+    ).rejects.toThrow('Cannot react to a deleted message');
+  });
+});
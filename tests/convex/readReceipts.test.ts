@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('read cursors', () => {
+  it('clears the unread count and shows the reader in seen-by', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+
+    await ada.client.mutation(api.messages.sendMessage, { conversationId, content: 'One' });
+    await ada.client.mutation(api.messages.sendMessage, { conversationId, content: 'Two' });
+    const unread = async () =>
+      (await bob.client.query(api.conversations.listConversations, {}))[0].unreadCount;
+    expect(await unread()).toBe(2);
+
+    const readAt = Date.now();
+    await bob.client.mutation(api.readReceipts.markConversationRead, {
+      conversationId,
+      lastReadAt: readAt,
+    });
+    // An older, out-of-order call doesn't move the cursor back
+    await bob.client.mutation(api.readReceipts.markConversationRead, {
+      conversationId,
+      lastReadAt: readAt - 5000,
+    });
+    expect(await unread()).toBe(0);
+
+    const receipts = await ada.client.query(api.readReceipts.getReadReceipts, { conversationId });
+    expect(receipts).toEqual([expect.objectContaining({ userId: bob.userId, lastReadAt: readAt })]);
+  });
+
+  it('rejects cursors and receipts for chats the user is not in', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await expect(
+      eve.client.mutation(api.readReceipts.markConversationRead, {
+        conversationId,
+        lastReadAt: Date.now(),
+      })
+    ).rejects.toThrow('Not authorized');
+    await expect(
+      eve.client.mutation(api.readReceipts.markConversationRead, {
+        groupId,
+        lastReadAt: Date.now(),
+      })
+    ).rejects.toThrow('Not a member of this group');
+    await expect(
+      eve.client.query(api.readReceipts.getReadReceipts, { groupId })
+    ).rejects.toThrow('Not authorized');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('quote replies', () => {
+  it('only quotes live messages from the same chat and thread', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+
+    const dmMessageId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'In the DM',
+    });
+    const parentId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Topic',
+    });
+    const deletedId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Oops',
+    });
+    await ada.client.mutation(api.messages.deleteMessage, { messageId: deletedId });
+
+    const reply = (replyToMessageId: typeof parentId, parentMessageId?: typeof parentId) =>
+      bob.client.mutation(api.messages.sendMessage, {
+        groupId,
+        content: 'Agreed',
+        replyToMessageId,
+        parentMessageId,
+      });
+
+    await expect(reply(dmMessageId)).rejects.toThrow('belongs to a different chat');
+    await expect(reply(parentId, parentId)).rejects.toThrow('is in a different thread');
+    await expect(reply(deletedId)).rejects.toThrow('no longer exists');
+
+    const replyId = await reply(parentId);
+    const message = await t.run((ctx) => ctx.db.get(replyId));
+    expect(message?.replyToMessageId).toBe(parentId);
+  });
+});
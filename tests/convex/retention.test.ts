@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api, internal } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(0);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+async function setupRetention() {
+  const t = setupBackend();
+  const ada = await createUser(t, 'ada');
+  const bob = await createUser(t, 'bob');
+  const groupId = await createGroup(t, [ada.userId, bob.userId]);
+  await t.mutation(internal.retention.setRetentionPolicy, {
+    target: 'messages',
+    retentionDays: 30,
+  });
+  return { t, ada, bob, groupId };
+}
+
+async function previewMessages(t: ReturnType<typeof setupBackend>) {
+  const preview = await t.query(internal.retention.previewRetention, {});
+  return preview.targets.find((target) => target.target === 'messages')!;
+}
+
+describe('data retention', () => {
+  it('keeps a thread while it has replies inside the retention period', async () => {
+    const { t, ada, bob, groupId } = await setupRetention();
+    const parentId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Old question',
+    });
+    vi.setSystemTime(DAY);
+    const oldReplyId = await bob.client.mutation(api.messages.sendMessage, {
+      groupId,
+      parentMessageId: parentId,
+      content: 'Old answer',
+    });
+    vi.setSystemTime(40 * DAY);
+    const newReplyId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      parentMessageId: parentId,
+      content: 'Follow-up',
+    });
+    vi.setSystemTime(45 * DAY);
+
+    const preview = await previewMessages(t);
+    expect(preview).toMatchObject({ wouldDelete: 1, kept: { activeThread: 1 } });
+
+    await t.mutation(internal.retention.purgeExpiredData, { target: 'messages' });
+
+    const { messages, parent } = await t.run(async (ctx) => ({
+      messages: await ctx.db.query('messages').collect(),
+      parent: await ctx.db.get(parentId),
+    }));
+    expect(messages.map((message) => message._id)).toEqual([parentId, newReplyId]);
+    expect(messages).not.toContainEqual(expect.objectContaining({ _id: oldReplyId }));
+    expect(parent).toMatchObject({ replyCount: 1, lastReplierIds: [ada.userId] });
+
+    // Once the follow-up is due too, the whole thread goes
+    vi.setSystemTime(75 * DAY);
+    expect(await previewMessages(t)).toMatchObject({ wouldDelete: 2 });
+    await t.mutation(internal.retention.purgeExpiredData, { target: 'messages' });
+    expect(await t.run((ctx) => ctx.db.query('messages').collect())).toEqual([]);
+  });
+
+  it('ages imported messages by their original time', async () => {
+    const { t, ada, groupId } = await setupRetention();
+    vi.setSystemTime(100 * DAY);
+    const importedId = await t.run((ctx) =>
+      ctx.db.insert('messages', {
+        senderId: ada.userId,
+        groupId,
+        content: 'From Slack',
+        type: 'text',
+        isDeleted: false,
+        createdAt: 10 * DAY,
+      })
+    );
+    const recentId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Posted here',
+    });
+
+    expect(await previewMessages(t)).toMatchObject({ wouldDelete: 1 });
+    expect(await t.mutation(internal.retention.purgeExpiredData, { target: 'messages' })).toBe(1);
+
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages.map((message) => message._id)).toEqual([recentId]);
+    expect(messages).not.toContainEqual(expect.objectContaining({ _id: importedId }));
+  });
+
+  it('keeps pinned messages and groups under legal hold', async () => {
+    const { t, ada, bob, groupId } = await setupRetention();
+    const heldGroupId = await createGroup(t, [ada.userId], 'Legal');
+    const pinnedId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Pinned',
+    });
+    await bob.client.mutation(api.messages.sendMessage, { groupId, content: 'Unpinned' });
+    const heldId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId: heldGroupId,
+      content: 'Held',
+    });
+    await ada.client.mutation(api.messages.pinMessage, { messageId: pinnedId, pin: true });
+    await t.mutation(internal.retention.placeLegalHold, {
+      groupId: heldGroupId,
+      reason: 'Case 123',
+    });
+    vi.setSystemTime(45 * DAY);
+
+    expect(await previewMessages(t)).toMatchObject({
+      wouldDelete: 1,
+      kept: { pinned: 1, legalHold: 1 },
+    });
+    await t.mutation(internal.retention.purgeExpiredData, { target: 'messages' });
+
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages.map((message) => message._id)).toEqual([pinnedId, heldId]);
+  });
+
+  it('rejects invalid policies and holds on missing groups', async () => {
+    const { t, groupId } = await setupRetention();
+
+    await expect(
+      t.mutation(internal.retention.setRetentionPolicy, { target: 'calls', retentionDays: 0.5 })
+    ).rejects.toThrow('Retention period must be a whole number of days');
+
+    await t.run((ctx) => ctx.db.delete(groupId));
+    await expect(
+      t.mutation(internal.retention.placeLegalHold, { groupId, reason: 'Case 123' })
+    ).rejects.toThrow('Group not found');
+  });
+});
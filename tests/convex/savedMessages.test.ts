@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const paginationOpts = { numItems: 20, cursor: null };
+
+describe('saved messages', () => {
+  it('saves a message once and only for members of its chat', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const dmMessageId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'In the DM',
+    });
+    const groupMessageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'In the group',
+    });
+
+    const savedId = await bob.client.mutation(api.savedMessages.saveMessage, {
+      messageId: dmMessageId,
+    });
+    expect(
+      await bob.client.mutation(api.savedMessages.saveMessage, { messageId: dmMessageId })
+    ).toBe(savedId);
+
+    await expect(
+      eve.client.mutation(api.savedMessages.saveMessage, { messageId: dmMessageId })
+    ).rejects.toThrow('Not authorized');
+    await expect(
+      eve.client.mutation(api.savedMessages.saveMessage, { messageId: groupMessageId })
+    ).rejects.toThrow('Not authorized');
+    await expect(
+      t.mutation(api.savedMessages.saveMessage, { messageId: groupMessageId })
+    ).rejects.toThrow('Not authenticated');
+
+    const saved = await bob.client.query(api.savedMessages.listSavedMessages, { paginationOpts });
+    expect(saved.page).toHaveLength(1);
+    expect(saved.page[0]).toMatchObject({ messageId: dmMessageId, chatName: 'ada' });
+  });
+
+  it('hides saved messages that were deleted or whose group was left', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const keptId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Kept',
+    });
+    const deletedId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Deleted',
+    });
+    for (const messageId of [keptId, deletedId]) {
+      await bob.client.mutation(api.savedMessages.saveMessage, { messageId });
+    }
+
+    await ada.client.mutation(api.messages.deleteMessage, { messageId: deletedId });
+    await expect(
+      bob.client.mutation(api.savedMessages.saveMessage, { messageId: deletedId })
+    ).rejects.toThrow('Cannot save a deleted message');
+    let saved = await bob.client.query(api.savedMessages.listSavedMessages, { paginationOpts });
+    expect(saved.page.map((item) => item.messageId)).toEqual([keptId]);
+
+    await t.run(async (ctx) => {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) => q.eq('groupId', groupId).eq('userId', bob.userId))
+        .first();
+      await ctx.db.delete(membership!._id);
+    });
+    saved = await bob.client.query(api.savedMessages.listSavedMessages, { paginationOpts });
+    expect(saved.page).toEqual([]);
+  });
+
+  it('unsaves only the caller’s own bookmark', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const messageId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Hello',
+    });
+    await ada.client.mutation(api.savedMessages.saveMessage, { messageId });
+    await bob.client.mutation(api.savedMessages.saveMessage, { messageId });
+
+    await bob.client.mutation(api.savedMessages.unsaveMessage, { messageId });
+
+    const saved = await t.run((ctx) => ctx.db.query('savedMessages').collect());
+    expect(saved.map((entry) => entry.userId)).toEqual([ada.userId]);
+  });
+});
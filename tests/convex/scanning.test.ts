@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api, internal } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, uploadFile } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('malware scan gating', () => {
+  it('keeps unscanned files pending until the backfill scans them', async () => {
+    const t = setupBackend();
+    const { userId } = await createUser(t, 'ada');
+    const { userId: bobId } = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, userId, bobId);
+    const legacy = await uploadFile(t, 'text/plain', 'legacy');
+    const orphan = await uploadFile(t, 'text/plain', 'orphan');
+    await t.run((ctx) =>
+      ctx.db.insert('messages', {
+        senderId: userId,
+        content: 'notes.txt',
+        conversationId,
+        type: 'file',
+        fileId: legacy,
+        fileName: 'notes.txt',
+        fileType: 'text/plain',
+        fileSize: 6,
+        isDeleted: false,
+        createdAt: 0,
+      })
+    );
+
+    expect(await t.query(api.files.getFileUrl, { storageId: legacy })).toBeNull();
+
+    expect(await t.mutation(internal.files.backfillFileScans, {})).toBe(1);
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    expect(await t.query(api.files.getFileUrl, { storageId: legacy })).toEqual(
+      expect.any(String)
+    );
+    expect(await t.query(api.files.getFileUrl, { storageId: orphan })).toBeNull();
+    expect(await t.mutation(internal.files.backfillFileScans, {})).toBe(0);
+  });
+
+  it('serves a file only once it has been scanned clean', async () => {
+    const t = setupBackend();
+    const clean = await uploadFile(t, 'image/png', 'clean');
+    const infected = await uploadFile(t, 'image/png', 'infected');
+    await t.run(async (ctx) => {
+      for (const storageId of [clean, infected]) {
+        await ctx.db.insert('fileScans', {
+          storageId,
+          fileType: 'image/png',
+          status: 'pending',
+          attempts: 0,
+          createdAt: 0,
+        });
+      }
+    });
+
+    await t.mutation(internal.files.saveScanResult, {
+      storageId: clean,
+      scanner: 'test',
+      status: 'clean',
+    });
+    await t.mutation(internal.files.saveScanResult, {
+      storageId: infected,
+      scanner: 'test',
+      status: 'infected',
+      signature: 'Eicar-Test-Signature',
+    });
+
+    expect(await t.query(api.files.getFileUrl, { storageId: clean })).toEqual(
+      expect.any(String)
+    );
+    expect(await t.query(api.files.getFileUrl, { storageId: infected })).toBeNull();
+    expect(await t.run((ctx) => ctx.db.system.get(infected))).toBeNull();
+  });
+});
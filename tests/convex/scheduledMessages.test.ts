@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('scheduled messages', () => {
+  it('delivers at the scheduled time and only the sender can cancel', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    const sentId = await ada.client.mutation(api.scheduledMessages.scheduleMessage, {
+      groupId,
+      content: 'Standup in 5',
+      scheduledFor: Date.now() + HOUR,
+    });
+    const cancelledId = await ada.client.mutation(api.scheduledMessages.scheduleMessage, {
+      groupId,
+      content: 'Never mind',
+      scheduledFor: Date.now() + HOUR,
+    });
+
+    await expect(
+      bob.client.mutation(api.scheduledMessages.cancelScheduledMessage, {
+        scheduledMessageId: cancelledId,
+      })
+    ).rejects.toThrow('Not authorized');
+    await ada.client.mutation(api.scheduledMessages.cancelScheduledMessage, {
+      scheduledMessageId: cancelledId,
+    });
+
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const sent = await t.run((ctx) => ctx.db.get(sentId));
+    expect(sent?.status).toBe('sent');
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages.map((message) => message.content)).toEqual(['Standup in 5']);
+  });
+
+  it('rejects outsiders and fails delivery when the sender lost access', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await expect(
+      eve.client.mutation(api.scheduledMessages.scheduleMessage, {
+        groupId,
+        content: 'Hello?',
+        scheduledFor: Date.now() + HOUR,
+      })
+    ).rejects.toThrow('Not a member of this group');
+
+    const scheduledId = await bob.client.mutation(api.scheduledMessages.scheduleMessage, {
+      groupId,
+      content: 'Later',
+      scheduledFor: Date.now() + HOUR,
+    });
+    await t.run(async (ctx) => {
+      const membership = await ctx.db
+        .query('groupMembers')
+        .withIndex('by_group_and_user', (q) => q.eq('groupId', groupId).eq('userId', bob.userId))
+        .first();
+      await ctx.db.delete(membership!._id);
+    });
+    await t.finishAllScheduledFunctions(vi.runAllTimers);
+
+    const scheduled = await t.run((ctx) => ctx.db.get(scheduledId));
+    expect(scheduled).toMatchObject({ status: 'failed', error: 'Not a member of this group' });
+  });
+});
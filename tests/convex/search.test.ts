@@ -0,0 +1,38 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createConversation, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('message search', () => {
+  it('only finds messages in chats the user belongs to', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const groupId = await createGroup(t, [eve.userId], 'Secret');
+
+    await ada.client.mutation(api.messages.sendMessage, { conversationId, content: 'budget draft' });
+    await eve.client.mutation(api.messages.sendMessage, { groupId, content: 'budget leak' });
+    const deletedId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'budget typo',
+    });
+    await ada.client.mutation(api.messages.deleteMessage, { messageId: deletedId });
+
+    const hits = await bob.client.query(api.messages.searchMessages, { searchTerm: 'budget' });
+    expect(hits.map((hit) => hit.content)).toEqual(['budget draft']);
+    expect(hits[0].chatName).toBe('ada');
+
+    await expect(
+      bob.client.query(api.messages.searchMessages, { searchTerm: 'budget', groupId })
+    ).rejects.toThrow('Not authorized');
+  });
+});
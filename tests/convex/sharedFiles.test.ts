@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { setupBackend, createUser, createGroup, uploadFile } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const paginationOpts = { numItems: 20, cursor: null };
+
+describe('shared files browser', () => {
+  it('filters a group’s files by category and sender, newest first', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const photo = await uploadFile(t, 'image/png', 'photo', 'clean');
+    const report = await uploadFile(t, 'application/pdf', 'report');
+
+    vi.setSystemTime(1000);
+    await ada.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      attachments: [{ storageId: photo, fileName: 'photo.png', fileType: 'image/png', fileSize: 5 }],
+    });
+    vi.setSystemTime(2000);
+    await bob.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      attachments: [
+        { storageId: report, fileName: 'report.pdf', fileType: 'application/pdf', fileSize: 6 },
+      ],
+    });
+
+    const all = await ada.client.query(api.files.listFilesInChat, { groupId, paginationOpts });
+    expect(all.page.map((file) => file.fileName)).toEqual(['report.pdf', 'photo.png']);
+    expect(all.page[0]).toMatchObject({ category: 'document', scanStatus: 'pending', url: null });
+    expect(all.page[1]).toMatchObject({ category: 'image', scanStatus: 'clean' });
+    expect(all.page[1].url).toEqual(expect.any(String));
+
+    const images = await ada.client.query(api.files.listFilesInChat, {
+      groupId,
+      category: 'image',
+      paginationOpts,
+    });
+    expect(images.page.map((file) => file.fileName)).toEqual(['photo.png']);
+
+    const fromBob = await ada.client.query(api.files.listFilesInChat, {
+      groupId,
+      senderId: bob.userId,
+      paginationOpts,
+    });
+    expect(fromBob.page.map((file) => file.fileName)).toEqual(['report.pdf']);
+  });
+
+  it('only lists files for members of the chat', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId]);
+
+    await expect(
+      eve.client.query(api.files.listFilesInChat, { groupId, paginationOpts })
+    ).rejects.toThrow('Not a member of this group');
+    await expect(t.query(api.files.listFilesInChat, { groupId, paginationOpts })).rejects.toThrow(
+      'Not authenticated'
+    );
+    await expect(
+      ada.client.query(api.files.listFilesInChat, { paginationOpts })
+    ).rejects.toThrow('Must specify either conversationId or groupId');
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Blob } from 'node:buffer';
+import { deflateRawSync, inflateRawSync } from 'node:zlib';
+import { api, internal } from '../../convex/_generated/api';
+import { createZip, readZipDirectory, readZipEntry } from '../../convex/lib/zip';
+import {
+  convertSlackText,
+  getChannelDayFiles,
+  getSlackFileUrl,
+  getSlackUserEmail,
+  isImportableMessage,
+  slackTsToMillis,
+} from '../../convex/lib/slackImport';
+import { setupBackend, createUser, createConversation, uploadFile } from './helpers';
+
+const encode = (text: string) => new TextEncoder().encode(text);
+const decode = (data: Uint8Array) => new TextDecoder().decode(data);
+const inflateRaw = (data: Uint8Array) => new Uint8Array(inflateRawSync(data));
+
+describe('reading ZIP archives', () => {
+  it('reads back the entries written by createZip', () => {
+    const zip = createZip([
+      { path: 'users.json', data: encode('[]') },
+      { path: 'general/2021-01-01.json', data: encode('[{"ts":"1"}]') },
+    ]);
+    const entries = readZipDirectory(zip);
+
+    expect(entries.map((entry) => entry.path)).toEqual(['users.json', 'general/2021-01-01.json']);
+    expect(decode(readZipEntry(zip, entries[1], inflateRaw))).toBe('[{"ts":"1"}]');
+  });
+
+  it('inflates deflated entries', () => {
+    const text = encode('hello hello hello hello');
+    const zip = createZip([{ path: 'a.txt', data: text }]);
+    const [entry] = readZipDirectory(zip);
+
+    // Swap the stored body for a deflated one; the reader trusts the central directory
+    const compressed = deflateRawSync(text);
+    const headerLength = 30 + 'a.txt'.length;
+    const deflated = new Uint8Array(headerLength + compressed.length);
+    deflated.set(zip.subarray(0, headerLength));
+    deflated.set(compressed, headerLength);
+
+    const data = readZipEntry(
+      deflated,
+      { ...entry, method: 8, compressedSize: compressed.length },
+      inflateRaw
+    );
+    expect(decode(data)).toBe('hello hello hello hello');
+  });
+
+  it('rejects corrupt entries and files that are not archives', () => {
+    const zip = createZip([{ path: 'a.txt', data: encode('hello') }]);
+    const [entry] = readZipDirectory(zip);
+
+    expect(() => readZipEntry(zip, { ...entry, crc: entry.crc ^ 1 }, inflateRaw)).toThrow(
+      'Corrupt ZIP entry: a.txt'
+    );
+    expect(() => readZipDirectory(encode('definitely not a zip archive'))).toThrow(
+      'Not a ZIP archive'
+    );
+  });
+});
+
+describe('Slack export helpers', () => {
+  const userNames = new Map([['U1', 'ada']]);
+  const channelNames = new Map([['C1', 'general']]);
+
+  it('converts mentions, links and entities to markdown', () => {
+    const { content, mentionedSlackIds } = convertSlackText(
+      'Hi <@U1> and <@U2>, see <#C1|old-name> and <https://example.com|the docs> &lt;3 <!here>',
+      userNames,
+      channelNames
+    );
+
+    expect(content).toBe(
+      'Hi @ada and @U2, see #general and [the docs](https://example.com) <3 @here'
+    );
+    expect(mentionedSlackIds).toEqual(['U1', 'U2']);
+  });
+
+  it('keeps bare links and shows email addresses without mailto', () => {
+    const { content } = convertSlackText(
+      '<https://example.com> <mailto:a@example.com|a@example.com>',
+      userNames,
+      channelNames
+    );
+    expect(content).toBe('https://example.com a@example.com');
+  });
+
+  it('imports messages but not channel events', () => {
+    expect(isImportableMessage({ ts: '1', text: 'hi' })).toBe(true);
+    expect(isImportableMessage({ ts: '1', subtype: 'file_share' })).toBe(true);
+    expect(isImportableMessage({ ts: '1', subtype: 'channel_join' })).toBe(false);
+  });
+
+  it('lists a channel’s day files in date order', () => {
+    expect(
+      getChannelDayFiles(
+        [
+          'general/2021-01-02.json',
+          'users.json',
+          'general/2021-01-01.json',
+          'general-chat/2021-01-01.json',
+          'general/notes.json',
+        ],
+        'general'
+      )
+    ).toEqual(['general/2021-01-01.json', 'general/2021-01-02.json']);
+  });
+
+  it('converts Slack timestamps to milliseconds', () => {
+    expect(slackTsToMillis('1609459200.000100')).toBe(1609459200000);
+  });
+
+  it('only downloads files over https from files.slack.com', () => {
+    const fileAt = (url: string) => getSlackFileUrl({ id: 'F1', url_private_download: url });
+
+    expect(fileAt('https://files.slack.com/files-pri/T1-F1/download/a.png')?.href).toBe(
+      'https://files.slack.com/files-pri/T1-F1/download/a.png'
+    );
+    expect(fileAt('http://files.slack.com/files-pri/T1-F1/a.png')).toBeNull();
+    expect(fileAt('https://files.slack.com.evil.example/a.png')).toBeNull();
+    expect(fileAt('https://evil.example/?files.slack.com')).toBeNull();
+    expect(fileAt('https://files.slack.com:8443/a.png')).toBeNull();
+    expect(fileAt('https://files.slack.com@evil.example/a.png')).toBeNull();
+    expect(fileAt('not a url')).toBeNull();
+    expect(getSlackFileUrl({ id: 'F1' })).toBeNull();
+  });
+
+  it('normalizes profile emails', () => {
+    const withEmail = (email: string) => ({ id: 'U1', name: 'ada', profile: { email } });
+
+    expect(getSlackUserEmail(withEmail(' Ada@Example.COM '))).toBe('ada@example.com');
+    expect(getSlackUserEmail(withEmail(' '))).toBeUndefined();
+  });
+});
+
+describe('matching Slack users to accounts', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('matches emails regardless of case', async () => {
+    const t = setupBackend();
+    const { userId } = await createUser(t, 'ada', 'Ada.Lovelace@Example.com');
+
+    expect(
+      await t.query(internal.slackImport.findUsersByEmail, {
+        emails: ['ada.lovelace@example.com', 'nobody@example.com'],
+      })
+    ).toEqual([{ email: 'ada.lovelace@example.com', userId }]);
+  });
+});
+
+describe('Slack import archives', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubEnv('IMPORT_ADMIN_EMAILS', 'ada@example.com');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.useRealTimers();
+  });
+
+  it('refuses storage already used by a message', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+    const attachment = await uploadFile(t, 'application/zip', 'bob’s files');
+    await t.run((ctx) =>
+      ctx.db.insert('messages', {
+        senderId: bob.userId,
+        content: 'files.zip',
+        conversationId,
+        type: 'file',
+        fileId: attachment,
+        fileName: 'files.zip',
+        fileType: 'application/zip',
+        fileSize: 11,
+        isDeleted: false,
+        createdAt: 0,
+      })
+    );
+
+    await expect(
+      ada.client.mutation(api.slackImport.createSlackImport, {
+        storageId: attachment,
+        fileName: 'export.zip',
+      })
+    ).rejects.toThrow('Upload not found');
+    expect(await t.run((ctx) => ctx.db.system.get(attachment))).not.toBeNull();
+  });
+
+  it('deletes a fresh upload with its import', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const archive = await t.run((ctx) => ctx.storage.store(new Blob(['PK'])));
+
+    const importId = await ada.client.mutation(api.slackImport.createSlackImport, {
+      storageId: archive,
+      fileName: 'export.zip',
+    });
+    await expect(
+      ada.client.mutation(api.slackImport.createSlackImport, {
+        storageId: archive,
+        fileName: 'again.zip',
+      })
+    ).rejects.toThrow('Upload not found');
+
+    await t.run((ctx) => ctx.db.patch(importId, { status: 'failed' }));
+    await ada.client.mutation(api.slackImport.deleteSlackImport, { importId });
+    expect(await t.run((ctx) => ctx.db.system.get(archive))).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api, internal } from '../../convex/_generated/api';
+import { ORPHAN_UPLOAD_GRACE_PERIOD } from '../../convex/lib/storage';
+import { setupBackend, createUser, createGroup, uploadFile } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+});
+
+const png = (storageId: Awaited<ReturnType<typeof uploadFile>>) => ({
+  storageId,
+  fileName: 'a.png',
+  fileType: 'image/png',
+  fileSize: 13,
+});
+
+describe('storage quotas', () => {
+  it('charges uploads to the sender and refuses uploads past the quota', async () => {
+    vi.stubEnv('USER_STORAGE_QUOTA_BYTES', '20');
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const groupId = await createGroup(t, [ada.userId]);
+    const first = await uploadFile(t, 'image/png');
+    const second = await uploadFile(t, 'image/png');
+
+    await ada.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      attachments: [png(first)],
+    });
+    expect(await ada.client.query(api.files.getStorageUsage, {})).toEqual({
+      usedBytes: 13,
+      quotaBytes: 20,
+      fileCount: 1,
+    });
+
+    await expect(
+      ada.client.mutation(api.files.saveAttachmentMessage, {
+        groupId,
+        attachments: [png(second)],
+      })
+    ).rejects.toThrow('Storage quota exceeded');
+    const messages = await t.run((ctx) => ctx.db.query('messages').collect());
+    expect(messages).toHaveLength(1);
+
+    vi.stubEnv('USER_STORAGE_QUOTA_BYTES', '13');
+    await expect(ada.client.mutation(api.files.generateUploadUrl, {})).rejects.toThrow(
+      'Storage quota exceeded'
+    );
+  });
+
+  it('enforces the group quota and hides group usage from outsiders', async () => {
+    vi.stubEnv('GROUP_STORAGE_QUOTA_BYTES', '20');
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await ada.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      attachments: [png(await uploadFile(t, 'image/png'))],
+    });
+    await expect(
+      bob.client.mutation(api.files.saveAttachmentMessage, {
+        groupId,
+        attachments: [png(await uploadFile(t, 'image/png'))],
+      })
+    ).rejects.toThrow('This group has run out of file storage');
+
+    expect(await bob.client.query(api.files.getStorageUsage, { groupId })).toMatchObject({
+      usedBytes: 13,
+      fileCount: 1,
+    });
+    await expect(eve.client.query(api.files.getStorageUsage, { groupId })).rejects.toThrow(
+      'Not a member of this group'
+    );
+  });
+});
+
+describe('orphaned upload cleanup', () => {
+  it('deletes old unattached uploads but keeps posted and recent ones', async () => {
+    vi.setSystemTime(0);
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const groupId = await createGroup(t, [ada.userId]);
+
+    const orphan = await uploadFile(t, 'image/png');
+    const posted = await uploadFile(t, 'image/png');
+    await ada.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      attachments: [png(posted)],
+    });
+    vi.setSystemTime(ORPHAN_UPLOAD_GRACE_PERIOD + 1000);
+    const recent = await uploadFile(t, 'image/png');
+
+    expect(await t.mutation(internal.files.cleanupOrphanedUploads, {})).toBe(1);
+
+    const remaining = await t.run(async (ctx) => ({
+      orphan: await ctx.db.system.get(orphan),
+      posted: await ctx.db.system.get(posted),
+      recent: await ctx.db.system.get(recent),
+      verifications: await ctx.db.query('fileVerifications').collect(),
+    }));
+    expect(remaining.orphan).toBeNull();
+    expect(remaining.posted).not.toBeNull();
+    expect(remaining.recent).not.toBeNull();
+    expect(remaining.verifications.map((verification) => verification.storageId)).toEqual([
+      posted,
+      recent,
+    ]);
+  });
+});
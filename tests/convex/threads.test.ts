@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import {
+  setupBackend,
+  createUser,
+  createGroup,
+  createConversation,
+  uploadFile,
+} from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('thread replies', () => {
+  it('only lets chat members reply', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const eve = await createUser(t, 'eve');
+    const conversationId = await createConversation(t, ada.userId, bob.userId);
+
+    const parentId = await ada.client.mutation(api.messages.sendMessage, {
+      conversationId,
+      content: 'Plan?',
+    });
+
+    await expect(
+      eve.client.mutation(api.messages.sendMessage, {
+        conversationId,
+        parentMessageId: parentId,
+        content: 'Sneaky',
+      })
+    ).rejects.toThrow('Not authorized to send messages in this conversation');
+  });
+
+  it('updates the parent when a reply is deleted', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    const parentId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Plan?',
+    });
+    await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      parentMessageId: parentId,
+      content: 'First',
+    });
+    vi.setSystemTime(Date.now() + 1000);
+    const bobReplyId = await bob.client.mutation(api.messages.sendMessage, {
+      groupId,
+      parentMessageId: parentId,
+      content: 'Second',
+    });
+
+    await expect(
+      ada.client.mutation(api.messages.deleteMessage, { messageId: bobReplyId })
+    ).rejects.toThrow('Only the sender can delete this message');
+    await bob.client.mutation(api.messages.deleteMessage, { messageId: bobReplyId });
+
+    const parent = await t.run((ctx) => ctx.db.get(parentId));
+    expect(parent?.replyCount).toBe(1);
+    expect(parent?.lastReplierIds).toEqual([ada.userId]);
+  });
+
+  it('updates the parent when a file reply is deleted', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+    const storageId = await uploadFile(t, 'image/png');
+
+    const parentId = await ada.client.mutation(api.messages.sendMessage, {
+      groupId,
+      content: 'Photos?',
+    });
+    const replyId = await bob.client.mutation(api.files.saveAttachmentMessage, {
+      groupId,
+      parentMessageId: parentId,
+      attachments: [{ storageId, fileName: 'a.png', fileType: 'image/png', fileSize: 13 }],
+    });
+    expect((await t.run((ctx) => ctx.db.get(parentId)))?.replyCount).toBe(1);
+
+    await bob.client.mutation(api.files.deleteFile, { messageId: replyId });
+
+    const parent = await t.run((ctx) => ctx.db.get(parentId));
+    expect(parent?.replyCount).toBe(0);
+    expect(parent?.lastReplierIds).toBeUndefined();
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { api } from '../../convex/_generated/api';
+import { TYPING_TIMEOUT } from '../../convex/lib/utils';
+import { setupBackend, createUser, createGroup } from './helpers';
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('typing indicators', () => {
+  it('shows other members typing until they stop or the state expires', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const bob = await createUser(t, 'bob');
+    const groupId = await createGroup(t, [ada.userId, bob.userId]);
+
+    await bob.client.mutation(api.typing.setTyping, { groupId, isTyping: true });
+    expect(await bob.client.query(api.typing.getTypingUsers, { groupId })).toEqual([]);
+    expect(await ada.client.query(api.typing.getTypingUsers, { groupId })).toEqual([
+      expect.objectContaining({ userId: bob.userId }),
+    ]);
+
+    vi.setSystemTime(Date.now() + TYPING_TIMEOUT + 1);
+    expect(await ada.client.query(api.typing.getTypingUsers, { groupId })).toEqual([]);
+
+    await bob.client.mutation(api.typing.setTyping, { groupId, isTyping: true });
+    await bob.client.mutation(api.typing.setTyping, { groupId, isTyping: false });
+    expect(await ada.client.query(api.typing.getTypingUsers, { groupId })).toEqual([]);
+  });
+
+  it('rejects non-members', async () => {
+    const t = setupBackend();
+    const ada = await createUser(t, 'ada');
+    const eve = await createUser(t, 'eve');
+    const groupId = await createGroup(t, [ada.userId]);
+
+    await expect(
+      eve.client.mutation(api.typing.setTyping, { groupId, isTyping: true })
+    ).rejects.toThrow('Not a member of this group');
+    await expect(eve.client.query(api.typing.getTypingUsers, { groupId })).rejects.toThrow(
+      'Not authorized'
+    );
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import {
+  createHttpFetcher,
+  parseOpenGraph,
+  unfurlUrl,
+  isPrivateAddress,
+} from '../../convex/lib/unfurl';
+import { extractLinkUrls } from '../../convex/lib/linkPreviews';
+
+const ARTICLE_HTML = `<!doctype html><html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Ship it &amp; relax">
+  <meta property="og:description" content="A story about deploys">
+  <meta property="og:image" content="/cover.png">
+  <meta property="og:site_name" content="Example Blog">
+</head><body>Hello</body></html>`;
+
+describe('unfurlUrl with a local stub server', () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      if (req.url === '/article') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_HTML);
+      } else if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/article' });
+        res.end();
+      } else if (req.url === '/data.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const fetcher = createHttpFetcher({ allowPrivateHosts: true });
+
+  it('extracts Open Graph metadata', async () => {
+    expect(await unfurlUrl(`${baseUrl}/article`, fetcher)).toEqual({
+      title: 'Ship it & relax',
+      description: 'A story about deploys',
+      imageUrl: `${baseUrl}/cover.png`,
+      siteName: 'Example Blog',
+    });
+  });
+
+  it('follows redirects', async () => {
+    const metadata = await unfurlUrl(`${baseUrl}/moved`, fetcher);
+    expect(metadata?.title).toBe('Ship it & relax');
+  });
+
+  it('returns null for non-HTML and error responses', async () => {
+    expect(await unfurlUrl(`${baseUrl}/data.json`, fetcher)).toBeNull();
+    expect(await unfurlUrl(`${baseUrl}/missing`, fetcher)).toBeNull();
+  });
+
+  it('refuses private hosts with the default guard', async () => {
+    await expect(
+      unfurlUrl(`${baseUrl}/article`, createHttpFetcher())
+    ).rejects.toThrow('private address');
+  });
+
+  it('checks the address a host name resolves to when connecting', async () => {
+    const localhostUrl = baseUrl.replace('127.0.0.1', 'localhost');
+    await expect(
+      unfurlUrl(`${localhostUrl}/article`, createHttpFetcher())
+    ).rejects.toThrow('private address');
+  });
+
+  it('refuses IPv4-mapped IPv6 literals before connecting', async () => {
+    const mappedUrl = baseUrl.replace('127.0.0.1', '[::ffff:127.0.0.1]');
+    await expect(
+      unfurlUrl(`${mappedUrl}/article`, createHttpFetcher())
+    ).rejects.toThrow('private address');
+  });
+});
+
+describe('parseOpenGraph', () => {
+  it('falls back to <title> and drops non-http images', () => {
+    const html =
+      '<head><title> Plain page </title><meta property="og:image" content="javascript:alert(1)"></head>';
+    expect(parseOpenGraph(html, 'https://example.com/')).toEqual({
+      title: 'Plain page',
+      description: undefined,
+      imageUrl: undefined,
+      siteName: undefined,
+    });
+  });
+
+  it('returns null without a title', () => {
+    expect(parseOpenGraph('<head></head>', 'https://example.com/')).toBeNull();
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('flags loopback and private ranges', () => {
+    expect(isPrivateAddress('127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('::ffff:192.168.0.1')).toBe(true);
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+  });
+
+  it('flags IPv4-mapped, NAT64 and unspecified addresses as URL hostnames', () => {
+    const host = (url: string) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+    expect(isPrivateAddress(host('http://[::ffff:127.0.0.1]/'))).toBe(true);
+    expect(isPrivateAddress(host('http://[::ffff:7f00:1]/'))).toBe(true);
+    expect(isPrivateAddress(host('http://[::ffff:a9fe:a9fe]/'))).toBe(true);
+    expect(isPrivateAddress(host('http://[64:ff9b::a9fe:a9fe]/'))).toBe(true);
+    expect(isPrivateAddress(host('http://0.0.0.0/'))).toBe(true);
+    expect(isPrivateAddress(host('http://0/'))).toBe(true);
+    expect(isPrivateAddress(host('http://[::ffff:5db8:d822]/'))).toBe(false);
+  });
+});
+
+describe('extractLinkUrls', () => {
+  it('dedupes URLs and skips code', () => {
+    expect(
+      extractLinkUrls(
+        'See https://example.com/a, https://example.com/a#top and `https://ignored.dev`'
+      )
+    ).toEqual(['https://example.com/a']);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeWaveform, formatDuration } from '../../src/utils/audio';
+
+describe('summarizeWaveform', () => {
+  it('takes the peak of each bar, scaled to the loudest', () => {
+    expect(summarizeWaveform([0.1, -0.2, 0.4, -0.1, 0, 0.05], 3)).toEqual([0.5, 1, 0.13]);
+  });
+
+  it('handles silence and very short input', () => {
+    expect(summarizeWaveform([0, 0, 0, 0], 2)).toEqual([0, 0]);
+    expect(summarizeWaveform([0.5], 48)).toEqual([1]);
+    expect(summarizeWaveform([], 48)).toEqual([]);
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats seconds as m:ss', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(7.9)).toBe('0:07');
+    expect(formatDuration(125)).toBe('2:05');
+  });
+});
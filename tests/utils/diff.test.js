@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { diffWords } from '../../src/utils/diff';
+
+describe('diffWords', () => {
+  it('marks replaced words as delete + insert', () => {
+    expect(diffWords('meet at 5pm today', 'meet at 6pm today')).toEqual([
+      { type: 'equal', text: 'meet at ' },
+      { type: 'delete', text: '5pm' },
+      { type: 'insert', text: '6pm' },
+      { type: 'equal', text: ' today' },
+    ]);
+  });
+
+  it('handles appended text', () => {
+    expect(diffWords('hello', 'hello world')).toEqual([
+      { type: 'equal', text: 'hello' },
+      { type: 'insert', text: ' world' },
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown, parseInline, highlightCode } from '../../src/utils/markdown';
+
+describe('parseInline', () => {
+  it('parses bold, italic and inline code', () => {
+    expect(parseInline('**a** *b* `c`')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'a' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'b' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'c' },
+    ]);
+  });
+
+  it('does not parse emphasis inside code spans', () => {
+    expect(parseInline('`**x**`')).toEqual([{ type: 'code', text: '**x**' }]);
+  });
+
+  it('keeps raw HTML as plain text', () => {
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>' },
+    ]);
+  });
+
+  it('only links to allowed protocols', () => {
+    expect(parseInline('[ok](https://example.com)')).toEqual([
+      {
+        type: 'link',
+        href: 'https://example.com/',
+        children: [{ type: 'text', text: 'ok' }],
+      },
+    ]);
+    expect(parseInline('[bad](javascript:alert(1))')).toEqual([
+      { type: 'text', text: '[bad](javascript:alert(1))' },
+    ]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('splits paragraphs, lists and fenced code blocks', () => {
+    const blocks = parseMarkdown('Intro\n\n- one\n- two\n\n```js\nconst x = 1;\n```');
+
+    expect(blocks.map((b) => b.type)).toEqual(['paragraph', 'list', 'code_block']);
+    expect(blocks[1]).toMatchObject({ ordered: false, items: [[{ text: 'one' }], [{ text: 'two' }]] });
+    expect(blocks[2]).toMatchObject({ language: 'js' });
+  });
+
+  it('keeps ordered list start numbers', () => {
+    const [list] = parseMarkdown('3. c\n4. d');
+    expect(list).toMatchObject({ type: 'list', ordered: true, start: 3 });
+  });
+});
+
+describe('highlightCode', () => {
+  it('tokenizes keywords, strings, numbers and comments', () => {
+    const types = highlightCode('const s = "hi"; // note\nreturn 42', 'js')
+      .filter((t) => t.type !== 'plain')
+      .map((t) => t.type);
+
+    expect(types).toEqual(['keyword', 'string', 'comment', 'keyword', 'number']);
+  });
+
+  it('returns a single plain token for unknown languages', () => {
+    expect(highlightCode('anything', 'brainfuck')).toEqual([
+      { type: 'plain', text: 'anything' },
+    ]);
+  });
+});